@@ -11,6 +11,7 @@ import ReportsPanel from './components/ReportsPanel';
 import TaxCenter from './components/TaxCenter';
 import PayrollManager from './components/PayrollManager';
 import AccountingDashboard from './components/AccountingDashboard';
+import EmployeePortal from './components/EmployeePortal';
 import Login from './components/Login';
 import Tutorial from './components/Tutorial';
 
@@ -103,6 +104,35 @@ function App() {
     return <Login onLogin={handleLogin} />;
   }
 
+  // Employees only get the self-service portal
+  if (user?.role === 'employee') {
+    return (
+      <div className="App">
+        <header className="app-header">
+          <div className="header-brand">
+            <h1>
+              FLAVOR <span className="brand-91">91</span> BISTRO
+            </h1>
+            <p className="tagline">Employee Portal</p>
+          </div>
+          <div className="header-user">
+            <span className="user-info">
+              {user?.first_name} {user?.last_name}
+              <span className="user-role">({user?.role})</span>
+            </span>
+            <button className="logout-btn" onClick={handleLogout}>
+              Logout
+            </button>
+          </div>
+        </header>
+
+        <main className="app-main">
+          <EmployeePortal />
+        </main>
+      </div>
+    );
+  }
+
   const operationsTabs = [
     { id: 'dashboard', label: 'Dashboard' },
     { id: 'sales', label: 'Sales' },
@@ -0,0 +1,502 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+function EmployeePortal() {
+  const [activeTab, setActiveTab] = useState('schedule');
+  const [loading, setLoading] = useState(true);
+
+  // Data
+  const [profile, setProfile] = useState(null);
+  const [schedules, setSchedules] = useState([]);
+  const [punches, setPunches] = useState([]);
+  const [tips, setTips] = useState({ tips: [], pool_distributions: [], totals: {} });
+  const [timeOff, setTimeOff] = useState([]);
+  const [payRecords, setPayRecords] = useState([]);
+
+  // Time off form
+  const [timeOffForm, setTimeOffForm] = useState({
+    start_date: '',
+    end_date: '',
+    request_type: 'vacation',
+    reason: '',
+  });
+
+  const tabs = [
+    { id: 'schedule', label: 'My Schedule' },
+    { id: 'timeclock', label: 'Time Clock' },
+    { id: 'tips', label: 'Tips' },
+    { id: 'time-off', label: 'Time Off' },
+    { id: 'pay', label: 'Pay Stubs' },
+  ];
+
+  const timeOffTypes = ['vacation', 'sick', 'personal', 'unpaid', 'other'];
+
+  const loadData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const me = await api.getPortalProfile();
+      setProfile(me);
+
+      if (activeTab === 'schedule') {
+        setSchedules(await api.getPortalSchedules(14));
+      } else if (activeTab === 'timeclock') {
+        setPunches(await api.getPortalTimeclock());
+      } else if (activeTab === 'tips') {
+        setTips(await api.getPortalTips());
+      } else if (activeTab === 'time-off') {
+        setTimeOff(await api.getPortalTimeOff());
+      } else if (activeTab === 'pay') {
+        setPayRecords(await api.getPortalPayRecords());
+      }
+    } catch (error) {
+      console.error('Load error:', error);
+      alert('Error loading data: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [activeTab]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+    }).format(amount || 0);
+  };
+
+  const formatDate = (value) => (value ? String(value).split('T')[0] : '');
+  const formatTime = (value) => (value ? new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '—');
+
+  // Timeclock actions
+  const runClockAction = async (action) => {
+    try {
+      await action();
+      loadData();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const activeEntry = profile?.active_entry;
+  const onBreak = activeEntry && activeEntry.break_start && !activeEntry.break_end;
+
+  // Time off
+  const handleTimeOffSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await api.requestTimeOff(timeOffForm);
+      setTimeOffForm({ start_date: '', end_date: '', request_type: 'vacation', reason: '' });
+      loadData();
+    } catch (error) {
+      alert('Error requesting time off: ' + error.message);
+    }
+  };
+
+  const handleCancelTimeOff = async (id) => {
+    if (!window.confirm('Withdraw this request?')) return;
+    try {
+      await api.cancelTimeOff(id);
+      loadData();
+    } catch (error) {
+      alert('Error withdrawing request: ' + error.message);
+    }
+  };
+
+  // Pay stubs
+  const handleDownloadPay = async () => {
+    try {
+      const blob = await api.downloadPortalPayRecords();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'pay-records.csv';
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('Download failed: ' + error.message);
+    }
+  };
+
+  const statusColors = {
+    pending: '#f57c00',
+    approved: '#28a745',
+    rejected: '#dc3545',
+    cancelled: '#666',
+  };
+
+  // Render Clock Panel (always visible)
+  const renderClockPanel = () => (
+    <div className="card" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+      <div>
+        <h3 style={{ margin: 0 }}>
+          {profile?.first_name} {profile?.last_name}
+        </h3>
+        <div style={{ color: '#666', textTransform: 'capitalize' }}>
+          {profile?.position} {profile?.department ? `· ${profile.department.replace('_', ' ')}` : ''}
+        </div>
+        <div style={{ marginTop: '8px', fontWeight: '500' }}>
+          {activeEntry
+            ? `Clocked in since ${formatTime(activeEntry.clock_in)}${onBreak ? ' (on break)' : ''}`
+            : 'Not clocked in'}
+        </div>
+      </div>
+      <div style={{ display: 'flex', gap: '10px' }}>
+        {!activeEntry && (
+          <button className="btn btn-primary" onClick={() => runClockAction(() => api.portalClockIn())}>
+            Clock In
+          </button>
+        )}
+        {activeEntry && (
+          <>
+            <button
+              className="btn btn-secondary"
+              onClick={() => runClockAction(() => api.portalBreak(onBreak ? 'end' : 'start'))}
+            >
+              {onBreak ? 'End Break' : 'Start Break'}
+            </button>
+            <button
+              className="btn btn-primary"
+              disabled={onBreak}
+              onClick={() => runClockAction(() => api.portalClockOut())}
+            >
+              Clock Out
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+
+  // Render Schedule
+  const renderSchedule = () => (
+    <div className="card">
+      <h3 style={{ marginBottom: '20px' }}>Upcoming Shifts (next 14 days)</h3>
+      {schedules.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
+          No upcoming shifts scheduled.
+        </div>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Shift</th>
+              <th>Position</th>
+              <th>Status</th>
+              <th>Notes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {schedules.map(s => (
+              <tr key={s.id}>
+                <td style={{ fontWeight: '500' }}>{formatDate(s.schedule_date)}</td>
+                <td>{s.shift_start?.slice(0, 5)} — {s.shift_end?.slice(0, 5)}</td>
+                <td style={{ textTransform: 'capitalize' }}>{s.position}</td>
+                <td style={{ textTransform: 'capitalize' }}>{s.status?.replace('_', ' ')}</td>
+                <td>{s.notes}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+
+  // Render Timeclock History
+  const renderTimeclock = () => (
+    <div className="card">
+      <h3 style={{ marginBottom: '20px' }}>Recent Punches</h3>
+      {punches.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
+          No punches yet.
+        </div>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>In</th>
+              <th>Out</th>
+              <th style={{ textAlign: 'right' }}>Break (min)</th>
+              <th style={{ textAlign: 'right' }}>Hours</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {punches.map(p => (
+              <tr key={p.id}>
+                <td style={{ fontWeight: '500' }}>{formatDate(p.clock_in)}</td>
+                <td>{formatTime(p.clock_in)}</td>
+                <td>{formatTime(p.clock_out)}</td>
+                <td style={{ textAlign: 'right' }}>{p.total_break_minutes || 0}</td>
+                <td style={{ textAlign: 'right' }}>
+                  {p.hours_worked !== null ? parseFloat(p.hours_worked).toFixed(2) : '—'}
+                </td>
+                <td style={{ textTransform: 'capitalize' }}>{p.status}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+
+  // Render Tips
+  const renderTips = () => (
+    <div className="card">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h3>Tip History</h3>
+        <div style={{ fontWeight: '600' }}>
+          Tips: {formatCurrency(tips.totals.total_tips)} · Pool: {formatCurrency(tips.totals.pool_received)}
+        </div>
+      </div>
+      {tips.tips.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
+          No tips recorded yet.
+        </div>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Shift</th>
+              <th style={{ textAlign: 'right' }}>Cash</th>
+              <th style={{ textAlign: 'right' }}>Credit</th>
+              <th style={{ textAlign: 'right' }}>Tip Out</th>
+              <th style={{ textAlign: 'right' }}>Pool</th>
+              <th style={{ textAlign: 'right' }}>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tips.tips.map(t => (
+              <tr key={t.id}>
+                <td style={{ fontWeight: '500' }}>{formatDate(t.shift_date)}</td>
+                <td style={{ textAlign: 'right' }}>{formatCurrency(t.cash_tips)}</td>
+                <td style={{ textAlign: 'right' }}>{formatCurrency(t.credit_tips)}</td>
+                <td style={{ textAlign: 'right', color: '#dc3545' }}>{formatCurrency(t.tip_out_given)}</td>
+                <td style={{ textAlign: 'right' }}>{formatCurrency(t.tip_pool_received)}</td>
+                <td style={{ textAlign: 'right', fontWeight: '600' }}>{formatCurrency(t.total_tips)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {tips.pool_distributions.length > 0 && (
+        <>
+          <h4 style={{ margin: '30px 0 15px' }}>Tip Pool Distributions</h4>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Pool</th>
+                <th style={{ textAlign: 'right' }}>Hours</th>
+                <th style={{ textAlign: 'right' }}>Share</th>
+                <th style={{ textAlign: 'right' }}>Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tips.pool_distributions.map(d => (
+                <tr key={d.id}>
+                  <td>{formatDate(d.pool_date)}</td>
+                  <td style={{ textTransform: 'capitalize' }}>{d.pool_type?.replace(/_/g, ' ')}</td>
+                  <td style={{ textAlign: 'right' }}>{parseFloat(d.hours_worked || 0).toFixed(2)}</td>
+                  <td style={{ textAlign: 'right' }}>{(parseFloat(d.share_percentage || 0) * 100).toFixed(1)}%</td>
+                  <td style={{ textAlign: 'right', fontWeight: '600' }}>{formatCurrency(d.amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+
+  // Render Time Off
+  const renderTimeOff = () => (
+    <div className="card">
+      <h3 style={{ marginBottom: '20px' }}>Request Time Off</h3>
+      <form onSubmit={handleTimeOffSubmit} style={{ display: 'flex', gap: '15px', alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: '30px' }}>
+        <div className="form-group" style={{ marginBottom: 0 }}>
+          <label className="form-label">From</label>
+          <input
+            type="date"
+            className="form-input"
+            required
+            value={timeOffForm.start_date}
+            onChange={(e) => setTimeOffForm({ ...timeOffForm, start_date: e.target.value })}
+          />
+        </div>
+        <div className="form-group" style={{ marginBottom: 0 }}>
+          <label className="form-label">To</label>
+          <input
+            type="date"
+            className="form-input"
+            required
+            value={timeOffForm.end_date}
+            onChange={(e) => setTimeOffForm({ ...timeOffForm, end_date: e.target.value })}
+          />
+        </div>
+        <div className="form-group" style={{ marginBottom: 0 }}>
+          <label className="form-label">Type</label>
+          <select
+            className="form-input"
+            value={timeOffForm.request_type}
+            onChange={(e) => setTimeOffForm({ ...timeOffForm, request_type: e.target.value })}
+          >
+            {timeOffTypes.map(type => (
+              <option key={type} value={type} style={{ textTransform: 'capitalize' }}>{type}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group" style={{ marginBottom: 0, flex: 1 }}>
+          <label className="form-label">Reason</label>
+          <input
+            type="text"
+            className="form-input"
+            value={timeOffForm.reason}
+            onChange={(e) => setTimeOffForm({ ...timeOffForm, reason: e.target.value })}
+          />
+        </div>
+        <button type="submit" className="btn btn-primary">Submit Request</button>
+      </form>
+
+      {timeOff.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
+          No time-off requests yet.
+        </div>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Dates</th>
+              <th>Type</th>
+              <th>Reason</th>
+              <th>Status</th>
+              <th>Manager Notes</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {timeOff.map(r => (
+              <tr key={r.id}>
+                <td style={{ fontWeight: '500' }}>{formatDate(r.start_date)} — {formatDate(r.end_date)}</td>
+                <td style={{ textTransform: 'capitalize' }}>{r.request_type}</td>
+                <td>{r.reason}</td>
+                <td style={{ textTransform: 'capitalize', fontWeight: '600', color: statusColors[r.status] }}>
+                  {r.status}
+                </td>
+                <td>{r.review_notes}</td>
+                <td>
+                  {r.status === 'pending' && (
+                    <button
+                      className="btn btn-secondary"
+                      style={{ padding: '4px 10px' }}
+                      onClick={() => handleCancelTimeOff(r.id)}
+                    >
+                      Withdraw
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+
+  // Render Pay Stubs
+  const renderPay = () => (
+    <div className="card">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h3>Pay Stubs</h3>
+        <button className="btn btn-secondary" onClick={handleDownloadPay} disabled={payRecords.length === 0}>
+          Download CSV
+        </button>
+      </div>
+      {payRecords.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
+          No pay records yet.
+        </div>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Pay Period</th>
+              <th>Paid</th>
+              <th style={{ textAlign: 'right' }}>Hours</th>
+              <th style={{ textAlign: 'right' }}>Gross Pay</th>
+              <th style={{ textAlign: 'right' }}>Taxes</th>
+              <th style={{ textAlign: 'right' }}>Net Pay</th>
+            </tr>
+          </thead>
+          <tbody>
+            {payRecords.map(rec => (
+              <tr key={rec.id}>
+                <td style={{ fontWeight: '500' }}>{rec.pay_period_start} — {rec.pay_period_end}</td>
+                <td>{rec.payment_date}</td>
+                <td style={{ textAlign: 'right' }}>
+                  {parseFloat(rec.regular_hours || 0).toFixed(1)}
+                  {rec.overtime_hours > 0 && (
+                    <span style={{ color: '#f57c00' }}> +{parseFloat(rec.overtime_hours).toFixed(1)} OT</span>
+                  )}
+                </td>
+                <td style={{ textAlign: 'right' }}>{formatCurrency(rec.gross_pay)}</td>
+                <td style={{ textAlign: 'right', color: '#dc3545' }}>
+                  {formatCurrency(
+                    parseFloat(rec.federal_tax_withheld || 0) +
+                    parseFloat(rec.state_tax_withheld || 0) +
+                    parseFloat(rec.social_security_withheld || 0) +
+                    parseFloat(rec.medicare_withheld || 0)
+                  )}
+                </td>
+                <td style={{ textAlign: 'right', fontWeight: '600', color: '#28a745' }}>
+                  {formatCurrency(rec.net_pay)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+
+  if (loading && !profile) {
+    return <div className="spinner"></div>;
+  }
+
+  return (
+    <div>
+      <div className="card-header">
+        <h2 className="card-title">My Portal</h2>
+      </div>
+
+      {profile && renderClockPanel()}
+
+      {/* Tabs */}
+      <div className="sub-tab-container">
+        {tabs.map(t => (
+          <button
+            key={t.id}
+            className={`sub-tab ${activeTab === t.id ? 'active' : ''}`}
+            onClick={() => setActiveTab(t.id)}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Content */}
+      {activeTab === 'schedule' && renderSchedule()}
+      {activeTab === 'timeclock' && renderTimeclock()}
+      {activeTab === 'tips' && renderTips()}
+      {activeTab === 'time-off' && renderTimeOff()}
+      {activeTab === 'pay' && renderPay()}
+    </div>
+  );
+}
+
+export default EmployeePortal;
@@ -1,6 +1,6 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Box, Paper, TextField, Button, Typography, Alert, CircularProgress } from '@mui/material';
-import { Restaurant as RestaurantIcon, Lock as LockIcon } from '@mui/icons-material';
+import { Restaurant as RestaurantIcon, Lock as LockIcon, VerifiedUser as VerifiedUserIcon } from '@mui/icons-material';
 
 const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:5001/api';
 
@@ -21,43 +21,215 @@ const brand = {
   success: '#43A047',
 };
 
+// Shared styling for the two-factor / password steps
+const fieldSx = {
+  mb: 3,
+  '& .MuiOutlinedInput-root': {
+    fontFamily: "'Lato', sans-serif",
+    borderRadius: 1,
+    '&:hover fieldset': {
+      borderColor: brand.green,
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: brand.green,
+    },
+  },
+  '& .MuiInputLabel-root': {
+    fontFamily: "'Lato', sans-serif",
+    '&.Mui-focused': {
+      color: brand.green,
+    }
+  },
+};
+
+const primaryButtonSx = {
+  py: 1.5,
+  borderRadius: 1,
+  fontWeight: 600,
+  fontSize: '1rem',
+  fontFamily: "'Oswald', sans-serif",
+  letterSpacing: '2px',
+  textTransform: 'uppercase',
+  backgroundColor: brand.green,
+  color: brand.charcoal,
+  '&:hover': {
+    backgroundColor: brand.greenDark,
+  },
+};
+
+const linkButtonSx = { mt: 1.5, color: brand.textLight, textTransform: 'none' };
+
+const postJson = async (path, body, { method = 'POST', token } = {}) => {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(data.error || data.message || 'Login failed');
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+};
+
 function Login({ onLogin }) {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
   const [loading, setLoading] = useState(false);
 
-  const handleSubmit = async (e) => {
+  // Steps: 'password' -> 'mfa' -> ('recovery-codes' after enrollment) -> ('change-password' if forced)
+  // plus 'forgot' and 'reset' (opened from a ?reset_token= link)
+  const [step, setStep] = useState('password');
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+  const [mfaSetup, setMfaSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [pendingSession, setPendingSession] = useState(null);
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [resetToken, setResetToken] = useState(null);
+
+  useEffect(() => {
+    const token = new URLSearchParams(window.location.search).get('reset_token');
+    if (token) {
+      setResetToken(token);
+      setStep('reset');
+    }
+  }, []);
+
+  const completeLogin = (data) => {
+    // Store token and user info
+    localStorage.setItem('authToken', data.token);
+    localStorage.setItem('user', JSON.stringify(data.user));
+
+    // Call onLogin callback
+    if (onLogin) {
+      onLogin(data.user, data.token);
+    }
+  };
+
+  // Users created by an admin pick their own password before continuing
+  const finishSession = (data) => {
+    if (data.user.must_change_password) {
+      setPendingSession(data);
+      setNewPassword('');
+      setConfirmPassword('');
+      setStep('change-password');
+      return;
+    }
+    completeLogin(data);
+  };
+
+  const resetToPassword = (message = '') => {
+    setStep('password');
+    setMfaChallenge(null);
+    setMfaSetup(null);
+    setCode('');
+    setPendingSession(null);
+    setNewPassword('');
+    setConfirmPassword('');
+    setError(message);
+  };
+
+  const checkNewPassword = () => {
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return false;
+    }
+    return true;
+  };
+
+  const handleChangePassword = async (e) => {
     e.preventDefault();
     setError('');
+    if (!checkNewPassword()) {
+      return;
+    }
     setLoading(true);
 
     try {
-      const response = await fetch(`${API_BASE}/auth/login`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          email: username,
-          password: password,
-        }),
+      await postJson(
+        '/auth/me/password',
+        { current_password: password, new_password: newPassword },
+        { method: 'PUT', token: pendingSession.token }
+      );
+      completeLogin({
+        ...pendingSession,
+        user: { ...pendingSession.user, must_change_password: false },
       });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      const data = await response.json();
+  const handleForgot = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
 
-      if (!response.ok) {
-        throw new Error(data.error || 'Login failed');
-      }
+    try {
+      const data = await postJson('/auth/password/forgot', { email: username });
+      setInfo(data.message);
+      setStep('password');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (!checkNewPassword()) {
+      return;
+    }
+    setLoading(true);
+
+    try {
+      const data = await postJson('/auth/password/reset', { token: resetToken, new_password: newPassword });
+      window.history.replaceState(null, '', window.location.pathname);
+      setResetToken(null);
+      setInfo(data.message);
+      resetToPassword();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setInfo('');
+    setLoading(true);
 
-      // Store token and user info
-      localStorage.setItem('authToken', data.token);
-      localStorage.setItem('user', JSON.stringify(data.user));
+    try {
+      const data = await postJson('/auth/login', {
+        email: username,
+        password: password,
+      });
 
-      // Call onLogin callback
-      if (onLogin) {
-        onLogin(data.user, data.token);
+      if (data.mfa_required) {
+        setMfaChallenge({ token: data.mfa_token, enrollment: data.mfa_enrollment_required });
+        setCode('');
+        setStep('mfa');
+        if (data.mfa_enrollment_required) {
+          setMfaSetup(await postJson('/auth/login/mfa/setup', { mfa_token: data.mfa_token }));
+        }
+        return;
       }
+
+      finishSession(data);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -65,6 +237,36 @@ function Login({ onLogin }) {
     }
   };
 
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const data = await postJson('/auth/login/mfa', {
+        mfa_token: mfaChallenge.token,
+        code: code.trim(),
+      });
+
+      // New enrollment: show the one-time recovery codes before continuing
+      if (data.recovery_codes) {
+        setPendingSession(data);
+        setStep('recovery-codes');
+        return;
+      }
+
+      finishSession(data);
+    } catch (err) {
+      if (err.status === 401) {
+        resetToPassword(err.message);
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <Box
       sx={{
@@ -201,102 +403,322 @@ function Login({ onLogin }) {
           </Alert>
         )}
 
+        {info && (
+          <Alert severity="success" sx={{ mb: 3, borderRadius: 1 }}>
+            {info}
+          </Alert>
+        )}
+
         {/* Login Form */}
-        <form onSubmit={handleSubmit}>
-          <TextField
-            fullWidth
-            label="Username"
-            variant="outlined"
-            value={username}
-            onChange={(e) => setUsername(e.target.value)}
-            required
-            sx={{
-              mb: 2.5,
-              '& .MuiOutlinedInput-root': {
-                fontFamily: "'Lato', sans-serif",
-                borderRadius: 1,
-                '&:hover fieldset': {
-                  borderColor: brand.green,
+        {step === 'password' && (
+          <form onSubmit={handleSubmit}>
+            <TextField
+              fullWidth
+              label="Username"
+              variant="outlined"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              required
+              sx={{
+                mb: 2.5,
+                '& .MuiOutlinedInput-root': {
+                  fontFamily: "'Lato', sans-serif",
+                  borderRadius: 1,
+                  '&:hover fieldset': {
+                    borderColor: brand.green,
+                  },
+                  '&.Mui-focused fieldset': {
+                    borderColor: brand.green,
+                  },
                 },
-                '&.Mui-focused fieldset': {
-                  borderColor: brand.green,
+                '& .MuiInputLabel-root': {
+                  fontFamily: "'Lato', sans-serif",
+                  '&.Mui-focused': {
+                    color: brand.green,
+                  }
                 },
-              },
-              '& .MuiInputLabel-root': {
-                fontFamily: "'Lato', sans-serif",
-                '&.Mui-focused': {
-                  color: brand.green,
-                }
-              },
-            }}
-            inputProps={{
-              autoComplete: 'username',
-            }}
-          />
-
-          <TextField
-            fullWidth
-            label="Password"
-            type="password"
-            variant="outlined"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            required
-            sx={{
-              mb: 3,
-              '& .MuiOutlinedInput-root': {
-                fontFamily: "'Lato', sans-serif",
+              }}
+              inputProps={{
+                autoComplete: 'username',
+              }}
+            />
+
+            <TextField
+              fullWidth
+              label="Password"
+              type="password"
+              variant="outlined"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              sx={{
+                mb: 3,
+                '& .MuiOutlinedInput-root': {
+                  fontFamily: "'Lato', sans-serif",
+                  borderRadius: 1,
+                  '&:hover fieldset': {
+                    borderColor: brand.green,
+                  },
+                  '&.Mui-focused fieldset': {
+                    borderColor: brand.green,
+                  },
+                },
+                '& .MuiInputLabel-root': {
+                  fontFamily: "'Lato', sans-serif",
+                  '&.Mui-focused': {
+                    color: brand.green,
+                  }
+                },
+              }}
+              inputProps={{
+                autoComplete: 'current-password',
+              }}
+            />
+
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              size="large"
+              disabled={loading}
+              startIcon={loading ? <CircularProgress size={20} sx={{ color: brand.charcoal }} /> : <LockIcon />}
+              sx={{
+                py: 1.5,
                 borderRadius: 1,
-                '&:hover fieldset': {
-                  borderColor: brand.green,
+                fontWeight: 600,
+                fontSize: '1rem',
+                fontFamily: "'Oswald', sans-serif",
+                letterSpacing: '2px',
+                textTransform: 'uppercase',
+                backgroundColor: brand.green,
+                color: brand.charcoal,
+                boxShadow: `0 4px 15px ${brand.green}40`,
+                '&:hover': {
+                  backgroundColor: brand.greenDark,
+                  boxShadow: `0 6px 20px ${brand.green}50`,
                 },
-                '&.Mui-focused fieldset': {
-                  borderColor: brand.green,
+                '&:disabled': {
+                  backgroundColor: brand.gray,
+                  color: brand.textLight,
                 },
-              },
-              '& .MuiInputLabel-root': {
-                fontFamily: "'Lato', sans-serif",
-                '&.Mui-focused': {
-                  color: brand.green,
-                }
-              },
-            }}
-            inputProps={{
-              autoComplete: 'current-password',
-            }}
-          />
-
-          <Button
-            type="submit"
-            fullWidth
-            variant="contained"
-            size="large"
-            disabled={loading}
-            startIcon={loading ? <CircularProgress size={20} sx={{ color: brand.charcoal }} /> : <LockIcon />}
-            sx={{
-              py: 1.5,
-              borderRadius: 1,
-              fontWeight: 600,
-              fontSize: '1rem',
-              fontFamily: "'Oswald', sans-serif",
-              letterSpacing: '2px',
-              textTransform: 'uppercase',
-              backgroundColor: brand.green,
-              color: brand.charcoal,
-              boxShadow: `0 4px 15px ${brand.green}40`,
-              '&:hover': {
-                backgroundColor: brand.greenDark,
-                boxShadow: `0 6px 20px ${brand.green}50`,
-              },
-              '&:disabled': {
-                backgroundColor: brand.gray,
-                color: brand.textLight,
-              },
-            }}
-          >
-            {loading ? 'Signing in...' : 'Sign In'}
-          </Button>
-        </form>
+              }}
+            >
+              {loading ? 'Signing in...' : 'Sign In'}
+            </Button>
+
+            <Button
+              fullWidth
+              onClick={() => {
+                setError('');
+                setInfo('');
+                setStep('forgot');
+              }}
+              sx={linkButtonSx}
+            >
+              Forgot password?
+            </Button>
+          </form>
+        )}
+
+        {/* Forgot Password */}
+        {step === 'forgot' && (
+          <form onSubmit={handleForgot}>
+            <Typography variant="body2" sx={{ color: brand.textLight, mb: 2 }}>
+              Enter your username and we'll send you a link to choose a new password.
+            </Typography>
+            <TextField
+              fullWidth
+              autoFocus
+              label="Username"
+              variant="outlined"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              required
+              sx={fieldSx}
+              inputProps={{
+                autoComplete: 'username',
+              }}
+            />
+            <Button type="submit" fullWidth variant="contained" size="large" disabled={loading} sx={primaryButtonSx}>
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </Button>
+            <Button fullWidth onClick={() => resetToPassword()} sx={linkButtonSx}>
+              Back to sign in
+            </Button>
+          </form>
+        )}
+
+        {/* New Password (reset link or forced change) */}
+        {(step === 'reset' || step === 'change-password') && (
+          <form onSubmit={step === 'reset' ? handleReset : handleChangePassword}>
+            <Typography variant="subtitle1" sx={{ fontWeight: 600, color: brand.charcoal, mb: 1 }}>
+              {step === 'reset' ? 'Choose a new password' : 'Set your own password'}
+            </Typography>
+            {step === 'change-password' && (
+              <Typography variant="body2" sx={{ color: brand.textLight, mb: 2 }}>
+                Your account was created with a temporary password. Choose a new one to continue.
+              </Typography>
+            )}
+            <TextField
+              fullWidth
+              autoFocus
+              label="New password"
+              type="password"
+              variant="outlined"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              required
+              sx={fieldSx}
+              inputProps={{
+                autoComplete: 'new-password',
+              }}
+            />
+            <TextField
+              fullWidth
+              label="Confirm new password"
+              type="password"
+              variant="outlined"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              required
+              sx={fieldSx}
+              inputProps={{
+                autoComplete: 'new-password',
+              }}
+            />
+            <Button type="submit" fullWidth variant="contained" size="large" disabled={loading} sx={primaryButtonSx}>
+              {loading ? 'Saving...' : 'Save Password'}
+            </Button>
+            {step === 'reset' && (
+              <Button
+                fullWidth
+                onClick={() => {
+                  window.history.replaceState(null, '', window.location.pathname);
+                  setResetToken(null);
+                  resetToPassword();
+                }}
+                sx={linkButtonSx}
+              >
+                Back to sign in
+              </Button>
+            )}
+          </form>
+        )}
+
+        {/* Two-Factor Step */}
+        {step === 'mfa' && (
+          <form onSubmit={handleMfaSubmit}>
+            {mfaChallenge.enrollment ? (
+              <Box sx={{ mb: 3 }}>
+                <Typography variant="subtitle1" sx={{ fontWeight: 600, color: brand.charcoal, mb: 1 }}>
+                  Set up two-factor authentication
+                </Typography>
+                <Typography variant="body2" sx={{ color: brand.textLight, mb: 2 }}>
+                  Your role requires an authenticator app. Add this account in Google Authenticator,
+                  1Password or Authy, then enter the 6-digit code it shows.
+                </Typography>
+                {mfaSetup ? (
+                  <Box sx={{ p: 2, borderRadius: 1, background: brand.lightGray }}>
+                    <Typography variant="caption" sx={{ color: brand.textLight }}>
+                      Setup key
+                    </Typography>
+                    <Typography
+                      variant="body2"
+                      sx={{ fontFamily: 'monospace', wordBreak: 'break-all', fontWeight: 600, mb: 1 }}
+                    >
+                      {mfaSetup.secret}
+                    </Typography>
+                    <Button
+                      size="small"
+                      href={mfaSetup.otpauth_uri}
+                      sx={{ color: brand.greenDark, textTransform: 'none', p: 0 }}
+                    >
+                      Open in authenticator app
+                    </Button>
+                  </Box>
+                ) : (
+                  <CircularProgress size={24} sx={{ color: brand.green }} />
+                )}
+              </Box>
+            ) : (
+              <Typography variant="body2" sx={{ color: brand.textLight, mb: 2 }}>
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </Typography>
+            )}
+
+            <TextField
+              fullWidth
+              autoFocus
+              label="Authentication code"
+              variant="outlined"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+              sx={fieldSx}
+              inputProps={{
+                autoComplete: 'one-time-code',
+                inputMode: mfaChallenge.enrollment ? 'numeric' : 'text',
+              }}
+            />
+
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              size="large"
+              disabled={loading || (mfaChallenge.enrollment && !mfaSetup)}
+              startIcon={loading ? <CircularProgress size={20} sx={{ color: brand.charcoal }} /> : <VerifiedUserIcon />}
+              sx={primaryButtonSx}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </Button>
+
+            <Button
+              fullWidth
+              onClick={() => resetToPassword()}
+              sx={linkButtonSx}
+            >
+              Back to sign in
+            </Button>
+          </form>
+        )}
+
+        {/* Recovery Codes (shown once after enrollment) */}
+        {step === 'recovery-codes' && pendingSession && (
+          <Box>
+            <Typography variant="subtitle1" sx={{ fontWeight: 600, color: brand.charcoal, mb: 1 }}>
+              Save your recovery codes
+            </Typography>
+            <Typography variant="body2" sx={{ color: brand.textLight, mb: 2 }}>
+              Each code signs you in once if you lose your authenticator. They won't be shown again.
+            </Typography>
+            <Box
+              sx={{
+                p: 2,
+                mb: 3,
+                borderRadius: 1,
+                background: brand.lightGray,
+                display: 'grid',
+                gridTemplateColumns: '1fr 1fr',
+                gap: 1,
+                fontFamily: 'monospace',
+              }}
+            >
+              {pendingSession.recovery_codes.map((recoveryCode) => (
+                <span key={recoveryCode}>{recoveryCode}</span>
+              ))}
+            </Box>
+            <Button
+              fullWidth
+              variant="contained"
+              size="large"
+              onClick={() => finishSession(pendingSession)}
+              sx={primaryButtonSx}
+            >
+              I've saved them
+            </Button>
+          </Box>
+        )}
 
         {/* Demo Credentials Hint */}
         <Box
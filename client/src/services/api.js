@@ -34,7 +34,8 @@ class ApiService {
    * Login user
    * @param {string} email - User email
    * @param {string} password - User password
-   * @returns {Promise<object>} Login result with token and user
+   * @returns {Promise<object>} Login result with token and user, or an MFA challenge
+   *   ({ mfa_required, mfa_token }) to finish with completeMfaLogin()
    */
   async login(email, password) {
     const result = await this.request('/auth/login', {
@@ -43,9 +44,29 @@ class ApiService {
     });
     
     // Store token and user
+    if (result.token) {
+      localStorage.setItem('authToken', result.token);
+      localStorage.setItem('user', JSON.stringify(result.user));
+    }
+    
+    return result;
+  }
+
+  /**
+   * Second login step for two-factor users
+   * @param {string} mfaToken - mfa_token from login()
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<object>} Login result with token and user
+   */
+  async completeMfaLogin(mfaToken, code) {
+    const result = await this.request('/auth/login/mfa', {
+      method: 'POST',
+      body: { mfa_token: mfaToken, code },
+    });
+
     localStorage.setItem('authToken', result.token);
     localStorage.setItem('user', JSON.stringify(result.user));
-    
+
     return result;
   }
 
@@ -101,14 +122,24 @@ class ApiService {
   // BASE REQUEST
   // ============================================
 
+  /**
+   * Authorization header for the stored session (empty when logged out)
+   * @returns {object}
+   */
+  authHeaders() {
+    const token = this.getAuthToken();
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+  }
+
   async request(endpoint, options = {}) {
     const url = `${API_BASE_URL}${endpoint}`;
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...this.authHeaders(),
         ...options.headers,
       },
-      ...options,
     };
 
     if (options.body) {
@@ -435,6 +466,7 @@ class ApiService {
         method: 'PUT',
         headers: {
           'Content-Type': file.type,
+          ...this.authHeaders(),
         },
         body: file,
       });
@@ -594,7 +626,7 @@ class ApiService {
   async exportTaxData(year, type) {
     // This returns CSV, handle differently
     const url = `${API_BASE_URL}/tax/export/${year}/${type}`;
-    const response = await fetch(url);
+    const response = await fetch(url, { headers: this.authHeaders() });
     if (!response.ok) throw new Error('Export failed');
     return response.blob();
   }
@@ -665,6 +697,74 @@ class ApiService {
     return this.request(`/payroll/labor-analysis?start_date=${startDate}&end_date=${endDate}`);
   }
 
+  // ============================================
+  // EMPLOYEE PORTAL (own records of the signed-in employee)
+  // ============================================
+
+  async getPortalProfile() {
+    return this.request('/portal/me');
+  }
+
+  async getPortalSchedules(days = 14) {
+    return this.request(`/portal/schedules?days=${days}`);
+  }
+
+  async getPortalTimeclock(startDate = null, endDate = null) {
+    const params = new URLSearchParams();
+    if (startDate) params.append('start_date', startDate);
+    if (endDate) params.append('end_date', endDate);
+    const query = params.toString() ? `?${params.toString()}` : '';
+    return this.request(`/portal/timeclock${query}`);
+  }
+
+  async portalClockIn(scheduleId = null) {
+    return this.request('/portal/timeclock/clock-in', {
+      method: 'POST',
+      body: { schedule_id: scheduleId },
+    });
+  }
+
+  async portalClockOut(notes = null) {
+    return this.request('/portal/timeclock/clock-out', { method: 'POST', body: { notes } });
+  }
+
+  async portalBreak(action) {
+    return this.request('/portal/timeclock/break', { method: 'POST', body: { action } });
+  }
+
+  async getPortalTips(startDate = null, endDate = null) {
+    const params = new URLSearchParams();
+    if (startDate) params.append('start_date', startDate);
+    if (endDate) params.append('end_date', endDate);
+    const query = params.toString() ? `?${params.toString()}` : '';
+    return this.request(`/portal/tips${query}`);
+  }
+
+  async getPortalTimeOff() {
+    return this.request('/portal/time-off');
+  }
+
+  async requestTimeOff(request) {
+    return this.request('/portal/time-off', { method: 'POST', body: request });
+  }
+
+  async cancelTimeOff(id) {
+    return this.request(`/portal/time-off/${id}`, { method: 'DELETE' });
+  }
+
+  async getPortalPayRecords() {
+    return this.request('/portal/pay-records');
+  }
+
+  async downloadPortalPayRecords() {
+    // This returns CSV, handle differently
+    const response = await fetch(`${API_BASE_URL}/portal/pay-records?format=csv`, {
+      headers: this.authHeaders(),
+    });
+    if (!response.ok) throw new Error('Download failed');
+    return response.blob();
+  }
+
   // ============================================
   // ACCOUNTING - CHART OF ACCOUNTS
   // ============================================
@@ -802,9 +902,10 @@ class ApiService {
   // ============================================
 
   /**
-   * Clear all transactional data while preserving core data
-   * (menu items, ingredients, recipes, vendors, chart of accounts, expense categories)
-   * @returns {Promise<object>} Result of the clear operation
+   * Request clearing all transactional data while preserving core data
+   * (menu items, ingredients, recipes, vendors, chart of accounts, expense categories, users).
+   * The server opens an approval request; data is cleared once a second admin approves it.
+   * @returns {Promise<object>} The pending approval request
    */
   async clearAllData() {
     return this.request('/accounting/clear-all-data', { 
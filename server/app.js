@@ -8,7 +8,13 @@ const pinoHttp = require('pino-http');
 
 const { corsOptions } = require('./config/cors');
 const { logger } = require('./utils/logger');
-const { requestId, errorHandler, notFoundHandler } = require('./middleware');
+const {
+  requestId,
+  errorHandler,
+  notFoundHandler,
+  authorizeApi,
+  auditTrail,
+} = require('./middleware');
 
 /**
  * Create and configure Express application
@@ -48,10 +54,18 @@ function createApp() {
   app.use(cors(corsOptions));
   app.options('*', cors(corsOptions));
   
-  // Body parsing
+  // Body parsing (GL imports carry whole export files)
+  app.use('/api/ledger/imports', express.json({ limit: '25mb' }));
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
 
+  // Authentication & role permissions for every API router
+  // (allowlist for health/login lives in middleware/auth.js)
+  app.use('/api', authorizeApi);
+
+  // Before/after change auditing (attributes writes to req.user)
+  app.use('/api', auditTrail);
+
   // ============================================
   // ROUTES - Core Restaurant Operations
   // ============================================
@@ -80,11 +94,14 @@ function createApp() {
   // ROUTES - Labor Operations
   // ============================================
   app.use('/api/labor', require('./routes/labor'));
+  app.use('/api/portal', require('./routes/portal'));
 
   // ============================================
   // ROUTES - Authentication & Access Control
   // ============================================
   app.use('/api/auth', require('./routes/auth'));
+  app.use('/api/approvals', require('./routes/approvals'));
+  app.use('/api/locations', require('./routes/locations'));
 
   // ============================================
   // ROUTES - POS Integration
@@ -105,7 +122,7 @@ function createApp() {
       status: 'ok',
       message: 'Restaurant Accounting & P&L System API is running',
       version: '2.6.0',
-      features: ['accounting', 'expenses', 'payroll', 'tax-prep', 'reports', 'pnl', 'gl-ledger', 'inventory', 'ap-automation', 'labor-ops', 'auth', 'pos-integration'],
+      features: ['accounting', 'expenses', 'payroll', 'tax-prep', 'reports', 'pnl', 'gl-ledger', 'inventory', 'ap-automation', 'labor-ops', 'auth', 'pos-integration', 'approvals', 'employee-portal', 'multi-location'],
       environment: process.env.NODE_ENV || 'development',
       requestId: req.id,
     });
@@ -25,6 +25,18 @@ const envSchema = z.object({
   // App settings
   HOURLY_WAGE: z.coerce.number().default(15.00),
   LOG_LEVEL: z.enum(['fatal', 'error', 'warn', 'info', 'debug', 'trace']).default('info'),
+
+  // Notifications (password reset links, etc.)
+  APP_URL: z.string().default('http://localhost:3000'),
+  NOTIFIER_TRANSPORT: z.string().optional(), // 'outbox' (dev default), 'webhook'
+  NOTIFIER_OUTBOX_DIR: z.string().default('outbox'),
+  NOTIFIER_WEBHOOK_URL: z.string().optional(),
+
+  // Encryption - 32-byte master key (hex or base64) that wraps the data keys
+  ENCRYPTION_MASTER_KEY: z.string().optional(),
+  ENCRYPTION_MASTER_KEY_ID: z.string().default('master-1'),
+  // Previous master keys still needed to unwrap data keys: "id:key,id:key"
+  ENCRYPTION_PREVIOUS_MASTER_KEYS: z.string().default(''),
 });
 
 // Parse and validate environment
@@ -71,6 +83,24 @@ const getDatabaseConfig = () => {
   };
 };
 
+// Encryption configuration
+const getEncryptionConfig = () => {
+  const previousMasterKeys = {};
+  for (const entry of env.ENCRYPTION_PREVIOUS_MASTER_KEYS.split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      previousMasterKeys[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+    }
+  }
+
+  return {
+    masterKey: env.ENCRYPTION_MASTER_KEY,
+    masterKeyId: env.ENCRYPTION_MASTER_KEY_ID,
+    previousMasterKeys,
+    isConfigured: Boolean(env.ENCRYPTION_MASTER_KEY),
+  };
+};
+
 module.exports = {
   env,
   isDev: env.NODE_ENV === 'development',
@@ -90,7 +120,16 @@ module.exports = {
     isConfigured: Boolean(env.SUPABASE_URL && env.SUPABASE_SERVICE_ROLE_KEY),
   },
   
+  encryption: getEncryptionConfig(),
+
+  notifications: {
+    transport: env.NOTIFIER_TRANSPORT || (env.NODE_ENV === 'production' ? 'webhook' : 'outbox'),
+    outboxDir: env.NOTIFIER_OUTBOX_DIR,
+    webhookUrl: env.NOTIFIER_WEBHOOK_URL,
+  },
+
   app: {
+    url: env.APP_URL,
     hourlyWage: env.HOURLY_WAGE,
     logLevel: env.LOG_LEVEL,
   },
@@ -624,7 +624,7 @@ CREATE TABLE IF NOT EXISTS users (
   password_hash VARCHAR(255) NOT NULL,
   first_name VARCHAR(100) NOT NULL,
   last_name VARCHAR(100) NOT NULL,
-  role VARCHAR(50) NOT NULL DEFAULT 'viewer', -- 'admin', 'manager', 'accountant', 'viewer', 'staff'
+  role VARCHAR(50) NOT NULL DEFAULT 'viewer', -- 'admin', 'manager', 'accountant', 'viewer', 'staff', 'employee'
   employee_id INTEGER REFERENCES employees(id),
   is_active BOOLEAN DEFAULT true,
   last_login TIMESTAMP,
@@ -1015,7 +1015,18 @@ INSERT INTO role_permissions (role, resource, action) VALUES
 -- Viewer: read-only
 ('viewer', 'reports', 'read'),
 ('viewer', 'expenses', 'read'),
-('viewer', 'inventory', 'read')
+('viewer', 'inventory', 'read'),
+
+-- Router-level resources enforced by the shared API auth layer
+('manager', 'menu', 'create'), ('manager', 'menu', 'read'), ('manager', 'menu', 'update'),
+('manager', 'sales', 'create'), ('manager', 'sales', 'read'), ('manager', 'sales', 'update'),
+('manager', 'timeclock', 'create'), ('manager', 'timeclock', 'read'), ('manager', 'timeclock', 'update'),
+('manager', 'pos', 'create'), ('manager', 'pos', 'read'),
+('accountant', 'ledger', 'approve'),
+('accountant', 'pos', 'read'), ('accountant', 'pos', 'approve'),
+('accountant', 'sales', 'read'), ('accountant', 'vendors', 'read'), ('accountant', 'inventory', 'read'),
+('accountant', 'menu', 'read'), ('accountant', 'labor', 'read'),
+('viewer', 'sales', 'read'), ('viewer', 'menu', 'read')
 
 ON CONFLICT (role, resource, action) DO NOTHING;
 
@@ -1125,3 +1136,690 @@ CREATE INDEX IF NOT EXISTS idx_pos_transactions_config ON pos_transactions(pos_c
 CREATE INDEX IF NOT EXISTS idx_pos_settlements_date ON pos_settlements(settlement_date);
 CREATE INDEX IF NOT EXISTS idx_pos_menu_mappings_config ON pos_menu_mappings(pos_config_id);
 
+
+-- ============================================
+-- APPROVAL WORKFLOW
+-- ============================================
+
+-- Workflow columns on approval_requests (status: 'pending', 'escalated', 'approved', 'rejected', 'expired')
+ALTER TABLE approval_requests ALTER COLUMN reference_id DROP NOT NULL;
+ALTER TABLE approval_requests
+  ADD COLUMN IF NOT EXISTS approver_role VARCHAR(50) DEFAULT 'admin',
+  ADD COLUMN IF NOT EXISTS payload JSONB,
+  ADD COLUMN IF NOT EXISTS result JSONB,
+  ADD COLUMN IF NOT EXISTS decision_notes TEXT,
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS escalated_by INTEGER REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS escalation_reason TEXT,
+  ADD COLUMN IF NOT EXISTS request_audit_id INTEGER REFERENCES audit_log(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS decision_audit_id INTEGER REFERENCES audit_log(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_approval_requests_reference ON approval_requests(reference_type, reference_id);
+
+INSERT INTO business_settings (setting_key, setting_value, setting_type, description) VALUES
+('approval_expiry_hours', '72', 'number', 'Hours before a pending approval request expires'),
+('approval_allow_self', 'false', 'boolean', 'Allow requesters to approve their own requests'),
+('payment_batch_approval_threshold', '5000', 'number', 'Payment batches above this total need a second approval')
+ON CONFLICT (setting_key) DO NOTHING;
+
+INSERT INTO role_permissions (role, resource, action) VALUES
+('manager', 'approvals', 'read'), ('manager', 'approvals', 'approve'),
+('accountant', 'approvals', 'read'), ('accountant', 'approvals', 'approve')
+ON CONFLICT (role, resource, action) DO NOTHING;
+
+-- ============================================
+-- ENCRYPTION KEYS
+-- ============================================
+
+-- Data keys for envelope encryption, wrapped by a master key from config.
+-- Encrypted values reference their data key: 'enc:v1:<key_id>:<iv>:<tag>:<ciphertext>'
+CREATE TABLE IF NOT EXISTS encryption_keys (
+  id SERIAL PRIMARY KEY,
+  key_id VARCHAR(64) NOT NULL UNIQUE,
+  wrapped_key TEXT NOT NULL,
+  master_key_id VARCHAR(64) NOT NULL,
+  status VARCHAR(20) DEFAULT 'active', -- 'active', 'retired'
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  retired_at TIMESTAMP,
+  rewrapped_at TIMESTAMP
+);
+
+-- Only one data key encrypts new values at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_encryption_keys_active ON encryption_keys(status) WHERE status = 'active';
+
+-- Encrypted values no longer fit the original plaintext column sizes
+ALTER TABLE employees ALTER COLUMN ssn_last_four TYPE TEXT;
+ALTER TABLE bank_accounts ALTER COLUMN routing_number TYPE TEXT;
+
+-- ============================================
+-- TWO-FACTOR AUTHENTICATION
+-- ============================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_secret TEXT; -- encrypted TOTP secret (pending until enabled)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enrolled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_last_step INTEGER; -- last accepted TOTP step (replay protection)
+
+-- Pending second login step: issued after the password check, exchanged for a session
+CREATE TABLE IF NOT EXISTS mfa_challenges (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(255) NOT NULL UNIQUE,
+  purpose VARCHAR(20) NOT NULL DEFAULT 'verify', -- 'verify', 'enroll'
+  attempts INTEGER DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  consumed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(255) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_challenges_user ON mfa_challenges(user_id);
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id);
+
+INSERT INTO business_settings (setting_key, setting_value, setting_type, description) VALUES
+('mfa_required_roles', '[]', 'json', 'Roles that must use two-factor authentication, e.g. ["admin","accountant"]')
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- ============================================
+-- PASSWORD POLICY, LOCKOUT & RESET
+-- ============================================
+
+-- Set for users created by an admin: they choose their own password on first login
+ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT false;
+
+-- Every sign-in attempt, for per-user and per-IP lockout
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255),
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ip_address VARCHAR(45),
+  success BOOLEAN NOT NULL,
+  attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, attempted_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts(user_id);
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(255) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  requested_ip VARCHAR(45),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+
+INSERT INTO business_settings (setting_key, setting_value, setting_type, description) VALUES
+('password_min_length', '8', 'number', 'Minimum password length'),
+('password_require_uppercase', 'true', 'boolean', 'Passwords need an uppercase letter'),
+('password_require_lowercase', 'true', 'boolean', 'Passwords need a lowercase letter'),
+('password_require_number', 'true', 'boolean', 'Passwords need a number'),
+('password_require_symbol', 'false', 'boolean', 'Passwords need a symbol'),
+('lockout_threshold', '5', 'number', 'Failed sign-ins before an account is locked'),
+('lockout_base_minutes', '1', 'number', 'First lockout length; doubles with each further failure'),
+('lockout_max_minutes', '60', 'number', 'Longest lockout'),
+('lockout_ip_threshold', '20', 'number', 'Failed sign-ins from one IP (any account) before it is blocked'),
+('lockout_ip_window_minutes', '15', 'number', 'Window for counting failed sign-ins per IP'),
+('password_reset_token_minutes', '60', 'number', 'Minutes a password reset link stays valid')
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- ============================================
+-- SESSION MANAGEMENT
+-- ============================================
+
+-- Revoked sessions are kept (with the reason) instead of deleted
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(50); -- 'logout', 'user_revoked', 'admin_revoked', 'deactivated', 'employee_terminated', 'idle_timeout', 'password_reset', 'password_change'
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+INSERT INTO business_settings (setting_key, setting_value, setting_type, description) VALUES
+('session_idle_timeout_minutes', '60', 'number', 'Sign out after this many idle minutes (0 = never)'),
+('session_absolute_timeout_hours', '24', 'number', 'Sessions expire this many hours after sign-in')
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- ============================================
+-- API KEYS
+-- ============================================
+
+-- Machine credentials; only the SHA-256 of the key is stored
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  key_prefix VARCHAR(20) NOT NULL, -- shown in lists to identify the key
+  key_hash VARCHAR(64) NOT NULL UNIQUE,
+  scopes JSONB NOT NULL DEFAULT '[]', -- e.g. ["pos:write", "reports:read"]
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(45),
+  revoked_at TIMESTAMP,
+  revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- EMPLOYEE SELF-SERVICE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS time_off_requests (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER NOT NULL REFERENCES employees(id),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  request_type VARCHAR(20) NOT NULL DEFAULT 'vacation', -- 'vacation', 'sick', 'personal', 'unpaid', 'other'
+  hours DECIMAL(6, 2), -- partial days; NULL = full days
+  reason TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'approved', 'rejected', 'cancelled'
+  reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  review_notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_time_off_requests_employee ON time_off_requests(employee_id, start_date);
+
+-- 'employee' role: self-service portal only (/api/portal)
+INSERT INTO role_permissions (role, resource, action) VALUES
+('employee', 'portal', 'read'), ('employee', 'portal', 'create'), ('employee', 'portal', 'update'), ('employee', 'portal', 'delete'),
+('staff', 'portal', 'read'), ('staff', 'portal', 'create'), ('staff', 'portal', 'update'), ('staff', 'portal', 'delete'),
+('manager', 'portal', 'read'), ('manager', 'portal', 'create'), ('manager', 'portal', 'update'), ('manager', 'portal', 'delete')
+ON CONFLICT (role, resource, action) DO NOTHING;
+
+-- ============================================
+-- LOCATIONS
+-- ============================================
+
+-- Stores; operational rows default to MAIN (id 1) so single-store data needs no backfill
+CREATE TABLE IF NOT EXISTS locations (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(20) NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+  address TEXT,
+  phone VARCHAR(50),
+  timezone VARCHAR(50),
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO locations (id, code, name) VALUES (1, 'MAIN', 'Main Location')
+ON CONFLICT (id) DO NOTHING;
+SELECT setval('locations_id_seq', GREATEST((SELECT MAX(id) FROM locations), 1));
+
+-- Per-user location access; a user with no rows can access every location
+CREATE TABLE IF NOT EXISTS user_locations (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, location_id)
+);
+
+ALTER TABLE daily_revenue ADD COLUMN IF NOT EXISTS location_id INTEGER NOT NULL DEFAULT 1 REFERENCES locations(id);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS location_id INTEGER NOT NULL DEFAULT 1 REFERENCES locations(id);
+ALTER TABLE recurring_expense_templates ADD COLUMN IF NOT EXISTS location_id INTEGER NOT NULL DEFAULT 1 REFERENCES locations(id);
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS location_id INTEGER NOT NULL DEFAULT 1 REFERENCES locations(id);
+ALTER TABLE inventory_levels ADD COLUMN IF NOT EXISTS location_id INTEGER NOT NULL DEFAULT 1 REFERENCES locations(id);
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS location_id INTEGER NOT NULL DEFAULT 1 REFERENCES locations(id);
+ALTER TABLE inventory_counts ADD COLUMN IF NOT EXISTS location_id INTEGER NOT NULL DEFAULT 1 REFERENCES locations(id);
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS location_id INTEGER NOT NULL DEFAULT 1 REFERENCES locations(id); -- home location
+ALTER TABLE schedules ADD COLUMN IF NOT EXISTS location_id INTEGER NOT NULL DEFAULT 1 REFERENCES locations(id);
+ALTER TABLE timeclock_entries ADD COLUMN IF NOT EXISTS location_id INTEGER NOT NULL DEFAULT 1 REFERENCES locations(id);
+ALTER TABLE pos_transactions ADD COLUMN IF NOT EXISTS location_id INTEGER NOT NULL DEFAULT 1 REFERENCES locations(id);
+ALTER TABLE pos_settlements ADD COLUMN IF NOT EXISTS location_id INTEGER NOT NULL DEFAULT 1 REFERENCES locations(id);
+-- NULL = company-level line (not attributed to a store)
+ALTER TABLE journal_entry_lines ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations(id);
+
+-- pos_configurations.location_id used to hold the provider's location identifier
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'pos_configurations' AND column_name = 'location_id'
+      AND data_type = 'character varying'
+  ) THEN
+    ALTER TABLE pos_configurations RENAME COLUMN location_id TO external_location_id;
+  END IF;
+END $$;
+ALTER TABLE pos_configurations ADD COLUMN IF NOT EXISTS external_location_id VARCHAR(100);
+ALTER TABLE pos_configurations ADD COLUMN IF NOT EXISTS location_id INTEGER NOT NULL DEFAULT 1 REFERENCES locations(id);
+
+-- One row per day (and per item / ingredient) per location
+ALTER TABLE daily_revenue DROP CONSTRAINT IF EXISTS daily_revenue_date_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_revenue_date_location ON daily_revenue(date, location_id);
+ALTER TABLE inventory_levels DROP CONSTRAINT IF EXISTS inventory_levels_ingredient_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_levels_ingredient_location ON inventory_levels(ingredient_id, location_id);
+
+-- sales_log is created in db.js (with location_id); migrate databases created before locations
+DO $$
+BEGIN
+  IF to_regclass('sales_log') IS NOT NULL THEN
+    ALTER TABLE sales_log ADD COLUMN IF NOT EXISTS location_id INTEGER NOT NULL DEFAULT 1 REFERENCES locations(id);
+    ALTER TABLE sales_log DROP CONSTRAINT IF EXISTS sales_log_date_menu_item_id_key;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_log_date_item_location ON sales_log(date, menu_item_id, location_id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_location ON expenses(location_id, expense_date);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_location ON inventory_movements(location_id, movement_date);
+CREATE INDEX IF NOT EXISTS idx_schedules_location ON schedules(location_id, schedule_date);
+CREATE INDEX IF NOT EXISTS idx_timeclock_entries_location ON timeclock_entries(location_id);
+CREATE INDEX IF NOT EXISTS idx_journal_entry_lines_location ON journal_entry_lines(location_id);
+
+INSERT INTO role_permissions (role, resource, action) VALUES
+('manager', 'locations', 'read'),
+('accountant', 'locations', 'read'),
+('viewer', 'locations', 'read'),
+('staff', 'locations', 'read')
+ON CONFLICT (role, resource, action) DO NOTHING;
+
+-- ============================================
+-- CONSOLIDATION & INTERCOMPANY ELIMINATIONS
+-- ============================================
+
+-- Intercompany accounts net to zero across locations once eliminations are posted
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS is_intercompany BOOLEAN DEFAULT false;
+-- Elimination entries only appear in the eliminations column of consolidated statements
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS is_elimination BOOLEAN DEFAULT false;
+
+INSERT INTO accounts (account_number, name, account_type, sub_type, is_tax_deductible, tax_category, description, is_intercompany) VALUES
+('1700', 'Due From Locations', 'asset', 'intercompany', false, NULL, 'Amounts other stores owe this one', true),
+('2600', 'Due To Locations', 'liability', 'intercompany', false, NULL, 'Amounts this store owes other stores', true),
+('4400', 'Intercompany Revenue', 'revenue', 'intercompany', false, NULL, 'Commissary charges and management fees billed to other stores', true),
+('7700', 'Intercompany Charges', 'expense', 'intercompany', false, NULL, 'Commissary charges and management fees from other stores', true)
+ON CONFLICT (account_number) DO NOTHING;
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_elimination ON journal_entries(entry_date) WHERE is_elimination;
+
+-- ============================================
+-- INVENTORY TRANSFERS
+-- ============================================
+
+-- Storage areas within a location (walk-in, dry storage, bar)
+CREATE TABLE IF NOT EXISTS storage_areas (
+  id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL REFERENCES locations(id),
+  name VARCHAR(100) NOT NULL,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(location_id, name)
+);
+
+-- Transfer documents: draft → sent (stock leaves the source) → received (stock arrives), or cancelled while draft
+CREATE TABLE IF NOT EXISTS inventory_transfers (
+  id SERIAL PRIMARY KEY,
+  from_location_id INTEGER NOT NULL REFERENCES locations(id),
+  to_location_id INTEGER NOT NULL REFERENCES locations(id),
+  from_storage_area_id INTEGER REFERENCES storage_areas(id),
+  to_storage_area_id INTEGER REFERENCES storage_areas(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'draft', -- 'draft', 'sent', 'received', 'cancelled'
+  post_to_gl BOOLEAN DEFAULT false, -- inter-location transfers only
+  transfer_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  sent_at TIMESTAMP,
+  sent_by VARCHAR(255),
+  received_at TIMESTAMP,
+  received_by VARCHAR(255),
+  has_discrepancy BOOLEAN DEFAULT false,
+  journal_entry_id INTEGER REFERENCES journal_entries(id),
+  notes TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS inventory_transfer_lines (
+  id SERIAL PRIMARY KEY,
+  transfer_id INTEGER NOT NULL REFERENCES inventory_transfers(id) ON DELETE CASCADE,
+  ingredient_id INTEGER NOT NULL REFERENCES ingredients(id),
+  quantity DECIMAL(15, 6) NOT NULL, -- quantity sent
+  unit VARCHAR(50) NOT NULL,
+  unit_cost DECIMAL(10, 4), -- source average cost, set when sent
+  received_quantity DECIMAL(15, 6),
+  discrepancy_reason TEXT,
+  notes TEXT
+);
+
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS storage_area_id INTEGER REFERENCES storage_areas(id);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_transfers_from ON inventory_transfers(from_location_id, status);
+CREATE INDEX IF NOT EXISTS idx_inventory_transfers_to ON inventory_transfers(to_location_id, status);
+CREATE INDEX IF NOT EXISTS idx_inventory_transfer_lines_transfer ON inventory_transfer_lines(transfer_id);
+
+-- ============================================
+-- JOURNAL ENTRY REVERSALS & VOIDS
+-- ============================================
+-- Posted entries are corrected with linked mirror entries, never edited. A void mirrors the
+-- entry on its own date and marks both entries; auto_reverse_on reverses accruals on that date.
+
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS auto_reverse_on DATE;
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS reverses_entry_id INTEGER REFERENCES journal_entries(id);
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS reversed_by_entry_id INTEGER REFERENCES journal_entries(id);
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP;
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS voided_by VARCHAR(255);
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS void_reason TEXT;
+
+-- An entry can be reversed only once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_entries_reverses ON journal_entries(reverses_entry_id)
+  WHERE reverses_entry_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_journal_entries_auto_reverse ON journal_entries(auto_reverse_on)
+  WHERE auto_reverse_on IS NOT NULL AND reversed_by_entry_id IS NULL AND voided_at IS NULL;
+
+-- ============================================
+-- YEAR-END CLOSE
+-- ============================================
+-- One row per close of a fiscal year; a rolled-back close keeps its row and report
+
+CREATE TABLE IF NOT EXISTS year_end_closes (
+  id SERIAL PRIMARY KEY,
+  fiscal_period_id INTEGER NOT NULL REFERENCES fiscal_periods(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'closed', -- 'closed', 'rolled_back'
+  closing_entry_id INTEGER REFERENCES journal_entries(id),
+  net_income DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  report JSONB, -- closing report: balances closed, net income by location, periods locked
+  closed_by VARCHAR(255),
+  closed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  rolled_back_at TIMESTAMP,
+  rolled_back_by VARCHAR(255),
+  rollback_entry_id INTEGER REFERENCES journal_entries(id),
+  rollback_reason TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_year_end_closes_active ON year_end_closes(fiscal_period_id)
+  WHERE status = 'closed';
+
+-- ============================================
+-- PERIOD CLOSE CHECKLIST
+-- ============================================
+-- Checks run before /api/ledger/periods/:id/close (see PeriodCloseService). Severity per check is
+-- configured in the period_close_checklist setting; the completed checklist is kept on the period.
+
+ALTER TABLE fiscal_periods ADD COLUMN IF NOT EXISTS close_checklist JSONB;
+
+CREATE TABLE IF NOT EXISTS period_close_signoffs (
+  id SERIAL PRIMARY KEY,
+  fiscal_period_id INTEGER NOT NULL REFERENCES fiscal_periods(id) ON DELETE CASCADE,
+  check_key VARCHAR(50) NOT NULL,
+  signed_off_by VARCHAR(255),
+  note TEXT,
+  signed_off_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(fiscal_period_id, check_key)
+);
+
+-- The issues a sign-off covered (ids as strings); a sign-off without them, or with a failing issue
+-- outside them, no longer counts
+ALTER TABLE period_close_signoffs ADD COLUMN IF NOT EXISTS issue_count INTEGER;
+ALTER TABLE period_close_signoffs ADD COLUMN IF NOT EXISTS issue_ids JSONB;
+
+INSERT INTO business_settings (setting_key, setting_value, setting_type, description) VALUES
+('period_close_checklist',
+ '{"unposted_pos_settlements":"blocking","unapproved_ap_invoices":"warning","unreconciled_bank_transactions":"warning","missing_inventory_counts":"warning","open_timeclock_entries":"blocking","unbalanced_trial_balance":"blocking","overdue_auto_reversals":"blocking"}',
+ 'json', 'Period close checks: blocking, warning or off')
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- ============================================
+-- RECURRING JOURNAL TEMPLATES
+-- ============================================
+-- Journal counterpart of recurring_expense_templates (see RecurringJournalService)
+
+CREATE TABLE IF NOT EXISTS recurring_journal_templates (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT, -- journal entry description (defaults to name)
+  frequency VARCHAR(20) NOT NULL, -- 'weekly', 'biweekly', 'monthly', 'quarterly', 'annual'
+  start_date DATE NOT NULL,
+  end_date DATE,
+  next_run_date DATE,
+  last_run_date DATE,
+  location_id INTEGER REFERENCES locations(id), -- default for lines without one
+  auto_reverse BOOLEAN DEFAULT false, -- accruals: reverse each run on the first day of the next period
+  closed_period_action VARCHAR(10) NOT NULL DEFAULT 'queue', -- 'queue', 'skip'
+  is_active BOOLEAN DEFAULT true,
+  notes TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS recurring_journal_template_lines (
+  id SERIAL PRIMARY KEY,
+  template_id INTEGER NOT NULL REFERENCES recurring_journal_templates(id) ON DELETE CASCADE,
+  account_id INTEGER NOT NULL REFERENCES accounts(id),
+  debit DECIMAL(12, 2) DEFAULT 0,
+  credit DECIMAL(12, 2) DEFAULT 0,
+  description TEXT,
+  location_id INTEGER REFERENCES locations(id)
+);
+
+-- One row per scheduled run date: 'posted', 'queued' (closed period), 'skipped' or 'failed'
+CREATE TABLE IF NOT EXISTS recurring_journal_runs (
+  id SERIAL PRIMARY KEY,
+  template_id INTEGER NOT NULL REFERENCES recurring_journal_templates(id) ON DELETE CASCADE,
+  run_date DATE NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  journal_entry_id INTEGER REFERENCES journal_entries(id),
+  message TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(template_id, run_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_journal_templates_next ON recurring_journal_templates(next_run_date)
+  WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_recurring_journal_template_lines_template ON recurring_journal_template_lines(template_id);
+CREATE INDEX IF NOT EXISTS idx_recurring_journal_runs_status ON recurring_journal_runs(status);
+
+-- ============================================
+-- CASH FLOW CLASSIFICATION
+-- ============================================
+-- Section of the statement of cash flows for balance sheet accounts: 'cash', 'operating',
+-- 'investing', 'financing'. NULL follows sub_type (cash -> cash, fixed_asset -> investing,
+-- long_term and equity -> financing, everything else -> operating).
+
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS cash_flow_category VARCHAR(20);
+
+-- ============================================
+-- CHART OF ACCOUNTS HIERARCHY
+-- ============================================
+-- Header accounts group sub-accounts (parent_account_id) and are never posted to; reports
+-- roll sub-account balances up into them. Parents must be headers of the same account_type.
+
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS is_header BOOLEAN DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_accounts_parent ON accounts(parent_account_id);
+
+-- ============================================
+-- JOURNAL LINE DIMENSIONS
+-- ============================================
+-- Optional reporting tags on every journal line: department (payroll departments), daypart
+-- ('breakfast', 'lunch', 'dinner', 'late_night', 'all_day') and a free-form class such as
+-- 'bar' or 'kitchen'. Blank values default from the account (see utils/dimensions.js).
+
+ALTER TABLE journal_entry_lines ADD COLUMN IF NOT EXISTS department VARCHAR(50);
+ALTER TABLE journal_entry_lines ADD COLUMN IF NOT EXISTS daypart VARCHAR(20);
+ALTER TABLE journal_entry_lines ADD COLUMN IF NOT EXISTS class VARCHAR(50);
+
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS default_department VARCHAR(50);
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS default_class VARCHAR(50);
+
+ALTER TABLE recurring_journal_template_lines ADD COLUMN IF NOT EXISTS department VARCHAR(50);
+ALTER TABLE recurring_journal_template_lines ADD COLUMN IF NOT EXISTS daypart VARCHAR(20);
+ALTER TABLE recurring_journal_template_lines ADD COLUMN IF NOT EXISTS class VARCHAR(50);
+
+ALTER TABLE ap_invoice_lines ADD COLUMN IF NOT EXISTS department VARCHAR(50);
+ALTER TABLE ap_invoice_lines ADD COLUMN IF NOT EXISTS class VARCHAR(50);
+
+-- Payroll runs posted with post_to_gl (one entry per run, lines tagged by department)
+ALTER TABLE payroll_records ADD COLUMN IF NOT EXISTS journal_entry_id INTEGER
+  REFERENCES journal_entries(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_journal_entry_lines_department ON journal_entry_lines(department);
+CREATE INDEX IF NOT EXISTS idx_journal_entry_lines_class ON journal_entry_lines(class);
+
+-- Wage accounts belong to their department; alcohol sales and cost report under the bar
+UPDATE accounts SET default_department = 'kitchen'
+  WHERE account_number = '6000' AND default_department IS NULL;
+UPDATE accounts SET default_department = 'front_of_house'
+  WHERE account_number = '6010' AND default_department IS NULL;
+UPDATE accounts SET default_department = 'management'
+  WHERE account_number = '6020' AND default_department IS NULL;
+UPDATE accounts SET default_class = 'bar'
+  WHERE account_number IN ('4020', '5020') AND default_class IS NULL;
+
+-- ============================================
+-- GL IMPORTS (QuickBooks / Xero)
+-- ============================================
+-- One row per imported export file (see GLImportService). Its journal entries carry
+-- reference_type 'gl_import' and reference_id = batch id; rolling back voids them and keeps the
+-- fiscal periods and accounts the import created.
+
+CREATE TABLE IF NOT EXISTS gl_import_batches (
+  id SERIAL PRIMARY KEY,
+  source VARCHAR(20) NOT NULL, -- 'iif', 'qbo_csv', 'xero_csv'
+  kind VARCHAR(20) NOT NULL, -- 'journal', 'accounts', 'trial_balance'
+  filename VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'posted', -- 'posted', 'rolled_back'
+  entry_count INTEGER DEFAULT 0,
+  line_count INTEGER DEFAULT 0,
+  total_debits DECIMAL(14, 2) DEFAULT 0,
+  start_date DATE,
+  end_date DATE,
+  created_account_ids INTEGER[] DEFAULT '{}',
+  created_period_ids INTEGER[] DEFAULT '{}',
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  rolled_back_at TIMESTAMP,
+  rolled_back_by VARCHAR(255),
+  rollback_reason TEXT
+);
+
+-- External account (IIF/QBO name or Xero code) -> account, reused by later imports
+CREATE TABLE IF NOT EXISTS gl_import_account_map (
+  id SERIAL PRIMARY KEY,
+  source VARCHAR(20) NOT NULL,
+  external_account VARCHAR(255) NOT NULL,
+  account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(source, external_account)
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_reference ON journal_entries(reference_type, reference_id);
+
+-- ============================================
+-- GL EXPORTS (QuickBooks / Xero)
+-- ============================================
+-- Account crosswalk per export format, and a record of every export run with the entries it
+-- contained (see GLExportService)
+
+CREATE TABLE IF NOT EXISTS gl_export_crosswalk (
+  id SERIAL PRIMARY KEY,
+  format VARCHAR(20) NOT NULL, -- 'iif', 'qbo_csv', 'xero_csv'
+  account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  external_account VARCHAR(255) NOT NULL, -- QuickBooks account name or Xero account code
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(format, account_id)
+);
+
+CREATE TABLE IF NOT EXISTS gl_export_runs (
+  id SERIAL PRIMARY KEY,
+  format VARCHAR(20) NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  only_unexported BOOLEAN DEFAULT false,
+  entry_count INTEGER DEFAULT 0,
+  line_count INTEGER DEFAULT 0,
+  total_debits DECIMAL(14, 2) DEFAULT 0,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS gl_export_run_entries (
+  export_run_id INTEGER NOT NULL REFERENCES gl_export_runs(id) ON DELETE CASCADE,
+  journal_entry_id INTEGER NOT NULL REFERENCES journal_entries(id) ON DELETE CASCADE,
+  PRIMARY KEY (export_run_id, journal_entry_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_gl_export_run_entries_entry ON gl_export_run_entries(journal_entry_id);
+
+-- ============================================
+-- EXPENSE POSTING
+-- ============================================
+-- Expenses post to the GL through ExpensePostingService: the category's account is debited and
+-- the payment method's account credited. journal_entry_id is the expense's current entry.
+-- Unpaid expenses are credited to Accrued Expenses rather than Accounts Payable, which is kept
+-- for AP invoices so it reconciles to the AP subledger.
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS journal_entry_id INTEGER
+  REFERENCES journal_entries(id) ON DELETE SET NULL;
+
+-- Map the default categories to their chart of accounts lines (categories already mapped are kept)
+UPDATE expense_categories ec SET account_id = a.id
+FROM (VALUES
+  ('Food & Ingredients', '5000'),
+  ('Beverages (Non-Alcoholic)', '5010'),
+  ('Alcohol & Spirits', '5020'),
+  ('Packaging & Supplies', '5100'),
+  ('Rent & Lease', '7000'),
+  ('Utilities', '7010'),
+  ('Insurance', '7100'),
+  ('Repairs & Maintenance', '7200'),
+  ('Cleaning & Sanitation', '7210'),
+  ('Equipment & Smallwares', '7610'),
+  ('Technology & POS', '7400'),
+  ('Licenses & Permits', '7500'),
+  ('Professional Services', '7510'),
+  ('Credit Card Processing', '7410'),
+  ('Bank Fees', '9000'),
+  ('Print Advertising', '8000'),
+  ('Digital Advertising', '8010'),
+  ('Social Media', '8100'),
+  ('Events & Sponsorships', '8200'),
+  ('Promotions', '8210'),
+  ('Website & Online', '8110'),
+  ('Photography & Video', '8400'),
+  ('Kitchen Staff Wages', '6000'),
+  ('Front of House Wages', '6010'),
+  ('Management Salaries', '6020'),
+  ('Payroll Taxes', '6100'),
+  ('Employee Benefits', '6110'),
+  ('Vehicle & Delivery', '9500'),
+  ('Travel & Meals', '9500'),
+  ('Training & Education', '9400'),
+  ('Miscellaneous', '9200')
+) AS m(category_name, account_number)
+JOIN accounts a ON a.account_number = m.account_number
+WHERE ec.name = m.category_name AND ec.account_id IS NULL;
+
+INSERT INTO accounts (account_number, name, account_type, sub_type, is_tax_deductible, tax_category, description) VALUES
+('2050', 'Accrued Expenses', 'liability', 'payable', false, NULL, 'Expenses recorded but not yet paid')
+ON CONFLICT (account_number) DO NOTHING;
+
+INSERT INTO business_settings (setting_key, setting_value, setting_type, description) VALUES
+('expense_payment_accounts',
+ '{"cash":"1020","check":"1000","ach":"1000","debit":"1000","debit_card":"1000","bank_transfer":"1000","card":"2100","credit":"2100","credit_card":"2100","vendor_credit":"2050","other":"2050","default":"2050"}',
+ 'json', 'Account credited when an expense posts, by payment method (default: no method recorded)')
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- Databases seeded before Accrued Expenses existed credited unpaid expenses to Accounts Payable;
+-- move them over unless the setting has been edited since
+UPDATE business_settings SET
+  setting_value = '{"cash":"1020","check":"1000","ach":"1000","debit":"1000","debit_card":"1000","bank_transfer":"1000","card":"2100","credit":"2100","credit_card":"2100","vendor_credit":"2050","other":"2050","default":"2050"}'
+WHERE setting_key = 'expense_payment_accounts'
+  AND setting_value = '{"cash":"1020","check":"1000","ach":"1000","debit":"1000","debit_card":"1000","bank_transfer":"1000","card":"2100","credit":"2100","credit_card":"2100","vendor_credit":"2000","other":"2000","default":"2000"}';
+
+CREATE INDEX IF NOT EXISTS idx_expenses_journal_entry ON expenses(journal_entry_id);
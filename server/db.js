@@ -119,8 +119,9 @@ async function initializeTables() {
         date DATE NOT NULL,
         menu_item_id INTEGER NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
         quantity_sold INTEGER NOT NULL DEFAULT 0,
+        location_id INTEGER NOT NULL DEFAULT 1,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(date, menu_item_id)
+        UNIQUE(date, menu_item_id, location_id)
       )
     `);
 
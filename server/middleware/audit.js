@@ -0,0 +1,217 @@
+/**
+ * Change auditing middleware
+ * - Opens a request-scoped audit context so BaseRepository writes are attributed
+ * - Snapshots rows before/after mutating raw-SQL routes and logs the diff to audit_log
+ */
+const db = require('../db');
+const { auditContext, runWithAuditContext, recordChange } = require('../utils/audit');
+const { dbLogger } = require('../utils/logger');
+
+// ============================================
+// AUDITED ROUTES
+// ============================================
+
+/**
+ * Mutating raw-SQL routes → audited table.
+ * `:id` is the target row; routes without it are creates and take the id from the response.
+ * `keyColumn` looks the row up by another unique column (e.g. business_settings.setting_key).
+ * Repository-backed routers (vendors, ingredients, menu-items, sales) are audited by
+ * BaseRepository, including their custom writes (sales upserts, recipe_map rows), and are
+ * intentionally not listed here. Paths match case-insensitively, as Express routes do.
+ */
+const AUDITED_ROUTES = [
+  // Accounting
+  { path: '/api/accounting/accounts', table: 'accounts' },
+  { path: '/api/accounting/accounts/:id', table: 'accounts' },
+  { path: '/api/accounting/payables', table: 'accounts_payable' },
+  { path: '/api/accounting/payables/:id/payment', table: 'accounts_payable' },
+  { path: '/api/accounting/receivables', table: 'accounts_receivable' },
+  { path: '/api/accounting/receivables/:id/payment', table: 'accounts_receivable' },
+  { path: '/api/accounting/bank-accounts', table: 'bank_accounts' },
+  { path: '/api/accounting/daily-revenue', table: 'daily_revenue' },
+  { path: '/api/accounting/settings/:key', table: 'business_settings', keyColumn: 'setting_key' },
+
+  // Expenses
+  { path: '/api/expenses', table: 'expenses' },
+  { path: '/api/expenses/:id', table: 'expenses' },
+  { path: '/api/expenses/categories', table: 'expense_categories' },
+  { path: '/api/expenses/categories/:id', table: 'expense_categories' },
+  { path: '/api/expenses/line-items/:id', table: 'expense_line_items' },
+  { path: '/api/expenses/marketing', table: 'marketing_expenses' },
+  { path: '/api/expenses/recurring', table: 'recurring_expense_templates' },
+
+  // Payroll
+  { path: '/api/payroll/employees', table: 'employees' },
+  { path: '/api/payroll/employees/:id', table: 'employees' },
+  { path: '/api/payroll/records', table: 'payroll_records' },
+
+  // General ledger
+  { path: '/api/ledger/journal-entries', table: 'journal_entries' },
+  { path: '/api/ledger/journal-entries/:id/reverse', table: 'journal_entries' },
+  { path: '/api/ledger/journal-entries/:id/void', table: 'journal_entries' },
+  { path: '/api/ledger/eliminations', table: 'journal_entries' },
+  { path: '/api/ledger/recurring', table: 'recurring_journal_templates' },
+  { path: '/api/ledger/recurring/:id', table: 'recurring_journal_templates' },
+  { path: '/api/ledger/periods', table: 'fiscal_periods' },
+  { path: '/api/ledger/periods/:id/close', table: 'fiscal_periods' },
+  { path: '/api/ledger/periods/:id/checklist/:key/sign-off', table: 'fiscal_periods' },
+  { path: '/api/ledger/imports', table: 'gl_import_batches' },
+  { path: '/api/ledger/imports/:id/rollback', table: 'gl_import_batches' },
+  { path: '/api/ledger/periods/:id/year-end-close', table: 'fiscal_periods' },
+  { path: '/api/ledger/periods/:id/year-end-close/rollback', table: 'fiscal_periods' },
+
+  // Accounts payable
+  { path: '/api/ap/invoices', table: 'ap_invoices' },
+  { path: '/api/ap/invoices/:id', table: 'ap_invoices' },
+  { path: '/api/ap/invoices/:id/map', table: 'ap_invoices' },
+  { path: '/api/ap/invoices/:id/approve', table: 'ap_invoices' },
+  { path: '/api/ap/invoices/:id/reject', table: 'ap_invoices' },
+  { path: '/api/ap/invoices/:id/post', table: 'ap_invoices' },
+  { path: '/api/ap/payment-batches', table: 'payment_batches' },
+  { path: '/api/ap/payment-batches/:id', table: 'payment_batches' },
+  { path: '/api/ap/payment-batches/:id/approve', table: 'payment_batches' },
+  { path: '/api/ap/payment-batches/:id/process', table: 'payment_batches' },
+  { path: '/api/mappings', table: 'vendor_item_mappings' },
+  { path: '/api/mappings/:id', table: 'vendor_item_mappings' },
+
+  // Inventory
+  { path: '/api/inventory/purchase-orders', table: 'purchase_orders' },
+  { path: '/api/inventory/purchase-orders/:id', table: 'purchase_orders' },
+  { path: '/api/inventory/receipts', table: 'inventory_receipts' },
+  { path: '/api/inventory/movements', table: 'inventory_movements' },
+  { path: '/api/inventory/counts', table: 'inventory_counts' },
+  { path: '/api/inventory/levels/:id', table: 'inventory_levels' },
+  { path: '/api/inventory/storage-areas', table: 'storage_areas' },
+  { path: '/api/inventory/storage-areas/:id', table: 'storage_areas' },
+  { path: '/api/inventory/transfers', table: 'inventory_transfers' },
+  { path: '/api/inventory/transfers/:id', table: 'inventory_transfers' },
+  { path: '/api/inventory/transfers/:id/send', table: 'inventory_transfers' },
+  { path: '/api/inventory/transfers/:id/receive', table: 'inventory_transfers' },
+  { path: '/api/inventory/transfers/:id/cancel', table: 'inventory_transfers' },
+
+  // Labor
+  { path: '/api/labor/schedules', table: 'schedules' },
+  { path: '/api/labor/schedules/:id', table: 'schedules' },
+  { path: '/api/labor/timeclock/clock-in', table: 'timeclock_entries', action: 'clock_in' },
+  { path: '/api/labor/timeclock/:id/clock-out', table: 'timeclock_entries' },
+  { path: '/api/labor/timeclock/:id/break', table: 'timeclock_entries' },
+  { path: '/api/labor/tips', table: 'tip_records' },
+  { path: '/api/labor/tip-pools', table: 'tip_pool_sessions' },
+  { path: '/api/labor/tip-pools/:id/calculate', table: 'tip_pool_sessions' },
+  { path: '/api/labor/tip-pools/:id/distribute', table: 'tip_pool_sessions' },
+
+  // POS
+  { path: '/api/pos/configs', table: 'pos_configurations' },
+  { path: '/api/pos/configs/:id', table: 'pos_configurations' },
+  { path: '/api/pos/settlements', table: 'pos_settlements' },
+  { path: '/api/pos/settlements/:id/post', table: 'pos_settlements' },
+
+  // Locations
+  { path: '/api/locations', table: 'locations' },
+  { path: '/api/locations/:id', table: 'locations' },
+
+  // Tax & documents
+  { path: '/api/tax/documents', table: 'tax_documents' },
+  { path: '/api/uploads/:id', table: 'documents' },
+].map(compileRoute);
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Turn '/api/x/:id/approve' into a matcher with the audit action it implies
+ */
+function compileRoute(route) {
+  const segments = route.path.split('/');
+  const paramIndex = segments.findIndex((seg) => seg.startsWith(':'));
+  const regex = new RegExp(
+    `^${segments
+      .map((seg) => (seg === ':id' ? '(\\d+)' : seg.startsWith(':') ? '([^/]+)' : seg))
+      .join('/')}$`,
+    'i'
+  );
+  const trailing = paramIndex >= 0 && paramIndex < segments.length - 1 ? segments.slice(-1)[0] : null;
+
+  return {
+    ...route,
+    regex,
+    hasKey: paramIndex >= 0,
+    action: route.action || (trailing ? trailing.replace(/-/g, '_') : null),
+  };
+}
+
+function matchRoute(method, path) {
+  for (const route of AUDITED_ROUTES) {
+    const match = route.regex.exec(path);
+    if (!match) {continue;}
+    // A create route (no key) only audits POSTs
+    if (!route.hasKey && method !== 'POST') {continue;}
+    return { route, key: route.hasKey ? decodeURIComponent(match[1]) : null };
+  }
+  return null;
+}
+
+function resolveAction(method, route) {
+  if (route.action) {return route.action;}
+  if (method === 'DELETE') {return 'delete';}
+  if (method === 'POST' && !route.hasKey) {return 'create';}
+  return 'update';
+}
+
+async function loadRow(route, key) {
+  if (key === null || key === undefined) {return null;}
+  const column = route.keyColumn || 'id';
+  const result = await db.query(`SELECT * FROM ${route.table} WHERE ${column} = $1`, [key]);
+  return result.rows[0] || null;
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Audit trail middleware (mount after authentication)
+ */
+const auditTrail = (req, res, next) => {
+  const context = auditContext(req);
+  const path = req.originalUrl.split('?')[0].replace(/\/+$/, '');
+  const matched = MUTATING_METHODS.includes(req.method) ? matchRoute(req.method, path) : null;
+
+  if (!matched) {
+    return runWithAuditContext(context, next);
+  }
+
+  const { route, key } = matched;
+  const action = resolveAction(req.method, route);
+
+  // Capture the response body to find ids of created rows
+  let responseBody = null;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  const beforePromise = loadRow(route, key).catch(() => null);
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400) {return;}
+    (async () => {
+      const before = await beforePromise;
+      const recordKey = key !== null ? key : responseBody && responseBody.id;
+      if (!recordKey) {return;}
+
+      const after = req.method === 'DELETE' ? null : await loadRow(route, recordKey);
+      const recordId = (after && after.id) || (before && before.id) || recordKey;
+      await recordChange(db.pool, { table: route.table, action, record_id: recordId, before, after }, context);
+    })().catch((err) => {
+      dbLogger.error({ error: err.message, table: route.table, path }, 'Audit trail failed');
+    });
+  });
+
+  beforePromise.then(() => runWithAuditContext(context, next));
+};
+
+module.exports = {
+  auditTrail,
+  AUDITED_ROUTES,
+};
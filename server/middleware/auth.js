@@ -0,0 +1,279 @@
+/**
+ * Authentication & authorization middleware
+ * Shared auth layer applied to every API router from createApp()
+ */
+const db = require('../db');
+const AuthService = require('../services/AuthService');
+const ApiKeyService = require('../services/ApiKeyService');
+const { AppError, asyncHandler, UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+const authService = new AuthService(db.pool);
+const apiKeyService = new ApiKeyService(db.pool);
+
+// ============================================
+// ROUTE → PERMISSION MAPPING
+// ============================================
+
+/**
+ * Routes reachable without a session (method + exact path)
+ */
+const PUBLIC_ROUTES = [
+  { method: 'GET', path: '/api/health' },
+  { method: 'POST', path: '/api/auth/login' },
+  { method: 'POST', path: '/api/auth/login/mfa' },
+  { method: 'POST', path: '/api/auth/login/mfa/setup' },
+  { method: 'GET', path: '/api/auth/password-policy' },
+  { method: 'POST', path: '/api/auth/password/forgot' },
+  { method: 'POST', path: '/api/auth/password/reset' },
+  { method: 'POST', path: '/api/auth/bootstrap' },
+  { method: 'POST', path: '/api/auth/setup-demo' },
+];
+
+/**
+ * Routes still open to a user who must change their password first
+ */
+const PASSWORD_CHANGE_ROUTES = [
+  { method: 'GET', path: '/api/auth/me' },
+  { method: 'PUT', path: '/api/auth/me/password' },
+  { method: 'POST', path: '/api/auth/logout' },
+];
+
+/**
+ * Mount prefix → role_permissions resource.
+ * Longest prefix wins; `fallback` is also accepted so sub-resources
+ * (e.g. timeclock for staff) don't lock out roles granted the parent.
+ * A null resource means "authenticated only" (router does its own checks).
+ */
+const ROUTE_RESOURCES = [
+  { prefix: '/api/vendors', resource: 'vendors' },
+  { prefix: '/api/ingredients', resource: 'inventory' },
+  { prefix: '/api/menu-items', resource: 'menu' },
+  { prefix: '/api/sales', resource: 'sales' },
+  { prefix: '/api/expenses', resource: 'expenses' },
+  { prefix: '/api/reports', resource: 'reports' },
+  { prefix: '/api/tax', resource: 'tax' },
+  { prefix: '/api/payroll', resource: 'payroll' },
+  { prefix: '/api/accounting', resource: 'accounting' },
+  { prefix: '/api/ledger', resource: 'ledger' },
+  { prefix: '/api/ap', resource: 'ap' },
+  { prefix: '/api/inventory', resource: 'inventory' },
+  { prefix: '/api/labor/timeclock', resource: 'timeclock', fallback: 'labor' },
+  { prefix: '/api/labor', resource: 'labor' },
+  { prefix: '/api/portal', resource: 'portal' },
+  { prefix: '/api/auth', resource: null },
+  { prefix: '/api/approvals', resource: 'approvals' },
+  { prefix: '/api/locations', resource: 'locations' },
+  { prefix: '/api/pos', resource: 'pos' },
+  { prefix: '/api/uploads', resource: 'expenses' },
+  { prefix: '/api/mappings', resource: 'ap' },
+];
+
+const METHOD_ACTIONS = {
+  GET: 'read',
+  HEAD: 'read',
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete',
+};
+
+/**
+ * Trailing path segments that represent a sign-off rather than a plain write
+ */
+const APPROVAL_SEGMENTS = [
+  'approve',
+  'reject',
+  'escalate',
+  'post',
+  'process',
+  'distribute',
+  'close',
+  'reopen',
+];
+
+/**
+ * Explicit action overrides, checked before the verb/segment rules
+ */
+const ACTION_OVERRIDES = [
+  // Calculators that use POST but only read data
+  { method: 'POST', pattern: /^\/api\/expenses\/suggest-category$/, action: 'read' },
+  { method: 'POST', pattern: /^\/api\/ingredients\/suggest-conversion$/, action: 'read' },
+  { method: 'POST', pattern: /^\/api\/mappings\/test$/, action: 'read' },
+  // Maintenance
+  { method: 'POST', pattern: /^\/api\/approvals\/expire$/, action: 'approve' },
+  // Destructive request (still goes through an approval)
+  { method: 'POST', pattern: /^\/api\/accounting\/clear-all-data$/, action: 'delete' },
+];
+
+/**
+ * Normalize a request path (strip query string and trailing slash, lowercase).
+ * Express routing is case-insensitive, so the permission lookup must be too.
+ */
+function normalizePath(path) {
+  const clean = path.split('?')[0].toLowerCase();
+  return clean.length > 1 ? clean.replace(/\/+$/, '') : clean;
+}
+
+function isPublicRoute(method, path) {
+  return PUBLIC_ROUTES.some((r) => r.method === method && r.path === path);
+}
+
+/**
+ * Resolve the resource/action pair required for a request
+ * @returns {{resource: string|null, fallback?: string, action: string}|null} null if unmapped
+ */
+function resolvePermission(method, path) {
+  const route = ROUTE_RESOURCES
+    .filter((r) => path === r.prefix || path.startsWith(`${r.prefix}/`))
+    .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+  if (!route) {return null;}
+
+  const override = ACTION_OVERRIDES.find((o) => o.method === method && o.pattern.test(path));
+  let action = override ? override.action : METHOD_ACTIONS[method] || 'read';
+
+  if (!override && method === 'POST') {
+    const lastSegment = path.split('/').pop();
+    if (APPROVAL_SEGMENTS.includes(lastSegment)) {
+      action = 'approve';
+    }
+  }
+
+  return { resource: route.resource, fallback: route.fallback, action };
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Resolve req.user from the Bearer token or X-API-Key header (no-op if already resolved)
+ */
+async function loadUser(req) {
+  if (req.user) {return req.user;}
+
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ')
+    ? authHeader.substring(7)
+    : req.headers['x-api-key'];
+  if (!token) {
+    throw new UnauthorizedError('Authentication required');
+  }
+
+  const user = apiKeyService.isApiKey(token)
+    ? await apiKeyService.validateKey(token, req.ip)
+    : await authService.validateToken(token);
+
+  if (!user) {
+    throw new UnauthorizedError('Invalid or expired token');
+  }
+
+  req.user = user;
+  return user;
+}
+
+/**
+ * Authenticate request via Bearer token
+ */
+const authenticate = asyncHandler(async (req, res, next) => {
+  await loadUser(req);
+  next();
+});
+
+/**
+ * Require specific permission
+ */
+const requirePermission = (resource, action) => {
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      throw new UnauthorizedError('Authentication required');
+    }
+
+    const hasPermission = await authService.checkPermission(req.user.role, resource, action);
+    if (!hasPermission) {
+      throw new ForbiddenError(`Permission denied: ${resource}:${action}`);
+    }
+
+    next();
+  });
+};
+
+/**
+ * Require one of specified roles
+ */
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      throw new UnauthorizedError('Authentication required');
+    }
+
+    if (!roles.includes(req.user.role)) {
+      throw new ForbiddenError(`Role required: ${roles.join(' or ')}`);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Shared API auth layer: authenticates every /api request outside the
+ * allowlist and checks the route's resource/action against role_permissions
+ */
+const authorizeApi = asyncHandler(async (req, res, next) => {
+  if (req.method === 'OPTIONS') {return next();}
+
+  const path = normalizePath(req.originalUrl);
+  if (isPublicRoute(req.method, path)) {return next();}
+
+  await loadUser(req);
+
+  if (
+    req.user.must_change_password &&
+    !PASSWORD_CHANGE_ROUTES.some((r) => r.method === req.method && r.path === path)
+  ) {
+    throw new AppError('Password change required', 403, 'PASSWORD_CHANGE_REQUIRED');
+  }
+
+  const permission = resolvePermission(req.method, path);
+
+  // API keys only reach mapped resources, and only within their scopes
+  if (req.user.api_key_id) {
+    if (!permission || !permission.resource) {
+      throw new ForbiddenError('API keys cannot access this endpoint');
+    }
+    const { resource, fallback, action } = permission;
+    if (!apiKeyService.hasScope(req.user.scopes, resource, action, fallback)) {
+      throw new ForbiddenError(`API key lacks scope for ${resource}:${action}`);
+    }
+    req.permission = { resource, action };
+    return next();
+  }
+
+  // Every router is mapped; an unmapped /api path is refused rather than let through
+  if (!permission) {
+    throw new ForbiddenError('No permission mapping for this endpoint');
+  }
+  if (!permission.resource) {return next();}
+
+  const { resource, fallback, action } = permission;
+  let allowed = await authService.checkPermission(req.user.role, resource, action);
+  if (!allowed && fallback) {
+    allowed = await authService.checkPermission(req.user.role, fallback, action);
+  }
+
+  if (!allowed) {
+    throw new ForbiddenError(`Permission denied: ${resource}:${action}`);
+  }
+
+  req.permission = { resource, action };
+  next();
+});
+
+module.exports = {
+  authService,
+  authenticate,
+  requirePermission,
+  requireRole,
+  authorizeApi,
+  resolvePermission,
+  PUBLIC_ROUTES,
+};
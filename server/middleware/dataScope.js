@@ -0,0 +1,19 @@
+/**
+ * Data scope middleware
+ * Resolves req.dataScope (see utils/dataScope) for routers holding per-employee data
+ */
+const db = require('../db');
+const { asyncHandler, UnauthorizedError } = require('../utils/errors');
+const { resolveDataScope } = require('../utils/dataScope');
+
+const attachDataScope = asyncHandler(async (req, res, next) => {
+  if (!req.user) {
+    throw new UnauthorizedError('Authentication required');
+  }
+  if (!req.dataScope) {
+    req.dataScope = await resolveDataScope(db.pool, req.user);
+  }
+  next();
+});
+
+module.exports = attachDataScope;
@@ -4,6 +4,10 @@
 const requestId = require('./requestId');
 const { errorHandler, notFoundHandler } = require('./errorHandler');
 const { validateBody, validateQuery, validateParams, validateId } = require('./validate');
+const { authenticate, requirePermission, requireRole, authorizeApi } = require('./auth');
+const { auditTrail } = require('./audit');
+const attachDataScope = require('./dataScope');
+const attachLocationScope = require('./locationScope');
 
 module.exports = {
   requestId,
@@ -13,5 +17,12 @@ module.exports = {
   validateQuery,
   validateParams,
   validateId,
+  authenticate,
+  requirePermission,
+  requireRole,
+  authorizeApi,
+  auditTrail,
+  attachDataScope,
+  attachLocationScope,
 };
 
@@ -0,0 +1,19 @@
+/**
+ * Location scope middleware
+ * Resolves req.locationScope (see utils/locationScope) for routers holding per-location data
+ */
+const db = require('../db');
+const { asyncHandler, UnauthorizedError } = require('../utils/errors');
+const { resolveLocationScope } = require('../utils/locationScope');
+
+const attachLocationScope = asyncHandler(async (req, res, next) => {
+  if (!req.user) {
+    throw new UnauthorizedError('Authentication required');
+  }
+  if (!req.locationScope) {
+    req.locationScope = await resolveLocationScope(db.pool, req.user);
+  }
+  next();
+});
+
+module.exports = attachLocationScope;
@@ -4,6 +4,7 @@
  */
 const { dbLogger } = require('../utils/logger');
 const { DatabaseError, NotFoundError } = require('../utils/errors');
+const { recordChange } = require('../utils/audit');
 
 class BaseRepository {
   /**
@@ -14,6 +15,21 @@ class BaseRepository {
     this.pool = pool;
     this.tableName = tableName;
     this.logger = dbLogger.child({ repository: tableName });
+    // Set to false in subclasses for high-volume tables that shouldn't be audited
+    this.audited = true;
+  }
+
+  /**
+   * Write a before/after audit entry for a changed row (request context comes from AsyncLocalStorage)
+   * @param {string} action - 'create' | 'update' | 'delete' | custom
+   * @param {number} id - Record ID
+   * @param {Object|null} before - Row before the change
+   * @param {Object|null} after - Row after the change
+   * @param {string} [table] - Audited table, for subclass writes to a child table
+   */
+  async audit(action, id, before, after, table = this.tableName) {
+    if (!this.audited) {return;}
+    await recordChange(this.pool, { table, action, record_id: id, before, after });
   }
 
   /**
@@ -131,7 +147,9 @@ class BaseRepository {
        RETURNING *`,
       values
     );
-    return result.rows[0];
+    const created = result.rows[0];
+    await this.audit('create', created.id, null, created);
+    return created;
   }
 
   /**
@@ -148,6 +166,7 @@ class BaseRepository {
     
     const setClauses = keys.map((key, i) => `${key} = $${i + 1}`);
     const values = [...Object.values(data), id];
+    const before = this.audited ? await this.findById(id) : null;
     
     const result = await this.query(
       `UPDATE ${this.tableName} 
@@ -156,7 +175,11 @@ class BaseRepository {
        RETURNING *`,
       values
     );
-    return result.rows[0] || null;
+    const updated = result.rows[0] || null;
+    if (updated) {
+      await this.audit('update', id, before, updated);
+    }
+    return updated;
   }
 
   /**
@@ -181,9 +204,12 @@ class BaseRepository {
    */
   async delete(id) {
     const result = await this.query(
-      `DELETE FROM ${this.tableName} WHERE id = $1`,
+      `DELETE FROM ${this.tableName} WHERE id = $1 RETURNING *`,
       [id]
     );
+    if (result.rowCount > 0) {
+      await this.audit('delete', id, result.rows[0], null);
+    }
     return result.rowCount > 0;
   }
 
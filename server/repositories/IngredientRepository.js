@@ -65,13 +65,18 @@ class IngredientRepository extends BaseRepository {
    * @param {number} newPrice
    */
   async updatePrice(id, newPrice) {
+    const before = await this.findById(id);
     const result = await this.query(`
       UPDATE ingredients 
       SET purchase_price = $1, last_price_update = CURRENT_DATE
       WHERE id = $2
       RETURNING *
     `, [newPrice, id]);
-    return result.rows[0] || null;
+    const updated = result.rows[0] || null;
+    if (updated) {
+      await this.audit('price_update', id, before, updated);
+    }
+    return updated;
   }
 
   /**
@@ -76,6 +76,12 @@ class MenuItemRepository extends BaseRepository {
    * @param {number} quantityUsed
    */
   async addRecipeIngredient(menuItemId, ingredientId, quantityUsed) {
+    const existing = await this.query(
+      'SELECT * FROM recipe_map WHERE menu_item_id = $1 AND ingredient_id = $2',
+      [menuItemId, ingredientId]
+    );
+    const before = existing.rows[0] || null;
+
     const result = await this.query(`
       INSERT INTO recipe_map (menu_item_id, ingredient_id, quantity_used)
       VALUES ($1, $2, $3)
@@ -83,7 +89,9 @@ class MenuItemRepository extends BaseRepository {
       DO UPDATE SET quantity_used = EXCLUDED.quantity_used
       RETURNING *
     `, [menuItemId, ingredientId, quantityUsed]);
-    return result.rows[0];
+    const saved = result.rows[0];
+    await this.audit(before ? 'update' : 'create', saved.id, before, saved, 'recipe_map');
+    return saved;
   }
 
   /**
@@ -95,7 +103,11 @@ class MenuItemRepository extends BaseRepository {
     const result = await this.query(`
       DELETE FROM recipe_map 
       WHERE id = $1 AND menu_item_id = $2
+      RETURNING *
     `, [recipeId, menuItemId]);
+    if (result.rows[0]) {
+      await this.audit('delete', recipeId, result.rows[0], null, 'recipe_map');
+    }
     return result.rowCount > 0;
   }
 
@@ -2,6 +2,7 @@
  * Sales Repository
  */
 const BaseRepository = require('./BaseRepository');
+const { DEFAULT_LOCATION_ID } = require('../utils/locationScope');
 
 class SalesRepository extends BaseRepository {
   constructor(pool) {
@@ -11,9 +12,10 @@ class SalesRepository extends BaseRepository {
   /**
    * Find sales with menu item info
    * @param {Object} filters
+   * @param {number[]|null} [filters.locationIds] - limit to these locations
    */
   async findWithMenuItems(filters = {}) {
-    const { startDate, endDate } = filters;
+    const { startDate, endDate, locationIds } = filters;
     const conditions = [];
     const params = [];
     let paramIndex = 1;
@@ -26,6 +28,10 @@ class SalesRepository extends BaseRepository {
       conditions.push(`s.date <= $${paramIndex++}`);
       params.push(endDate);
     }
+    if (locationIds) {
+      conditions.push(`s.location_id = ANY($${paramIndex++}::int[])`);
+      params.push(locationIds);
+    }
 
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
@@ -45,8 +51,9 @@ class SalesRepository extends BaseRepository {
   /**
    * Find sales for specific date
    * @param {string} date
+   * @param {number[]|null} [locationIds] - limit to these locations
    */
-  async findByDate(date) {
+  async findByDate(date, locationIds = null) {
     const result = await this.query(`
       SELECT 
         s.*,
@@ -54,9 +61,9 @@ class SalesRepository extends BaseRepository {
         m.selling_price
       FROM sales_log s
       JOIN menu_items m ON s.menu_item_id = m.id
-      WHERE s.date = $1
+      WHERE s.date = $1 AND ($2::int[] IS NULL OR s.location_id = ANY($2::int[]))
       ORDER BY m.name
-    `, [date]);
+    `, [date, locationIds]);
     return result.rows;
   }
 
@@ -65,24 +72,31 @@ class SalesRepository extends BaseRepository {
    * @param {string} date
    * @param {number} menuItemId
    * @param {number} quantitySold
+   * @param {number} [locationId]
    */
-  async upsert(date, menuItemId, quantitySold) {
+  async upsert(date, menuItemId, quantitySold, locationId = DEFAULT_LOCATION_ID) {
     if (quantitySold <= 0) {
-      await this.query(
-        'DELETE FROM sales_log WHERE date = $1 AND menu_item_id = $2',
-        [date, menuItemId]
+      const deleted = await this.query(
+        'DELETE FROM sales_log WHERE date = $1 AND menu_item_id = $2 AND location_id = $3 RETURNING *',
+        [date, menuItemId, locationId]
       );
+      if (deleted.rows[0]) {
+        await this.audit('delete', deleted.rows[0].id, deleted.rows[0], null);
+      }
       return null;
     }
 
+    const before = await this.findEntry(date, menuItemId, locationId);
     const result = await this.query(`
-      INSERT INTO sales_log (date, menu_item_id, quantity_sold)
-      VALUES ($1, $2, $3)
-      ON CONFLICT (date, menu_item_id)
+      INSERT INTO sales_log (date, menu_item_id, quantity_sold, location_id)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (date, menu_item_id, location_id)
       DO UPDATE SET quantity_sold = EXCLUDED.quantity_sold
       RETURNING *
-    `, [date, menuItemId, quantitySold]);
-    return result.rows[0];
+    `, [date, menuItemId, quantitySold, locationId]);
+    const saved = result.rows[0];
+    await this.audit(before ? 'update' : 'create', saved.id, before, saved);
+    return saved;
   }
 
   /**
@@ -90,16 +104,32 @@ class SalesRepository extends BaseRepository {
    * @param {string} date
    * @param {number} menuItemId
    * @param {number} quantity
+   * @param {number} [locationId]
    */
-  async addQuantity(date, menuItemId, quantity) {
+  async addQuantity(date, menuItemId, quantity, locationId = DEFAULT_LOCATION_ID) {
+    const before = await this.findEntry(date, menuItemId, locationId);
     const result = await this.query(`
-      INSERT INTO sales_log (date, menu_item_id, quantity_sold)
-      VALUES ($1, $2, $3)
-      ON CONFLICT (date, menu_item_id)
+      INSERT INTO sales_log (date, menu_item_id, quantity_sold, location_id)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (date, menu_item_id, location_id)
       DO UPDATE SET quantity_sold = sales_log.quantity_sold + EXCLUDED.quantity_sold
       RETURNING *
-    `, [date, menuItemId, quantity]);
-    return result.rows[0];
+    `, [date, menuItemId, quantity, locationId]);
+    const saved = result.rows[0];
+    await this.audit(before ? 'update' : 'create', saved.id, before, saved);
+    return saved;
+  }
+
+  /**
+   * Sales row for a date, menu item and location (the upsert key), for the audit before-image
+   */
+  async findEntry(date, menuItemId, locationId) {
+    if (!this.audited) {return null;}
+    const result = await this.query(
+      'SELECT * FROM sales_log WHERE date = $1 AND menu_item_id = $2 AND location_id = $3',
+      [date, menuItemId, locationId]
+    );
+    return result.rows[0] || null;
   }
 
   /**
@@ -113,6 +143,7 @@ class SalesRepository extends BaseRepository {
       SELECT 
         s.id,
         s.date,
+        s.location_id,
         s.quantity_sold,
         m.id as menu_item_id,
         m.name as menu_item_name,
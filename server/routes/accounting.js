@@ -6,9 +6,16 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const { asyncHandler, NotFoundError } = require('../utils/errors');
-const { validateBody, validateId, validateQuery } = require('../middleware');
+const { locationClause, resolveWriteLocation } = require('../utils/locationScope');
+const { validateBody, validateId, validateQuery, attachLocationScope } = require('../middleware');
+const ApprovalService = require('../services/ApprovalService');
+const ChartOfAccountsService = require('../services/ChartOfAccountsService');
+const EncryptionService = require('../services/EncryptionService');
+const { parseSettingValue } = require('../utils/settings');
+const { auditContext } = require('../utils/audit');
 const {
   createAccountSchema,
+  updateAccountSchema,
   accountQuerySchema,
   createPayableSchema,
   recordPaymentSchema,
@@ -25,6 +32,11 @@ const {
   updateSettingsSchema,
 } = require('../schemas/accounting.schema');
 
+const approvalService = new ApprovalService(db.pool);
+const chartOfAccountsService = new ChartOfAccountsService(db.pool);
+const encryptionService = new EncryptionService(db.pool);
+const { maskSecrets } = EncryptionService;
+
 // ============================================
 // CHART OF ACCOUNTS
 // ============================================
@@ -51,23 +63,63 @@ router.get('/accounts', validateQuery(accountQuerySchema), asyncHandler(async (r
 router.post('/accounts', validateBody(createAccountSchema), asyncHandler(async (req, res) => {
   const {
     account_number, name, account_type, sub_type,
-    parent_account_id, is_tax_deductible, tax_category, description
+    parent_account_id, is_tax_deductible, tax_category, description, is_intercompany,
+    cash_flow_category, is_header, default_department, default_class
   } = req.body;
+  await chartOfAccountsService.validate(null, { account_type, parent_account_id });
 
   const result = await db.promisify.run(`
     INSERT INTO accounts (
       account_number, name, account_type, sub_type,
-      parent_account_id, is_tax_deductible, tax_category, description
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      parent_account_id, is_tax_deductible, tax_category, description, is_intercompany,
+      cash_flow_category, is_header, default_department, default_class
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
   `, [
     account_number, name, account_type, sub_type,
-    parent_account_id, is_tax_deductible, tax_category, description
+    parent_account_id, is_tax_deductible, tax_category, description, is_intercompany,
+    cash_flow_category || null, is_header, default_department || null, default_class || null
   ]);
 
   const account = await db.promisify.get('SELECT * FROM accounts WHERE id = $1', [result.id]);
   res.status(201).json(account);
 }));
 
+// Account number and type are fixed once created; cash_flow_category: null reverts to the default
+// and parent_account_id: null moves the account to the top level; null dimension defaults clear them
+router.put('/accounts/:id', validateId, validateBody(updateAccountSchema), asyncHandler(async (req, res) => {
+  const {
+    name, sub_type, is_tax_deductible, tax_category, description, is_active, cash_flow_category,
+    parent_account_id, is_header, default_department, default_class
+  } = req.body;
+  const existing = await chartOfAccountsService.getAccount(req.params.id);
+  await chartOfAccountsService.validate(existing, { parent_account_id, is_header });
+
+  const account = await db.promisify.get(`
+    UPDATE accounts SET
+      name = COALESCE($1, name),
+      sub_type = COALESCE($2, sub_type),
+      is_tax_deductible = COALESCE($3, is_tax_deductible),
+      tax_category = COALESCE($4, tax_category),
+      description = COALESCE($5, description),
+      is_active = COALESCE($6, is_active),
+      cash_flow_category = CASE WHEN $7 THEN $8 ELSE cash_flow_category END,
+      parent_account_id = CASE WHEN $9 THEN $10 ELSE parent_account_id END,
+      is_header = COALESCE($11, is_header),
+      default_department = CASE WHEN $12 THEN $13 ELSE default_department END,
+      default_class = CASE WHEN $14 THEN $15 ELSE default_class END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $16
+    RETURNING *
+  `, [
+    name, sub_type, is_tax_deductible, tax_category, description, is_active,
+    cash_flow_category !== undefined, cash_flow_category || null,
+    parent_account_id !== undefined, parent_account_id || null, is_header,
+    default_department !== undefined, default_department || null,
+    default_class !== undefined, default_class || null, req.params.id
+  ]);
+  res.json(account);
+}));
+
 // ============================================
 // ACCOUNTS PAYABLE
 // ============================================
@@ -240,7 +292,7 @@ router.get('/bank-accounts', asyncHandler(async (req, res) => {
     SELECT * FROM bank_accounts WHERE is_active = true
     ORDER BY is_primary DESC, account_name
   `);
-  res.json(accounts);
+  res.json(accounts.map(maskSecrets));
 }));
 
 router.post('/bank-accounts', validateBody(createBankAccountSchema), asyncHandler(async (req, res) => {
@@ -250,16 +302,18 @@ router.post('/bank-accounts', validateBody(createBankAccountSchema), asyncHandle
     opening_balance, is_primary, notes
   } = req.body;
 
+  const encryptedRouting = await encryptionService.encrypt(routing_number, 'bank_accounts.routing_number');
+
   const result = await db.promisify.run(`
     INSERT INTO bank_accounts (
       account_name, bank_name, account_type,
       account_number_last_four, routing_number,
       opening_balance, current_balance, is_primary, notes
     ) VALUES ($1, $2, $3, $4, $5, $6, $6, $7, $8)
-  `, [account_name, bank_name, account_type, account_number_last_four, routing_number, opening_balance, is_primary, notes]);
+  `, [account_name, bank_name, account_type, account_number_last_four, encryptedRouting, opening_balance, is_primary, notes]);
 
   const account = await db.promisify.get('SELECT * FROM bank_accounts WHERE id = $1', [result.id]);
-  res.status(201).json(account);
+  res.status(201).json(maskSecrets(account));
 }));
 
 router.get('/bank-accounts/:id/transactions', validateId, validateQuery(bankTransactionQuerySchema), asyncHandler(async (req, res) => {
@@ -327,23 +381,23 @@ router.post('/bank-accounts/:id/reconcile', validateId, validateBody(reconcileTr
 // DAILY REVENUE
 // ============================================
 
-router.get('/daily-revenue', validateQuery(dailyRevenueQuerySchema), asyncHandler(async (req, res) => {
-  const { start_date, end_date, limit } = req.query;
+router.get('/daily-revenue', attachLocationScope, validateQuery(dailyRevenueQuerySchema), asyncHandler(async (req, res) => {
+  const { start_date, end_date, location_id, limit } = req.query;
 
-  let sql = 'SELECT * FROM daily_revenue WHERE 1=1';
   const params = [];
-  let paramIndex = 1;
+  let sql = `SELECT * FROM daily_revenue WHERE 1=1${locationClause(req.locationScope, params, 'location_id', location_id)}`;
+  let paramIndex = params.length + 1;
 
   if (start_date) { sql += ` AND date >= $${paramIndex++}`; params.push(start_date); }
   if (end_date) { sql += ` AND date <= $${paramIndex++}`; params.push(end_date); }
-  sql += ' ORDER BY date DESC';
+  sql += ' ORDER BY date DESC, location_id';
   if (limit) { sql += ` LIMIT $${paramIndex++}`; params.push(parseInt(limit)); }
 
   const revenue = await db.promisify.all(sql, params);
   res.json(revenue);
 }));
 
-router.post('/daily-revenue', validateBody(saveDailyRevenueSchema), asyncHandler(async (req, res) => {
+router.post('/daily-revenue', attachLocationScope, validateBody(saveDailyRevenueSchema), asyncHandler(async (req, res) => {
   const {
     date, food_sales, beverage_sales, alcohol_sales,
     catering_sales, gift_card_sales, other_sales,
@@ -352,6 +406,7 @@ router.post('/daily-revenue', validateBody(saveDailyRevenueSchema), asyncHandler
     transaction_count, customer_count, weather_notes, event_notes, notes
   } = req.body;
 
+  const locationId = resolveWriteLocation(req.locationScope, req.body.location_id);
   const grossSales = food_sales + beverage_sales + alcohol_sales + catering_sales + gift_card_sales + other_sales;
   const netSales = grossSales - discounts - comps - refunds;
 
@@ -361,9 +416,9 @@ router.post('/daily-revenue', validateBody(saveDailyRevenueSchema), asyncHandler
       catering_sales, gift_card_sales, other_sales,
       total_gross_sales, discounts, comps, refunds, total_net_sales,
       tips_collected, cash_payments, card_payments, other_payments,
-      transaction_count, customer_count, weather_notes, event_notes, notes
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
-    ON CONFLICT (date) DO UPDATE SET
+      transaction_count, customer_count, weather_notes, event_notes, notes, location_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+    ON CONFLICT (date, location_id) DO UPDATE SET
       food_sales = EXCLUDED.food_sales, beverage_sales = EXCLUDED.beverage_sales,
       alcohol_sales = EXCLUDED.alcohol_sales, catering_sales = EXCLUDED.catering_sales,
       gift_card_sales = EXCLUDED.gift_card_sales, other_sales = EXCLUDED.other_sales,
@@ -379,10 +434,13 @@ router.post('/daily-revenue', validateBody(saveDailyRevenueSchema), asyncHandler
     catering_sales, gift_card_sales, other_sales,
     grossSales, discounts, comps, refunds, netSales,
     tips_collected, cash_payments, card_payments, other_payments,
-    transaction_count, customer_count, weather_notes, event_notes, notes
+    transaction_count, customer_count, weather_notes, event_notes, notes, locationId
   ]);
 
-  const revenue = await db.promisify.get('SELECT * FROM daily_revenue WHERE date = $1', [date]);
+  const revenue = await db.promisify.get(
+    'SELECT * FROM daily_revenue WHERE date = $1 AND location_id = $2',
+    [date, locationId]
+  );
   res.json(revenue);
 }));
 
@@ -395,11 +453,7 @@ router.get('/settings', asyncHandler(async (req, res) => {
   
   const settingsObj = {};
   for (const s of settings) {
-    let value = s.setting_value;
-    if (s.setting_type === 'number') {value = parseFloat(value);}
-    if (s.setting_type === 'boolean') {value = value === 'true';}
-    if (s.setting_type === 'json') {value = JSON.parse(value || '{}');}
-    settingsObj[s.setting_key] = value;
+    settingsObj[s.setting_key] = parseSettingValue(s.setting_value, s.setting_type);
   }
 
   res.json(settingsObj);
@@ -433,9 +487,131 @@ router.put('/settings', validateBody(updateSettingsSchema), asyncHandler(async (
 // CLEAR ALL DATA (Reset to Fresh State)
 // Preserves: menu_items, ingredients, recipe_map, vendors,
 //            accounts (chart of accounts), expense_categories,
-//            business_settings, role_permissions
+//            business_settings, role_permissions,
+//            users, approval_requests, audit_log
+// Runs only after a second admin approves the request.
 // ============================================
 
+const CLEAR_PRESERVED = [
+  'menu_items',
+  'ingredients',
+  'recipe_map',
+  'vendors',
+  'accounts (chart of accounts)',
+  'expense_categories',
+  'business_settings',
+  'role_permissions',
+  'users',
+  'approval_requests & audit_log',
+  'encryption_keys',
+  'api_keys',
+  'locations, user_locations & storage_areas',
+];
+
+const CLEAR_CLEARED = [
+  'sales_log',
+  'expenses & line items',
+  'employees & payroll',
+  'accounts_payable',
+  'accounts_receivable',
+  'bank_accounts & transactions',
+  'journal_entries & recurring journal templates',
+  'daily_revenue',
+  'inventory data',
+  'POS data',
+  'labor/timeclock data',
+  'documents',
+];
+
+/**
+ * Delete all transactional data inside the given transaction client
+ */
+async function clearAllData(client) {
+  // Order matters due to foreign key constraints
+  // Clear in reverse dependency order
+
+  // 1. Clear POS Integration data
+  await client.query('DELETE FROM pos_transaction_items');
+  await client.query('DELETE FROM pos_transactions');
+  await client.query('DELETE FROM pos_settlements');
+  await client.query('DELETE FROM pos_menu_mappings');
+  await client.query('DELETE FROM pos_configurations');
+
+  // 2. Clear Labor Operations data
+  await client.query('DELETE FROM tip_pool_distributions');
+  await client.query('DELETE FROM tip_pool_sessions');
+  await client.query('DELETE FROM tip_records');
+  await client.query('DELETE FROM timeclock_entries');
+  await client.query('DELETE FROM schedules');
+  await client.query('DELETE FROM time_off_requests');
+
+  // 3. Detach users from employees (users, approvals and audit trail are kept)
+  await client.query('UPDATE users SET employee_id = NULL');
+
+  // 4. Clear AP Automation data
+  await client.query('DELETE FROM payment_batch_items');
+  await client.query('DELETE FROM payment_batches');
+  await client.query('DELETE FROM ap_invoice_lines');
+  await client.query('DELETE FROM ap_invoices');
+
+  // 5. Clear Inventory data (keep ingredients and vendors)
+  await client.query('DELETE FROM inventory_receipt_lines');
+  await client.query('DELETE FROM inventory_receipts');
+  await client.query('DELETE FROM inventory_transfer_lines');
+  await client.query('DELETE FROM inventory_transfers');
+  await client.query('DELETE FROM inventory_movements');
+  await client.query('DELETE FROM inventory_levels');
+  await client.query('DELETE FROM purchase_order_items');
+  await client.query('DELETE FROM purchase_orders');
+  await client.query('DELETE FROM inventory_counts');
+
+  // 6. Clear Financial/Accounting data
+  await client.query('DELETE FROM bank_transactions');
+  await client.query('DELETE FROM bank_accounts');
+  await client.query('DELETE FROM year_end_closes');
+  await client.query('DELETE FROM recurring_journal_runs');
+  await client.query('DELETE FROM recurring_journal_template_lines');
+  await client.query('DELETE FROM recurring_journal_templates');
+  await client.query('DELETE FROM gl_import_batches');
+  await client.query('DELETE FROM gl_export_run_entries');
+  await client.query('DELETE FROM gl_export_runs');
+  await client.query('DELETE FROM journal_entry_lines');
+  await client.query('DELETE FROM journal_entries');
+  await client.query('DELETE FROM accounts_receivable');
+  await client.query('DELETE FROM accounts_payable');
+  await client.query('DELETE FROM daily_revenue');
+  await client.query('DELETE FROM tax_deduction_summary');
+  await client.query('DELETE FROM tax_documents');
+  await client.query('DELETE FROM period_close_signoffs');
+  await client.query('DELETE FROM fiscal_periods');
+  await client.query('DELETE FROM recurring_expense_templates');
+
+  // 7. Clear Payroll data
+  await client.query('DELETE FROM payroll_records');
+  await client.query('DELETE FROM employees');
+
+  // 8. Clear Expense data (keep categories)
+  await client.query('DELETE FROM expense_line_items');
+  await client.query('DELETE FROM expense_documents');
+  await client.query('DELETE FROM marketing_expenses');
+  await client.query('DELETE FROM expenses');
+
+  // 9. Clear Documents and Mappings
+  await client.query('DELETE FROM documents');
+  await client.query('DELETE FROM vendor_item_mappings');
+
+  // 10. Clear Sales data (keep menu items)
+  await client.query('DELETE FROM sales_log');
+}
+
+ApprovalService.registerHandler('clear_all_data', {
+  approverRole: 'admin',
+  execute: async (client) => {
+    await clearAllData(client);
+    return { preserved: CLEAR_PRESERVED, cleared: CLEAR_CLEARED };
+  },
+});
+
 router.post('/clear-all-data', asyncHandler(async (req, res) => {
   const { confirm } = req.body;
   
@@ -447,105 +623,18 @@ router.post('/clear-all-data', asyncHandler(async (req, res) => {
     });
   }
 
-  // Use a transaction to ensure all-or-nothing
-  await db.transaction(async (client) => {
-    // Order matters due to foreign key constraints
-    // Clear in reverse dependency order
-    
-    // 1. Clear POS Integration data
-    await client.query('DELETE FROM pos_transaction_items');
-    await client.query('DELETE FROM pos_transactions');
-    await client.query('DELETE FROM pos_settlements');
-    await client.query('DELETE FROM pos_menu_mappings');
-    await client.query('DELETE FROM pos_configurations');
-    
-    // 2. Clear Labor Operations data
-    await client.query('DELETE FROM tip_pool_distributions');
-    await client.query('DELETE FROM tip_pool_sessions');
-    await client.query('DELETE FROM tip_records');
-    await client.query('DELETE FROM timeclock_entries');
-    await client.query('DELETE FROM schedules');
-    
-    // 3. Clear Authentication/Access data
-    await client.query('DELETE FROM approval_requests');
-    await client.query('DELETE FROM audit_log');
-    await client.query('DELETE FROM sessions');
-    await client.query('DELETE FROM users');
-    
-    // 4. Clear AP Automation data
-    await client.query('DELETE FROM payment_batch_items');
-    await client.query('DELETE FROM payment_batches');
-    await client.query('DELETE FROM ap_invoice_lines');
-    await client.query('DELETE FROM ap_invoices');
-    
-    // 5. Clear Inventory data (keep ingredients and vendors)
-    await client.query('DELETE FROM inventory_receipt_lines');
-    await client.query('DELETE FROM inventory_receipts');
-    await client.query('DELETE FROM inventory_movements');
-    await client.query('DELETE FROM inventory_levels');
-    await client.query('DELETE FROM purchase_order_items');
-    await client.query('DELETE FROM purchase_orders');
-    await client.query('DELETE FROM inventory_counts');
-    
-    // 6. Clear Financial/Accounting data
-    await client.query('DELETE FROM bank_transactions');
-    await client.query('DELETE FROM bank_accounts');
-    await client.query('DELETE FROM journal_entry_lines');
-    await client.query('DELETE FROM journal_entries');
-    await client.query('DELETE FROM accounts_receivable');
-    await client.query('DELETE FROM accounts_payable');
-    await client.query('DELETE FROM daily_revenue');
-    await client.query('DELETE FROM tax_deduction_summary');
-    await client.query('DELETE FROM tax_documents');
-    await client.query('DELETE FROM fiscal_periods');
-    await client.query('DELETE FROM recurring_expense_templates');
-    
-    // 7. Clear Payroll data
-    await client.query('DELETE FROM payroll_records');
-    await client.query('DELETE FROM employees');
-    
-    // 8. Clear Expense data (keep categories)
-    await client.query('DELETE FROM expense_line_items');
-    await client.query('DELETE FROM expense_documents');
-    await client.query('DELETE FROM marketing_expenses');
-    await client.query('DELETE FROM expenses');
-    
-    // 9. Clear Documents and Mappings
-    await client.query('DELETE FROM documents');
-    await client.query('DELETE FROM vendor_item_mappings');
-    
-    // 10. Clear Sales data (keep menu items)
-    await client.query('DELETE FROM sales_log');
-  });
-
-  res.json({
-    success: true,
-    message: 'All transactional data has been cleared',
-    preserved: [
-      'menu_items',
-      'ingredients', 
-      'recipe_map',
-      'vendors',
-      'accounts (chart of accounts)',
-      'expense_categories',
-      'business_settings',
-      'role_permissions'
-    ],
-    cleared: [
-      'sales_log',
-      'expenses & line items',
-      'employees & payroll',
-      'accounts_payable',
-      'accounts_receivable',
-      'bank_accounts & transactions',
-      'journal_entries',
-      'daily_revenue',
-      'inventory data',
-      'POS data',
-      'labor/timeclock data',
-      'users & sessions',
-      'documents'
-    ]
+  const approval = await approvalService.requestApproval({
+    request_type: 'clear_all_data',
+    reference_type: 'system',
+    notes: req.body.reason || null,
+  }, auditContext(req));
+
+  res.status(202).json({
+    approval_required: true,
+    message: 'Clear-all-data request submitted; data is cleared once an admin approves it',
+    approval,
+    preserved: CLEAR_PRESERVED,
+    cleared: CLEAR_CLEARED,
   });
 }));
 
@@ -6,7 +6,10 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const APService = require('../services/APService');
+const ApprovalService = require('../services/ApprovalService');
 const { asyncHandler, NotFoundError } = require('../utils/errors');
+const { auditContext } = require('../utils/audit');
+const { getSetting } = require('../utils/settings');
 const { validateBody, validateId, validateQuery } = require('../middleware');
 const {
   createApInvoiceSchema,
@@ -23,6 +26,37 @@ const {
 
 // Instantiate service
 const apService = new APService(db.pool);
+const approvalService = new ApprovalService(db.pool);
+
+/**
+ * Mark a draft payment batch approved
+ */
+async function approveBatch(client, batchId, approvedBy) {
+  const result = await client.query(
+    `UPDATE payment_batches SET
+       status = 'approved',
+       approved_by = $1,
+       approved_at = CURRENT_TIMESTAMP,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND status = 'draft'
+     RETURNING *`,
+    [approvedBy, batchId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error('Only draft batches can be approved');
+  }
+  return result.rows[0];
+}
+
+// Batches above the configured threshold need a second (admin) sign-off
+ApprovalService.registerHandler('payment_batch', {
+  approverRole: 'admin',
+  execute: async (client, request, context) => {
+    const approvedBy = context.user?.email || request.payload?.approved_by;
+    const batch = await approveBatch(client, request.reference_id, approvedBy);
+    return { payment_batch: batch };
+  },
+});
 
 // ============================================
 // AP INVOICES (INBOX)
@@ -147,8 +181,9 @@ router.post(
           const lineResult = await client.query(
             `INSERT INTO ap_invoice_lines (
                ap_invoice_id, line_number, raw_vendor_code, raw_description,
-               quantity, unit, unit_price, line_total, mapped_ingredient_id, mapped_category_id, notes
-             ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+               quantity, unit, unit_price, line_total, mapped_ingredient_id, mapped_category_id, notes,
+               department, class
+             ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
              RETURNING *`,
             [
               invoice.id,
@@ -162,6 +197,8 @@ router.post(
               line.mapped_ingredient_id,
               line.mapped_category_id,
               line.notes,
+              line.department || null,
+              line.class || null,
             ]
           );
           insertedLines.push(lineResult.rows[0]);
@@ -251,8 +288,8 @@ router.post(
       const result = await db.promisify.run(
         `INSERT INTO ap_invoice_lines (
            ap_invoice_id, line_number, raw_vendor_code, raw_description,
-           quantity, unit, unit_price, line_total, notes
-         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+           quantity, unit, unit_price, line_total, notes, department, class
+         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
         [
           req.params.id,
           line.line_number || i + 1,
@@ -263,6 +300,8 @@ router.post(
           line.unit_price,
           line.line_total,
           line.notes,
+          line.department || null,
+          line.class || null,
         ]
       );
       const inserted = await db.promisify.get('SELECT * FROM ap_invoice_lines WHERE id = $1', [result.id]);
@@ -445,6 +484,7 @@ router.post(
 
 /**
  * POST /payment-batches/:id/approve - Approve batch
+ * Batches above payment_batch_approval_threshold open an approval request instead
  */
 router.post(
   '/payment-batches/:id/approve',
@@ -459,17 +499,21 @@ router.post(
       throw new Error('Only draft batches can be approved');
     }
 
-    await db.promisify.run(
-      `UPDATE payment_batches SET
-         status = 'approved',
-         approved_by = $1,
-         approved_at = CURRENT_TIMESTAMP,
-         updated_at = CURRENT_TIMESTAMP
-       WHERE id = $2`,
-      [req.body.approved_by, req.params.id]
-    );
+    const threshold = await getSetting(db.pool, 'payment_batch_approval_threshold', null);
+    if (threshold !== null && parseFloat(batch.total_amount) > threshold) {
+      const approval = await approvalService.requestApproval(
+        {
+          request_type: 'payment_batch',
+          reference_type: 'payment_batch',
+          reference_id: batch.id,
+          payload: { approved_by: req.body.approved_by, total_amount: batch.total_amount, threshold },
+        },
+        auditContext(req)
+      );
+      return res.status(202).json({ approval_required: true, approval, payment_batch: batch });
+    }
 
-    const updated = await db.promisify.get('SELECT * FROM payment_batches WHERE id = $1', [req.params.id]);
+    const updated = await approveBatch(db.pool, req.params.id, req.body.approved_by);
     res.json(updated);
   })
 );
@@ -0,0 +1,97 @@
+/**
+ * Approval Routes
+ * Review and decide approval requests raised by sensitive operations
+ */
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const ApprovalService = require('../services/ApprovalService');
+const { asyncHandler } = require('../utils/errors');
+const { auditContext } = require('../utils/audit');
+const { validateBody, validateId, validateQuery } = require('../middleware');
+const {
+  approvalQuerySchema,
+  approveRequestSchema,
+  rejectRequestSchema,
+  escalateRequestSchema,
+} = require('../schemas/approval.schema');
+
+// Instantiate service
+const approvalService = new ApprovalService(db.pool);
+
+/**
+ * GET / - List approval requests the caller raised, decided or may decide (admins see all)
+ */
+router.get(
+  '/',
+  validateQuery(approvalQuerySchema),
+  asyncHandler(async (req, res) => {
+    const requests = await approvalService.getRequests(req.query, req.user);
+    res.json(requests);
+  })
+);
+
+/**
+ * POST /expire - Expire open requests past their deadline
+ */
+router.post(
+  '/expire',
+  asyncHandler(async (req, res) => {
+    const expired = await approvalService.expireStale(auditContext(req));
+    res.json({ expired: expired.length, requests: expired });
+  })
+);
+
+/**
+ * GET /:id - Get approval request with audit trail
+ */
+router.get(
+  '/:id',
+  validateId,
+  asyncHandler(async (req, res) => {
+    const request = await approvalService.getRequest(req.params.id, req.user);
+    res.json(request);
+  })
+);
+
+/**
+ * POST /:id/approve - Approve and execute the requested operation
+ */
+router.post(
+  '/:id/approve',
+  validateId,
+  validateBody(approveRequestSchema),
+  asyncHandler(async (req, res) => {
+    const request = await approvalService.approve(req.params.id, auditContext(req), req.body.notes);
+    res.json(request);
+  })
+);
+
+/**
+ * POST /:id/reject - Reject request
+ */
+router.post(
+  '/:id/reject',
+  validateId,
+  validateBody(rejectRequestSchema),
+  asyncHandler(async (req, res) => {
+    const request = await approvalService.reject(req.params.id, auditContext(req), req.body.reason);
+    res.json(request);
+  })
+);
+
+/**
+ * POST /:id/escalate - Escalate request to admin approval
+ */
+router.post(
+  '/:id/escalate',
+  validateId,
+  validateBody(escalateRequestSchema),
+  asyncHandler(async (req, res) => {
+    const request = await approvalService.escalate(req.params.id, auditContext(req), req.body.reason);
+    res.json(request);
+  })
+);
+
+module.exports = router;
+module.exports.approvalService = approvalService;
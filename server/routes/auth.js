@@ -5,79 +5,43 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const config = require('../config');
 const AuthService = require('../services/AuthService');
-const { asyncHandler, NotFoundError, UnauthorizedError, ForbiddenError } = require('../utils/errors');
-const { validateBody, validateId, validateQuery } = require('../middleware');
+const ApiKeyService = require('../services/ApiKeyService');
+const { asyncHandler, NotFoundError, ForbiddenError } = require('../utils/errors');
+const { auditContext } = require('../utils/audit');
+const {
+  validateBody,
+  validateId,
+  validateQuery,
+  validateParams,
+  authenticate,
+  requirePermission,
+  requireRole,
+} = require('../middleware');
 const {
   registerSchema,
   loginSchema,
+  mfaChallengeSchema,
+  mfaLoginSchema,
+  mfaCodeSchema,
+  mfaDisableSchema,
   changePasswordSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
   updateUserSchema,
   userQuerySchema,
+  sessionQuerySchema,
+  revokeSessionsQuerySchema,
+  createApiKeySchema,
+  apiKeyQuerySchema,
   auditLogQuerySchema,
+  auditRecordParamsSchema,
 } = require('../schemas/auth.schema');
 
-// Instantiate service
+// Instantiate services
 const authService = new AuthService(db.pool);
-
-// ============================================
-// AUTH MIDDLEWARE
-// ============================================
-
-/**
- * Authenticate request via Bearer token
- */
-const authenticate = asyncHandler(async (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new UnauthorizedError('Authentication required');
-  }
-
-  const token = authHeader.substring(7);
-  const user = await authService.validateToken(token);
-
-  if (!user) {
-    throw new UnauthorizedError('Invalid or expired token');
-  }
-
-  req.user = user;
-  next();
-});
-
-/**
- * Require specific permission
- */
-const requirePermission = (resource, action) => {
-  return asyncHandler(async (req, res, next) => {
-    if (!req.user) {
-      throw new UnauthorizedError('Authentication required');
-    }
-
-    const hasPermission = await authService.checkPermission(req.user.role, resource, action);
-    if (!hasPermission) {
-      throw new ForbiddenError(`Permission denied: ${resource}:${action}`);
-    }
-
-    next();
-  });
-};
-
-/**
- * Require one of specified roles
- */
-const requireRole = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      throw new UnauthorizedError('Authentication required');
-    }
-
-    if (!roles.includes(req.user.role)) {
-      throw new ForbiddenError(`Role required: ${roles.join(' or ')}`);
-    }
-
-    next();
-  };
-};
+const apiKeyService = new ApiKeyService(db.pool);
 
 // ============================================
 // PUBLIC ROUTES
@@ -108,40 +72,38 @@ router.post(
 
 /**
  * POST /setup-demo - Setup demo admin account (for MVP/demo purposes)
- * Creates or resets admin account with simple credentials
+ * Like /bootstrap with simple credentials: only while no users exist, and never in production
  */
 router.post(
   '/setup-demo',
   asyncHandler(async (req, res) => {
+    if (config.isProd) {
+      throw new ForbiddenError('Demo setup is disabled in production');
+    }
+    const existing = await db.promisify.get('SELECT COUNT(*) as count FROM users');
+    if (parseInt(existing.count) > 0) {
+      throw new ForbiddenError('Demo setup not allowed - users already exist');
+    }
+
     const { username = 'admin', password = '1234' } = req.body;
-    
-    // Check if demo admin exists
-    const existing = await db.promisify.get('SELECT id FROM users WHERE email = $1', [username.toLowerCase()]);
-    
-    if (existing) {
-      // Update existing user's password
-      const newHash = authService.hashPassword(password);
-      await db.promisify.run(
-        'UPDATE users SET password_hash = $1, is_active = true, locked_until = NULL, failed_login_attempts = 0 WHERE id = $2',
-        [newHash, existing.id]
-      );
-      res.json({ message: 'Demo admin password reset', username });
-    } else {
-      // Create new admin user
-      const user = await authService.createUser({
+    const user = await authService.createUser(
+      {
         email: username,
         password: password,
         first_name: 'Demo',
         last_name: 'Admin',
         role: 'admin',
-      });
-      res.status(201).json({ message: 'Demo admin created', username, user });
-    }
+      },
+      { enforcePolicy: false }
+    );
+    res.status(201).json({ message: 'Demo admin created', username, user });
   })
 );
 
 /**
  * POST /login - User login
+ * Users with two-factor enabled (or whose role requires it) get an MFA challenge
+ * instead of a session; finish with POST /login/mfa.
  */
 router.post(
   '/login',
@@ -155,21 +117,94 @@ router.post(
       req.headers['user-agent']
     );
 
-    // Log the login
-    await authService.logAudit({
-      user_id: result.user.id,
-      user_email: result.user.email,
-      action: 'login',
-      resource: 'auth',
-      ip_address: req.ip,
-      user_agent: req.headers['user-agent'],
-      request_id: req.id,
-    });
+    if (result.mfa_required) {
+      return res.json(result);
+    }
 
+    await logLogin(req, result.user);
     res.json(result);
   })
 );
 
+/**
+ * POST /login/mfa/setup - Provisioning URI for a user who must enroll before signing in
+ */
+router.post(
+  '/login/mfa/setup',
+  validateBody(mfaChallengeSchema),
+  asyncHandler(async (req, res) => {
+    const setup = await authService.setupMfaFromChallenge(req.body.mfa_token);
+    res.json(setup);
+  })
+);
+
+/**
+ * POST /login/mfa - Second login step: verify TOTP/recovery code and issue the session
+ */
+router.post(
+  '/login/mfa',
+  validateBody(mfaLoginSchema),
+  asyncHandler(async (req, res) => {
+    const result = await authService.completeMfaLogin(
+      req.body.mfa_token,
+      req.body.code,
+      auditContext(req)
+    );
+
+    await logLogin(req, result.user);
+    res.json(result);
+  })
+);
+
+/**
+ * GET /password-policy - Password complexity rules
+ */
+router.get(
+  '/password-policy',
+  asyncHandler(async (req, res) => {
+    const policy = await authService.getPasswordPolicy();
+    res.json(policy);
+  })
+);
+
+/**
+ * POST /password/forgot - Send a one-time reset link (same response whether or not the account exists)
+ */
+router.post(
+  '/password/forgot',
+  validateBody(forgotPasswordSchema),
+  asyncHandler(async (req, res) => {
+    await authService.requestPasswordReset(req.body.email, auditContext(req));
+    res.status(202).json({
+      message: 'If that account exists, a password reset link has been sent',
+    });
+  })
+);
+
+/**
+ * POST /password/reset - Set a new password with a reset token
+ */
+router.post(
+  '/password/reset',
+  validateBody(resetPasswordSchema),
+  asyncHandler(async (req, res) => {
+    await authService.resetPassword(req.body.token, req.body.new_password, auditContext(req));
+    res.json({ success: true, message: 'Password reset. Sign in with your new password.' });
+  })
+);
+
+async function logLogin(req, user) {
+  await authService.logAudit({
+    user_id: user.id,
+    user_email: user.email,
+    action: 'login',
+    resource: 'auth',
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent'],
+    request_id: req.id,
+  });
+}
+
 /**
  * POST /logout - User logout
  */
@@ -201,7 +236,8 @@ router.get(
   authenticate,
   asyncHandler(async (req, res) => {
     const user = await db.promisify.get(
-      `SELECT id, email, first_name, last_name, role, employee_id, is_active, last_login, created_at
+      `SELECT id, email, first_name, last_name, role, employee_id, is_active, mfa_enabled,
+         must_change_password, last_login, created_at
        FROM users WHERE id = $1`,
       [req.user.id]
     );
@@ -218,16 +254,11 @@ router.put(
   validateBody(changePasswordSchema),
   asyncHandler(async (req, res) => {
     const { current_password, new_password } = req.body;
-
-    const user = await db.promisify.get('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
-    if (!authService.verifyPassword(current_password, user.password_hash)) {
-      throw new Error('Current password is incorrect');
-    }
-
-    const newHash = authService.hashPassword(new_password);
-    await db.promisify.run(
-      'UPDATE users SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP WHERE id = $2',
-      [newHash, req.user.id]
+    await authService.changePassword(
+      req.user.id,
+      current_password,
+      new_password,
+      req.user.session_id
     );
 
     await authService.logAudit({
@@ -244,6 +275,148 @@ router.put(
   })
 );
 
+// ============================================
+// SESSIONS
+// ============================================
+
+/**
+ * GET /sessions - Active sessions for current user (admin: ?user_id= for anyone)
+ */
+router.get(
+  '/sessions',
+  authenticate,
+  validateQuery(sessionQuerySchema),
+  asyncHandler(async (req, res) => {
+    const userId = req.query.user_id || req.user.id;
+    if (userId !== req.user.id && req.user.role !== 'admin') {
+      throw new ForbiddenError('Role required: admin');
+    }
+
+    const sessions = await authService.listSessions(userId, req.user.session_id);
+    res.json(sessions);
+  })
+);
+
+/**
+ * DELETE /sessions - Sign out all other sessions (?include_current=true for this one too)
+ */
+router.delete(
+  '/sessions',
+  authenticate,
+  validateQuery(revokeSessionsQuerySchema),
+  asyncHandler(async (req, res) => {
+    const revoked = await authService.revokeUserSessions(req.user.id, 'user_revoked', {
+      exceptSessionId: req.query.include_current ? null : req.user.session_id,
+      revokedBy: req.user.id,
+    });
+
+    await logSessionRevoke(req, req.user.id, { revoked });
+    res.json({ success: true, revoked });
+  })
+);
+
+/**
+ * DELETE /sessions/:id - Revoke one session (own, or any for admin)
+ */
+router.delete(
+  '/sessions/:id',
+  authenticate,
+  validateId,
+  asyncHandler(async (req, res) => {
+    const session = await authService.getSession(req.params.id);
+    if (session.user_id !== req.user.id && req.user.role !== 'admin') {
+      throw new NotFoundError('Session');
+    }
+
+    const reason = session.user_id === req.user.id ? 'user_revoked' : 'admin_revoked';
+    const revoked = await authService.revokeSession(session.id, reason, req.user.id);
+
+    await logSessionRevoke(req, session.user_id, { session_id: session.id });
+    res.json({ success: true, revoked: revoked ? 1 : 0 });
+  })
+);
+
+async function logSessionRevoke(req, userId, details) {
+  await authService.logAudit({
+    user_id: req.user.id,
+    user_email: req.user.email,
+    action: 'session_revoke',
+    resource: 'users',
+    resource_id: userId,
+    new_values: details,
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent'],
+    request_id: req.id,
+  });
+}
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================
+
+/**
+ * GET /mfa - Two-factor status for current user
+ */
+router.get(
+  '/mfa',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const status = await authService.getMfaStatus(req.user.id);
+    res.json(status);
+  })
+);
+
+/**
+ * POST /mfa/enroll - Start enrollment (returns secret and otpauth:// URI for the QR code)
+ */
+router.post(
+  '/mfa/enroll',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const setup = await authService.beginMfaEnrollment(req.user.id);
+    res.json(setup);
+  })
+);
+
+/**
+ * POST /mfa/activate - Confirm enrollment with a code; returns recovery codes once
+ */
+router.post(
+  '/mfa/activate',
+  authenticate,
+  validateBody(mfaCodeSchema),
+  asyncHandler(async (req, res) => {
+    const result = await authService.confirmMfaEnrollment(req.user.id, req.body.code, auditContext(req));
+    res.json({ enabled: true, ...result });
+  })
+);
+
+/**
+ * POST /mfa/disable - Turn off two-factor (password + current code)
+ */
+router.post(
+  '/mfa/disable',
+  authenticate,
+  validateBody(mfaDisableSchema),
+  asyncHandler(async (req, res) => {
+    await authService.disableMfa(req.user.id, req.body, auditContext(req));
+    res.json({ enabled: false });
+  })
+);
+
+/**
+ * POST /mfa/recovery-codes - Replace recovery codes
+ */
+router.post(
+  '/mfa/recovery-codes',
+  authenticate,
+  validateBody(mfaCodeSchema),
+  asyncHandler(async (req, res) => {
+    const result = await authService.regenerateRecoveryCodes(req.user.id, req.body.code, auditContext(req));
+    res.json(result);
+  })
+);
+
 // ============================================
 // ADMIN ROUTES - User Management
 // ============================================
@@ -260,7 +433,8 @@ router.get(
     const { role, is_active } = req.query;
 
     let sql = `
-      SELECT id, email, first_name, last_name, role, employee_id, is_active, last_login, created_at
+      SELECT id, email, first_name, last_name, role, employee_id, is_active, mfa_enabled,
+        must_change_password, failed_login_attempts, locked_until, last_login, created_at
       FROM users WHERE 1=1
     `;
     const params = [];
@@ -283,7 +457,7 @@ router.get(
 );
 
 /**
- * POST /users - Create user (admin only)
+ * POST /users - Create user (admin only); they must pick a new password on first login
  */
 router.post(
   '/users',
@@ -291,7 +465,7 @@ router.post(
   requireRole('admin'),
   validateBody(registerSchema),
   asyncHandler(async (req, res) => {
-    const user = await authService.createUser(req.body);
+    const user = await authService.createUser(req.body, { mustChangePassword: true });
 
     await authService.logAudit({
       user_id: req.user.id,
@@ -343,6 +517,10 @@ router.put(
       [req.params.id]
     );
 
+    if (oldUser.is_active && !user.is_active) {
+      await authService.revokeUserSessions(user.id, 'deactivated', { revokedBy: req.user.id });
+    }
+
     await authService.logAudit({
       user_id: req.user.id,
       user_email: req.user.email,
@@ -376,6 +554,7 @@ router.delete(
       'UPDATE users SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
       [req.params.id]
     );
+    await authService.revokeUserSessions(req.params.id, 'deactivated', { revokedBy: req.user.id });
 
     await authService.logAudit({
       user_id: req.user.id,
@@ -391,12 +570,128 @@ router.delete(
   })
 );
 
+/**
+ * POST /users/:id/unlock - Clear a locked-out account (admin only)
+ */
+router.post(
+  '/users/:id/unlock',
+  authenticate,
+  requireRole('admin'),
+  validateId,
+  asyncHandler(async (req, res) => {
+    await authService.unlockUser(req.params.id);
+
+    await authService.logAudit({
+      user_id: req.user.id,
+      user_email: req.user.email,
+      action: 'unlock',
+      resource: 'users',
+      resource_id: parseInt(req.params.id),
+      ip_address: req.ip,
+      request_id: req.id,
+    });
+
+    res.json({ success: true, message: 'User unlocked' });
+  })
+);
+
+/**
+ * DELETE /users/:id/sessions - Force logout of a user (admin only)
+ */
+router.delete(
+  '/users/:id/sessions',
+  authenticate,
+  requireRole('admin'),
+  validateId,
+  asyncHandler(async (req, res) => {
+    const revoked = await authService.revokeUserSessions(req.params.id, 'admin_revoked', {
+      revokedBy: req.user.id,
+    });
+
+    await logSessionRevoke(req, req.params.id, { revoked });
+    res.json({ success: true, revoked });
+  })
+);
+
+/**
+ * DELETE /users/:id/mfa - Reset a user's two-factor enrollment (admin only)
+ */
+router.delete(
+  '/users/:id/mfa',
+  authenticate,
+  requireRole('admin'),
+  validateId,
+  asyncHandler(async (req, res) => {
+    await authService.resetMfa(req.params.id, auditContext(req));
+    res.json({ success: true, message: 'Two-factor authentication reset' });
+  })
+);
+
+// ============================================
+// API KEYS (admin only)
+// ============================================
+
+/**
+ * GET /api-keys/scopes - Scopes that can be granted to a key
+ */
+router.get(
+  '/api-keys/scopes',
+  authenticate,
+  requireRole('admin'),
+  (req, res) => {
+    res.json(ApiKeyService.API_KEY_SCOPES);
+  }
+);
+
+/**
+ * GET /api-keys - List API keys (?include_revoked=true for revoked ones too)
+ */
+router.get(
+  '/api-keys',
+  authenticate,
+  requireRole('admin'),
+  validateQuery(apiKeyQuerySchema),
+  asyncHandler(async (req, res) => {
+    const keys = await apiKeyService.listKeys({ includeRevoked: req.query.include_revoked });
+    res.json(keys);
+  })
+);
+
+/**
+ * POST /api-keys - Issue an API key (the key itself is only shown in this response)
+ */
+router.post(
+  '/api-keys',
+  authenticate,
+  requireRole('admin'),
+  validateBody(createApiKeySchema),
+  asyncHandler(async (req, res) => {
+    const apiKey = await apiKeyService.createKey(req.body, req.user, auditContext(req));
+    res.status(201).json(apiKey);
+  })
+);
+
+/**
+ * DELETE /api-keys/:id - Revoke an API key
+ */
+router.delete(
+  '/api-keys/:id',
+  authenticate,
+  requireRole('admin'),
+  validateId,
+  asyncHandler(async (req, res) => {
+    const apiKey = await apiKeyService.revokeKey(req.params.id, req.user, auditContext(req));
+    res.json({ success: true, revoked_at: apiKey.revoked_at });
+  })
+);
+
 // ============================================
 // AUDIT LOG ROUTES
 // ============================================
 
 /**
  * GET /audit-log - Get audit log (admin/accountant)
+ * Filter by record with ?resource=<table>&resource_id=<id>
  */
 router.get(
   '/audit-log',
@@ -409,6 +704,24 @@ router.get(
   })
 );
 
+/**
+ * GET /audit-log/:resource/:id - Change history of a single record (admin/accountant)
+ */
+router.get(
+  '/audit-log/:resource/:id',
+  authenticate,
+  requireRole('admin', 'accountant'),
+  validateParams(auditRecordParamsSchema),
+  asyncHandler(async (req, res) => {
+    const logs = await authService.getAuditLog({
+      resource: req.params.resource,
+      resource_id: req.params.id,
+      limit: 500,
+    });
+    res.json(logs);
+  })
+);
+
 // ============================================
 // PERMISSIONS ROUTES
 // ============================================
@@ -6,11 +6,17 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const { asyncHandler, NotFoundError } = require('../utils/errors');
-const { validateBody, validateId, validateQuery } = require('../middleware');
+const {
+  locationClause,
+  assertLocationAccess,
+  resolveWriteLocation,
+} = require('../utils/locationScope');
+const { validateBody, validateId, validateQuery, attachLocationScope } = require('../middleware');
 const {
   createExpenseSchema,
   updateExpenseSchema,
   expenseQuerySchema,
+  expenseReportQuerySchema,
   createCategorySchema,
   updateCategorySchema,
   createLineItemsSchema,
@@ -19,6 +25,34 @@ const {
   createMarketingExpenseSchema,
 } = require('../schemas/expense.schema');
 const { expenseSummaryQuerySchema } = require('../schemas/report.schema');
+const PostingService = require('../services/PostingService');
+const ExpensePostingService = require('../services/ExpensePostingService');
+
+// Expense writes and their journal entries commit together
+const expensePostingService = new ExpensePostingService(db.pool, new PostingService(db.pool));
+
+// Columns an expense's journal entry is built from (line items aside)
+const POSTING_FIELDS = 'expense_date::text as expense_date, amount, category_id, payment_method, location_id';
+
+router.use(attachLocationScope);
+
+/**
+ * Load an expense's location and check it against the caller's location access
+ */
+async function assertExpenseInScope(req, expenseId) {
+  const expense = await db.promisify.get('SELECT location_id FROM expenses WHERE id = $1', [expenseId]);
+  if (!expense) {throw new NotFoundError('Expense');}
+  assertLocationAccess(req.locationScope, expense.location_id);
+}
+
+/**
+ * Same check for a line item, through its parent expense
+ */
+async function assertLineItemInScope(req, lineItemId) {
+  const item = await db.promisify.get('SELECT expense_id FROM expense_line_items WHERE id = $1', [lineItemId]);
+  if (!item) {throw new NotFoundError('Line item');}
+  await assertExpenseInScope(req, item.expense_id);
+}
 
 // ============================================
 // EXPENSE CATEGORIES (Static routes first!)
@@ -148,8 +182,8 @@ router.post('/suggest-category', asyncHandler(async (req, res) => {
  * GET /api/expenses/dashboard
  * Get expense dashboard data with breakdowns
  */
-router.get('/dashboard', asyncHandler(async (req, res) => {
-  const { start, end } = req.query;
+router.get('/dashboard', validateQuery(expenseReportQuerySchema), asyncHandler(async (req, res) => {
+  const { start, end, location_id } = req.query;
   
   let dateFilter = '';
   const params = [];
@@ -163,6 +197,7 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     dateFilter += ` AND e.expense_date <= $${paramIndex++}`;
     params.push(end);
   }
+  dateFilter += locationClause(req.locationScope, params, 'e.location_id', location_id);
   
   // Get totals by expense type (COGS, Operating, Marketing, Payroll, Other)
   const byType = await db.promisify.all(`
@@ -252,6 +287,7 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
   
   res.json({
     period: { start, end },
+    location_id: location_id || null,
     grand_total: grandTotal,
     by_type: byTypeWithPercent,
     by_category: byCategoryWithPercent,
@@ -268,8 +304,8 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
 /**
  * GET /api/expenses/meta/summary
  */
-router.get('/meta/summary', asyncHandler(async (req, res) => {
-  const { start, end } = req.query;
+router.get('/meta/summary', validateQuery(expenseReportQuerySchema), asyncHandler(async (req, res) => {
+  const { start, end, location_id } = req.query;
   
   let sql = `
     SELECT 
@@ -292,6 +328,7 @@ router.get('/meta/summary', asyncHandler(async (req, res) => {
     sql += ` AND e.expense_date <= $${paramIndex++}`;
     params.push(end);
   }
+  sql += locationClause(req.locationScope, params, 'e.location_id', location_id);
 
   sql += ' GROUP BY ec.expense_type, ec.name ORDER BY ec.expense_type, total_amount DESC';
   const summary = await db.promisify.all(sql, params);
@@ -377,7 +414,7 @@ router.put('/categories/:id', validateId, validateBody(updateCategorySchema), as
  * GET /api/expenses/summary
  */
 router.get('/summary', validateQuery(expenseSummaryQuerySchema), asyncHandler(async (req, res) => {
-  const { start_date, end_date, group_by = 'category' } = req.query;
+  const { start_date, end_date, location_id, group_by = 'category' } = req.query;
 
   let sql;
   const params = [];
@@ -392,6 +429,7 @@ router.get('/summary', validateQuery(expenseSummaryQuerySchema), asyncHandler(as
     dateFilter += ` AND e.expense_date <= $${paramIndex++}`;
     params.push(end_date);
   }
+  dateFilter += locationClause(req.locationScope, params, 'e.location_id', location_id);
 
   switch (group_by) {
     case 'type':
@@ -442,8 +480,8 @@ router.get('/summary', validateQuery(expenseSummaryQuerySchema), asyncHandler(as
 // MARKETING EXPENSES
 // ============================================
 
-router.get('/marketing-summary', asyncHandler(async (req, res) => {
-  const { start_date, end_date } = req.query;
+router.get('/marketing-summary', validateQuery(expenseReportQuerySchema), asyncHandler(async (req, res) => {
+  const { start_date, end_date, location_id } = req.query;
   let dateFilter = '';
   const params = [];
   let paramIndex = 1;
@@ -456,6 +494,7 @@ router.get('/marketing-summary', asyncHandler(async (req, res) => {
     dateFilter += ` AND e.expense_date <= $${paramIndex++}`;
     params.push(end_date);
   }
+  dateFilter += locationClause(req.locationScope, params, 'e.location_id', location_id);
 
   const byChannel = await db.promisify.all(`
     SELECT 
@@ -495,6 +534,7 @@ router.post('/marketing', validateBody(createMarketingExpenseSchema), asyncHandl
     target_audience, start_date, end_date,
     impressions, clicks, conversions, roi_notes
   } = req.body;
+  await assertExpenseInScope(req, expense_id);
 
   const result = await db.promisify.run(`
     INSERT INTO marketing_expenses (
@@ -517,14 +557,15 @@ router.post('/marketing', validateBody(createMarketingExpenseSchema), asyncHandl
 // ============================================
 
 router.get('/recurring', asyncHandler(async (req, res) => {
+  const params = [];
   const templates = await db.promisify.all(`
     SELECT ret.*, ec.name as category_name, v.name as vendor_name
     FROM recurring_expense_templates ret
     LEFT JOIN expense_categories ec ON ret.category_id = ec.id
     LEFT JOIN vendors v ON ret.vendor_id = v.id
-    WHERE ret.is_active = true
+    WHERE ret.is_active = true${locationClause(req.locationScope, params, 'ret.location_id')}
     ORDER BY ret.next_due_date
-  `);
+  `, params);
   res.json(templates);
 }));
 
@@ -534,17 +575,18 @@ router.post('/recurring', validateBody(createRecurringExpenseSchema), asyncHandl
     frequency, day_of_week, day_of_month, month_of_year,
     start_date, end_date, auto_create, notes
   } = req.body;
+  const locationId = resolveWriteLocation(req.locationScope, req.body.location_id);
 
   const result = await db.promisify.run(`
     INSERT INTO recurring_expense_templates (
       name, category_id, vendor_id, description, amount,
       frequency, day_of_week, day_of_month, month_of_year,
-      start_date, end_date, next_due_date, auto_create, notes
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      start_date, end_date, next_due_date, auto_create, notes, location_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
   `, [
     name, category_id, vendor_id, description, amount,
     frequency, day_of_week, day_of_month, month_of_year,
-    start_date, end_date, start_date, auto_create, notes
+    start_date, end_date, start_date, auto_create, notes, locationId
   ]);
 
   const template = await db.promisify.get(`
@@ -561,26 +603,22 @@ router.post('/recurring', validateBody(createRecurringExpenseSchema), asyncHandl
 router.post('/recurring/generate', asyncHandler(async (req, res) => {
   const today = new Date().toISOString().split('T')[0];
 
+  // Users limited to some locations generate only those locations' templates
+  const params = [today];
   const dueTemplates = await db.promisify.all(`
     SELECT * FROM recurring_expense_templates
     WHERE is_active = true AND auto_create = true
-      AND next_due_date <= $1 AND (end_date IS NULL OR end_date >= $1)
-  `, [today]);
+      AND next_due_date <= $1 AND (end_date IS NULL OR end_date >= $1)${locationClause(req.locationScope, params, 'location_id')}
+  `, params);
 
   const generated = [];
+  const skipped = [];
+  const failed = [];
 
+  // One transaction per template, so a template that cannot post (a closed period, an inactive
+  // account) is reported and the rest still generate
   for (const template of dueTemplates) {
-    const result = await db.promisify.run(`
-      INSERT INTO expenses (
-        expense_date, category_id, vendor_id, description, amount,
-        is_recurring, recurring_frequency, notes
-      ) VALUES ($1, $2, $3, $4, $5, true, $6, $7)
-    `, [
-      template.next_due_date, template.category_id, template.vendor_id,
-      template.description || template.name, template.amount,
-      template.frequency, `Auto-generated from: ${template.name}`
-    ]);
-
+    const item = { template_id: template.id, template_name: template.name, due_date: template.next_due_date };
     const nextDate = new Date(template.next_due_date);
     switch (template.frequency) {
       case 'weekly': nextDate.setDate(nextDate.getDate() + 7); break;
@@ -590,24 +628,57 @@ router.post('/recurring/generate', asyncHandler(async (req, res) => {
       case 'annual': nextDate.setFullYear(nextDate.getFullYear() + 1); break;
     }
 
-    await db.promisify.run(`
-      UPDATE recurring_expense_templates SET
-        last_generated_date = $1, next_due_date = $2
-      WHERE id = $3
-    `, [template.next_due_date, nextDate.toISOString().split('T')[0], template.id]);
-
-    generated.push({
-      template_id: template.id,
-      template_name: template.name,
-      expense_id: result.id,
-      amount: template.amount
-    });
+    try {
+      const expenseId = await db.transaction(async (client) => {
+        // Another generate may have taken this due date since the list was read
+        const current = await client.query(
+          'SELECT next_due_date FROM recurring_expense_templates WHERE id = $1 FOR UPDATE',
+          [template.id]
+        );
+        if (String(current.rows[0]?.next_due_date) !== String(template.next_due_date)) {return null;}
+
+        const result = await client.query(`
+          INSERT INTO expenses (
+            expense_date, category_id, vendor_id, description, amount,
+            is_recurring, recurring_frequency, notes, location_id
+          ) VALUES ($1, $2, $3, $4, $5, true, $6, $7, $8)
+          RETURNING id
+        `, [
+          template.next_due_date, template.category_id, template.vendor_id,
+          template.description || template.name, template.amount,
+          template.frequency, `Auto-generated from: ${template.name}`, template.location_id
+        ]);
+        await expensePostingService.postExpense(result.rows[0].id, { created_by: req.user.email }, client);
+
+        await client.query(`
+          UPDATE recurring_expense_templates SET
+            last_generated_date = $1, next_due_date = $2
+          WHERE id = $3
+        `, [template.next_due_date, nextDate.toISOString().split('T')[0], template.id]);
+        return result.rows[0].id;
+      });
+
+      if (!expenseId) {
+        skipped.push({ ...item, reason: 'Already generated' });
+        continue;
+      }
+      generated.push({
+        template_id: template.id,
+        template_name: template.name,
+        expense_id: expenseId,
+        amount: template.amount
+      });
+    } catch (err) {
+      failed.push({ ...item, error: err.message });
+    }
   }
 
   res.json({
     generated_count: generated.length,
     expenses: generated,
-    total_amount: generated.reduce((s, g) => s + parseFloat(g.amount), 0)
+    total_amount: generated.reduce((s, g) => s + parseFloat(g.amount), 0),
+    skipped,
+    failed
   });
 }));
 
@@ -621,20 +692,28 @@ router.put('/line-items/:id', validateId, validateBody(updateLineItemSchema), as
     unit_price, line_total, mapped_ingredient_id,
     mapped_category_id, mapping_confidence, notes
   } = req.body;
-
-  await db.promisify.run(`
-    UPDATE expense_line_items SET
-      raw_vendor_code = COALESCE($1, raw_vendor_code),
-      raw_description = COALESCE($2, raw_description),
-      quantity = $3, unit = $4, unit_price = $5, line_total = $6,
-      mapped_ingredient_id = $7, mapped_category_id = $8,
-      mapping_confidence = COALESCE($9, mapping_confidence), notes = $10
-    WHERE id = $11
-  `, [
-    raw_vendor_code, raw_description, quantity, unit,
-    unit_price, line_total, mapped_ingredient_id,
-    mapped_category_id, mapping_confidence, notes, req.params.id
-  ]);
+  await assertLineItemInScope(req, req.params.id);
+
+  // Totals and mapped categories drive the expense's GL split, so re-post it
+  await db.transaction(async (client) => {
+    const result = await client.query(`
+      UPDATE expense_line_items SET
+        raw_vendor_code = COALESCE($1, raw_vendor_code),
+        raw_description = COALESCE($2, raw_description),
+        quantity = $3, unit = $4, unit_price = $5, line_total = $6,
+        mapped_ingredient_id = $7, mapped_category_id = $8,
+        mapping_confidence = COALESCE($9, mapping_confidence), notes = $10
+      WHERE id = $11
+      RETURNING expense_id
+    `, [
+      raw_vendor_code, raw_description, quantity, unit,
+      unit_price, line_total, mapped_ingredient_id,
+      mapped_category_id, mapping_confidence, notes, req.params.id
+    ]);
+    if (result.rows[0]) {
+      await expensePostingService.postExpense(result.rows[0].expense_id, { created_by: req.user.email }, client);
+    }
+  });
 
   const lineItem = await db.promisify.get(`
     SELECT eli.*, i.name as ingredient_name, ec.name as mapped_category_name
@@ -649,8 +728,12 @@ router.put('/line-items/:id', validateId, validateBody(updateLineItemSchema), as
 }));
 
 router.delete('/line-items/:id', validateId, asyncHandler(async (req, res) => {
-  const result = await db.promisify.run('DELETE FROM expense_line_items WHERE id = $1', [req.params.id]);
-  if (result.changes === 0) {throw new NotFoundError('Line item');}
+  await assertLineItemInScope(req, req.params.id);
+  await db.transaction(async (client) => {
+    const result = await client.query('DELETE FROM expense_line_items WHERE id = $1 RETURNING expense_id', [req.params.id]);
+    if (!result.rows[0]) {throw new NotFoundError('Line item');}
+    await expensePostingService.postExpense(result.rows[0].expense_id, { created_by: req.user.email }, client);
+  });
   res.json({ success: true, message: 'Line item deleted' });
 }));
 
@@ -659,19 +742,20 @@ router.delete('/line-items/:id', validateId, asyncHandler(async (req, res) => {
 // ============================================
 
 router.get('/', validateQuery(expenseQuerySchema), asyncHandler(async (req, res) => {
-  const { start, end, vendor_id, category_id, payment_method } = req.query;
+  const { start, end, vendor_id, category_id, payment_method, location_id } = req.query;
   
+  const params = [];
   let sql = `
-    SELECT e.*, v.name as vendor_name, ec.name as category_name, ec.expense_type,
+    SELECT e.*, v.name as vendor_name, ec.name as category_name, ec.expense_type, l.name as location_name,
       (SELECT COUNT(*) FROM expense_documents ed WHERE ed.expense_id = e.id) as document_count,
       (SELECT COUNT(*) FROM expense_line_items eli WHERE eli.expense_id = e.id) as line_item_count
     FROM expenses e
     LEFT JOIN vendors v ON e.vendor_id = v.id
     LEFT JOIN expense_categories ec ON e.category_id = ec.id
-    WHERE 1=1
+    LEFT JOIN locations l ON e.location_id = l.id
+    WHERE 1=1${locationClause(req.locationScope, params, 'e.location_id', location_id)}
   `;
-  const params = [];
-  let paramIndex = 1;
+  let paramIndex = params.length + 1;
 
   if (start) { sql += ` AND e.expense_date >= $${paramIndex++}`; params.push(start); }
   if (end) { sql += ` AND e.expense_date <= $${paramIndex++}`; params.push(end); }
@@ -686,14 +770,16 @@ router.get('/', validateQuery(expenseQuerySchema), asyncHandler(async (req, res)
 
 router.get('/:id', validateId, asyncHandler(async (req, res) => {
   const expense = await db.promisify.get(`
-    SELECT e.*, v.name as vendor_name, ec.name as category_name, ec.expense_type
+    SELECT e.*, v.name as vendor_name, ec.name as category_name, ec.expense_type, l.name as location_name
     FROM expenses e
     LEFT JOIN vendors v ON e.vendor_id = v.id
     LEFT JOIN expense_categories ec ON e.category_id = ec.id
+    LEFT JOIN locations l ON e.location_id = l.id
     WHERE e.id = $1
   `, [req.params.id]);
 
   if (!expense) {throw new NotFoundError('Expense');}
+  assertLocationAccess(req.locationScope, expense.location_id);
 
   const lineItems = await db.promisify.all(`
     SELECT eli.*, i.name as ingredient_name, ec.name as mapped_category_name
@@ -720,18 +806,24 @@ router.post('/', validateBody(createExpenseSchema), asyncHandler(async (req, res
     payment_method, reference_number, is_recurring, recurring_frequency,
     tax_deductible, tax_category, notes
   } = req.body;
+  const locationId = resolveWriteLocation(req.locationScope, req.body.location_id);
 
-  const result = await db.promisify.run(`
-    INSERT INTO expenses (
+  const expenseId = await db.transaction(async (client) => {
+    const result = await client.query(`
+      INSERT INTO expenses (
+        expense_date, category_id, vendor_id, description, amount,
+        payment_method, reference_number, is_recurring, recurring_frequency,
+        tax_deductible, tax_category, notes, location_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING id
+    `, [
       expense_date, category_id, vendor_id, description, amount,
       payment_method, reference_number, is_recurring, recurring_frequency,
-      tax_deductible, tax_category, notes
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-  `, [
-    expense_date, category_id, vendor_id, description, amount,
-    payment_method, reference_number, is_recurring, recurring_frequency,
-    tax_deductible, tax_category, notes
-  ]);
+      tax_deductible, tax_category, notes, locationId
+    ]);
+    await expensePostingService.postExpense(result.rows[0].id, { created_by: req.user.email }, client);
+    return result.rows[0].id;
+  });
 
   const expense = await db.promisify.get(`
     SELECT e.*, v.name as vendor_name, ec.name as category_name
@@ -739,7 +831,7 @@ router.post('/', validateBody(createExpenseSchema), asyncHandler(async (req, res
     LEFT JOIN vendors v ON e.vendor_id = v.id
     LEFT JOIN expense_categories ec ON e.category_id = ec.id
     WHERE e.id = $1
-  `, [result.id]);
+  `, [expenseId]);
 
   res.status(201).json(expense);
 }));
@@ -748,28 +840,48 @@ router.put('/:id', validateId, validateBody(updateExpenseSchema), asyncHandler(a
   const {
     expense_date, category_id, vendor_id, description, amount,
     payment_method, reference_number, is_recurring, recurring_frequency,
-    tax_deductible, tax_category, notes
+    tax_deductible, tax_category, notes, location_id
   } = req.body;
+  await assertExpenseInScope(req, req.params.id);
+  if (location_id) {assertLocationAccess(req.locationScope, location_id);}
+
+  // Re-posts (reversal + new entry) only when the date, amount, accounts or location changed
+  await db.transaction(async (client) => {
+    const before = await client.query(
+      `SELECT ${POSTING_FIELDS}, journal_entry_id FROM expenses WHERE id = $1 FOR UPDATE`,
+      [req.params.id]
+    );
+    if (!before.rows[0]) {throw new NotFoundError('Expense');}
+    const after = await client.query(`
+      UPDATE expenses SET
+        expense_date = COALESCE($1, expense_date),
+        category_id = COALESCE($2, category_id),
+        vendor_id = $3,
+        description = COALESCE($4, description),
+        amount = COALESCE($5, amount),
+        payment_method = $6, reference_number = $7,
+        is_recurring = COALESCE($8, is_recurring),
+        recurring_frequency = $9,
+        tax_deductible = COALESCE($10, tax_deductible),
+        tax_category = $11, notes = $12,
+        location_id = COALESCE($13, location_id),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $14
+      RETURNING ${POSTING_FIELDS}
+    `, [
+      expense_date, category_id, vendor_id, description, amount,
+      payment_method, reference_number, is_recurring, recurring_frequency,
+      tax_deductible, tax_category, notes, location_id, req.params.id
+    ]);
 
-  await db.promisify.run(`
-    UPDATE expenses SET
-      expense_date = COALESCE($1, expense_date),
-      category_id = COALESCE($2, category_id),
-      vendor_id = $3,
-      description = COALESCE($4, description),
-      amount = COALESCE($5, amount),
-      payment_method = $6, reference_number = $7,
-      is_recurring = COALESCE($8, is_recurring),
-      recurring_frequency = $9,
-      tax_deductible = COALESCE($10, tax_deductible),
-      tax_category = $11, notes = $12,
-      updated_at = CURRENT_TIMESTAMP
-    WHERE id = $13
-  `, [
-    expense_date, category_id, vendor_id, description, amount,
-    payment_method, reference_number, is_recurring, recurring_frequency,
-    tax_deductible, tax_category, notes, req.params.id
-  ]);
+    // Expenses saved before GL posting have no entry; they post once something they post changes,
+    // so editing their notes doesn't book them (or fail in a closed period)
+    const previous = before.rows[0];
+    const changed = Object.keys(after.rows[0]).some((k) => String(previous[k]) !== String(after.rows[0][k]));
+    if (previous.journal_entry_id || changed) {
+      await expensePostingService.postExpense(req.params.id, { created_by: req.user.email }, client);
+    }
+  });
 
   const expense = await db.promisify.get(`
     SELECT e.*, v.name as vendor_name, ec.name as category_name
@@ -784,8 +896,12 @@ router.put('/:id', validateId, validateBody(updateExpenseSchema), asyncHandler(a
 }));
 
 router.delete('/:id', validateId, asyncHandler(async (req, res) => {
-  const result = await db.promisify.run('DELETE FROM expenses WHERE id = $1', [req.params.id]);
-  if (result.changes === 0) {throw new NotFoundError('Expense');}
+  await assertExpenseInScope(req, req.params.id);
+  await db.transaction(async (client) => {
+    await expensePostingService.reverseExpense(req.params.id, { created_by: req.user.email }, client);
+    const result = await client.query('DELETE FROM expenses WHERE id = $1', [req.params.id]);
+    if (result.rowCount === 0) {throw new NotFoundError('Expense');}
+  });
   res.json({ success: true, message: 'Expense deleted' });
 }));
 
@@ -794,6 +910,7 @@ router.delete('/:id', validateId, asyncHandler(async (req, res) => {
 // ============================================
 
 router.get('/:id/line-items', validateId, asyncHandler(async (req, res) => {
+  await assertExpenseInScope(req, req.params.id);
   const lineItems = await db.promisify.all(`
     SELECT eli.*, i.name as ingredient_name, ec.name as mapped_category_name
     FROM expense_line_items eli
@@ -809,24 +926,28 @@ router.post('/:id/line-items', validateId, validateBody(createLineItemsSchema),
   const expenseId = req.params.id;
   const { items } = req.body;
 
-  const expense = await db.promisify.get('SELECT id FROM expenses WHERE id = $1', [expenseId]);
-  if (!expense) {throw new NotFoundError('Expense');}
-
-  const insertedIds = [];
-  for (let i = 0; i < items.length; i++) {
-    const item = items[i];
-    const result = await db.promisify.run(`
-      INSERT INTO expense_line_items (
-        expense_id, line_number, raw_vendor_code, raw_description,
-        quantity, unit, unit_price, line_total, notes
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-    `, [
-      expenseId, item.line_number || i + 1,
-      item.raw_vendor_code, item.raw_description,
-      item.quantity, item.unit, item.unit_price, item.line_total, item.notes
-    ]);
-    insertedIds.push(result.id);
-  }
+  await assertExpenseInScope(req, expenseId);
+
+  const insertedIds = await db.transaction(async (client) => {
+    const ids = [];
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      const result = await client.query(`
+        INSERT INTO expense_line_items (
+          expense_id, line_number, raw_vendor_code, raw_description,
+          quantity, unit, unit_price, line_total, notes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+      `, [
+        expenseId, item.line_number || i + 1,
+        item.raw_vendor_code, item.raw_description,
+        item.quantity, item.unit, item.unit_price, item.line_total, item.notes
+      ]);
+      ids.push(result.rows[0].id);
+    }
+    await expensePostingService.postExpense(expenseId, { created_by: req.user.email }, client);
+    return ids;
+  });
 
   const lineItems = await db.promisify.all(`
     SELECT * FROM expense_line_items 
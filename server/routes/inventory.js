@@ -1,13 +1,20 @@
 /**
  * Inventory Routes
- * Purchase orders, receiving, movements, counts, and stock levels
+ * Purchase orders, receiving, movements, counts, stock levels, storage areas and transfers
  */
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const InventoryService = require('../services/InventoryService');
 const { asyncHandler, NotFoundError } = require('../utils/errors');
-const { validateBody, validateId, validateQuery } = require('../middleware');
+const {
+  locationClause,
+  locationFilterIds,
+  canAccessLocation,
+  assertLocationAccess,
+  resolveWriteLocation,
+} = require('../utils/locationScope');
+const { validateBody, validateId, validateQuery, attachLocationScope } = require('../middleware');
 const {
   createPurchaseOrderSchema,
   updatePurchaseOrderSchema,
@@ -19,11 +26,35 @@ const {
   countQuerySchema,
   updateLevelSchema,
   levelQuerySchema,
+  createTransferSchema,
+  updateTransferSchema,
+  receiveTransferSchema,
+  transferQuerySchema,
+  createStorageAreaSchema,
+  updateStorageAreaSchema,
+  storageAreaQuerySchema,
 } = require('../schemas/inventory.schema');
+const { locationQuerySchema } = require('../schemas/common');
 
 // Instantiate service
 const inventoryService = new InventoryService(db.pool);
 
+router.use(attachLocationScope);
+
+/**
+ * Load a purchase order and check its location against the caller's location access
+ */
+async function assertPurchaseOrderInScope(req, poId) {
+  const po = await db.promisify.get('SELECT id, status, location_id FROM purchase_orders WHERE id = $1', [
+    poId,
+  ]);
+  if (!po) {
+    throw new NotFoundError('Purchase order');
+  }
+  assertLocationAccess(req.locationScope, po.location_id);
+  return po;
+}
+
 // ============================================
 // PURCHASE ORDERS
 // ============================================
@@ -35,47 +66,48 @@ router.get(
   '/purchase-orders',
   validateQuery(poQuerySchema),
   asyncHandler(async (req, res) => {
-    const { vendor_id, status, start_date, end_date, limit, offset } = req.query;
+    const { vendor_id, location_id, status, start_date, end_date, limit, offset } = req.query;
 
-    let sql = `
-      SELECT po.*,
-        v.name as vendor_name,
-        (SELECT COUNT(*) FROM purchase_order_items WHERE purchase_order_id = po.id) as item_count,
-        (SELECT COALESCE(SUM(received_quantity), 0) FROM purchase_order_items WHERE purchase_order_id = po.id) as total_received
-      FROM purchase_orders po
-      LEFT JOIN vendors v ON po.vendor_id = v.id
-      WHERE 1=1
-    `;
     const params = [];
-    let p = 1;
+    let where = `1=1${locationClause(req.locationScope, params, 'po.location_id', location_id)}`;
+    let p = params.length + 1;
 
     if (vendor_id) {
-      sql += ` AND po.vendor_id = $${p++}`;
+      where += ` AND po.vendor_id = $${p++}`;
       params.push(vendor_id);
     }
     if (status) {
-      sql += ` AND po.status = $${p++}`;
+      where += ` AND po.status = $${p++}`;
       params.push(status);
     }
     if (start_date) {
-      sql += ` AND po.order_date >= $${p++}`;
+      where += ` AND po.order_date >= $${p++}`;
       params.push(start_date);
     }
     if (end_date) {
-      sql += ` AND po.order_date <= $${p++}`;
+      where += ` AND po.order_date <= $${p++}`;
       params.push(end_date);
     }
 
-    sql += ` ORDER BY po.order_date DESC, po.id DESC LIMIT $${p++} OFFSET $${p++}`;
-    params.push(limit, offset);
-
-    const orders = await db.promisify.all(sql, params);
+    const orders = await db.promisify.all(
+      `
+      SELECT po.*,
+        v.name as vendor_name,
+        l.name as location_name,
+        (SELECT COUNT(*) FROM purchase_order_items WHERE purchase_order_id = po.id) as item_count,
+        (SELECT COALESCE(SUM(received_quantity), 0) FROM purchase_order_items WHERE purchase_order_id = po.id) as total_received
+      FROM purchase_orders po
+      LEFT JOIN vendors v ON po.vendor_id = v.id
+      LEFT JOIN locations l ON po.location_id = l.id
+      WHERE ${where}
+      ORDER BY po.order_date DESC, po.id DESC LIMIT $${p++} OFFSET $${p++}
+      `,
+      [...params, limit, offset]
+    );
 
     const countResult = await db.promisify.get(
-      `SELECT COUNT(*) as total FROM purchase_orders po WHERE 1=1
-       ${vendor_id ? 'AND po.vendor_id = $1' : ''}
-       ${status ? `AND po.status = $${vendor_id ? 2 : 1}` : ''}`,
-      [vendor_id, status].filter(Boolean)
+      `SELECT COUNT(*) as total FROM purchase_orders po WHERE ${where}`,
+      params
     );
 
     res.json({
@@ -93,15 +125,17 @@ router.get(
   validateId,
   asyncHandler(async (req, res) => {
     const po = await db.promisify.get(
-      `SELECT po.*, v.name as vendor_name
+      `SELECT po.*, v.name as vendor_name, l.name as location_name
        FROM purchase_orders po
        LEFT JOIN vendors v ON po.vendor_id = v.id
+       LEFT JOIN locations l ON po.location_id = l.id
        WHERE po.id = $1`,
       [req.params.id]
     );
     if (!po) {
       throw new NotFoundError('Purchase order');
     }
+    assertLocationAccess(req.locationScope, po.location_id);
 
     const items = await db.promisify.all(
       `SELECT poi.*, i.name as ingredient_name
@@ -133,6 +167,7 @@ router.post(
   validateBody(createPurchaseOrderSchema),
   asyncHandler(async (req, res) => {
     const { vendor_id, order_date, expected_delivery, notes, items } = req.body;
+    const locationId = resolveWriteLocation(req.locationScope, req.body.location_id);
 
     const client = await db.pool.connect();
     try {
@@ -142,10 +177,10 @@ router.post(
       const subtotal = items.reduce((sum, item) => sum + item.quantity * item.unit_price, 0);
 
       const poResult = await client.query(
-        `INSERT INTO purchase_orders (vendor_id, order_date, expected_delivery, status, subtotal, total, notes)
-         VALUES ($1, $2, $3, 'pending', $4, $4, $5)
+        `INSERT INTO purchase_orders (vendor_id, order_date, expected_delivery, status, subtotal, total, notes, location_id)
+         VALUES ($1, $2, $3, 'pending', $4, $4, $5, $6)
          RETURNING *`,
-        [vendor_id, order_date, expected_delivery, subtotal, notes]
+        [vendor_id, order_date, expected_delivery, subtotal, notes, locationId]
       );
       const po = poResult.rows[0];
 
@@ -182,6 +217,7 @@ router.put(
   validateBody(updatePurchaseOrderSchema),
   asyncHandler(async (req, res) => {
     const { order_date, expected_delivery, status, notes } = req.body;
+    await assertPurchaseOrderInScope(req, req.params.id);
 
     await db.promisify.run(
       `UPDATE purchase_orders SET
@@ -210,10 +246,7 @@ router.delete(
   '/purchase-orders/:id',
   validateId,
   asyncHandler(async (req, res) => {
-    const po = await db.promisify.get('SELECT status FROM purchase_orders WHERE id = $1', [req.params.id]);
-    if (!po) {
-      throw new NotFoundError('Purchase order');
-    }
+    const po = await assertPurchaseOrderInScope(req, req.params.id);
     if (po.status !== 'pending') {
       throw new Error('Can only delete pending purchase orders');
     }
@@ -234,6 +267,7 @@ router.post(
   '/receipts',
   validateBody(createReceiptSchema),
   asyncHandler(async (req, res) => {
+    await assertPurchaseOrderInScope(req, req.body.purchase_order_id);
     const receipt = await inventoryService.receiveAgainstPO(req.body);
     res.status(201).json(receipt);
   })
@@ -245,17 +279,17 @@ router.post(
 router.get(
   '/receipts',
   asyncHandler(async (req, res) => {
-    const { purchase_order_id, start_date, end_date, limit = 50, offset = 0 } = req.query;
+    const { purchase_order_id, location_id, start_date, end_date, limit = 50, offset = 0 } = req.query;
 
+    const params = [];
     let sql = `
-      SELECT ir.*, po.order_date as po_order_date, v.name as vendor_name
+      SELECT ir.*, po.order_date as po_order_date, po.location_id, v.name as vendor_name
       FROM inventory_receipts ir
       JOIN purchase_orders po ON ir.purchase_order_id = po.id
       LEFT JOIN vendors v ON po.vendor_id = v.id
-      WHERE 1=1
+      WHERE 1=1${locationClause(req.locationScope, params, 'po.location_id', location_id)}
     `;
-    const params = [];
-    let p = 1;
+    let p = params.length + 1;
 
     if (purchase_order_id) {
       sql += ` AND ir.purchase_order_id = $${p++}`;
@@ -286,7 +320,7 @@ router.get(
   validateId,
   asyncHandler(async (req, res) => {
     const receipt = await db.promisify.get(
-      `SELECT ir.*, po.order_date as po_order_date, v.name as vendor_name
+      `SELECT ir.*, po.order_date as po_order_date, po.location_id, v.name as vendor_name
        FROM inventory_receipts ir
        JOIN purchase_orders po ON ir.purchase_order_id = po.id
        LEFT JOIN vendors v ON po.vendor_id = v.id
@@ -296,6 +330,7 @@ router.get(
     if (!receipt) {
       throw new NotFoundError('Receipt');
     }
+    assertLocationAccess(req.locationScope, receipt.location_id);
 
     const lines = await db.promisify.all(
       `SELECT irl.*, i.name as ingredient_name, poi.description as po_description
@@ -322,16 +357,16 @@ router.get(
   '/movements',
   validateQuery(movementQuerySchema),
   asyncHandler(async (req, res) => {
-    const { ingredient_id, movement_type, start_date, end_date, limit, offset } = req.query;
+    const { ingredient_id, location_id, movement_type, start_date, end_date, limit, offset } = req.query;
 
+    const params = [];
     let sql = `
       SELECT im.*, i.name as ingredient_name
       FROM inventory_movements im
       LEFT JOIN ingredients i ON im.ingredient_id = i.id
-      WHERE 1=1
+      WHERE 1=1${locationClause(req.locationScope, params, 'im.location_id', location_id)}
     `;
-    const params = [];
-    let p = 1;
+    let p = params.length + 1;
 
     if (ingredient_id) {
       sql += ` AND im.ingredient_id = $${p++}`;
@@ -366,7 +401,10 @@ router.post(
   '/movements',
   validateBody(createMovementSchema),
   asyncHandler(async (req, res) => {
-    const movement = await inventoryService.recordMovement(req.body);
+    const movement = await inventoryService.recordMovement({
+      ...req.body,
+      location_id: resolveWriteLocation(req.locationScope, req.body.location_id),
+    });
     res.status(201).json(movement);
   })
 );
@@ -382,16 +420,16 @@ router.get(
   '/counts',
   validateQuery(countQuerySchema),
   asyncHandler(async (req, res) => {
-    const { start_date, end_date, ingredient_id, limit, offset } = req.query;
+    const { start_date, end_date, ingredient_id, location_id, limit, offset } = req.query;
 
+    const params = [];
     let sql = `
       SELECT ic.*, i.name as ingredient_name
       FROM inventory_counts ic
       LEFT JOIN ingredients i ON ic.ingredient_id = i.id
-      WHERE 1=1
+      WHERE 1=1${locationClause(req.locationScope, params, 'ic.location_id', location_id)}
     `;
-    const params = [];
-    let p = 1;
+    let p = params.length + 1;
 
     if (ingredient_id) {
       sql += ` AND ic.ingredient_id = $${p++}`;
@@ -422,7 +460,10 @@ router.post(
   '/counts',
   validateBody(createCountSchema),
   asyncHandler(async (req, res) => {
-    const result = await inventoryService.recordCount(req.body);
+    const result = await inventoryService.recordCount({
+      ...req.body,
+      location_id: resolveWriteLocation(req.locationScope, req.body.location_id),
+    });
     res.status(201).json(result);
   })
 );
@@ -438,27 +479,31 @@ router.get(
   '/levels',
   validateQuery(levelQuerySchema),
   asyncHandler(async (req, res) => {
-    const { below_reorder, limit, offset } = req.query;
+    const { below_reorder, location_id, limit, offset } = req.query;
 
+    const params = [];
+    const locationFilter = locationClause(req.locationScope, params, 'il.location_id', location_id);
     let sql = `
-      SELECT il.*, i.name as ingredient_name, i.purchase_unit, i.usage_unit
+      SELECT il.*, i.name as ingredient_name, i.purchase_unit, i.usage_unit, l.name as location_name
       FROM inventory_levels il
       JOIN ingredients i ON il.ingredient_id = i.id
-      WHERE 1=1
+      JOIN locations l ON il.location_id = l.id
+      WHERE 1=1${locationFilter}
     `;
-    const params = [];
-    let p = 1;
+    let p = params.length + 1;
 
     if (below_reorder) {
       sql += ` AND il.quantity_on_hand < COALESCE(il.reorder_point, 0)`;
     }
 
-    sql += ` ORDER BY i.name LIMIT $${p++} OFFSET $${p++}`;
-    params.push(limit, offset);
+    sql += ` ORDER BY i.name, l.name LIMIT $${p++} OFFSET $${p++}`;
 
-    const levels = await db.promisify.all(sql, params);
+    const levels = await db.promisify.all(sql, [...params, limit, offset]);
 
-    const totalValueResult = await db.promisify.get('SELECT SUM(total_value) as total_inventory_value FROM inventory_levels');
+    const totalValueResult = await db.promisify.get(
+      `SELECT SUM(total_value) as total_inventory_value FROM inventory_levels il WHERE 1=1${locationFilter}`,
+      params
+    );
 
     res.json({
       levels,
@@ -471,18 +516,20 @@ router.get(
 );
 
 /**
- * GET /levels/:id - Get level for specific ingredient
+ * GET /levels/:id - Get level for specific ingredient (?location_id=, defaults to your location)
  */
 router.get(
   '/levels/:id',
   validateId,
+  validateQuery(locationQuerySchema),
   asyncHandler(async (req, res) => {
+    const locationId = resolveWriteLocation(req.locationScope, req.query.location_id);
     const level = await db.promisify.get(
       `SELECT il.*, i.name as ingredient_name, i.category
        FROM inventory_levels il
        JOIN ingredients i ON il.ingredient_id = i.id
-       WHERE il.ingredient_id = $1`,
-      [req.params.id]
+       WHERE il.ingredient_id = $1 AND il.location_id = $2`,
+      [req.params.id, locationId]
     );
 
     if (!level) {
@@ -493,6 +540,7 @@ router.get(
       }
       res.json({
         ingredient_id: ingredient.id,
+        location_id: locationId,
         ingredient_name: ingredient.name,
         quantity_on_hand: 0,
         unit: ingredient.unit,
@@ -515,6 +563,7 @@ router.put(
   validateBody(updateLevelSchema),
   asyncHandler(async (req, res) => {
     const { reorder_point, reorder_quantity, par_level } = req.body;
+    const locationId = resolveWriteLocation(req.locationScope, req.body.location_id);
 
     // Ensure level exists
     const ingredient = await db.promisify.get('SELECT * FROM ingredients WHERE id = $1', [req.params.id]);
@@ -522,7 +571,7 @@ router.put(
       throw new NotFoundError('Ingredient');
     }
 
-    await inventoryService.ensureLevelExists(req.params.id, ingredient.unit);
+    await inventoryService.ensureLevelExists(req.params.id, ingredient.unit, db.pool, locationId);
 
     await db.promisify.run(
       `UPDATE inventory_levels SET
@@ -530,16 +579,16 @@ router.put(
          reorder_quantity = $2,
          par_level = $3,
          updated_at = CURRENT_TIMESTAMP
-       WHERE ingredient_id = $4`,
-      [reorder_point, reorder_quantity, par_level, req.params.id]
+       WHERE ingredient_id = $4 AND location_id = $5`,
+      [reorder_point, reorder_quantity, par_level, req.params.id, locationId]
     );
 
     const level = await db.promisify.get(
       `SELECT il.*, i.name as ingredient_name
        FROM inventory_levels il
        JOIN ingredients i ON il.ingredient_id = i.id
-       WHERE il.ingredient_id = $1`,
-      [req.params.id]
+       WHERE il.ingredient_id = $1 AND il.location_id = $2`,
+      [req.params.id, locationId]
     );
 
     res.json(level);
@@ -551,21 +600,261 @@ router.put(
  */
 router.get(
   '/alerts/reorder',
+  validateQuery(locationQuerySchema),
   asyncHandler(async (req, res) => {
-    const alerts = await db.promisify.all(`
-      SELECT il.*, i.name as ingredient_name, i.purchase_unit, i.usage_unit,
+    const params = [];
+    const alerts = await db.promisify.all(
+      `
+      SELECT il.*, i.name as ingredient_name, i.purchase_unit, i.usage_unit, l.name as location_name,
         (il.reorder_point - il.quantity_on_hand) as shortage_amount
       FROM inventory_levels il
       JOIN ingredients i ON il.ingredient_id = i.id
+      JOIN locations l ON il.location_id = l.id
       WHERE il.reorder_point IS NOT NULL
-        AND il.quantity_on_hand < il.reorder_point
+        AND il.quantity_on_hand < il.reorder_point${locationClause(req.locationScope, params, 'il.location_id', req.query.location_id)}
       ORDER BY (il.reorder_point - il.quantity_on_hand) DESC
-    `);
+      `,
+      params
+    );
 
     res.json(alerts);
   })
 );
 
+// ============================================
+// STORAGE AREAS
+// ============================================
+
+/**
+ * GET /storage-areas - Storage areas (walk-in, dry storage, bar...) per location
+ */
+router.get(
+  '/storage-areas',
+  validateQuery(storageAreaQuerySchema),
+  asyncHandler(async (req, res) => {
+    const params = [];
+    let sql = `
+      SELECT sa.*, l.name as location_name
+      FROM storage_areas sa
+      JOIN locations l ON sa.location_id = l.id
+      WHERE 1=1${locationClause(req.locationScope, params, 'sa.location_id', req.query.location_id)}
+    `;
+    if (!req.query.include_inactive) {
+      sql += ' AND sa.is_active = true';
+    }
+    sql += ' ORDER BY l.name, sa.name';
+
+    const areas = await db.promisify.all(sql, params);
+    res.json(areas);
+  })
+);
+
+/**
+ * POST /storage-areas - Create storage area
+ */
+router.post(
+  '/storage-areas',
+  validateBody(createStorageAreaSchema),
+  asyncHandler(async (req, res) => {
+    const area = await db.promisify.get(
+      `INSERT INTO storage_areas (location_id, name)
+       VALUES ($1, $2)
+       RETURNING *`,
+      [resolveWriteLocation(req.locationScope, req.body.location_id), req.body.name]
+    );
+    res.status(201).json(area);
+  })
+);
+
+/**
+ * PUT /storage-areas/:id - Rename or deactivate storage area
+ */
+router.put(
+  '/storage-areas/:id',
+  validateId,
+  validateBody(updateStorageAreaSchema),
+  asyncHandler(async (req, res) => {
+    const existing = await db.promisify.get('SELECT location_id FROM storage_areas WHERE id = $1', [
+      req.params.id,
+    ]);
+    if (!existing) {
+      throw new NotFoundError('Storage area');
+    }
+    assertLocationAccess(req.locationScope, existing.location_id);
+
+    const area = await db.promisify.get(
+      `UPDATE storage_areas SET
+         name = COALESCE($1, name),
+         is_active = COALESCE($2, is_active),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [req.body.name, req.body.is_active, req.params.id]
+    );
+    res.json(area);
+  })
+);
+
+// ============================================
+// TRANSFERS
+// ============================================
+
+/**
+ * Load a transfer; the caller needs access to the given side ('from'/'to') or, without one,
+ * to either side
+ */
+async function assertTransferInScope(req, transferId, side = null) {
+  const transfer = await db.promisify.get(
+    'SELECT id, status, from_location_id, to_location_id FROM inventory_transfers WHERE id = $1',
+    [transferId]
+  );
+  if (!transfer) {
+    throw new NotFoundError('Inventory transfer');
+  }
+  if (side) {
+    assertLocationAccess(req.locationScope, transfer[`${side}_location_id`]);
+  } else if (
+    !canAccessLocation(req.locationScope, transfer.from_location_id) &&
+    !canAccessLocation(req.locationScope, transfer.to_location_id)
+  ) {
+    assertLocationAccess(req.locationScope, transfer.to_location_id);
+  }
+  return transfer;
+}
+
+/**
+ * GET /transfers - Transfers into or out of the caller's locations
+ */
+router.get(
+  '/transfers',
+  validateQuery(transferQuerySchema),
+  asyncHandler(async (req, res) => {
+    const { status, location_id, start_date, end_date, limit, offset } = req.query;
+
+    const params = [];
+    let sql = `
+      SELECT t.*, fl.name as from_location_name, tl.name as to_location_name,
+        (SELECT COUNT(*) FROM inventory_transfer_lines itl WHERE itl.transfer_id = t.id) as line_count
+      FROM inventory_transfers t
+      JOIN locations fl ON t.from_location_id = fl.id
+      JOIN locations tl ON t.to_location_id = tl.id
+      WHERE 1=1
+    `;
+    const locationIds = locationFilterIds(req.locationScope, location_id);
+    if (locationIds) {
+      params.push(locationIds);
+      sql += ` AND (t.from_location_id = ANY($1::int[]) OR t.to_location_id = ANY($1::int[]))`;
+    }
+    let p = params.length + 1;
+
+    if (status) {
+      sql += ` AND t.status = $${p++}`;
+      params.push(status);
+    }
+    if (start_date) {
+      sql += ` AND t.transfer_date >= $${p++}`;
+      params.push(start_date);
+    }
+    if (end_date) {
+      sql += ` AND t.transfer_date <= $${p++}`;
+      params.push(end_date);
+    }
+
+    sql += ` ORDER BY t.transfer_date DESC, t.id DESC LIMIT $${p++} OFFSET $${p++}`;
+    params.push(limit, offset);
+
+    const transfers = await db.promisify.all(sql, params);
+
+    res.json({ transfers, pagination: { limit, offset } });
+  })
+);
+
+/**
+ * GET /transfers/:id - Transfer with lines
+ */
+router.get(
+  '/transfers/:id',
+  validateId,
+  asyncHandler(async (req, res) => {
+    await assertTransferInScope(req, req.params.id);
+    const transfer = await inventoryService.getTransfer(req.params.id);
+    res.json(transfer);
+  })
+);
+
+/**
+ * POST /transfers - Create draft transfer
+ */
+router.post(
+  '/transfers',
+  validateBody(createTransferSchema),
+  asyncHandler(async (req, res) => {
+    const transfer = await inventoryService.createTransfer({
+      ...req.body,
+      from_location_id: resolveWriteLocation(req.locationScope, req.body.from_location_id),
+      created_by: req.user.email,
+    });
+    res.status(201).json(transfer);
+  })
+);
+
+/**
+ * PUT /transfers/:id - Edit draft transfer
+ */
+router.put(
+  '/transfers/:id',
+  validateId,
+  validateBody(updateTransferSchema),
+  asyncHandler(async (req, res) => {
+    await assertTransferInScope(req, req.params.id, 'from');
+    const transfer = await inventoryService.updateTransfer(req.params.id, req.body);
+    res.json(transfer);
+  })
+);
+
+/**
+ * POST /transfers/:id/send - Ship a draft; stock leaves the source location
+ */
+router.post(
+  '/transfers/:id/send',
+  validateId,
+  asyncHandler(async (req, res) => {
+    await assertTransferInScope(req, req.params.id, 'from');
+    const transfer = await inventoryService.sendTransfer(req.params.id, { sent_by: req.user.email });
+    res.json(transfer);
+  })
+);
+
+/**
+ * POST /transfers/:id/receive - Receive at the destination, recording any discrepancies
+ */
+router.post(
+  '/transfers/:id/receive',
+  validateId,
+  validateBody(receiveTransferSchema),
+  asyncHandler(async (req, res) => {
+    await assertTransferInScope(req, req.params.id, 'to');
+    const transfer = await inventoryService.receiveTransfer(req.params.id, {
+      ...req.body,
+      received_by: req.user.email,
+    });
+    res.json(transfer);
+  })
+);
+
+/**
+ * POST /transfers/:id/cancel - Cancel a draft
+ */
+router.post(
+  '/transfers/:id/cancel',
+  validateId,
+  asyncHandler(async (req, res) => {
+    await assertTransferInScope(req, req.params.id, 'from');
+    const transfer = await inventoryService.cancelTransfer(req.params.id);
+    res.json(transfer);
+  })
+);
+
 // Export router and service
 module.exports = router;
 module.exports.inventoryService = inventoryService;
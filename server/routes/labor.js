@@ -6,8 +6,30 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const LaborService = require('../services/LaborService');
+const ApprovalService = require('../services/ApprovalService');
 const { asyncHandler, NotFoundError } = require('../utils/errors');
-const { validateBody, validateId, validateQuery } = require('../middleware');
+const { auditContext } = require('../utils/audit');
+const {
+  resolveDataScope,
+  scopeClause,
+  canAccessEmployee,
+  assertEmployeeInScope,
+  assertUnrestrictedScope,
+} = require('../utils/dataScope');
+const {
+  resolveLocationScope,
+  canAccessLocation,
+  locationClause,
+  assertLocationAccess,
+  resolveWriteLocation,
+} = require('../utils/locationScope');
+const {
+  validateBody,
+  validateId,
+  validateQuery,
+  attachDataScope,
+  attachLocationScope,
+} = require('../middleware');
 const {
   createScheduleSchema,
   updateScheduleSchema,
@@ -21,11 +43,86 @@ const {
   tipPoolSessionSchema,
   distributeTipPoolSchema,
   tipQuerySchema,
+  createEmployeeTimeOffSchema,
+  reviewTimeOffSchema,
+  timeOffQuerySchema,
   payrollExportSchema,
 } = require('../schemas/labor.schema');
 
 // Instantiate service
 const laborService = new LaborService(db.pool);
+const approvalService = new ApprovalService(db.pool);
+
+// Punch corrections are applied only once a manager over the employee and location approves them;
+// the approver is recorded as adjusted_by
+ApprovalService.registerHandler('timeclock_adjustment', {
+  approverRole: 'manager',
+  inScope: async (client, request, user) => {
+    const result = await client.query(
+      'SELECT employee_id, location_id FROM timeclock_entries WHERE id = $1',
+      [request.reference_id]
+    );
+    const entry = result.rows[0];
+    if (!entry) {return true;} // execute reports the missing entry
+    if (!canAccessLocation(await resolveLocationScope(client, user), entry.location_id)) {return false;}
+    return canAccessEmployee(client, await resolveDataScope(client, user), entry.employee_id);
+  },
+  execute: async (client, request, context) => {
+    const { clock_in, clock_out, total_break_minutes, adjustment_reason } = request.payload;
+    const adjustedBy = (context.user && context.user.email) || null;
+    const result = await client.query(
+      `UPDATE timeclock_entries SET
+         clock_in = COALESCE($1, clock_in),
+         clock_out = $2,
+         total_break_minutes = COALESCE($3, total_break_minutes),
+         status = 'adjusted',
+         adjusted_by = $4,
+         adjusted_at = CURRENT_TIMESTAMP,
+         adjustment_reason = $5
+       WHERE id = $6
+       RETURNING *`,
+      [clock_in, clock_out, total_break_minutes, adjustedBy, adjustment_reason, request.reference_id]
+    );
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Timeclock entry');
+    }
+    return { timeclock_entry: result.rows[0] };
+  },
+});
+
+// Employees see their own rows, department managers their department (see utils/dataScope)
+router.use(attachDataScope);
+router.use(attachLocationScope);
+
+/**
+ * Load a schedule and check its employee and location against the caller's scopes
+ */
+async function assertScheduleInScope(req, scheduleId) {
+  const schedule = await db.promisify.get(
+    'SELECT employee_id, location_id FROM schedules WHERE id = $1',
+    [scheduleId]
+  );
+  if (!schedule) {
+    throw new NotFoundError('Schedule');
+  }
+  assertLocationAccess(req.locationScope, schedule.location_id);
+  await assertEmployeeInScope(db.pool, req.dataScope, schedule.employee_id);
+}
+
+/**
+ * Load a timeclock entry and check its employee and location against the caller's scopes
+ */
+async function assertEntryInScope(req, entryId) {
+  const entry = await db.promisify.get(
+    'SELECT employee_id, location_id FROM timeclock_entries WHERE id = $1',
+    [entryId]
+  );
+  if (!entry) {
+    throw new NotFoundError('Timeclock entry');
+  }
+  assertLocationAccess(req.locationScope, entry.location_id);
+  await assertEmployeeInScope(db.pool, req.dataScope, entry.employee_id);
+}
 
 // ============================================
 // SCHEDULING
@@ -38,16 +135,21 @@ router.get(
   '/schedules',
   validateQuery(scheduleQuerySchema),
   asyncHandler(async (req, res) => {
-    const { employee_id, start_date, end_date, department, status } = req.query;
+    const { employee_id, start_date, end_date, department, status, location_id } = req.query;
 
+    const params = [];
     let sql = `
       SELECT s.*, e.first_name, e.last_name, e.position as employee_position
       FROM schedules s
       JOIN employees e ON s.employee_id = e.id
-      WHERE 1=1
+      WHERE 1=1${scopeClause(req.dataScope, params)}${locationClause(
+        req.locationScope,
+        params,
+        's.location_id',
+        location_id
+      )}
     `;
-    const params = [];
-    let p = 1;
+    let p = params.length + 1;
 
     if (employee_id) {
       sql += ` AND s.employee_id = $${p++}`;
@@ -88,13 +190,15 @@ router.post(
       employee_id, schedule_date, shift_start, shift_end,
       break_minutes, position, department, notes, created_by
     } = req.body;
+    await assertEmployeeInScope(db.pool, req.dataScope, employee_id);
+    const locationId = resolveWriteLocation(req.locationScope, req.body.location_id);
 
     const result = await db.promisify.run(
       `INSERT INTO schedules (
          employee_id, schedule_date, shift_start, shift_end,
-         break_minutes, position, department, notes, created_by
-       ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
-      [employee_id, schedule_date, shift_start, shift_end, break_minutes, position, department, notes, created_by]
+         break_minutes, position, department, notes, created_by, location_id
+       ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+      [employee_id, schedule_date, shift_start, shift_end, break_minutes, position, department, notes, created_by, locationId]
     );
 
     const schedule = await db.promisify.get(
@@ -118,17 +222,24 @@ router.post(
       throw new Error('Schedules array is required');
     }
 
-    const created = [];
+    const locationIds = [];
     for (const sched of schedules) {
+      await assertEmployeeInScope(db.pool, req.dataScope, sched.employee_id);
+      locationIds.push(resolveWriteLocation(req.locationScope, sched.location_id));
+    }
+
+    const created = [];
+    for (const [i, sched] of schedules.entries()) {
       const result = await db.promisify.run(
         `INSERT INTO schedules (
            employee_id, schedule_date, shift_start, shift_end,
-           break_minutes, position, department, notes, created_by
-         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+           break_minutes, position, department, notes, created_by, location_id
+         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
         [sched.employee_id, sched.schedule_date, sched.shift_start, sched.shift_end,
-         sched.break_minutes || 0, sched.position, sched.department, sched.notes, sched.created_by]
+         sched.break_minutes || 0, sched.position, sched.department, sched.notes, sched.created_by,
+         locationIds[i]]
       );
-      created.push({ id: result.id, ...sched });
+      created.push({ id: result.id, ...sched, location_id: locationIds[i] });
     }
 
     res.status(201).json({ created: created.length, schedules: created });
@@ -144,6 +255,7 @@ router.put(
   validateBody(updateScheduleSchema),
   asyncHandler(async (req, res) => {
     const { shift_start, shift_end, break_minutes, position, department, status, notes } = req.body;
+    await assertScheduleInScope(req, req.params.id);
 
     await db.promisify.run(
       `UPDATE schedules SET
@@ -174,6 +286,7 @@ router.delete(
   '/schedules/:id',
   validateId,
   asyncHandler(async (req, res) => {
+    await assertScheduleInScope(req, req.params.id);
     const result = await db.promisify.run('DELETE FROM schedules WHERE id = $1', [req.params.id]);
     if (result.changes === 0) {
       throw new NotFoundError('Schedule');
@@ -193,8 +306,9 @@ router.get(
   '/timeclock',
   validateQuery(timeclockQuerySchema),
   asyncHandler(async (req, res) => {
-    const { employee_id, start_date, end_date, status, department } = req.query;
+    const { employee_id, start_date, end_date, status, department, location_id } = req.query;
 
+    const params = [];
     let sql = `
       SELECT tc.*, e.first_name, e.last_name,
         CASE WHEN tc.clock_out IS NOT NULL THEN
@@ -204,10 +318,14 @@ router.get(
         END as hours_worked
       FROM timeclock_entries tc
       JOIN employees e ON tc.employee_id = e.id
-      WHERE 1=1
+      WHERE 1=1${scopeClause(req.dataScope, params)}${locationClause(
+        req.locationScope,
+        params,
+        'tc.location_id',
+        location_id
+      )}
     `;
-    const params = [];
-    let p = 1;
+    let p = params.length + 1;
 
     if (employee_id) {
       sql += ` AND tc.employee_id = $${p++}`;
@@ -243,14 +361,19 @@ router.get(
 router.get(
   '/timeclock/active',
   asyncHandler(async (req, res) => {
+    const params = [];
     const entries = await db.promisify.all(`
       SELECT tc.*, e.first_name, e.last_name, e.position as employee_position,
         EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - tc.clock_in)) / 3600 as hours_since_clock_in
       FROM timeclock_entries tc
       JOIN employees e ON tc.employee_id = e.id
-      WHERE tc.clock_out IS NULL
+      WHERE tc.clock_out IS NULL${scopeClause(req.dataScope, params)}${locationClause(
+        req.locationScope,
+        params,
+        'tc.location_id'
+      )}
       ORDER BY tc.clock_in
-    `);
+    `, params);
     res.json(entries);
   })
 );
@@ -262,6 +385,10 @@ router.post(
   '/timeclock/clock-in',
   validateBody(clockInSchema),
   asyncHandler(async (req, res) => {
+    await assertEmployeeInScope(db.pool, req.dataScope, req.body.employee_id);
+    if (req.body.location_id) {
+      assertLocationAccess(req.locationScope, req.body.location_id);
+    }
     const entry = await laborService.clockIn(req.body);
     res.status(201).json(entry);
   })
@@ -275,6 +402,7 @@ router.post(
   validateId,
   validateBody(clockOutSchema),
   asyncHandler(async (req, res) => {
+    await assertEntryInScope(req, req.params.id);
     const entry = await laborService.clockOut(req.params.id, req.body.clock_out, req.body.notes);
     res.json(entry);
   })
@@ -288,39 +416,35 @@ router.post(
   validateId,
   validateBody(breakSchema),
   asyncHandler(async (req, res) => {
+    await assertEntryInScope(req, req.params.id);
     const entry = await laborService.handleBreak(req.params.id, req.body.action);
     res.json(entry);
   })
 );
 
 /**
- * PUT /timeclock/:id/adjust - Adjust timeclock entry
+ * PUT /timeclock/:id/adjust - Request a timeclock adjustment (applied on manager approval)
  */
 router.put(
   '/timeclock/:id/adjust',
   validateId,
   validateBody(adjustTimeclockSchema),
   asyncHandler(async (req, res) => {
-    const { clock_in, clock_out, total_break_minutes, adjusted_by, adjustment_reason } = req.body;
+    await assertEntryInScope(req, req.params.id);
+    const entry = await db.promisify.get('SELECT * FROM timeclock_entries WHERE id = $1', [req.params.id]);
 
-    await db.promisify.run(
-      `UPDATE timeclock_entries SET
-         clock_in = COALESCE($1, clock_in),
-         clock_out = $2,
-         total_break_minutes = COALESCE($3, total_break_minutes),
-         status = 'adjusted',
-         adjusted_by = $4,
-         adjusted_at = CURRENT_TIMESTAMP,
-         adjustment_reason = $5
-       WHERE id = $6`,
-      [clock_in, clock_out, total_break_minutes, adjusted_by, adjustment_reason, req.params.id]
+    const approval = await approvalService.requestApproval(
+      {
+        request_type: 'timeclock_adjustment',
+        reference_type: 'timeclock_entry',
+        reference_id: entry.id,
+        payload: req.body,
+        notes: req.body.adjustment_reason,
+      },
+      auditContext(req)
     );
 
-    const entry = await db.promisify.get('SELECT * FROM timeclock_entries WHERE id = $1', [req.params.id]);
-    if (!entry) {
-      throw new NotFoundError('Timeclock entry');
-    }
-    res.json(entry);
+    res.status(202).json({ approval_required: true, approval, timeclock_entry: entry });
   })
 );
 
@@ -330,6 +454,7 @@ router.put(
 router.get(
   '/timeclock/employee/:employeeId/active',
   asyncHandler(async (req, res) => {
+    await assertEmployeeInScope(db.pool, req.dataScope, req.params.employeeId);
     const entry = await laborService.getActiveEntry(req.params.employeeId);
     res.json(entry || { active: false });
   })
@@ -348,14 +473,14 @@ router.get(
   asyncHandler(async (req, res) => {
     const { employee_id, start_date, end_date } = req.query;
 
+    const params = [];
     let sql = `
       SELECT tr.*, e.first_name, e.last_name
       FROM tip_records tr
       JOIN employees e ON tr.employee_id = e.id
-      WHERE 1=1
+      WHERE 1=1${scopeClause(req.dataScope, params)}
     `;
-    const params = [];
-    let p = 1;
+    let p = params.length + 1;
 
     if (employee_id) {
       sql += ` AND tr.employee_id = $${p++}`;
@@ -389,6 +514,8 @@ router.post(
       cash_tips, credit_tips, tip_out_given, hours_worked, notes
     } = req.body;
 
+    await assertEmployeeInScope(db.pool, req.dataScope, employee_id);
+
     const total_tips = parseFloat(cash_tips) + parseFloat(credit_tips) - parseFloat(tip_out_given);
 
     const result = await db.promisify.run(
@@ -434,7 +561,7 @@ router.get(
         END as tips_per_hour
       FROM employees e
       LEFT JOIN tip_records tr ON e.id = tr.employee_id ${dateFilter ? 'AND ' + dateFilter.replace('WHERE ', '') : ''}
-      WHERE e.is_active = true
+      WHERE e.is_active = true${scopeClause(req.dataScope, params)}
       GROUP BY e.id, e.first_name, e.last_name, e.department
       HAVING SUM(tr.total_tips) > 0
       ORDER BY total_tips DESC
@@ -450,6 +577,7 @@ router.get(
 
 /**
  * GET /tip-pools - List tip pool sessions
+ * Sessions carry no per-employee data; distributions are scoped on GET /tip-pools/:id
  */
 router.get(
   '/tip-pools',
@@ -471,6 +599,7 @@ router.post(
   '/tip-pools',
   validateBody(tipPoolSessionSchema),
   asyncHandler(async (req, res) => {
+    assertUnrestrictedScope(req.dataScope);
     const { pool_date, pool_type, total_pool_amount, distribution_method, notes } = req.body;
 
     const result = await db.promisify.run(
@@ -491,6 +620,7 @@ router.post(
   '/tip-pools/:id/calculate',
   validateId,
   asyncHandler(async (req, res) => {
+    assertUnrestrictedScope(req.dataScope);
     const result = await laborService.calculateTipPool(req.params.id);
     res.json(result);
   })
@@ -504,6 +634,7 @@ router.post(
   validateId,
   validateBody(distributeTipPoolSchema),
   asyncHandler(async (req, res) => {
+    assertUnrestrictedScope(req.dataScope);
     const result = await laborService.distributeTipPool(req.params.id, req.body.approved_by);
     res.json(result);
   })
@@ -521,18 +652,107 @@ router.get(
       throw new NotFoundError('Tip pool session');
     }
 
+    const params = [req.params.id];
     const distributions = await db.promisify.all(`
       SELECT tpd.*, e.first_name, e.last_name
       FROM tip_pool_distributions tpd
       JOIN employees e ON tpd.employee_id = e.id
-      WHERE tpd.pool_session_id = $1
+      WHERE tpd.pool_session_id = $1${scopeClause(req.dataScope, params)}
       ORDER BY tpd.amount DESC
-    `, [req.params.id]);
+    `, params);
 
     res.json({ ...pool, distributions });
   })
 );
 
+// ============================================
+// TIME OFF
+// ============================================
+
+/**
+ * GET /time-off - List time-off requests
+ */
+router.get(
+  '/time-off',
+  validateQuery(timeOffQuerySchema),
+  asyncHandler(async (req, res) => {
+    const { employee_id, status, start_date, end_date } = req.query;
+
+    const params = [];
+    let sql = `
+      SELECT tor.*, e.first_name, e.last_name, e.department
+      FROM time_off_requests tor
+      JOIN employees e ON tor.employee_id = e.id
+      WHERE 1=1${scopeClause(req.dataScope, params)}
+    `;
+    let p = params.length + 1;
+
+    if (employee_id) {
+      sql += ` AND tor.employee_id = $${p++}`;
+      params.push(employee_id);
+    }
+    if (status) {
+      sql += ` AND tor.status = $${p++}`;
+      params.push(status);
+    }
+    if (start_date) {
+      sql += ` AND tor.end_date >= $${p++}`;
+      params.push(start_date);
+    }
+    if (end_date) {
+      sql += ` AND tor.start_date <= $${p++}`;
+      params.push(end_date);
+    }
+
+    sql += ' ORDER BY tor.start_date, e.last_name';
+
+    const requests = await db.promisify.all(sql, params);
+    res.json(requests);
+  })
+);
+
+/**
+ * POST /time-off - Enter time off on an employee's behalf
+ */
+router.post(
+  '/time-off',
+  validateBody(createEmployeeTimeOffSchema),
+  asyncHandler(async (req, res) => {
+    await assertEmployeeInScope(db.pool, req.dataScope, req.body.employee_id);
+    const request = await laborService.requestTimeOff(req.body.employee_id, req.body);
+    res.status(201).json(request);
+  })
+);
+
+/**
+ * POST /time-off/:id/approve|reject - Review a pending request
+ */
+for (const [segment, decision] of [['approve', 'approved'], ['reject', 'rejected']]) {
+  router.post(
+    `/time-off/:id/${segment}`,
+    validateId,
+    validateBody(reviewTimeOffSchema),
+    asyncHandler(async (req, res) => {
+      const request = await db.promisify.get(
+        'SELECT employee_id FROM time_off_requests WHERE id = $1',
+        [req.params.id]
+      );
+      if (!request) {
+        throw new NotFoundError('Time-off request');
+      }
+      await assertEmployeeInScope(db.pool, req.dataScope, request.employee_id);
+
+      const reviewed = await laborService.reviewTimeOff(
+        req.params.id,
+        decision,
+        req.user.id,
+        req.body.review_notes
+      );
+      res.json(reviewed);
+    })
+  );
+}
+
 // ============================================
 // PAYROLL EXPORT
 // ============================================
@@ -546,7 +766,12 @@ router.get(
   asyncHandler(async (req, res) => {
     const { start_date, end_date, include_tips, format } = req.query;
     
-    const data = await laborService.generatePayrollExport(start_date, end_date, include_tips);
+    const data = await laborService.generatePayrollExport(
+      start_date,
+      end_date,
+      include_tips,
+      req.dataScope
+    );
     
     if (format === 'csv') {
       // Generate CSV
@@ -570,6 +795,7 @@ router.get(
     const { start_date, end_date } = req.query;
     
     // Get labor hours and costs
+    const laborParams = [start_date, end_date].filter(Boolean);
     const laborData = await db.promisify.all(`
       SELECT 
         DATE(tc.clock_in) as work_date,
@@ -582,19 +808,24 @@ router.get(
         AND tc.status IN ('completed', 'approved')
         ${start_date ? 'AND DATE(tc.clock_in) >= $1' : ''}
         ${end_date ? `AND DATE(tc.clock_in) <= $${start_date ? 2 : 1}` : ''}
+        ${scopeClause(req.dataScope, laborParams)}
+        ${locationClause(req.locationScope, laborParams, 'tc.location_id', req.query.location_id)}
       GROUP BY DATE(tc.clock_in), tc.department
       ORDER BY work_date, tc.department
-    `, [start_date, end_date].filter(Boolean));
+    `, laborParams);
 
-    // Get revenue for the same period
+    // Get revenue for the same period (one daily_revenue row per location per day)
+    const revenueParams = [start_date, end_date].filter(Boolean);
     const revenueData = await db.promisify.all(`
-      SELECT date, total_net_sales
+      SELECT date, SUM(total_net_sales) as total_net_sales
       FROM daily_revenue
       WHERE 1=1
         ${start_date ? 'AND date >= $1' : ''}
         ${end_date ? `AND date <= $${start_date ? 2 : 1}` : ''}
+        ${locationClause(req.locationScope, revenueParams, 'location_id', req.query.location_id)}
+      GROUP BY date
       ORDER BY date
-    `, [start_date, end_date].filter(Boolean));
+    `, revenueParams);
 
     // Calculate labor percentage
     const totalLabor = laborData.reduce((sum, d) => sum + parseFloat(d.labor_cost || 0), 0);
@@ -1,27 +1,143 @@
 /**
  * Ledger Routes
- * Journal entry creation + GL reporting + fiscal periods management.
+ * Journal entry creation + GL reporting + fiscal periods management and year-end close.
+ * GL reports (including the indirect-method cash flow statement) take ?location_id= and are
+ * limited to the caller's locations;
+ * ?by_location=true returns per-location columns with eliminations and a consolidated total;
+ * ?compare=months|qtd|ytd on the income statement and balance sheet returns period columns.
+ * Every report carries `rollups`: subtotals for the header accounts above its rows. The trial
+ * balance and income statement filter on ?department=&daypart=&class= and split into columns with
+ * ?group_by= (see utils/dimensions).
+ * /imports loads QuickBooks and Xero exports as rollback-able batches (see GLImportService);
+ * /export writes the ledger back out in their formats (see GLExportService).
+ * /reconciliation checks subledgers against their control accounts.
  */
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const PostingService = require('../services/PostingService');
-const { asyncHandler, NotFoundError } = require('../utils/errors');
-const { validateQuery, validateId, validateBody } = require('../middleware');
+const ApprovalService = require('../services/ApprovalService');
+const ConsolidationService = require('../services/ConsolidationService');
+const PeriodCloseService = require('../services/PeriodCloseService');
+const RecurringJournalService = require('../services/RecurringJournalService');
+const CashFlowService = require('../services/CashFlowService');
+const ChartOfAccountsService = require('../services/ChartOfAccountsService');
+const ComparativeStatementService = require('../services/ComparativeStatementService');
+const GLImportService = require('../services/GLImportService');
+const GLExportService = require('../services/GLExportService');
+const SubledgerReconciliationService = require('../services/SubledgerReconciliationService');
+const { asyncHandler, NotFoundError, ValidationError, ForbiddenError } = require('../utils/errors');
+const { auditContext } = require('../utils/audit');
+const { DIMENSIONS, dimensionClause, collapseByDimension } = require('../utils/dimensions');
+const {
+  locationClause,
+  locationFilterIds,
+  assertLocationAccess,
+} = require('../utils/locationScope');
+const {
+  validateQuery,
+  validateId,
+  validateBody,
+  validateParams,
+  requireRole,
+  attachLocationScope,
+} = require('../middleware');
 const {
   createJournalEntrySchema,
+  reverseJournalEntrySchema,
+  voidJournalEntrySchema,
+  processAutoReversalsSchema,
   ledgerQuerySchema,
   trialBalanceQuerySchema,
   incomeStatementQuerySchema,
   balanceSheetQuerySchema,
+  cashFlowQuerySchema,
+  createEliminationSchema,
+  eliminationQuerySchema,
   createFiscalPeriodSchema,
+  createRecurringJournalSchema,
+  updateRecurringJournalSchema,
+  recurringJournalQuerySchema,
+  recurringPreviewQuerySchema,
+  generateRecurringJournalsSchema,
+  checklistSignOffSchema,
+  yearEndCloseSchema,
+  yearEndRollbackSchema,
+  glImportSchema,
+  glImportRollbackSchema,
+  glExportSchema,
+  glExportRunsQuerySchema,
+  glExportRunFileQuerySchema,
+  glCrosswalkQuerySchema,
+  saveGlCrosswalkSchema,
+  reconciliationQuerySchema,
+  reconciliationParamsSchema,
 } = require('../schemas/journal.schema');
 
-// Instantiate posting service
+// Instantiate services
 const postingService = new PostingService(db.pool);
+const approvalService = new ApprovalService(db.pool);
+const chartOfAccountsService = new ChartOfAccountsService(db.pool);
+const consolidationService = new ConsolidationService(db.pool, postingService, chartOfAccountsService);
+const periodCloseService = new PeriodCloseService(db.pool, postingService);
+const recurringJournalService = new RecurringJournalService(db.pool, postingService);
+const cashFlowService = new CashFlowService(db.pool, chartOfAccountsService);
+const comparativeStatementService = new ComparativeStatementService(db.pool, chartOfAccountsService);
+const glImportService = new GLImportService(db.pool, postingService);
+const glExportService = new GLExportService(db.pool);
+const reconciliationService = new SubledgerReconciliationService(db.pool);
+
+router.use(attachLocationScope);
+
+/**
+ * Consolidated views and eliminations span every location
+ */
+function assertConsolidatedAccess(req) {
+  if (!req.locationScope.all) {
+    throw new ForbiddenError('Consolidated statements require access to every location');
+  }
+  if (req.query.location_id) {
+    throw new ValidationError('location_id cannot be combined with by_location');
+  }
+}
+
+/**
+ * Reading, reversing or voiding an entry needs access to every location on its lines
+ */
+async function assertEntryInScope(req, entryId) {
+  const entry = await db.promisify.get('SELECT id FROM journal_entries WHERE id = $1', [entryId]);
+  if (!entry) {
+    throw new NotFoundError('Journal entry');
+  }
+  const lines = await db.promisify.all(
+    'SELECT DISTINCT location_id FROM journal_entry_lines WHERE journal_entry_id = $1 AND location_id IS NOT NULL',
+    [entryId]
+  );
+  for (const line of lines) {
+    assertLocationAccess(req.locationScope, line.location_id);
+  }
+}
+
+// Re-opening a closed period runs only after an admin approves it
+ApprovalService.registerHandler('period_reopen', {
+  approverRole: 'admin',
+  execute: async (client, request) => {
+    const result = await client.query(
+      `UPDATE fiscal_periods
+       SET is_closed = false, closed_at = NULL, closed_by = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [request.reference_id]
+    );
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Fiscal period');
+    }
+    return { fiscal_period: result.rows[0] };
+  },
+});
 
 // ============================================
-// JOURNAL ENTRIES (create / list / get)
+// JOURNAL ENTRIES (create / list / get / reverse / void)
 // ============================================
 
 /**
@@ -31,7 +147,12 @@ router.post(
   '/journal-entries',
   validateBody(createJournalEntrySchema),
   asyncHandler(async (req, res) => {
-    const entry = await postingService.createJournalEntry(req.body);
+    const locationIds = [req.body.location_id, ...req.body.lines.map((l) => l.location_id)];
+    for (const locationId of new Set(locationIds.filter(Boolean))) {
+      assertLocationAccess(req.locationScope, locationId);
+    }
+
+    const entry = await postingService.createJournalEntry({ ...req.body, created_by: req.user.email });
     res.status(201).json(entry);
   })
 );
@@ -43,10 +164,13 @@ router.get(
   '/journal-entries',
   validateQuery(ledgerQuerySchema),
   asyncHandler(async (req, res) => {
-    const { start_date, end_date, limit, offset } = req.query;
+    const { start_date, end_date, location_id, limit, offset } = req.query;
     const params = [];
-    let p = 1;
-    let where = '1=1';
+    const locationFilter = locationClause(req.locationScope, params, 'jel.location_id', location_id);
+    let p = params.length + 1;
+    let where = locationFilter
+      ? `EXISTS (SELECT 1 FROM journal_entry_lines jel WHERE jel.journal_entry_id = je.id${locationFilter})`
+      : '1=1';
 
     if (start_date) {
       where += ` AND je.entry_date >= $${p++}`;
@@ -57,13 +181,17 @@ router.get(
       params.push(end_date);
     }
 
+    const countParams = [...params];
+    // Users limited to some locations only see the lines at those locations
+    const lineFilter = locationClause(req.locationScope, params, 'jel.location_id');
+    p = params.length + 1;
     params.push(limit, offset);
 
     const entries = await db.promisify.all(
       `
       SELECT
         je.*,
-        (SELECT json_agg(row_to_json(jel.*)) FROM journal_entry_lines jel WHERE jel.journal_entry_id = je.id) as lines
+        (SELECT json_agg(row_to_json(jel.*)) FROM journal_entry_lines jel WHERE jel.journal_entry_id = je.id${lineFilter}) as lines
       FROM journal_entries je
       WHERE ${where}
       ORDER BY je.entry_date DESC, je.id DESC
@@ -74,7 +202,7 @@ router.get(
 
     const countResult = await db.promisify.get(
       `SELECT COUNT(*) as total FROM journal_entries je WHERE ${where}`,
-      params.slice(0, -2)
+      countParams
     );
 
     res.json({
@@ -95,6 +223,7 @@ router.get(
   '/journal-entries/:id',
   validateId,
   asyncHandler(async (req, res) => {
+    await assertEntryInScope(req, req.params.id);
     const entry = await db.promisify.get(
       `
       SELECT
@@ -107,7 +236,8 @@ router.get(
             'account_name', a.name,
             'debit', jel.debit,
             'credit', jel.credit,
-            'description', jel.description
+            'description', jel.description,
+            'location_id', jel.location_id
           )
         ) FROM journal_entry_lines jel
         JOIN accounts a ON a.id = jel.account_id
@@ -126,6 +256,56 @@ router.get(
   })
 );
 
+/**
+ * POST /journal-entries/auto-reversals - reverse accruals whose auto_reverse_on has arrived
+ * (run daily, like /api/expenses/recurring/generate)
+ */
+router.post(
+  '/journal-entries/auto-reversals',
+  validateBody(processAutoReversalsSchema),
+  asyncHandler(async (req, res) => {
+    if (!req.locationScope.all) {
+      throw new ForbiddenError('Processing auto-reversals requires access to every location');
+    }
+    const result = await postingService.processAutoReversals(req.body.as_of_date);
+    res.json(result);
+  })
+);
+
+/**
+ * POST /journal-entries/:id/reverse - post a linked mirror entry (date must be in an open period)
+ */
+router.post(
+  '/journal-entries/:id/reverse',
+  validateId,
+  validateBody(reverseJournalEntrySchema),
+  asyncHandler(async (req, res) => {
+    await assertEntryInScope(req, req.params.id);
+    const reversal = await postingService.reverseJournalEntry(req.params.id, {
+      ...req.body,
+      created_by: req.user.email,
+    });
+    res.status(201).json(reversal);
+  })
+);
+
+/**
+ * POST /journal-entries/:id/void - void an entry; it stays on record, netted by a same-date mirror
+ */
+router.post(
+  '/journal-entries/:id/void',
+  validateId,
+  validateBody(voidJournalEntrySchema),
+  asyncHandler(async (req, res) => {
+    await assertEntryInScope(req, req.params.id);
+    const entry = await postingService.voidJournalEntry(req.params.id, {
+      reason: req.body.reason,
+      voided_by: req.user.email,
+    });
+    res.json(entry);
+  })
+);
+
 // ============================================
 // GENERAL LEDGER (by account)
 // ============================================
@@ -139,11 +319,14 @@ router.get(
       throw new NotFoundError('Account');
     }
 
-    const { start_date, end_date, limit, offset } = req.query;
-    const params = [req.params.id];
-    let p = 2;
+    const { start_date, end_date, location_id, limit, offset } = req.query;
+    // A header account's ledger holds the lines of every account beneath it
+    const params = [
+      account.is_header ? await chartOfAccountsService.descendantIds(account.id) : [account.id],
+    ];
+    let where = `jel.account_id = ANY($1::int[])${locationClause(req.locationScope, params, 'jel.location_id', location_id)}`;
+    let p = params.length + 1;
 
-    let where = 'jel.account_id = $1';
     if (start_date) {
       where += ` AND je.entry_date >= $${p++}`;
       params.push(start_date);
@@ -164,9 +347,14 @@ router.get(
         je.reference_type,
         je.reference_id,
         jel.id as line_id,
+        jel.account_id,
         jel.debit,
         jel.credit,
-        jel.description as line_description
+        jel.description as line_description,
+        jel.location_id,
+        jel.department,
+        jel.daypart,
+        jel.class
       FROM journal_entry_lines jel
       JOIN journal_entries je ON jel.journal_entry_id = je.id
       WHERE ${where}
@@ -189,7 +377,13 @@ router.get(
 
     res.json({
       account,
-      query: { start_date: start_date || null, end_date: end_date || null, limit, offset },
+      query: {
+        start_date: start_date || null,
+        end_date: end_date || null,
+        location_id: location_id || null,
+        limit,
+        offset,
+      },
       lines: enriched,
     });
   })
@@ -204,6 +398,11 @@ router.get(
   asyncHandler(async (req, res) => {
     const asOf = req.query.as_of_date || new Date().toISOString().split('T')[0];
     const includeZero = req.query.include_zero;
+    const groupBy = req.query.group_by;
+    const params = [asOf];
+    const locationFilter =
+      locationClause(req.locationScope, params, 'jel.location_id', req.query.location_id) +
+      dimensionClause(req.query, params);
 
     const rows = await db.promisify.all(
       `
@@ -214,27 +413,39 @@ router.get(
         a.account_type,
         a.sub_type,
         COALESCE(SUM(jel.debit), 0) as total_debits,
-        COALESCE(SUM(jel.credit), 0) as total_credits
+        COALESCE(SUM(jel.credit), 0) as total_credits${groupBy ? `,
+        jel.${groupBy} as dimension` : ''}
       FROM accounts a
-      LEFT JOIN journal_entry_lines jel ON jel.account_id = a.id
+      LEFT JOIN journal_entry_lines jel ON jel.account_id = a.id${locationFilter}
       LEFT JOIN journal_entries je ON je.id = jel.journal_entry_id AND je.entry_date <= $1
-      GROUP BY a.id, a.account_number, a.name, a.account_type, a.sub_type
+      WHERE COALESCE(a.is_header, false) = false
+      GROUP BY a.id, a.account_number, a.name, a.account_type, a.sub_type${groupBy ? `, jel.${groupBy}` : ''}
       ORDER BY a.account_number
       `,
-      [asOf]
+      params
     );
+    const grouped = groupBy ? collapseByDimension(rows, ['total_debits', 'total_credits']) : null;
 
-    const items = rows
+    const items = (grouped ? grouped.rows : rows)
       .map((r) => {
         const debits = parseFloat(r.total_debits) || 0;
         const credits = parseFloat(r.total_credits) || 0;
         const balance = debits - credits;
-        return {
+        const item = {
           ...r,
           total_debits: debits,
           total_credits: credits,
           balance: parseFloat(balance.toFixed(2)),
         };
+        if (r.by_dimension) {
+          item.by_dimension = Object.fromEntries(
+            Object.entries(r.by_dimension).map(([key, d]) => [
+              key,
+              parseFloat((d.total_debits - d.total_credits).toFixed(2)),
+            ])
+          );
+        }
+        return item;
       })
       .filter((r) => includeZero || r.balance !== 0);
 
@@ -249,12 +460,22 @@ router.get(
 
     res.json({
       as_of_date: asOf,
+      location_id: req.query.location_id || null,
+      dimensions: Object.fromEntries(DIMENSIONS.map((d) => [d, req.query[d] || null])),
+      group_by: groupBy || null,
+      ...(grouped && { columns: grouped.columns }),
       totals: {
         total_debits: parseFloat(totals.debits.toFixed(2)),
         total_credits: parseFloat(totals.credits.toFixed(2)),
         difference: parseFloat((totals.debits - totals.credits).toFixed(2)),
       },
       accounts: items,
+      rollups: await chartOfAccountsService.rollups(items, (r) => ({
+        total_debits: r.total_debits,
+        total_credits: r.total_credits,
+        balance: r.balance,
+        ...(r.by_dimension && { by_dimension: r.by_dimension }),
+      })),
     });
   })
 );
@@ -266,7 +487,25 @@ router.get(
   '/financials/income-statement',
   validateQuery(incomeStatementQuerySchema),
   asyncHandler(async (req, res) => {
-    const { start_date, end_date } = req.query;
+    if (req.query.by_location) {
+      assertConsolidatedAccess(req);
+      res.json(await consolidationService.incomeStatement(req.query));
+      return;
+    }
+    if (req.query.compare) {
+      res.json(
+        await comparativeStatementService.incomeStatement({
+          compare: req.query.compare,
+          end_date: req.query.end_date,
+          locationIds: locationFilterIds(req.locationScope, req.query.location_id),
+          dimensions: req.query,
+        })
+      );
+      return;
+    }
+
+    const { start_date, end_date, location_id, group_by: groupBy } = req.query;
+    const params = [start_date, end_date];
 
     const rows = await db.promisify.all(
       `
@@ -276,29 +515,42 @@ router.get(
         a.name,
         a.account_type,
         COALESCE(SUM(jel.debit), 0) as debits,
-        COALESCE(SUM(jel.credit), 0) as credits
+        COALESCE(SUM(jel.credit), 0) as credits${groupBy ? `,
+        jel.${groupBy} as dimension` : ''}
       FROM accounts a
       JOIN journal_entry_lines jel ON jel.account_id = a.id
       JOIN journal_entries je ON je.id = jel.journal_entry_id
       WHERE je.entry_date BETWEEN $1 AND $2
-        AND a.account_type IN ('revenue', 'expense')
-      GROUP BY a.id, a.account_number, a.name, a.account_type
+        AND COALESCE(je.is_closing, false) = false -- year-end closing entries zero the year out
+        AND a.account_type IN ('revenue', 'expense')${locationClause(req.locationScope, params, 'jel.location_id', location_id)}${dimensionClause(req.query, params)}
+      GROUP BY a.id, a.account_number, a.name, a.account_type${groupBy ? `, jel.${groupBy}` : ''}
       ORDER BY a.account_number
       `,
-      [start_date, end_date]
+      params
     );
+    const grouped = groupBy ? collapseByDimension(rows, ['debits', 'credits']) : null;
 
     const revenue = [];
     const expenses = [];
     let totalRevenue = 0;
     let totalExpenses = 0;
+    // Revenue accounts normally have credit balances; expenses debit balances.
+    const normal = (accountType, debits, credits) =>
+      accountType === 'revenue' ? credits - debits : debits - credits;
 
-    for (const r of rows) {
+    for (const r of grouped ? grouped.rows : rows) {
       const debits = parseFloat(r.debits) || 0;
       const credits = parseFloat(r.credits) || 0;
-      // Revenue accounts normally have credit balances; expenses debit balances.
-      const net = r.account_type === 'revenue' ? credits - debits : debits - credits;
+      const net = normal(r.account_type, debits, credits);
       const item = { ...r, net: parseFloat(net.toFixed(2)) };
+      if (r.by_dimension) {
+        item.by_dimension = Object.fromEntries(
+          Object.entries(r.by_dimension).map(([key, d]) => [
+            key,
+            parseFloat(normal(r.account_type, d.debits, d.credits).toFixed(2)),
+          ])
+        );
+      }
       if (r.account_type === 'revenue') {
         revenue.push(item);
         totalRevenue += net;
@@ -309,15 +561,40 @@ router.get(
     }
 
     const netIncome = totalRevenue - totalExpenses;
+    const columnTotal = (items, key) => items.reduce((sum, i) => sum + (i.by_dimension[key] || 0), 0);
 
     res.json({
       period: { start_date, end_date },
+      location_id: location_id || null,
+      dimensions: Object.fromEntries(DIMENSIONS.map((d) => [d, req.query[d] || null])),
+      group_by: groupBy || null,
+      ...(grouped && { columns: grouped.columns }),
       revenue,
       expenses,
+      rollups: await chartOfAccountsService.rollups([...revenue, ...expenses], (r) => ({
+        net: r.net,
+        ...(r.by_dimension && { by_dimension: r.by_dimension }),
+      })),
       totals: {
         total_revenue: parseFloat(totalRevenue.toFixed(2)),
         total_expenses: parseFloat(totalExpenses.toFixed(2)),
         net_income: parseFloat(netIncome.toFixed(2)),
+        ...(grouped && {
+          by_dimension: Object.fromEntries(
+            grouped.columns.map((key) => {
+              const keyRevenue = columnTotal(revenue, key);
+              const keyExpenses = columnTotal(expenses, key);
+              return [
+                key,
+                {
+                  total_revenue: parseFloat(keyRevenue.toFixed(2)),
+                  total_expenses: parseFloat(keyExpenses.toFixed(2)),
+                  net_income: parseFloat((keyRevenue - keyExpenses).toFixed(2)),
+                },
+              ];
+            })
+          ),
+        }),
       },
     });
   })
@@ -330,7 +607,25 @@ router.get(
   '/financials/balance-sheet',
   validateQuery(balanceSheetQuerySchema),
   asyncHandler(async (req, res) => {
+    if (req.query.by_location) {
+      assertConsolidatedAccess(req);
+      res.json(await consolidationService.balanceSheet(req.query));
+      return;
+    }
+    if (req.query.compare) {
+      res.json(
+        await comparativeStatementService.balanceSheet({
+          compare: req.query.compare,
+          as_of_date: req.query.as_of_date,
+          locationIds: locationFilterIds(req.locationScope, req.query.location_id),
+        })
+      );
+      return;
+    }
+
     const asOf = req.query.as_of_date;
+    const params = [asOf];
+    const locationFilter = locationClause(req.locationScope, params, 'jel.location_id', req.query.location_id);
 
     const rows = await db.promisify.all(
       `
@@ -342,13 +637,13 @@ router.get(
         COALESCE(SUM(jel.debit), 0) as debits,
         COALESCE(SUM(jel.credit), 0) as credits
       FROM accounts a
-      LEFT JOIN journal_entry_lines jel ON jel.account_id = a.id
+      LEFT JOIN journal_entry_lines jel ON jel.account_id = a.id${locationFilter}
       LEFT JOIN journal_entries je ON je.id = jel.journal_entry_id AND je.entry_date <= $1
-      WHERE a.account_type IN ('asset', 'liability', 'equity')
+      WHERE a.account_type IN ('asset', 'liability', 'equity') AND COALESCE(a.is_header, false) = false
       GROUP BY a.id, a.account_number, a.name, a.account_type
       ORDER BY a.account_number
       `,
-      [asOf]
+      params
     );
 
     const assets = [];
@@ -383,9 +678,13 @@ router.get(
 
     res.json({
       as_of_date: asOf,
+      location_id: req.query.location_id || null,
       assets,
       liabilities,
       equity,
+      rollups: await chartOfAccountsService.rollups([...assets, ...liabilities, ...equity], (r) => ({
+        balance: r.balance,
+      })),
       totals: {
         total_assets: parseFloat(totalAssets.toFixed(2)),
         total_liabilities: parseFloat(totalLiabilities.toFixed(2)),
@@ -397,6 +696,159 @@ router.get(
   })
 );
 
+// ============================================
+// FINANCIALS: CASH FLOW (indirect method)
+// ============================================
+router.get(
+  '/financials/cash-flow',
+  validateQuery(cashFlowQuerySchema),
+  asyncHandler(async (req, res) => {
+    const { start_date, end_date, location_id } = req.query;
+    const statement = await cashFlowService.statement({
+      start_date,
+      end_date,
+      locationIds: locationFilterIds(req.locationScope, location_id),
+    });
+    res.json(statement);
+  })
+);
+
+// ============================================
+// INTERCOMPANY ELIMINATIONS
+// ============================================
+
+/**
+ * GET /eliminations - Elimination entries (?start_date=&end_date=)
+ */
+router.get(
+  '/eliminations',
+  validateQuery(eliminationQuerySchema),
+  asyncHandler(async (req, res) => {
+    assertConsolidatedAccess(req);
+    const entries = await consolidationService.listEliminations(req.query);
+    res.json(entries);
+  })
+);
+
+/**
+ * POST /eliminations - Post an elimination entry against intercompany accounts
+ */
+router.post(
+  '/eliminations',
+  validateBody(createEliminationSchema),
+  asyncHandler(async (req, res) => {
+    assertConsolidatedAccess(req);
+    const entry = await consolidationService.createElimination({ ...req.body, created_by: req.user.email });
+    res.status(201).json(entry);
+  })
+);
+
+// ============================================
+// RECURRING JOURNAL TEMPLATES
+// ============================================
+
+/**
+ * Template and line locations must all be accessible to the caller
+ */
+function assertTemplateLocations(req, body) {
+  const locationIds = [body.location_id, ...(body.lines || []).map((l) => l.location_id)];
+  for (const locationId of new Set(locationIds.filter(Boolean))) {
+    assertLocationAccess(req.locationScope, locationId);
+  }
+}
+
+/**
+ * GET /recurring - recurring journal templates
+ */
+router.get(
+  '/recurring',
+  validateQuery(recurringJournalQuerySchema),
+  asyncHandler(async (req, res) => {
+    const templates = await recurringJournalService.listTemplates({
+      include_inactive: req.query.include_inactive,
+      locationIds: locationFilterIds(req.locationScope),
+    });
+    res.json(templates);
+  })
+);
+
+/**
+ * GET /recurring/preview - upcoming runs through ?through_date=, flagged when in a closed period
+ */
+router.get(
+  '/recurring/preview',
+  validateQuery(recurringPreviewQuerySchema),
+  asyncHandler(async (req, res) => {
+    const preview = await recurringJournalService.previewRuns({
+      through_date: req.query.through_date,
+      template_id: req.query.template_id,
+      locationIds: locationFilterIds(req.locationScope),
+    });
+    res.json(preview);
+  })
+);
+
+/**
+ * POST /recurring/generate - post every run due through as_of_date (run daily)
+ */
+router.post(
+  '/recurring/generate',
+  validateBody(generateRecurringJournalsSchema),
+  asyncHandler(async (req, res) => {
+    if (!req.locationScope.all) {
+      throw new ForbiddenError('Generating recurring journals requires access to every location');
+    }
+    const result = await recurringJournalService.generate(req.body.as_of_date, {
+      created_by: req.user.email,
+    });
+    res.json(result);
+  })
+);
+
+/**
+ * GET /recurring/:id - template with lines and recent runs
+ */
+router.get(
+  '/recurring/:id',
+  validateId,
+  asyncHandler(async (req, res) => {
+    const template = await recurringJournalService.getTemplate(req.params.id);
+    assertTemplateLocations(req, template);
+    res.json(template);
+  })
+);
+
+/**
+ * POST /recurring - create template
+ */
+router.post(
+  '/recurring',
+  validateBody(createRecurringJournalSchema),
+  asyncHandler(async (req, res) => {
+    assertTemplateLocations(req, req.body);
+    const template = await recurringJournalService.createTemplate({
+      ...req.body,
+      created_by: req.user.email,
+    });
+    res.status(201).json(template);
+  })
+);
+
+/**
+ * PUT /recurring/:id - update template (is_active=false stops it)
+ */
+router.put(
+  '/recurring/:id',
+  validateId,
+  validateBody(updateRecurringJournalSchema),
+  asyncHandler(async (req, res) => {
+    assertTemplateLocations(req, await recurringJournalService.getTemplate(req.params.id));
+    assertTemplateLocations(req, req.body);
+    const template = await recurringJournalService.updateTemplate(req.params.id, req.body);
+    res.json(template);
+  })
+);
+
 // ============================================
 // FISCAL PERIODS
 // ============================================
@@ -442,46 +894,327 @@ router.get(
   })
 );
 
+/**
+ * GET /periods/:id/checklist - run the pre-close checklist
+ */
+router.get(
+  '/periods/:id/checklist',
+  validateId,
+  asyncHandler(async (req, res) => {
+    const checklist = await periodCloseService.runChecklist(req.params.id);
+    res.json(checklist);
+  })
+);
+
+/**
+ * POST /periods/:id/checklist/:key/sign-off - accept a failing checklist item
+ */
+router.post(
+  '/periods/:id/checklist/:key/sign-off',
+  validateId,
+  validateBody(checklistSignOffSchema),
+  asyncHandler(async (req, res) => {
+    const signoff = await periodCloseService.signOff(req.params.id, req.params.key, {
+      signed_off_by: req.user.email,
+      note: req.body.note,
+    });
+    res.json(signoff);
+  })
+);
+
+/**
+ * POST /periods/:id/close - close a period; blocking checklist items must pass or be signed off
+ */
 router.post(
   '/periods/:id/close',
   validateId,
   asyncHandler(async (req, res) => {
-    await db.promisify.run(
-      `
-      UPDATE fiscal_periods
-      SET is_closed = true, closed_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-      `,
-      [req.params.id]
-    );
+    const period = await periodCloseService.closePeriod(req.params.id, { closed_by: req.user.email });
+    res.json(period);
+  })
+);
 
+/**
+ * POST /periods/:id/reopen - Request re-opening of a closed period (requires admin approval)
+ */
+router.post(
+  '/periods/:id/reopen',
+  validateId,
+  asyncHandler(async (req, res) => {
     const period = await db.promisify.get('SELECT * FROM fiscal_periods WHERE id = $1', [req.params.id]);
     if (!period) {
       throw new NotFoundError('Fiscal period');
     }
-    res.json(period);
+    if (!period.is_closed) {
+      throw new ValidationError('Fiscal period is not closed');
+    }
+
+    const approval = await approvalService.requestApproval(
+      {
+        request_type: 'period_reopen',
+        reference_type: 'fiscal_period',
+        reference_id: period.id,
+        notes: req.body.reason || null,
+      },
+      auditContext(req)
+    );
+
+    res.status(202).json({ approval_required: true, approval, fiscal_period: period });
   })
 );
 
+// ============================================
+// YEAR-END CLOSE
+// ============================================
+
+/**
+ * Closing entries span every location
+ */
+function assertAllLocations(req) {
+  if (!req.locationScope.all) {
+    throw new ForbiddenError('Year-end close requires access to every location');
+  }
+}
+
+/**
+ * GET /periods/:id/year-end-close - close history and closing reports for a fiscal year
+ */
+router.get(
+  '/periods/:id/year-end-close',
+  validateId,
+  asyncHandler(async (req, res) => {
+    const closes = await periodCloseService.listCloses(req.params.id);
+    res.json(closes);
+  })
+);
+
+/**
+ * POST /periods/:id/year-end-close - close revenue and expenses into retained earnings and lock
+ * every period in the year ({ dry_run: true } returns the closing report only)
+ */
 router.post(
-  '/periods/:id/reopen',
+  '/periods/:id/year-end-close',
   validateId,
+  validateBody(yearEndCloseSchema),
   asyncHandler(async (req, res) => {
-    // Re-opening requires future auth/role check
-    await db.promisify.run(
-      `
-      UPDATE fiscal_periods
-      SET is_closed = false, closed_at = NULL
-      WHERE id = $1
-      `,
-      [req.params.id]
-    );
+    assertAllLocations(req);
+    const result = await periodCloseService.closeYear(req.params.id, {
+      closed_by: req.user.email,
+      dry_run: req.body.dry_run,
+    });
+    res.status(req.body.dry_run ? 200 : 201).json(result);
+  })
+);
 
-    const period = await db.promisify.get('SELECT * FROM fiscal_periods WHERE id = $1', [req.params.id]);
-    if (!period) {
-      throw new NotFoundError('Fiscal period');
+/**
+ * POST /periods/:id/year-end-close/rollback - reverse the closing entry and re-open the year (admin)
+ */
+router.post(
+  '/periods/:id/year-end-close/rollback',
+  requireRole('admin'),
+  validateId,
+  validateBody(yearEndRollbackSchema),
+  asyncHandler(async (req, res) => {
+    const result = await periodCloseService.rollbackYear(req.params.id, {
+      rolled_back_by: req.user.email,
+      reason: req.body.reason,
+    });
+    res.json(result);
+  })
+);
+
+// ============================================
+// GL IMPORTS (QuickBooks / Xero)
+// ============================================
+
+/**
+ * GET /imports - import batches, newest first (admin)
+ */
+router.get(
+  '/imports',
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    const batches = await glImportService.listBatches();
+    res.json(batches);
+  })
+);
+
+/**
+ * GET /imports/account-map - external accounts mapped by earlier imports (?source=)
+ */
+router.get(
+  '/imports/account-map',
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    const mappings = await glImportService.listAccountMap(req.query.source || null);
+    res.json(mappings);
+  })
+);
+
+/**
+ * GET /imports/:id - one import batch
+ */
+router.get(
+  '/imports/:id',
+  requireRole('admin'),
+  validateId,
+  asyncHandler(async (req, res) => {
+    const batch = await glImportService.getBatch(req.params.id);
+    res.json(batch);
+  })
+);
+
+/**
+ * POST /imports - import a QuickBooks IIF or QuickBooks Online / Xero CSV export as one batch
+ * ({ dry_run: true } returns the account mapping, new periods and problems without posting)
+ */
+router.post(
+  '/imports',
+  requireRole('admin'),
+  validateBody(glImportSchema),
+  asyncHandler(async (req, res) => {
+    if (req.body.location_id) {
+      assertLocationAccess(req.locationScope, req.body.location_id);
     }
-    res.json(period);
+    if (req.body.dry_run) {
+      const preview = await glImportService.preview(req.body);
+      return res.json(preview);
+    }
+    const batch = await glImportService.importBatch(req.body, { created_by: req.user.email });
+    res.status(201).json(batch);
+  })
+);
+
+/**
+ * POST /imports/:id/rollback - void a batch's journal entries
+ */
+router.post(
+  '/imports/:id/rollback',
+  requireRole('admin'),
+  validateId,
+  validateBody(glImportRollbackSchema),
+  asyncHandler(async (req, res) => {
+    const result = await glImportService.rollback(req.params.id, {
+      rolled_back_by: req.user.email,
+      reason: req.body.reason,
+    });
+    res.json(result);
+  })
+);
+
+// ============================================
+// SUBLEDGER RECONCILIATION
+// ============================================
+
+/**
+ * GET /reconciliation?as_of_date= - every subledger vs its control account
+ */
+router.get(
+  '/reconciliation',
+  validateQuery(reconciliationQuerySchema),
+  asyncHandler(async (req, res) => {
+    assertAllLocations(req);
+    const asOf = req.query.as_of_date || new Date().toISOString().split('T')[0];
+    const result = await reconciliationService.reconcileAll(asOf);
+    res.json(result);
+  })
+);
+
+/**
+ * GET /reconciliation/:key?as_of_date=&limit= - one reconciliation with the unmatched documents
+ * (accounts_payable, inventory, card_receivable, gift_cards)
+ */
+router.get(
+  '/reconciliation/:key',
+  validateParams(reconciliationParamsSchema),
+  validateQuery(reconciliationQuerySchema),
+  asyncHandler(async (req, res) => {
+    assertAllLocations(req);
+    const asOf = req.query.as_of_date || new Date().toISOString().split('T')[0];
+    const result = await reconciliationService.reconcile(req.params.key, asOf, {
+      limit: req.query.limit,
+    });
+    res.json(result);
+  })
+);
+
+// ============================================
+// GL EXPORT (QuickBooks / Xero)
+// ============================================
+
+function sendExportFile(res, file) {
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.setHeader('X-Export-Run-Id', String(file.run.id));
+  res.send(file.content);
+}
+
+/**
+ * GET /export/crosswalk?format= - what each account exports as
+ */
+router.get(
+  '/export/crosswalk',
+  requireRole('admin', 'accountant'),
+  validateQuery(glCrosswalkQuerySchema),
+  asyncHandler(async (req, res) => {
+    const accounts = await glExportService.listCrosswalk(req.query.format);
+    res.json(accounts);
+  })
+);
+
+/**
+ * PUT /export/crosswalk - set external account names/codes for a format (admin)
+ */
+router.put(
+  '/export/crosswalk',
+  requireRole('admin'),
+  validateBody(saveGlCrosswalkSchema),
+  asyncHandler(async (req, res) => {
+    const accounts = await glExportService.saveCrosswalk(req.body.format, req.body.mappings);
+    res.json(accounts);
+  })
+);
+
+/**
+ * GET /export/runs - export history (?format=)
+ */
+router.get(
+  '/export/runs',
+  requireRole('admin', 'accountant'),
+  validateQuery(glExportRunsQuerySchema),
+  asyncHandler(async (req, res) => {
+    const runs = await glExportService.listRuns(req.query.format || null);
+    res.json(runs);
+  })
+);
+
+/**
+ * GET /export/runs/:id/file - download a past run again
+ */
+router.get(
+  '/export/runs/:id/file',
+  requireRole('admin', 'accountant'),
+  validateId,
+  validateQuery(glExportRunFileQuerySchema),
+  asyncHandler(async (req, res) => {
+    assertAllLocations(req);
+    const file = await glExportService.runFile(req.params.id, req.query.date_format);
+    sendExportFile(res, file);
+  })
+);
+
+/**
+ * POST /export - export journal entries for a date range as IIF, QuickBooks Online CSV or Xero CSV
+ * and record the run ({ only_unexported: true } skips entries already sent in this format)
+ */
+router.post(
+  '/export',
+  requireRole('admin', 'accountant'),
+  validateBody(glExportSchema),
+  asyncHandler(async (req, res) => {
+    assertAllLocations(req);
+    const file = await glExportService.exportEntries(req.body, { created_by: req.user.email });
+    sendExportFile(res, file);
   })
 );
 
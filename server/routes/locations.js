@@ -0,0 +1,202 @@
+/**
+ * Location Routes
+ * Stores and per-user location access (see utils/locationScope)
+ */
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { asyncHandler, NotFoundError, ValidationError } = require('../utils/errors');
+const { writeAuditEntry } = require('../utils/audit');
+const { resolveLocationScope, assertLocationAccess } = require('../utils/locationScope');
+const {
+  validateBody,
+  validateId,
+  validateQuery,
+  requireRole,
+  attachLocationScope,
+} = require('../middleware');
+const {
+  createLocationSchema,
+  updateLocationSchema,
+  locationListQuerySchema,
+  userLocationsSchema,
+} = require('../schemas/location.schema');
+
+router.use(attachLocationScope);
+
+// ============================================
+// USER ACCESS
+// ============================================
+
+/**
+ * GET /users/:id - Locations a user can access (admin only)
+ */
+router.get(
+  '/users/:id',
+  requireRole('admin'),
+  validateId,
+  asyncHandler(async (req, res) => {
+    const user = await db.promisify.get('SELECT id, email, role FROM users WHERE id = $1', [
+      req.params.id,
+    ]);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    const scope = await resolveLocationScope(db.pool, user);
+    res.json({ user_id: user.id, all_locations: scope.all, location_ids: scope.locationIds });
+  })
+);
+
+/**
+ * PUT /users/:id - Replace a user's location assignments (admin only)
+ */
+router.put(
+  '/users/:id',
+  requireRole('admin'),
+  validateId,
+  validateBody(userLocationsSchema),
+  asyncHandler(async (req, res) => {
+    const locationIds = [...new Set(req.body.location_ids)];
+
+    const result = await db.transaction(async (client) => {
+      const user = await client.query('SELECT id, role FROM users WHERE id = $1', [req.params.id]);
+      if (user.rows.length === 0) {
+        throw new NotFoundError('User');
+      }
+
+      const known = await client.query('SELECT id FROM locations WHERE id = ANY($1::int[])', [
+        locationIds,
+      ]);
+      if (known.rows.length !== locationIds.length) {
+        const found = known.rows.map((r) => r.id);
+        throw new ValidationError('Unknown locations', {
+          invalid: locationIds.filter((locationId) => !found.includes(locationId)),
+        });
+      }
+
+      const before = await resolveLocationScope(client, user.rows[0]);
+      await client.query('DELETE FROM user_locations WHERE user_id = $1', [req.params.id]);
+      for (const locationId of locationIds) {
+        await client.query('INSERT INTO user_locations (user_id, location_id) VALUES ($1, $2)', [
+          req.params.id,
+          locationId,
+        ]);
+      }
+      const after = await resolveLocationScope(client, user.rows[0]);
+
+      await writeAuditEntry(client, {
+        user_id: req.user.id,
+        user_email: req.user.email,
+        action: 'update',
+        resource: 'user_locations',
+        resource_id: user.rows[0].id,
+        old_values: { location_ids: before.locationIds },
+        new_values: { location_ids: after.locationIds },
+        ip_address: req.ip,
+        user_agent: req.headers['user-agent'],
+        request_id: req.id,
+      });
+
+      return { user_id: user.rows[0].id, all_locations: after.all, location_ids: after.locationIds };
+    });
+
+    res.json(result);
+  })
+);
+
+// ============================================
+// LOCATIONS
+// ============================================
+
+/**
+ * GET / - Locations visible to the caller (?include_inactive=true)
+ */
+router.get(
+  '/',
+  validateQuery(locationListQuerySchema),
+  asyncHandler(async (req, res) => {
+    const params = [];
+    let sql = 'SELECT * FROM locations WHERE 1=1';
+    if (!req.query.include_inactive) {
+      sql += ' AND is_active = true';
+    }
+    if (!req.locationScope.all) {
+      params.push(req.locationScope.locationIds);
+      sql += ` AND id = ANY($${params.length}::int[])`;
+    }
+    sql += ' ORDER BY name';
+
+    const locations = await db.promisify.all(sql, params);
+    res.json(locations);
+  })
+);
+
+/**
+ * GET /:id - Location detail
+ */
+router.get(
+  '/:id',
+  validateId,
+  asyncHandler(async (req, res) => {
+    assertLocationAccess(req.locationScope, req.params.id);
+    const location = await db.promisify.get('SELECT * FROM locations WHERE id = $1', [
+      req.params.id,
+    ]);
+    if (!location) {
+      throw new NotFoundError('Location');
+    }
+    res.json(location);
+  })
+);
+
+/**
+ * POST / - Create location
+ */
+router.post(
+  '/',
+  validateBody(createLocationSchema),
+  asyncHandler(async (req, res) => {
+    const { code, name, address, phone, timezone } = req.body;
+    const location = await db.promisify.get(
+      `INSERT INTO locations (code, name, address, phone, timezone)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [code, name, address, phone, timezone]
+    );
+    res.status(201).json(location);
+  })
+);
+
+/**
+ * PUT /:id - Update location (deactivate with is_active=false; locations are never deleted)
+ */
+router.put(
+  '/:id',
+  validateId,
+  validateBody(updateLocationSchema),
+  asyncHandler(async (req, res) => {
+    assertLocationAccess(req.locationScope, req.params.id);
+    const { code, name, address, phone, timezone, is_active } = req.body;
+
+    const location = await db.promisify.get(
+      `UPDATE locations SET
+         code = COALESCE($1, code),
+         name = COALESCE($2, name),
+         address = COALESCE($3, address),
+         phone = COALESCE($4, phone),
+         timezone = COALESCE($5, timezone),
+         is_active = COALESCE($6, is_active),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7
+       RETURNING *`,
+      [code, name, address, phone, timezone, is_active, req.params.id]
+    );
+    if (!location) {
+      throw new NotFoundError('Location');
+    }
+    res.json(location);
+  })
+);
+
+module.exports = router;
@@ -6,7 +6,13 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const { asyncHandler, NotFoundError, ValidationError } = require('../utils/errors');
-const { validateBody, validateId, validateQuery } = require('../middleware');
+const {
+  validateBody,
+  validateId,
+  validateQuery,
+  attachDataScope,
+  attachLocationScope,
+} = require('../middleware');
 const {
   createEmployeeSchema,
   updateEmployeeSchema,
@@ -16,6 +22,97 @@ const {
   employeeQuerySchema,
 } = require('../schemas/payroll.schema');
 const { dateRangeSchema } = require('../schemas/common');
+const {
+  scopeClause,
+  assertEmployeeInScope,
+  assertDepartmentInScope,
+} = require('../utils/dataScope');
+const {
+  locationClause,
+  assertLocationAccess,
+  resolveWriteLocation,
+} = require('../utils/locationScope');
+const EncryptionService = require('../services/EncryptionService');
+const AuthService = require('../services/AuthService');
+const PostingService = require('../services/PostingService');
+
+const encryptionService = new EncryptionService(db.pool);
+const authService = new AuthService(db.pool);
+const postingService = new PostingService(db.pool);
+const { maskSecrets } = EncryptionService;
+
+// GL accounts for payroll runs; wages go to the department's account (front of house otherwise)
+const WAGE_ACCOUNTS = { kitchen: '6000', management: '6020' };
+const PAYROLL_ACCOUNTS = {
+  frontOfHouseWages: '6010',
+  taxExpense: '6100',
+  taxesPayable: '2300',
+  cash: '1000',
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Post a payroll run as one journal entry with a set of lines per department and location,
+ * each tagged with the department dimension:
+ *   DR wages (gross pay) and payroll tax expense (employer taxes)
+ *   CR cash (net pay) and payroll taxes payable (withholdings + employer taxes)
+ */
+async function postPayrollToGL(records, { entryDate, payPeriodStart, payPeriodEnd, createdBy }, client) {
+  const groups = new Map();
+  for (const r of records) {
+    const key = `${r.department}|${r.location_id}`;
+    const group = groups.get(key) || {
+      department: r.department,
+      location_id: r.location_id,
+      gross: 0,
+      net: 0,
+      employerTaxes: 0,
+    };
+    group.gross += r.gross_pay;
+    group.net += r.net_pay;
+    group.employerTaxes += r.employer_taxes;
+    groups.set(key, group);
+  }
+
+  const accountIds = {};
+  const accountId = async (number) => {
+    accountIds[number] = accountIds[number] || (await postingService.getAccountIdByNumber(number));
+    return accountIds[number];
+  };
+
+  const lines = [];
+  for (const g of groups.values()) {
+    const gross = round2(g.gross);
+    const net = round2(g.net);
+    const employerTaxes = round2(g.employerTaxes);
+    const tag = { department: g.department || null, location_id: g.location_id };
+    const wageAccount = WAGE_ACCOUNTS[g.department] || PAYROLL_ACCOUNTS.frontOfHouseWages;
+    const amounts = [
+      [wageAccount, gross, 0, 'Gross wages'],
+      [PAYROLL_ACCOUNTS.taxExpense, employerTaxes, 0, 'Employer payroll taxes'],
+      [PAYROLL_ACCOUNTS.taxesPayable, 0, round2(gross + employerTaxes - net), 'Payroll taxes owed'],
+      [PAYROLL_ACCOUNTS.cash, 0, net, 'Net pay'],
+    ];
+    for (const [number, debit, credit, description] of amounts) {
+      if (debit > 0 || credit > 0) {
+        lines.push({ ...tag, account_id: await accountId(number), debit, credit, description });
+      }
+    }
+  }
+
+  return postingService.createJournalEntry({
+    entry_date: entryDate,
+    description: `Payroll ${payPeriodStart} to ${payPeriodEnd}`,
+    reference_type: 'payroll',
+    created_by: createdBy,
+    lines,
+  }, client);
+}
+
+// Employees see their own pay, department managers their department (see utils/dataScope)
+router.use(attachDataScope);
+router.use(attachLocationScope);
 
 // ============================================
 // EMPLOYEES
@@ -24,24 +121,31 @@ const { dateRangeSchema } = require('../schemas/common');
 router.get('/employees', validateQuery(employeeQuerySchema), asyncHandler(async (req, res) => {
   const activeOnly = req.query.active_only;
   
-  let sql = 'SELECT * FROM employees';
-  if (activeOnly) {sql += ' WHERE is_active = true';}
+  const params = [];
+  let sql = `SELECT * FROM employees e WHERE 1=1${scopeClause(req.dataScope, params)}${locationClause(
+    req.locationScope,
+    params,
+    'e.location_id',
+    req.query.location_id
+  )}`;
+  if (activeOnly) {sql += ' AND is_active = true';}
   sql += ' ORDER BY last_name, first_name';
 
-  const employees = await db.promisify.all(sql);
-  res.json(employees);
+  const employees = await db.promisify.all(sql, params);
+  res.json(employees.map(maskSecrets));
 }));
 
 router.get('/employees/:id', validateId, asyncHandler(async (req, res) => {
   const employee = await db.promisify.get('SELECT * FROM employees WHERE id = $1', [req.params.id]);
   if (!employee) {throw new NotFoundError('Employee');}
+  await assertEmployeeInScope(db.pool, req.dataScope, employee.id);
 
   const payroll = await db.promisify.all(`
     SELECT * FROM payroll_records WHERE employee_id = $1
     ORDER BY pay_period_end DESC LIMIT 10
   `, [req.params.id]);
 
-  res.json({ ...employee, recent_payroll: payroll });
+  res.json({ ...maskSecrets(employee), recent_payroll: payroll });
 }));
 
 router.post('/employees', validateBody(createEmployeeSchema), asyncHandler(async (req, res) => {
@@ -50,21 +154,25 @@ router.post('/employees', validateBody(createEmployeeSchema), asyncHandler(async
     hire_date, pay_type, pay_rate, hours_per_week,
     ssn_last_four, address, phone, email, emergency_contact, notes
   } = req.body;
+  assertDepartmentInScope(req.dataScope, department);
+  const locationId = resolveWriteLocation(req.locationScope, req.body.location_id);
+
+  const encryptedSsn = await encryptionService.encrypt(ssn_last_four, 'employees.ssn_last_four');
 
   const result = await db.promisify.run(`
     INSERT INTO employees (
       first_name, last_name, position, department, hire_date,
       pay_type, pay_rate, hours_per_week, ssn_last_four,
-      address, phone, email, emergency_contact, notes
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      address, phone, email, emergency_contact, notes, location_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
   `, [
     first_name, last_name, position, department, hire_date,
-    pay_type, pay_rate, hours_per_week, ssn_last_four,
-    address, phone, email, emergency_contact, notes
+    pay_type, pay_rate, hours_per_week, encryptedSsn,
+    address, phone, email, emergency_contact, notes, locationId
   ]);
 
   const employee = await db.promisify.get('SELECT * FROM employees WHERE id = $1', [result.id]);
-  res.status(201).json(employee);
+  res.status(201).json(maskSecrets(employee));
 }));
 
 router.put('/employees/:id', validateId, validateBody(updateEmployeeSchema), asyncHandler(async (req, res) => {
@@ -73,6 +181,13 @@ router.put('/employees/:id', validateId, validateBody(updateEmployeeSchema), asy
     termination_date, pay_type, pay_rate, hours_per_week,
     is_active, ssn_last_four, address, phone, email, emergency_contact, notes
   } = req.body;
+  await assertEmployeeInScope(db.pool, req.dataScope, req.params.id);
+  if (req.body.location_id) {
+    assertLocationAccess(req.locationScope, req.body.location_id);
+  }
+
+  // SSN is never sent back to clients, so an omitted value keeps the stored one
+  const encryptedSsn = await encryptionService.encrypt(ssn_last_four, 'employees.ssn_last_four');
 
   await db.promisify.run(`
     UPDATE employees SET
@@ -83,19 +198,28 @@ router.put('/employees/:id', validateId, validateBody(updateEmployeeSchema), asy
       pay_type = COALESCE($6, pay_type),
       pay_rate = COALESCE($7, pay_rate),
       hours_per_week = $8, is_active = COALESCE($9, is_active),
-      ssn_last_four = $10, address = $11, phone = $12,
-      email = $13, emergency_contact = $14, notes = $15
+      ssn_last_four = CASE WHEN $17 THEN ssn_last_four ELSE $10 END,
+      address = $11, phone = $12,
+      email = $13, emergency_contact = $14, notes = $15,
+      location_id = COALESCE($18, location_id)
     WHERE id = $16
   `, [
     first_name, last_name, position, department,
     termination_date, pay_type, pay_rate, hours_per_week,
-    is_active, ssn_last_four, address, phone, email, emergency_contact, notes,
-    req.params.id
+    is_active, encryptedSsn, address, phone, email, emergency_contact, notes,
+    req.params.id, ssn_last_four === undefined, req.body.location_id || null
   ]);
 
   const employee = await db.promisify.get('SELECT * FROM employees WHERE id = $1', [req.params.id]);
   if (!employee) {throw new NotFoundError('Employee');}
-  res.json(employee);
+
+  // Sign out linked user accounts once termination takes effect (future dates are
+  // enforced when the session is next used)
+  if (authService.isTerminated(employee.termination_date)) {
+    await authService.revokeEmployeeSessions(employee.id, 'employee_terminated', req.user.id);
+  }
+
+  res.json(maskSecrets(employee));
 }));
 
 // ============================================
@@ -105,14 +229,14 @@ router.put('/employees/:id', validateId, validateBody(updateEmployeeSchema), asy
 router.get('/records', validateQuery(payrollQuerySchema), asyncHandler(async (req, res) => {
   const { start_date, end_date, employee_id, department } = req.query;
 
+  const params = [];
   let sql = `
     SELECT pr.*, e.first_name, e.last_name, e.position, e.department
     FROM payroll_records pr
     JOIN employees e ON pr.employee_id = e.id
-    WHERE 1=1
+    WHERE 1=1${scopeClause(req.dataScope, params)}
   `;
-  const params = [];
-  let paramIndex = 1;
+  let paramIndex = params.length + 1;
 
   if (start_date) { sql += ` AND pr.pay_period_start >= $${paramIndex++}`; params.push(start_date); }
   if (end_date) { sql += ` AND pr.pay_period_end <= $${paramIndex++}`; params.push(end_date); }
@@ -134,6 +258,7 @@ router.post('/records', validateBody(createPayrollRecordSchema), asyncHandler(as
     employer_futa, employer_suta, total_employer_cost,
     payment_date, payment_method, check_number, notes
   } = req.body;
+  await assertEmployeeInScope(db.pool, req.dataScope, employee_id);
 
   const result = await db.promisify.run(`
     INSERT INTO payroll_records (
@@ -165,61 +290,96 @@ router.post('/records', validateBody(createPayrollRecordSchema), asyncHandler(as
 }));
 
 router.post('/run-payroll', validateBody(runPayrollSchema), asyncHandler(async (req, res) => {
-  const { pay_period_start, pay_period_end, employee_hours, payment_date } = req.body;
+  const { pay_period_start, pay_period_end, employee_hours, payment_date, post_to_gl } = req.body;
+  const entryDate = payment_date || pay_period_end;
+  if (post_to_gl) {
+    const period = await postingService.findFiscalPeriodForDate(entryDate);
+    if (period?.is_closed) {
+      throw new ValidationError(`Fiscal period ${period.period_name} is closed; cannot post payroll`);
+    }
+  }
 
   const results = [];
-
-  for (const eh of employee_hours) {
-    const { employee_id, regular_hours, overtime_hours, tips } = eh;
-
-    const employee = await db.promisify.get('SELECT * FROM employees WHERE id = $1', [employee_id]);
-    if (!employee) {continue;}
-
-    const regularPay = regular_hours * parseFloat(employee.pay_rate);
-    const overtimePay = overtime_hours * parseFloat(employee.pay_rate) * 1.5;
-    const grossPay = regularPay + overtimePay + tips;
-
-    // Tax calculations (simplified)
-    const federalTax = grossPay * 0.12;
-    const stateTax = grossPay * 0.05;
-    const ssTax = grossPay * 0.062;
-    const medicareTax = grossPay * 0.0145;
-    const netPay = grossPay - federalTax - stateTax - ssTax - medicareTax;
-
-    // Employer taxes
-    const employerSS = grossPay * 0.062;
-    const employerMedicare = grossPay * 0.0145;
-    const employerFuta = grossPay * 0.006;
-    const employerSuta = grossPay * 0.027;
-    const totalEmployerCost = grossPay + employerSS + employerMedicare + employerFuta + employerSuta;
-
-    const result = await db.promisify.run(`
-      INSERT INTO payroll_records (
+  const glRecords = [];
+
+  // The payroll records and their journal entry commit together
+  const journalEntryId = await db.transaction(async (client) => {
+    for (const eh of employee_hours) {
+      const { employee_id, regular_hours, overtime_hours, tips } = eh;
+
+      const employee = (await client.query('SELECT * FROM employees WHERE id = $1', [employee_id])).rows[0];
+      if (!employee) {continue;}
+      await assertEmployeeInScope(client, req.dataScope, employee.id);
+
+      const regularPay = regular_hours * parseFloat(employee.pay_rate);
+      const overtimePay = overtime_hours * parseFloat(employee.pay_rate) * 1.5;
+      const grossPay = regularPay + overtimePay + tips;
+
+      // Tax calculations (simplified)
+      const federalTax = grossPay * 0.12;
+      const stateTax = grossPay * 0.05;
+      const ssTax = grossPay * 0.062;
+      const medicareTax = grossPay * 0.0145;
+      const netPay = grossPay - federalTax - stateTax - ssTax - medicareTax;
+
+      // Employer taxes
+      const employerSS = grossPay * 0.062;
+      const employerMedicare = grossPay * 0.0145;
+      const employerFuta = grossPay * 0.006;
+      const employerSuta = grossPay * 0.027;
+      const totalEmployerCost = grossPay + employerSS + employerMedicare + employerFuta + employerSuta;
+
+      const result = await client.query(`
+        INSERT INTO payroll_records (
+          employee_id, pay_period_start, pay_period_end,
+          regular_hours, overtime_hours, tips_reported,
+          gross_pay, federal_tax_withheld, state_tax_withheld,
+          social_security_withheld, medicare_withheld,
+          net_pay, employer_social_security, employer_medicare,
+          employer_futa, employer_suta, total_employer_cost, payment_date
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+        RETURNING id
+      `, [
         employee_id, pay_period_start, pay_period_end,
-        regular_hours, overtime_hours, tips_reported,
-        gross_pay, federal_tax_withheld, state_tax_withheld,
-        social_security_withheld, medicare_withheld,
-        net_pay, employer_social_security, employer_medicare,
-        employer_futa, employer_suta, total_employer_cost, payment_date
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
-    `, [
-      employee_id, pay_period_start, pay_period_end,
-      regular_hours, overtime_hours, tips,
-      grossPay.toFixed(2), federalTax.toFixed(2), stateTax.toFixed(2),
-      ssTax.toFixed(2), medicareTax.toFixed(2),
-      netPay.toFixed(2), employerSS.toFixed(2), employerMedicare.toFixed(2),
-      employerFuta.toFixed(2), employerSuta.toFixed(2), totalEmployerCost.toFixed(2), payment_date
-    ]);
-
-    results.push({
-      employee_id,
-      employee_name: `${employee.first_name} ${employee.last_name}`,
-      gross_pay: grossPay,
-      net_pay: netPay,
-      total_employer_cost: totalEmployerCost,
-      payroll_record_id: result.id
-    });
-  }
+        regular_hours, overtime_hours, tips,
+        grossPay.toFixed(2), federalTax.toFixed(2), stateTax.toFixed(2),
+        ssTax.toFixed(2), medicareTax.toFixed(2),
+        netPay.toFixed(2), employerSS.toFixed(2), employerMedicare.toFixed(2),
+        employerFuta.toFixed(2), employerSuta.toFixed(2), totalEmployerCost.toFixed(2), payment_date
+      ]);
+
+      results.push({
+        employee_id,
+        employee_name: `${employee.first_name} ${employee.last_name}`,
+        gross_pay: grossPay,
+        net_pay: netPay,
+        total_employer_cost: totalEmployerCost,
+        payroll_record_id: result.rows[0].id
+      });
+      glRecords.push({
+        department: employee.department,
+        location_id: employee.location_id,
+        gross_pay: parseFloat(grossPay.toFixed(2)),
+        net_pay: parseFloat(netPay.toFixed(2)),
+        employer_taxes: [employerSS, employerMedicare, employerFuta, employerSuta]
+          .reduce((sum, t) => sum + parseFloat(t.toFixed(2)), 0),
+      });
+    }
+
+    if (!post_to_gl || results.length === 0) {return null;}
+
+    const entry = await postPayrollToGL(glRecords, {
+      entryDate,
+      payPeriodStart: pay_period_start,
+      payPeriodEnd: pay_period_end,
+      createdBy: req.user.email,
+    }, client);
+    await client.query(
+      'UPDATE payroll_records SET journal_entry_id = $1 WHERE id = ANY($2::int[])',
+      [entry.id, results.map((r) => r.payroll_record_id)]
+    );
+    return entry.id;
+  });
 
   res.status(201).json({
     pay_period: { start: pay_period_start, end: pay_period_end },
@@ -227,6 +387,7 @@ router.post('/run-payroll', validateBody(runPayrollSchema), asyncHandler(async (
     total_gross: results.reduce((s, r) => s + r.gross_pay, 0),
     total_net: results.reduce((s, r) => s + r.net_pay, 0),
     total_employer_cost: results.reduce((s, r) => s + r.total_employer_cost, 0),
+    journal_entry_id: journalEntryId,
     records: results
   });
 }));
@@ -246,6 +407,7 @@ router.get('/summary/department', validateQuery(dateRangeSchema), asyncHandler(a
     params.push(start_date, end_date);
   }
 
+  const scopeFilter = scopeClause(req.dataScope, params);
   const summary = await db.promisify.all(`
     SELECT 
       COALESCE(e.department, 'Unassigned') as department,
@@ -257,7 +419,7 @@ router.get('/summary/department', validateQuery(dateRangeSchema), asyncHandler(a
       SUM(pr.total_employer_cost) as total_employer_cost
     FROM payroll_records pr
     JOIN employees e ON pr.employee_id = e.id
-    WHERE 1=1 ${dateFilter}
+    WHERE 1=1 ${dateFilter}${scopeFilter}
     GROUP BY e.department
     ORDER BY total_employer_cost DESC
   `, params);
@@ -285,14 +447,16 @@ router.get('/labor-analysis', asyncHandler(async (req, res) => {
     throw new ValidationError('start_date and end_date are required');
   }
 
+  const laborParams = [start_date, end_date];
   const labor = await db.promisify.get(`
     SELECT 
-      COALESCE(SUM(total_employer_cost), 0) as total_labor_cost,
-      COALESCE(SUM(regular_hours + overtime_hours), 0) as total_hours,
-      COUNT(DISTINCT employee_id) as employees_paid
-    FROM payroll_records
-    WHERE pay_period_start >= $1 AND pay_period_end <= $2
-  `, [start_date, end_date]);
+      COALESCE(SUM(pr.total_employer_cost), 0) as total_labor_cost,
+      COALESCE(SUM(pr.regular_hours + pr.overtime_hours), 0) as total_hours,
+      COUNT(DISTINCT pr.employee_id) as employees_paid
+    FROM payroll_records pr
+    JOIN employees e ON pr.employee_id = e.id
+    WHERE pr.pay_period_start >= $1 AND pr.pay_period_end <= $2${scopeClause(req.dataScope, laborParams)}
+  `, laborParams);
 
   const revenue = await db.promisify.get(`
     SELECT SUM(total_net_sales) as total_revenue
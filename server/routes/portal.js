@@ -0,0 +1,328 @@
+/**
+ * Employee Self-Service Portal Routes
+ * Own schedule, timeclock, tips, time off and pay records for the employee linked to req.user
+ */
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const LaborService = require('../services/LaborService');
+const { asyncHandler, ForbiddenError, NotFoundError, ValidationError } = require('../utils/errors');
+const { validateBody, validateId, validateQuery } = require('../middleware');
+const {
+  portalScheduleQuerySchema,
+  portalClockInSchema,
+  portalClockOutSchema,
+  portalBreakSchema,
+  portalHistoryQuerySchema,
+  portalPayRecordQuerySchema,
+  portalTimeOffSchema,
+} = require('../schemas/portal.schema');
+
+// Instantiate service
+const laborService = new LaborService(db.pool);
+
+const PAY_RECORD_COLUMNS = [
+  'pay_period_start',
+  'pay_period_end',
+  'payment_date',
+  'regular_hours',
+  'overtime_hours',
+  'tips_reported',
+  'gross_pay',
+  'federal_tax_withheld',
+  'state_tax_withheld',
+  'social_security_withheld',
+  'medicare_withheld',
+  'other_deductions',
+  'net_pay',
+  'payment_method',
+  'check_number',
+];
+
+/**
+ * Every portal route acts on the employee linked to the signed-in user
+ */
+router.use((req, res, next) => {
+  if (!req.user || !req.user.employee_id) {
+    throw new ForbiddenError('No employee record is linked to this account');
+  }
+  req.employeeId = req.user.employee_id;
+  next();
+});
+
+/**
+ * Append optional date bounds on a column
+ */
+function dateRange(column, { start_date, end_date }, params) {
+  let sql = '';
+  if (start_date) {
+    params.push(start_date);
+    sql += ` AND ${column} >= $${params.length}`;
+  }
+  if (end_date) {
+    params.push(end_date);
+    sql += ` AND ${column} <= $${params.length}`;
+  }
+  return sql;
+}
+
+// ============================================
+// PROFILE
+// ============================================
+
+/**
+ * GET /me - Own employee record and current punch
+ */
+router.get(
+  '/me',
+  asyncHandler(async (req, res) => {
+    const employee = await db.promisify.get(
+      `SELECT id, first_name, last_name, position, department, hire_date, pay_type,
+         hours_per_week, phone, email
+       FROM employees WHERE id = $1`,
+      [req.employeeId]
+    );
+    if (!employee) {
+      throw new NotFoundError('Employee');
+    }
+
+    const activeEntry = await laborService.getActiveEntry(req.employeeId);
+    res.json({ ...employee, active_entry: activeEntry });
+  })
+);
+
+// ============================================
+// SCHEDULE
+// ============================================
+
+/**
+ * GET /schedules - Upcoming shifts (?days=14)
+ */
+router.get(
+  '/schedules',
+  validateQuery(portalScheduleQuerySchema),
+  asyncHandler(async (req, res) => {
+    const schedules = await db.promisify.all(
+      `SELECT id, schedule_date, shift_start, shift_end, break_minutes, position, department,
+         status, notes
+       FROM schedules
+       WHERE employee_id = $1
+         AND schedule_date BETWEEN CURRENT_DATE AND CURRENT_DATE + $2::int
+       ORDER BY schedule_date, shift_start`,
+      [req.employeeId, req.query.days]
+    );
+    res.json(schedules);
+  })
+);
+
+// ============================================
+// TIMECLOCK
+// ============================================
+
+/**
+ * GET /timeclock - Own punches (?start_date=&end_date=)
+ */
+router.get(
+  '/timeclock',
+  validateQuery(portalHistoryQuerySchema),
+  asyncHandler(async (req, res) => {
+    const params = [req.employeeId];
+    const entries = await db.promisify.all(
+      `SELECT tc.*,
+         CASE WHEN tc.clock_out IS NOT NULL THEN
+           EXTRACT(EPOCH FROM (tc.clock_out - tc.clock_in)) / 3600 - COALESCE(tc.total_break_minutes, 0) / 60
+         END as hours_worked
+       FROM timeclock_entries tc
+       WHERE tc.employee_id = $1${dateRange('DATE(tc.clock_in)', req.query, params)}
+       ORDER BY tc.clock_in DESC
+       LIMIT 200`,
+      params
+    );
+    res.json(entries);
+  })
+);
+
+/**
+ * POST /timeclock/clock-in - Clock in now
+ */
+router.post(
+  '/timeclock/clock-in',
+  validateBody(portalClockInSchema),
+  asyncHandler(async (req, res) => {
+    if (req.body.schedule_id) {
+      const schedule = await db.promisify.get(
+        'SELECT id FROM schedules WHERE id = $1 AND employee_id = $2',
+        [req.body.schedule_id, req.employeeId]
+      );
+      if (!schedule) {
+        throw new NotFoundError('Schedule');
+      }
+    }
+
+    const entry = await laborService.clockIn({ ...req.body, employee_id: req.employeeId });
+    res.status(201).json(entry);
+  })
+);
+
+/**
+ * POST /timeclock/clock-out - Clock out of the open punch
+ */
+router.post(
+  '/timeclock/clock-out',
+  validateBody(portalClockOutSchema),
+  asyncHandler(async (req, res) => {
+    const active = await laborService.getActiveEntry(req.employeeId);
+    if (!active) {
+      throw new ValidationError('Not clocked in');
+    }
+
+    const entry = await laborService.clockOut(active.id, null, req.body.notes);
+    res.json(entry);
+  })
+);
+
+/**
+ * POST /timeclock/break - Start/end a break on the open punch
+ */
+router.post(
+  '/timeclock/break',
+  validateBody(portalBreakSchema),
+  asyncHandler(async (req, res) => {
+    const active = await laborService.getActiveEntry(req.employeeId);
+    if (!active) {
+      throw new ValidationError('Not clocked in');
+    }
+
+    const entry = await laborService.handleBreak(active.id, req.body.action);
+    res.json(entry);
+  })
+);
+
+// ============================================
+// TIPS
+// ============================================
+
+/**
+ * GET /tips - Own tip records and tip pool distributions
+ */
+router.get(
+  '/tips',
+  validateQuery(portalHistoryQuerySchema),
+  asyncHandler(async (req, res) => {
+    const tipParams = [req.employeeId];
+    const tips = await db.promisify.all(
+      `SELECT id, shift_date, cash_tips, credit_tips, tip_out_given, tip_pool_received,
+         total_tips, hours_worked, notes
+       FROM tip_records
+       WHERE employee_id = $1${dateRange('shift_date', req.query, tipParams)}
+       ORDER BY shift_date DESC`,
+      tipParams
+    );
+
+    const poolParams = [req.employeeId];
+    const distributions = await db.promisify.all(
+      `SELECT tpd.id, tpd.amount, tpd.hours_worked, tpd.share_percentage,
+         tps.pool_date, tps.pool_type, tps.distribution_method, tps.status
+       FROM tip_pool_distributions tpd
+       JOIN tip_pool_sessions tps ON tpd.pool_session_id = tps.id
+       WHERE tpd.employee_id = $1${dateRange('tps.pool_date', req.query, poolParams)}
+       ORDER BY tps.pool_date DESC`,
+      poolParams
+    );
+
+    res.json({
+      tips,
+      pool_distributions: distributions,
+      totals: {
+        total_tips: tips.reduce((sum, t) => sum + parseFloat(t.total_tips || 0), 0),
+        pool_received: distributions.reduce((sum, d) => sum + parseFloat(d.amount || 0), 0),
+      },
+    });
+  })
+);
+
+// ============================================
+// TIME OFF
+// ============================================
+
+/**
+ * GET /time-off - Own time-off requests
+ */
+router.get(
+  '/time-off',
+  asyncHandler(async (req, res) => {
+    const requests = await db.promisify.all(
+      `SELECT * FROM time_off_requests WHERE employee_id = $1
+       ORDER BY start_date DESC`,
+      [req.employeeId]
+    );
+    res.json(requests);
+  })
+);
+
+/**
+ * POST /time-off - Request time off (reviewed at /api/labor/time-off)
+ */
+router.post(
+  '/time-off',
+  validateBody(portalTimeOffSchema),
+  asyncHandler(async (req, res) => {
+    const request = await laborService.requestTimeOff(req.employeeId, req.body);
+    res.status(201).json(request);
+  })
+);
+
+/**
+ * DELETE /time-off/:id - Withdraw a pending request
+ */
+router.delete(
+  '/time-off/:id',
+  validateId,
+  asyncHandler(async (req, res) => {
+    const request = await laborService.cancelTimeOff(req.employeeId, req.params.id);
+    res.json(request);
+  })
+);
+
+// ============================================
+// PAY RECORDS
+// ============================================
+
+/**
+ * GET /pay-records - Own pay stubs (?format=csv to download)
+ */
+router.get(
+  '/pay-records',
+  validateQuery(portalPayRecordQuerySchema),
+  asyncHandler(async (req, res) => {
+    const params = [req.employeeId];
+    const columns = PAY_RECORD_COLUMNS.map((column) =>
+      ['pay_period_start', 'pay_period_end', 'payment_date'].includes(column)
+        ? `${column}::text AS ${column}`
+        : column
+    );
+    const records = await db.promisify.all(
+      `SELECT id, ${columns.join(', ')}
+       FROM payroll_records
+       WHERE employee_id = $1${dateRange('pay_period_end', req.query, params)}
+       ORDER BY pay_period_end DESC`,
+      params
+    );
+
+    if (req.query.format === 'csv') {
+      const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+      const rows = records.map((r) => PAY_RECORD_COLUMNS.map((c) => escape(r[c])).join(','));
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename=pay_records.csv');
+      res.send([PAY_RECORD_COLUMNS.join(','), ...rows].join('\n'));
+      return;
+    }
+
+    res.json(records);
+  })
+);
+
+module.exports = router;
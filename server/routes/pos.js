@@ -4,6 +4,8 @@
  */
 const router = require('express').Router();
 const { validateBody, validateQuery, validateParams } = require('../middleware/validate');
+const attachLocationScope = require('../middleware/locationScope');
+const { assertLocationAccess, locationFilterIds } = require('../utils/locationScope');
 const { idParamSchema } = require('../schemas/common');
 const {
   createPosConfigSchema,
@@ -15,6 +17,8 @@ const {
 } = require('../schemas/pos.schema');
 const PosService = require('../services/PosService');
 
+router.use(attachLocationScope);
+
 // ============================================
 // POS CONFIGURATION ROUTES
 // ============================================
@@ -24,6 +28,9 @@ const PosService = require('../services/PosService');
  */
 router.post('/configs', validateBody(createPosConfigSchema), async (req, res, next) => {
   try {
+    if (req.body.location_id) {
+      assertLocationAccess(req.locationScope, req.body.location_id);
+    }
     const config = await PosService.createPosConfig(req.body);
     res.status(201).json(config);
   } catch (err) {
@@ -60,6 +67,9 @@ router.get('/configs/:id', validateParams(idParamSchema), async (req, res, next)
  */
 router.put('/configs/:id', validateParams(idParamSchema), validateBody(updatePosConfigSchema), async (req, res, next) => {
   try {
+    if (req.body.location_id) {
+      assertLocationAccess(req.locationScope, req.body.location_id);
+    }
     const config = await PosService.updatePosConfig(req.params.id, req.body);
     res.json(config);
   } catch (err) {
@@ -101,7 +111,10 @@ router.post('/transactions/import', validateBody(batchImportSchema), async (req,
  */
 router.get('/transactions', validateQuery(transactionQuerySchema), async (req, res, next) => {
   try {
-    const transactions = await PosService.getTransactions(req.query);
+    const transactions = await PosService.getTransactions({
+      ...req.query,
+      location_ids: locationFilterIds(req.locationScope, req.query.location_id),
+    });
     res.json(transactions);
   } catch (err) {
     next(err);
@@ -141,7 +154,10 @@ router.post('/settlements', validateBody(importSettlementSchema), async (req, re
  */
 router.get('/settlements', validateQuery(settlementQuerySchema), async (req, res, next) => {
   try {
-    const settlements = await PosService.getSettlements(req.query);
+    const settlements = await PosService.getSettlements({
+      ...req.query,
+      location_ids: locationFilterIds(req.locationScope, req.query.location_id),
+    });
     res.json(settlements);
   } catch (err) {
     next(err);
@@ -1,12 +1,14 @@
 /**
  * Reports Routes
  * Updated with centralized error handling and validation
+ * Every report takes ?location_id= and is limited to the caller's locations.
  */
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const { asyncHandler } = require('../utils/errors');
-const { validateQuery } = require('../middleware');
+const { locationFilterIds } = require('../utils/locationScope');
+const { validateQuery, attachLocationScope } = require('../middleware');
 const {
   pnlQuerySchema,
   taxExpenseQuerySchema,
@@ -16,12 +18,28 @@ const {
   dailySummaryQuerySchema,
 } = require('../schemas/report.schema');
 
+router.use(attachLocationScope);
+
+/**
+ * Push the report's location filter onto params; returns a function rendering the
+ * matching condition (prefixed with AND) for a location column, or '' when unfiltered
+ */
+function locationFilter(req, params) {
+  const locationIds = locationFilterIds(req.locationScope, req.query.location_id);
+  if (!locationIds) {return () => '';}
+  params.push(locationIds);
+  const index = params.length;
+  return (column) => ` AND ${column} = ANY($${index}::int[])`;
+}
+
 // ============================================
 // P&L STATEMENT
 // ============================================
 
 router.get('/pnl', validateQuery(pnlQuerySchema), asyncHandler(async (req, res) => {
-  const { start_date, end_date, compare_period } = req.query;
+  const { start_date, end_date, compare_period, location_id } = req.query;
+  const params = [start_date, end_date];
+  const atLocation = locationFilter(req, params);
 
   const revenueData = await db.promisify.all(`
     SELECT 
@@ -29,8 +47,8 @@ router.get('/pnl', validateQuery(pnlQuerySchema), asyncHandler(async (req, res)
       COUNT(DISTINCT sl.date) as days_with_sales
     FROM sales_log sl
     JOIN menu_items mi ON sl.menu_item_id = mi.id
-    WHERE sl.date BETWEEN $1 AND $2
-  `, [start_date, end_date]);
+    WHERE sl.date BETWEEN $1 AND $2${atLocation('sl.location_id')}
+  `, params);
 
   const dailyRevenue = await db.promisify.get(`
     SELECT 
@@ -42,8 +60,8 @@ router.get('/pnl', validateQuery(pnlQuerySchema), asyncHandler(async (req, res)
       COALESCE(SUM(other_sales), 0) as other_sales,
       COALESCE(SUM(discounts), 0) as total_discounts,
       COALESCE(SUM(tips_collected), 0) as tips_collected
-    FROM daily_revenue WHERE date BETWEEN $1 AND $2
-  `, [start_date, end_date]);
+    FROM daily_revenue WHERE date BETWEEN $1 AND $2${atLocation('location_id')}
+  `, params);
 
   const cogsData = await db.promisify.get(`
     SELECT COALESCE(SUM(
@@ -53,25 +71,27 @@ router.get('/pnl', validateQuery(pnlQuerySchema), asyncHandler(async (req, res)
         WHERE rm.menu_item_id = sl.menu_item_id
       )
     ), 0) as calculated_cogs
-    FROM sales_log sl WHERE sl.date BETWEEN $1 AND $2
-  `, [start_date, end_date]);
+    FROM sales_log sl WHERE sl.date BETWEEN $1 AND $2${atLocation('sl.location_id')}
+  `, params);
 
   const expensesByType = await db.promisify.all(`
     SELECT ec.expense_type, ec.tax_category, SUM(e.amount) as total_amount, COUNT(*) as expense_count
     FROM expenses e JOIN expense_categories ec ON e.category_id = ec.id
-    WHERE e.expense_date BETWEEN $1 AND $2
+    WHERE e.expense_date BETWEEN $1 AND $2${atLocation('e.location_id')}
     GROUP BY ec.expense_type, ec.tax_category
     ORDER BY total_amount DESC
-  `, [start_date, end_date]);
+  `, params);
 
+  // Payroll is attributed to each employee's home location
   const payrollData = await db.promisify.get(`
     SELECT 
-      COALESCE(SUM(gross_pay), 0) as total_gross_pay,
-      COALESCE(SUM(total_employer_cost), 0) as total_employer_cost,
-      COALESCE(SUM(employer_social_security + employer_medicare + employer_futa + employer_suta), 0) as payroll_taxes
-    FROM payroll_records
-    WHERE pay_period_start >= $1 AND pay_period_end <= $2
-  `, [start_date, end_date]);
+      COALESCE(SUM(pr.gross_pay), 0) as total_gross_pay,
+      COALESCE(SUM(pr.total_employer_cost), 0) as total_employer_cost,
+      COALESCE(SUM(pr.employer_social_security + pr.employer_medicare + pr.employer_futa + pr.employer_suta), 0) as payroll_taxes
+    FROM payroll_records pr
+    LEFT JOIN employees emp ON pr.employee_id = emp.id
+    WHERE pr.pay_period_start >= $1 AND pr.pay_period_end <= $2${atLocation('emp.location_id')}
+  `, params);
 
   const revenue = parseFloat(dailyRevenue?.recorded_net_sales) || parseFloat(revenueData[0]?.total_revenue) || 0;
   const cogs = parseFloat(cogsData?.calculated_cogs) || 0;
@@ -93,6 +113,7 @@ router.get('/pnl', validateQuery(pnlQuerySchema), asyncHandler(async (req, res)
 
   const pnl = {
     period: { start_date, end_date },
+    location_id: location_id || null,
     revenue: {
       food_sales: parseFloat(dailyRevenue?.food_sales) || revenue,
       beverage_sales: parseFloat(dailyRevenue?.beverage_sales) || 0,
@@ -139,10 +160,12 @@ router.get('/pnl', validateQuery(pnlQuerySchema), asyncHandler(async (req, res)
       compareEnd = new Date(startMs - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
     }
 
+    const compareParams = [compareStart, compareEnd];
+    const compareAtLocation = locationFilter(req, compareParams);
     const compareRevenue = await db.promisify.get(`
       SELECT COALESCE(SUM(total_net_sales), 0) as revenue
-      FROM daily_revenue WHERE date BETWEEN $1 AND $2
-    `, [compareStart, compareEnd]);
+      FROM daily_revenue WHERE date BETWEEN $1 AND $2${compareAtLocation('location_id')}
+    `, compareParams);
 
     pnl.comparison = {
       period: { start_date: compareStart, end_date: compareEnd },
@@ -161,7 +184,7 @@ router.get('/pnl', validateQuery(pnlQuerySchema), asyncHandler(async (req, res)
 // ============================================
 
 router.get('/tax-expenses', validateQuery(taxExpenseQuerySchema), asyncHandler(async (req, res) => {
-  const { tax_year, start_date, end_date } = req.query;
+  const { tax_year, start_date, end_date, location_id } = req.query;
 
   let dateFilter, params;
   if (tax_year) {
@@ -174,6 +197,7 @@ router.get('/tax-expenses', validateQuery(taxExpenseQuerySchema), asyncHandler(a
     dateFilter = 'EXTRACT(YEAR FROM e.expense_date) = EXTRACT(YEAR FROM CURRENT_DATE)';
     params = [];
   }
+  const atLocation = locationFilter(req, params);
 
   const expenses = await db.promisify.all(`
     SELECT 
@@ -181,7 +205,7 @@ router.get('/tax-expenses', validateQuery(taxExpenseQuerySchema), asyncHandler(a
       SUM(e.amount) as total_amount, COUNT(*) as transaction_count,
       MIN(e.expense_date) as first_expense, MAX(e.expense_date) as last_expense
     FROM expenses e JOIN expense_categories ec ON e.category_id = ec.id
-    WHERE ${dateFilter} AND ec.is_tax_deductible = true
+    WHERE ${dateFilter} AND ec.is_tax_deductible = true${atLocation('e.location_id')}
     GROUP BY ec.tax_category, ec.name, ec.is_tax_deductible
     ORDER BY ec.tax_category, total_amount DESC
   `, params);
@@ -196,6 +220,7 @@ router.get('/tax-expenses', validateQuery(taxExpenseQuerySchema), asyncHandler(a
 
   res.json({
     period: tax_year ? { year: tax_year } : { start_date, end_date },
+    location_id: location_id || null,
     by_category: grouped,
     grand_total: Object.values(grouped).reduce((sum, g) => sum + g.total, 0)
   });
@@ -203,29 +228,35 @@ router.get('/tax-expenses', validateQuery(taxExpenseQuerySchema), asyncHandler(a
 
 // ============================================
 // CASH FLOW REPORT
+// Approximation from daily revenue and expenses; the GL statement of cash flows is
+// /api/ledger/financials/cash-flow
 // ============================================
 
 router.get('/cash-flow', validateQuery(cashFlowQuerySchema), asyncHandler(async (req, res) => {
-  const { start_date, end_date } = req.query;
+  const { start_date, end_date, location_id } = req.query;
+  const params = [start_date, end_date];
+  const atLocation = locationFilter(req, params);
 
   const inflows = await db.promisify.all(`
     SELECT DATE_TRUNC('week', date)::date as week_start,
       SUM(cash_payments) as cash_in, SUM(card_payments) as card_in, SUM(total_net_sales) as total_in
-    FROM daily_revenue WHERE date BETWEEN $1 AND $2
+    FROM daily_revenue WHERE date BETWEEN $1 AND $2${atLocation('location_id')}
     GROUP BY DATE_TRUNC('week', date) ORDER BY week_start
-  `, [start_date, end_date]);
+  `, params);
 
   const outflows = await db.promisify.all(`
     SELECT DATE_TRUNC('week', expense_date)::date as week_start, SUM(amount) as expenses_out
-    FROM expenses WHERE expense_date BETWEEN $1 AND $2
+    FROM expenses WHERE expense_date BETWEEN $1 AND $2${atLocation('location_id')}
     GROUP BY DATE_TRUNC('week', expense_date)
-  `, [start_date, end_date]);
+  `, params);
 
   const payrollOutflows = await db.promisify.all(`
-    SELECT DATE_TRUNC('week', payment_date)::date as week_start, SUM(net_pay) as payroll_out
-    FROM payroll_records WHERE payment_date BETWEEN $1 AND $2
-    GROUP BY DATE_TRUNC('week', payment_date)
-  `, [start_date, end_date]);
+    SELECT DATE_TRUNC('week', pr.payment_date)::date as week_start, SUM(pr.net_pay) as payroll_out
+    FROM payroll_records pr
+    LEFT JOIN employees emp ON pr.employee_id = emp.id
+    WHERE pr.payment_date BETWEEN $1 AND $2${atLocation('emp.location_id')}
+    GROUP BY DATE_TRUNC('week', pr.payment_date)
+  `, params);
 
   const weeks = new Map();
   for (const row of inflows) {
@@ -258,6 +289,7 @@ router.get('/cash-flow', validateQuery(cashFlowQuerySchema), asyncHandler(async
 
   res.json({
     period: { start_date, end_date },
+    location_id: location_id || null,
     weekly: cashFlow,
     totals: {
       total_in: cashFlow.reduce((s, w) => s + w.cash_in, 0),
@@ -272,7 +304,7 @@ router.get('/cash-flow', validateQuery(cashFlowQuerySchema), asyncHandler(async
 // ============================================
 
 router.get('/vendor-analysis', validateQuery(vendorAnalysisQuerySchema), asyncHandler(async (req, res) => {
-  const { start_date, end_date } = req.query;
+  const { start_date, end_date, location_id } = req.query;
 
   let dateFilter = '';
   const params = [];
@@ -281,6 +313,7 @@ router.get('/vendor-analysis', validateQuery(vendorAnalysisQuerySchema), asyncHa
     dateFilter = 'WHERE e.expense_date BETWEEN $1 AND $2';
     params.push(start_date, end_date);
   }
+  const atLocation = locationFilter(req, params);
 
   const vendors = await db.promisify.all(`
     SELECT 
@@ -289,7 +322,7 @@ router.get('/vendor-analysis', validateQuery(vendorAnalysisQuerySchema), asyncHa
       MIN(e.expense_date) as first_purchase, MAX(e.expense_date) as last_purchase,
       STRING_AGG(DISTINCT ec.expense_type, ', ') as expense_types
     FROM vendors v
-    LEFT JOIN expenses e ON v.id = e.vendor_id ${dateFilter ? 'AND e.expense_date BETWEEN $1 AND $2' : ''}
+    LEFT JOIN expenses e ON v.id = e.vendor_id ${dateFilter ? 'AND e.expense_date BETWEEN $1 AND $2' : ''}${atLocation('e.location_id')}
     LEFT JOIN expense_categories ec ON e.category_id = ec.id
     GROUP BY v.id, v.name
     HAVING SUM(e.amount) > 0
@@ -300,6 +333,7 @@ router.get('/vendor-analysis', validateQuery(vendorAnalysisQuerySchema), asyncHa
 
   res.json({
     period: start_date && end_date ? { start_date, end_date } : { all_time: true },
+    location_id: location_id || null,
     vendors: vendors.map(v => ({
       ...v,
       total_spent: parseFloat(v.total_spent) || 0,
@@ -315,9 +349,11 @@ router.get('/vendor-analysis', validateQuery(vendorAnalysisQuerySchema), asyncHa
 // ============================================
 
 router.get('/budget-vs-actual', validateQuery(budgetVsActualQuerySchema), asyncHandler(async (req, res) => {
-  const { month, year } = req.query;
+  const { month, year, location_id } = req.query;
   const targetMonth = month || new Date().getMonth() + 1;
   const targetYear = year || new Date().getFullYear();
+  const params = [targetMonth, targetYear];
+  const atLocation = locationFilter(req, params);
 
   const comparison = await db.promisify.all(`
     SELECT 
@@ -326,14 +362,15 @@ router.get('/budget-vs-actual', validateQuery(budgetVsActualQuerySchema), asyncH
     FROM expense_categories ec
     LEFT JOIN expenses e ON ec.id = e.category_id 
       AND EXTRACT(MONTH FROM e.expense_date) = $1
-      AND EXTRACT(YEAR FROM e.expense_date) = $2
+      AND EXTRACT(YEAR FROM e.expense_date) = $2${atLocation('e.location_id')}
     WHERE ec.is_active = true
     GROUP BY ec.id, ec.name, ec.expense_type, ec.budget_monthly
     ORDER BY ec.expense_type, ec.name
-  `, [targetMonth, targetYear]);
+  `, params);
 
   res.json({
     period: { month: targetMonth, year: targetYear },
+    location_id: location_id || null,
     categories: comparison.map(c => ({
       ...c,
       budget_monthly: parseFloat(c.budget_monthly) || 0,
@@ -358,16 +395,22 @@ router.get('/daily-summary', validateQuery(dailySummaryQuerySchema), asyncHandle
   const endDate = req.query.end_date || new Date().toISOString().split('T')[0];
   const startDate = req.query.start_date || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
+  const params = [startDate, endDate];
+  const atLocation = locationFilter(req, params);
+
+  // One daily_revenue row per location and day
   const revenue = await db.promisify.all(`
-    SELECT date, total_net_sales as revenue, food_sales, transaction_count, customer_count
-    FROM daily_revenue WHERE date BETWEEN $1 AND $2 ORDER BY date
-  `, [startDate, endDate]);
+    SELECT date, SUM(total_net_sales) as revenue, SUM(food_sales) as food_sales,
+      SUM(transaction_count)::int as transaction_count, SUM(customer_count)::int as customer_count
+    FROM daily_revenue WHERE date BETWEEN $1 AND $2${atLocation('location_id')}
+    GROUP BY date ORDER BY date
+  `, params);
 
   const expenses = await db.promisify.all(`
     SELECT expense_date as date, SUM(amount) as expenses
-    FROM expenses WHERE expense_date BETWEEN $1 AND $2
+    FROM expenses WHERE expense_date BETWEEN $1 AND $2${atLocation('location_id')}
     GROUP BY expense_date ORDER BY expense_date
-  `, [startDate, endDate]);
+  `, params);
 
   const expenseMap = new Map(expenses.map(e => [e.date, parseFloat(e.expenses)]));
   
@@ -383,6 +426,7 @@ router.get('/daily-summary', validateQuery(dailySummaryQuerySchema), asyncHandle
 
   res.json({
     period: { start_date: startDate, end_date: endDate },
+    location_id: req.query.location_id || null,
     daily,
     totals: {
       revenue: daily.reduce((s, d) => s + d.revenue, 0),
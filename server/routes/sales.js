@@ -8,7 +8,12 @@ const { pool } = require('../db');
 const { SalesRepository, MenuItemRepository } = require('../repositories');
 const { SalesService } = require('../services');
 const { asyncHandler } = require('../utils/errors');
-const { validateBody, validateId, validateQuery } = require('../middleware');
+const {
+  assertLocationAccess,
+  locationFilterIds,
+  resolveWriteLocation,
+} = require('../utils/locationScope');
+const { validateBody, validateId, validateQuery, attachLocationScope } = require('../middleware');
 const {
   createSalesRecordSchema,
   updateSalesRecordSchema,
@@ -16,15 +21,18 @@ const {
   addSalesSchema,
   salesQuerySchema,
 } = require('../schemas/sales.schema');
+const { locationQuerySchema } = require('../schemas/common');
 
 // Initialize service
 const salesRepo = new SalesRepository(pool);
 const menuItemRepo = new MenuItemRepository(pool);
 const salesService = new SalesService(salesRepo, menuItemRepo);
 
+router.use(attachLocationScope);
+
 /**
  * GET /api/sales
- * Get sales with optional date filters
+ * Get sales with optional date and location filters
  */
 router.get(
   '/',
@@ -33,6 +41,7 @@ router.get(
     const filters = {
       startDate: req.query.start_date,
       endDate: req.query.end_date,
+      locationIds: locationFilterIds(req.locationScope, req.query.location_id),
     };
     const sales = await salesService.getAll(filters);
     res.json(sales);
@@ -47,7 +56,10 @@ router.get(
   '/analytics',
   validateQuery(salesQuerySchema),
   asyncHandler(async (req, res) => {
-    const analytics = await salesService.getAnalytics(req.query.period);
+    const analytics = await salesService.getAnalytics(
+      req.query.period,
+      locationFilterIds(req.locationScope, req.query.location_id)
+    );
     res.json(analytics);
   })
 );
@@ -58,8 +70,12 @@ router.get(
  */
 router.get(
   '/date/:date',
+  validateQuery(locationQuerySchema),
   asyncHandler(async (req, res) => {
-    const sales = await salesService.getByDate(req.params.date);
+    const sales = await salesService.getByDate(
+      req.params.date,
+      locationFilterIds(req.locationScope, req.query.location_id)
+    );
     res.json(sales);
   })
 );
@@ -72,7 +88,11 @@ router.post(
   '/daily',
   validateBody(dailySalesSchema),
   asyncHandler(async (req, res) => {
-    const result = await salesService.saveDailySales(req.body.date, req.body.sales);
+    const result = await salesService.saveDailySales(
+      req.body.date,
+      req.body.sales,
+      resolveWriteLocation(req.locationScope, req.body.location_id)
+    );
     res.status(201).json({
       message: 'Sales saved successfully',
       ...result,
@@ -88,7 +108,10 @@ router.post(
   '/',
   validateBody(createSalesRecordSchema),
   asyncHandler(async (req, res) => {
-    const sale = await salesService.upsertSale(req.body);
+    const sale = await salesService.upsertSale({
+      ...req.body,
+      location_id: resolveWriteLocation(req.locationScope, req.body.location_id),
+    });
     res.status(201).json(sale);
   })
 );
@@ -101,7 +124,10 @@ router.post(
   '/add',
   validateBody(addSalesSchema),
   asyncHandler(async (req, res) => {
-    const sale = await salesService.addSale(req.body);
+    const sale = await salesService.addSale({
+      ...req.body,
+      location_id: resolveWriteLocation(req.locationScope, req.body.location_id),
+    });
     res.status(201).json(sale);
   })
 );
@@ -115,6 +141,8 @@ router.put(
   validateId,
   validateBody(updateSalesRecordSchema),
   asyncHandler(async (req, res) => {
+    const existing = await salesService.getById(req.params.id);
+    assertLocationAccess(req.locationScope, existing.location_id);
     const sale = await salesService.update(req.params.id, req.body.quantity_sold);
     res.json(sale);
   })
@@ -128,6 +156,8 @@ router.delete(
   '/:id',
   validateId,
   asyncHandler(async (req, res) => {
+    const existing = await salesService.getById(req.params.id);
+    assertLocationAccess(req.locationScope, existing.location_id);
     await salesService.delete(req.params.id);
     res.json({ message: 'Sales record deleted successfully' });
   })
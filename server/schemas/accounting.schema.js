@@ -3,8 +3,10 @@
  */
 const { z } = require('zod');
 const { dateString, id, optionalId, nonEmptyString, optionalString, money, dateRangeSchema } = require('./common');
+const { departments } = require('./payroll.schema');
 
 const accountTypes = ['asset', 'liability', 'equity', 'revenue', 'expense'];
+const cashFlowCategories = ['cash', 'operating', 'investing', 'financing']; // see CashFlowService
 const bankAccountTypes = ['checking', 'savings', 'credit', 'other'];
 const transactionTypes = ['deposit', 'withdrawal', 'transfer', 'fee', 'interest', 'adjustment'];
 const apStatus = ['pending', 'partial', 'paid', 'overdue'];
@@ -20,6 +22,25 @@ const createAccountSchema = z.object({
   is_tax_deductible: z.boolean().optional().default(false),
   tax_category: optionalString.transform(v => v || null),
   description: optionalString.transform(v => v || null),
+  is_intercompany: z.boolean().optional().default(false),
+  cash_flow_category: z.enum(cashFlowCategories).optional().nullable(), // NULL: follows sub_type
+  is_header: z.boolean().optional().default(false), // groups sub-accounts; cannot be posted to
+  default_department: z.enum(departments).optional().nullable(), // journal line dimension defaults
+  default_class: z.string().trim().max(50).optional().nullable(),
+});
+
+const updateAccountSchema = z.object({
+  name: nonEmptyString.max(255).optional(),
+  sub_type: optionalString,
+  is_tax_deductible: z.boolean().optional(),
+  tax_category: optionalString,
+  description: optionalString,
+  is_active: z.boolean().optional(),
+  cash_flow_category: z.enum(cashFlowCategories).optional().nullable(),
+  parent_account_id: optionalId, // null moves the account to the top level
+  is_header: z.boolean().optional(),
+  default_department: z.enum(departments).optional().nullable(), // null clears
+  default_class: z.string().trim().max(50).optional().nullable(),
 });
 
 const accountQuerySchema = z.object({
@@ -108,6 +129,7 @@ const bankTransactionQuerySchema = dateRangeSchema.extend({
 // Daily Revenue schemas
 const saveDailyRevenueSchema = z.object({
   date: dateString,
+  location_id: optionalId,
   food_sales: money.default(0),
   beverage_sales: money.default(0),
   alcohol_sales: money.default(0),
@@ -129,6 +151,7 @@ const saveDailyRevenueSchema = z.object({
 });
 
 const dailyRevenueQuerySchema = dateRangeSchema.extend({
+  location_id: optionalId,
   limit: z.coerce.number().int().positive().max(365).optional(),
 });
 
@@ -141,6 +164,7 @@ const updateSettingsSchema = z.record(z.string(), z.union([z.string(), z.number(
 
 module.exports = {
   createAccountSchema,
+  updateAccountSchema,
   accountQuerySchema,
   createPayableSchema,
   recordPaymentSchema,
@@ -3,6 +3,7 @@
  */
 const { z } = require('zod');
 const { dateString, id, optionalId, nonEmptyString, optionalString, money } = require('./common');
+const { departments } = require('./payroll.schema');
 
 // ============================================
 // AP INVOICE SCHEMAS
@@ -20,6 +21,8 @@ const apInvoiceLineSchema = z.object({
   mapped_category_id: optionalId,
   mapped_account_id: optionalId,
   notes: optionalString,
+  department: z.enum(departments).optional().nullable(), // GL dimensions; default from the account
+  class: z.string().trim().max(50).optional().nullable(),
 });
 
 const createApInvoiceSchema = z.object({
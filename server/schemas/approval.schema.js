@@ -0,0 +1,37 @@
+/**
+ * Approval workflow validation schemas
+ */
+const { z } = require('zod');
+const { nonEmptyString, optionalString } = require('./common');
+
+const approvalStatuses = ['pending', 'escalated', 'approved', 'rejected', 'expired'];
+
+const approvalQuerySchema = z.object({
+  status: z.enum(approvalStatuses).optional(),
+  request_type: optionalString,
+  reference_type: optionalString,
+  reference_id: z.coerce.number().int().positive().optional(),
+  requested_by: z.coerce.number().int().positive().optional(),
+  limit: z.coerce.number().int().positive().max(500).default(100),
+  offset: z.coerce.number().int().nonnegative().default(0),
+});
+
+const approveRequestSchema = z.object({
+  notes: optionalString,
+});
+
+const rejectRequestSchema = z.object({
+  reason: nonEmptyString,
+});
+
+const escalateRequestSchema = z.object({
+  reason: optionalString,
+});
+
+module.exports = {
+  approvalStatuses,
+  approvalQuerySchema,
+  approveRequestSchema,
+  rejectRequestSchema,
+  escalateRequestSchema,
+};
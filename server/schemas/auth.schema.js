@@ -9,7 +9,7 @@ const registerSchema = z.object({
   password: z.string().min(4, 'Password must be at least 4 characters'), // Relaxed for demo
   first_name: nonEmptyString.max(100),
   last_name: nonEmptyString.max(100),
-  role: z.enum(['admin', 'manager', 'accountant', 'viewer', 'staff']).default('viewer'),
+  role: z.enum(['admin', 'manager', 'accountant', 'viewer', 'staff', 'employee']).default('viewer'),
   employee_id: optionalId,
 });
 
@@ -18,40 +18,104 @@ const loginSchema = z.object({
   password: z.string().min(1),
 });
 
+const mfaChallengeSchema = z.object({
+  mfa_token: z.string().min(1),
+});
+
+const mfaLoginSchema = z.object({
+  mfa_token: z.string().min(1),
+  code: z.string().min(6).max(20), // 6-digit TOTP or recovery code
+});
+
+const mfaCodeSchema = z.object({
+  code: z.string().min(6).max(20),
+});
+
+const mfaDisableSchema = z.object({
+  password: z.string().min(1),
+  code: z.string().min(6).max(20),
+});
+
 const changePasswordSchema = z.object({
   current_password: z.string().min(1),
   new_password: z.string().min(8, 'Password must be at least 8 characters'),
 });
 
+const forgotPasswordSchema = z.object({
+  email: z.string().min(1),
+});
+
+const resetPasswordSchema = z.object({
+  token: z.string().min(1),
+  new_password: z.string().min(1),
+});
+
 const updateUserSchema = z.object({
   first_name: nonEmptyString.max(100).optional(),
   last_name: nonEmptyString.max(100).optional(),
-  role: z.enum(['admin', 'manager', 'accountant', 'viewer', 'staff']).optional(),
+  role: z.enum(['admin', 'manager', 'accountant', 'viewer', 'staff', 'employee']).optional(),
   employee_id: optionalId,
   is_active: z.boolean().optional(),
 });
 
 const userQuerySchema = z.object({
-  role: z.enum(['admin', 'manager', 'accountant', 'viewer', 'staff']).optional(),
+  role: z.enum(['admin', 'manager', 'accountant', 'viewer', 'staff', 'employee']).optional(),
   is_active: z.coerce.boolean().optional(),
 });
 
+const sessionQuerySchema = z.object({
+  user_id: z.coerce.number().int().positive().optional(), // admin only
+});
+
+const revokeSessionsQuerySchema = z.object({
+  include_current: z.enum(['true', 'false']).default('false').transform((v) => v === 'true'),
+});
+
+const createApiKeySchema = z.object({
+  name: nonEmptyString.max(100),
+  description: optionalString,
+  scopes: z.array(z.string().regex(/^[a-z_]+:(read|write|approve)$/, 'Invalid scope')).min(1),
+  expires_at: z.string().datetime({ offset: true }).optional().nullable(),
+});
+
+const apiKeyQuerySchema = z.object({
+  include_revoked: z.enum(['true', 'false']).default('false').transform((v) => v === 'true'),
+});
+
 const auditLogQuerySchema = z.object({
   user_id: z.coerce.number().int().positive().optional(),
   resource: optionalString,
+  resource_id: z.coerce.number().int().positive().optional(),
   action: optionalString,
+  request_id: optionalString,
   start_date: z.string().optional(),
   end_date: z.string().optional(),
   limit: z.coerce.number().int().positive().max(500).default(100),
   offset: z.coerce.number().int().nonnegative().default(0),
 });
 
+const auditRecordParamsSchema = z.object({
+  resource: nonEmptyString.max(100),
+  id,
+});
+
 module.exports = {
   registerSchema,
   loginSchema,
+  mfaChallengeSchema,
+  mfaLoginSchema,
+  mfaCodeSchema,
+  mfaDisableSchema,
   changePasswordSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
   updateUserSchema,
   userQuerySchema,
+  sessionQuerySchema,
+  revokeSessionsQuerySchema,
+  createApiKeySchema,
+  apiKeyQuerySchema,
   auditLogQuerySchema,
+  auditRecordParamsSchema,
 };
 
@@ -53,6 +53,11 @@ const dateRangeSchema = z.object({
   end: dateString.optional(),
 });
 
+// Location filter (?location_id=)
+const locationQuerySchema = z.object({
+  location_id: optionalId,
+});
+
 // ID param schema
 const idParamSchema = z.object({
   id: id,
@@ -73,6 +78,7 @@ module.exports = {
   phone,
   paginationSchema,
   dateRangeSchema,
+  locationQuerySchema,
   idParamSchema,
 };
 
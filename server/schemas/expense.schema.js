@@ -9,6 +9,7 @@ const recurringFrequencies = ['weekly', 'biweekly', 'monthly', 'quarterly', 'ann
 
 const createExpenseSchema = z.object({
   expense_date: dateString,
+  location_id: optionalId,
   category_id: id,
   vendor_id: optionalId.transform(v => v || null),
   description: nonEmptyString.max(500),
@@ -25,6 +26,7 @@ const createExpenseSchema = z.object({
 const updateExpenseSchema = createExpenseSchema.partial();
 
 const expenseQuerySchema = dateRangeSchema.extend({
+  location_id: optionalId,
   vendor_id: optionalId,
   category_id: optionalId,
   payment_method: z.enum(paymentMethods).optional(),
@@ -76,6 +78,7 @@ const updateLineItemSchema = z.object({
 // Recurring expense schemas
 const createRecurringExpenseSchema = z.object({
   name: nonEmptyString.max(255),
+  location_id: optionalId,
   category_id: id,
   vendor_id: optionalId.transform(v => v || null),
   description: optionalString.transform(v => v || null),
@@ -105,10 +108,16 @@ const createMarketingExpenseSchema = z.object({
   roi_notes: optionalString,
 });
 
+// Dashboard / summary filters
+const expenseReportQuerySchema = dateRangeSchema.extend({
+  location_id: optionalId,
+});
+
 module.exports = {
   createExpenseSchema,
   updateExpenseSchema,
   expenseQuerySchema,
+  expenseReportQuerySchema,
   createCategorySchema,
   updateCategorySchema,
   createLineItemsSchema,
@@ -20,5 +20,8 @@ module.exports = {
   labor: require('./labor.schema'),
   auth: require('./auth.schema'),
   pos: require('./pos.schema'),
+  approval: require('./approval.schema'),
+  portal: require('./portal.schema'),
+  location: require('./location.schema'),
 };
 
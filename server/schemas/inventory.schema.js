@@ -19,6 +19,7 @@ const poItemSchema = z.object({
 
 const createPurchaseOrderSchema = z.object({
   vendor_id: id,
+  location_id: optionalId, // receiving location
   order_date: dateString,
   expected_delivery: dateString.optional().nullable(),
   notes: optionalString,
@@ -34,6 +35,7 @@ const updatePurchaseOrderSchema = z.object({
 
 const poQuerySchema = z.object({
   vendor_id: z.coerce.number().int().positive().optional(),
+  location_id: optionalId,
   status: z.enum(['pending', 'ordered', 'partial', 'received', 'cancelled']).optional(),
   start_date: dateString.optional(),
   end_date: dateString.optional(),
@@ -81,6 +83,7 @@ const movementTypes = z.enum([
 
 const createMovementSchema = z.object({
   ingredient_id: id,
+  location_id: optionalId,
   movement_type: movementTypes,
   quantity: z.coerce.number(), // Can be negative for outbound
   unit: nonEmptyString.max(50),
@@ -95,6 +98,7 @@ const createMovementSchema = z.object({
 
 const movementQuerySchema = z.object({
   ingredient_id: z.coerce.number().int().positive().optional(),
+  location_id: optionalId,
   movement_type: movementTypes.optional(),
   start_date: dateString.optional(),
   end_date: dateString.optional(),
@@ -115,6 +119,7 @@ const countLineSchema = z.object({
 });
 
 const createCountSchema = z.object({
+  location_id: optionalId,
   count_date: dateString.optional(), // Defaults to today
   counted_by: optionalString,
   notes: optionalString,
@@ -125,6 +130,7 @@ const countQuerySchema = z.object({
   start_date: dateString.optional(),
   end_date: dateString.optional(),
   ingredient_id: z.coerce.number().int().positive().optional(),
+  location_id: optionalId,
   limit: z.coerce.number().int().positive().max(200).default(50),
   offset: z.coerce.number().int().nonnegative().default(0),
 });
@@ -134,6 +140,7 @@ const countQuerySchema = z.object({
 // ============================================
 
 const updateLevelSchema = z.object({
+  location_id: optionalId,
   reorder_point: z.coerce.number().nonnegative().optional().nullable(),
   reorder_quantity: z.coerce.number().nonnegative().optional().nullable(),
   par_level: z.coerce.number().nonnegative().optional().nullable(),
@@ -141,10 +148,83 @@ const updateLevelSchema = z.object({
 
 const levelQuerySchema = z.object({
   below_reorder: z.coerce.boolean().optional(),
+  location_id: optionalId,
   limit: z.coerce.number().int().positive().max(500).default(100),
   offset: z.coerce.number().int().nonnegative().default(0),
 });
 
+// ============================================
+// TRANSFER SCHEMAS
+// ============================================
+
+const transferStatuses = z.enum(['draft', 'sent', 'received', 'cancelled']);
+
+const transferLineSchema = z.object({
+  ingredient_id: id,
+  quantity: z.coerce.number().positive(),
+  unit: nonEmptyString.max(50),
+  notes: optionalString,
+});
+
+const createTransferSchema = z.object({
+  from_location_id: optionalId, // Defaults like any other write location
+  to_location_id: id,
+  from_storage_area_id: optionalId,
+  to_storage_area_id: optionalId,
+  transfer_date: dateString.optional(), // Defaults to today
+  post_to_gl: z.coerce.boolean().default(false), // Inter-location transfers only
+  notes: optionalString,
+  lines: z.array(transferLineSchema).min(1),
+});
+
+const updateTransferSchema = z.object({
+  to_location_id: id.optional(),
+  from_storage_area_id: optionalId,
+  to_storage_area_id: optionalId,
+  transfer_date: dateString.optional(),
+  post_to_gl: z.coerce.boolean().optional(),
+  notes: optionalString,
+  lines: z.array(transferLineSchema).min(1).optional(),
+});
+
+// created_by, sent_by and received_by are always the signed-in user
+const receiveTransferSchema = z.object({
+  // Lines left out are received in full
+  lines: z
+    .array(
+      z.object({
+        line_id: id,
+        received_quantity: z.coerce.number().nonnegative(),
+        discrepancy_reason: optionalString,
+      })
+    )
+    .default([]),
+});
+
+const transferQuerySchema = z.object({
+  status: transferStatuses.optional(),
+  location_id: optionalId, // Either side of the transfer
+  start_date: dateString.optional(),
+  end_date: dateString.optional(),
+  limit: z.coerce.number().int().positive().max(200).default(50),
+  offset: z.coerce.number().int().nonnegative().default(0),
+});
+
+const createStorageAreaSchema = z.object({
+  location_id: optionalId,
+  name: nonEmptyString.max(100),
+});
+
+const updateStorageAreaSchema = z.object({
+  name: nonEmptyString.max(100).optional(),
+  is_active: z.coerce.boolean().optional(),
+});
+
+const storageAreaQuerySchema = z.object({
+  location_id: optionalId,
+  include_inactive: z.coerce.boolean().default(false),
+});
+
 module.exports = {
   createPurchaseOrderSchema,
   updatePurchaseOrderSchema,
@@ -156,5 +236,12 @@ module.exports = {
   countQuerySchema,
   updateLevelSchema,
   levelQuerySchema,
+  createTransferSchema,
+  updateTransferSchema,
+  receiveTransferSchema,
+  transferQuerySchema,
+  createStorageAreaSchema,
+  updateStorageAreaSchema,
+  storageAreaQuerySchema,
 };
 
@@ -3,12 +3,39 @@
  */
 const { z } = require('zod');
 const { dateString, id, optionalId, nonEmptyString } = require('./common');
+const { recurringFrequencies } = require('./expense.schema');
+const { departments } = require('./payroll.schema');
+const { DIMENSIONS, DAYPARTS, UNASSIGNED } = require('../utils/dimensions');
+
+// reference_type values the system posts under; reports, exports and reconciliations trust them,
+// so manual entries can't claim them
+const reservedReferenceTypes = [
+  'ap_invoice', 'payment', 'pos_settlement', 'payroll', 'expense', 'inventory_transfer',
+  'recurring_journal', 'elimination', 'reversal', 'void', 'year_end_close', 'gl_import',
+];
+
+// Reporting dimensions (see utils/dimensions); blank values default from the account
+const lineDimensions = {
+  department: z.enum(departments).optional().nullable(),
+  daypart: z.enum(DAYPARTS).optional().nullable(),
+  class: z.string().trim().max(50).optional().nullable(),
+};
+
+// ?department=&daypart=&class= filters ('unassigned' = lines without one) and ?group_by=
+const dimensionQuery = {
+  department: z.enum([...departments, UNASSIGNED]).optional(),
+  daypart: z.enum([...DAYPARTS, UNASSIGNED]).optional(),
+  class: z.string().trim().max(50).optional(),
+  group_by: z.enum(DIMENSIONS).optional(),
+};
 
 const journalLineSchema = z.object({
   account_id: id,
   debit: z.coerce.number().nonnegative().default(0),
   credit: z.coerce.number().nonnegative().default(0),
   description: z.string().trim().optional().nullable(),
+  location_id: optionalId.transform(v => v || null),
+  ...lineDimensions,
 }).refine(
   (l) => (l.debit > 0 && l.credit === 0) || (l.credit > 0 && l.debit === 0),
   { message: 'Each line must have either debit or credit (but not both)' }
@@ -17,18 +44,37 @@ const journalLineSchema = z.object({
 const createJournalEntrySchema = z.object({
   entry_date: dateString,
   description: nonEmptyString.max(500),
-  reference_type: z.string().trim().optional().nullable(),
+  reference_type: z.string().trim().optional().nullable()
+    .refine((v) => !v || !reservedReferenceTypes.includes(v.toLowerCase()), {
+      message: `reference_type cannot be one of the system types: ${reservedReferenceTypes.join(', ')}`,
+    }),
   reference_id: optionalId.transform(v => v || null),
   is_adjusting: z.boolean().optional().default(false),
-  is_closing: z.boolean().optional().default(false),
+  // is_closing is reserved for year-end close (closing entries are left out of income statements)
   fiscal_period_id: optionalId.transform(v => v || null),
-  created_by: z.string().trim().optional().nullable(),
+  location_id: optionalId.transform(v => v || null), // default for lines without one
+  auto_reverse_on: dateString.optional().nullable(), // accruals: reversed on this date
+  auto_reverse: z.boolean().optional().default(false), // ...or on the first day of the next period
   lines: z.array(journalLineSchema).min(2),
 });
 
+const reverseJournalEntrySchema = z.object({
+  entry_date: dateString.optional(), // Defaults to today
+  description: z.string().trim().max(500).optional().nullable(),
+});
+
+const voidJournalEntrySchema = z.object({
+  reason: nonEmptyString.max(500),
+});
+
+const processAutoReversalsSchema = z.object({
+  as_of_date: dateString.optional(), // Defaults to today
+});
+
 const ledgerQuerySchema = z.object({
   start_date: dateString.optional(),
   end_date: dateString.optional(),
+  location_id: optionalId,
   limit: z.coerce.number().int().positive().max(200).default(100),
   offset: z.coerce.number().int().nonnegative().default(0),
 });
@@ -36,15 +82,62 @@ const ledgerQuerySchema = z.object({
 const trialBalanceQuerySchema = z.object({
   as_of_date: dateString.optional(),
   include_zero: z.coerce.boolean().default(false),
+  location_id: optionalId,
+  ...dimensionQuery,
 });
 
+// months = twelve monthly columns; qtd/ytd = current vs prior period with variance
+const compareModes = z.enum(['months', 'qtd', 'ytd']);
+
 const incomeStatementQuerySchema = z.object({
-  start_date: dateString,
+  start_date: dateString.optional(), // not used by ?compare=, which works back from end_date
   end_date: dateString,
+  location_id: optionalId,
+  by_location: z.coerce.boolean().default(false), // per-location columns + consolidated total
+  compare: compareModes.optional(),
+  ...dimensionQuery,
+}).refine((q) => q.compare || q.start_date, {
+  message: 'start_date is required unless compare is set',
+  path: ['start_date'],
+}).refine((q) => !(q.compare && q.by_location), {
+  message: 'compare cannot be combined with by_location',
+  path: ['compare'],
+}).refine((q) => !(q.by_location && (q.group_by || DIMENSIONS.some((d) => q[d]))), {
+  message: 'Dimension filters and group_by cannot be combined with by_location',
+  path: ['by_location'],
+}).refine((q) => !(q.compare && q.group_by), {
+  message: 'group_by cannot be combined with compare',
+  path: ['group_by'],
 });
 
 const balanceSheetQuerySchema = z.object({
   as_of_date: dateString,
+  location_id: optionalId,
+  by_location: z.coerce.boolean().default(false),
+  compare: compareModes.optional(),
+}).refine((q) => !(q.compare && q.by_location), {
+  message: 'compare cannot be combined with by_location',
+  path: ['compare'],
+});
+
+const cashFlowQuerySchema = z.object({
+  start_date: dateString,
+  end_date: dateString,
+  location_id: optionalId,
+});
+
+// Elimination entries are company-level: no reference or location of their own
+const createEliminationSchema = createJournalEntrySchema.omit({
+  reference_type: true,
+  reference_id: true,
+  location_id: true,
+  auto_reverse_on: true,
+  auto_reverse: true,
+});
+
+const eliminationQuerySchema = z.object({
+  start_date: dateString.optional(),
+  end_date: dateString.optional(),
 });
 
 const createFiscalPeriodSchema = z.object({
@@ -55,13 +148,154 @@ const createFiscalPeriodSchema = z.object({
   notes: z.string().trim().optional().nullable(),
 });
 
+// Recurring journal templates (posted by /recurring/generate)
+const createRecurringJournalSchema = z.object({
+  name: nonEmptyString.max(255),
+  description: z.string().trim().max(500).optional().nullable(),
+  frequency: z.enum(recurringFrequencies),
+  start_date: dateString, // first run
+  end_date: dateString.optional().nullable(),
+  location_id: optionalId.transform(v => v || null), // default for lines without one
+  auto_reverse: z.boolean().optional().default(false),
+  closed_period_action: z.enum(['queue', 'skip']).optional().default('queue'),
+  notes: z.string().trim().optional().nullable(),
+  lines: z.array(journalLineSchema).min(2),
+});
+
+const updateRecurringJournalSchema = z.object({
+  name: nonEmptyString.max(255).optional(),
+  description: z.string().trim().max(500).optional().nullable(),
+  frequency: z.enum(recurringFrequencies).optional(),
+  start_date: dateString.optional(),
+  end_date: dateString.optional().nullable(),
+  location_id: optionalId,
+  auto_reverse: z.boolean().optional(),
+  closed_period_action: z.enum(['queue', 'skip']).optional(),
+  is_active: z.boolean().optional(),
+  notes: z.string().trim().optional().nullable(),
+  lines: z.array(journalLineSchema).min(2).optional(),
+});
+
+const recurringJournalQuerySchema = z.object({
+  include_inactive: z.coerce.boolean().default(false),
+});
+
+const recurringPreviewQuerySchema = z.object({
+  through_date: dateString, // preview runs up to and including this date
+  template_id: optionalId,
+});
+
+const generateRecurringJournalsSchema = z.object({
+  as_of_date: dateString.optional(), // Defaults to today
+});
+
+const checklistSignOffSchema = z.object({
+  note: z.string().trim().max(1000).optional().nullable(),
+});
+
+const yearEndCloseSchema = z.object({
+  dry_run: z.boolean().optional().default(false), // return the closing report without posting
+});
+
+const yearEndRollbackSchema = z.object({
+  reason: z.string().trim().max(500).optional().nullable(),
+});
+
+// GL imports (see GLImportService): the export file's text goes in `content`
+const glImportSchema = z.object({
+  source: z.enum(['iif', 'qbo_csv', 'xero_csv']),
+  kind: z.enum(['journal', 'accounts', 'trial_balance']).optional().default('journal'),
+  content: z.string().min(1, 'File content is required'),
+  filename: z.string().trim().max(255).optional().nullable(),
+  date_format: z.enum(['MDY', 'DMY', 'YMD']).optional(), // defaults by source; ISO dates always work
+  opening_date: dateString.optional(), // trial_balance imports post on this date
+  account_map: z.record(z.string(), id).optional().default({}), // external account -> account id
+  create_missing_accounts: z.boolean().optional().default(false),
+  location_id: optionalId.transform(v => v || null),
+  dry_run: z.boolean().optional().default(false),
+}).refine(
+  (data) => data.kind !== 'trial_balance' || data.opening_date,
+  { message: 'opening_date is required for trial balance imports', path: ['opening_date'] }
+);
+
+const glImportRollbackSchema = z.object({
+  reason: z.string().trim().max(500).optional().nullable(),
+});
+
+// GL exports (see GLExportService)
+const exportFormats = z.enum(['iif', 'qbo_csv', 'xero_csv']);
+
+const glExportSchema = z.object({
+  format: exportFormats,
+  start_date: dateString,
+  end_date: dateString,
+  only_unexported: z.boolean().optional().default(false), // skip entries in earlier runs of this format
+  date_format: z.enum(['MDY', 'DMY', 'YMD']).optional(), // defaults to the package's usual order
+}).refine(
+  (data) => data.start_date <= data.end_date,
+  { message: 'start_date must be on or before end_date', path: ['end_date'] }
+);
+
+const glExportRunsQuerySchema = z.object({
+  format: exportFormats.optional(),
+});
+
+const glExportRunFileQuerySchema = z.object({
+  date_format: z.enum(['MDY', 'DMY', 'YMD']).optional(),
+});
+
+const glCrosswalkQuerySchema = z.object({
+  format: exportFormats,
+});
+
+const saveGlCrosswalkSchema = z.object({
+  format: exportFormats,
+  mappings: z.array(z.object({
+    account_id: id,
+    external_account: z.string().trim().max(255).optional().nullable(), // blank clears the crosswalk
+  })).min(1),
+});
+
+// Subledger reconciliation (see SubledgerReconciliationService)
+const reconciliationQuerySchema = z.object({
+  as_of_date: dateString.optional(), // Defaults to today
+  limit: z.coerce.number().int().min(0).max(1000).optional().default(200), // documents returned
+});
+
+const reconciliationParamsSchema = z.object({
+  key: z.enum(['accounts_payable', 'inventory', 'card_receivable', 'gift_cards']),
+});
+
 module.exports = {
   createJournalEntrySchema,
+  reverseJournalEntrySchema,
+  voidJournalEntrySchema,
+  processAutoReversalsSchema,
   ledgerQuerySchema,
   trialBalanceQuerySchema,
   incomeStatementQuerySchema,
   balanceSheetQuerySchema,
+  cashFlowQuerySchema,
+  createEliminationSchema,
+  eliminationQuerySchema,
   createFiscalPeriodSchema,
+  createRecurringJournalSchema,
+  updateRecurringJournalSchema,
+  recurringJournalQuerySchema,
+  recurringPreviewQuerySchema,
+  generateRecurringJournalsSchema,
+  checklistSignOffSchema,
+  yearEndCloseSchema,
+  yearEndRollbackSchema,
+  glImportSchema,
+  glImportRollbackSchema,
+  glExportSchema,
+  glExportRunsQuerySchema,
+  glExportRunFileQuerySchema,
+  glCrosswalkQuerySchema,
+  saveGlCrosswalkSchema,
+  reconciliationQuerySchema,
+  reconciliationParamsSchema,
 };
 
 
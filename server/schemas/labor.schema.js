@@ -24,6 +24,7 @@ const createScheduleSchema = z.object({
   department: optionalString,
   notes: optionalString,
   created_by: optionalString,
+  location_id: optionalId,
 });
 
 const updateScheduleSchema = z.object({
@@ -42,6 +43,7 @@ const scheduleQuerySchema = z.object({
   end_date: dateString.optional(),
   department: optionalString,
   status: z.enum(['scheduled', 'confirmed', 'no_show', 'called_out']).optional(),
+  location_id: optionalId,
 });
 
 // ============================================
@@ -54,6 +56,7 @@ const clockInSchema = z.object({
   department: optionalString,
   position: optionalString,
   schedule_id: optionalId,
+  location_id: optionalId,
   notes: optionalString,
 });
 
@@ -70,7 +73,6 @@ const adjustTimeclockSchema = z.object({
   clock_in: datetimeString.optional(),
   clock_out: datetimeString.optional().nullable(),
   total_break_minutes: z.coerce.number().int().nonnegative().optional(),
-  adjusted_by: nonEmptyString,
   adjustment_reason: nonEmptyString,
 });
 
@@ -80,6 +82,7 @@ const timeclockQuerySchema = z.object({
   end_date: dateString.optional(),
   status: z.enum(['active', 'completed', 'adjusted', 'approved']).optional(),
   department: optionalString,
+  location_id: optionalId,
 });
 
 // ============================================
@@ -115,6 +118,43 @@ const tipQuerySchema = z.object({
   end_date: dateString.optional(),
 });
 
+// ============================================
+// TIME OFF SCHEMAS
+// ============================================
+
+const timeOffTypes = z.enum(['vacation', 'sick', 'personal', 'unpaid', 'other']);
+const timeOffStatuses = z.enum(['pending', 'approved', 'rejected', 'cancelled']);
+
+const timeOffFields = z.object({
+  start_date: dateString,
+  end_date: dateString,
+  request_type: timeOffTypes.default('vacation'),
+  hours: z.coerce.number().positive().optional().nullable(), // partial days
+  reason: optionalString,
+});
+
+const endsAfterStart = [
+  (r) => r.end_date >= r.start_date,
+  { message: 'end_date must be on or after start_date', path: ['end_date'] },
+];
+
+// Employee's own request (portal)
+const createTimeOffSchema = timeOffFields.refine(...endsAfterStart);
+
+// Entered by a manager on an employee's behalf
+const createEmployeeTimeOffSchema = timeOffFields.extend({ employee_id: id }).refine(...endsAfterStart);
+
+const reviewTimeOffSchema = z.object({
+  review_notes: optionalString,
+});
+
+const timeOffQuerySchema = z.object({
+  employee_id: z.coerce.number().int().positive().optional(),
+  status: timeOffStatuses.optional(),
+  start_date: dateString.optional(),
+  end_date: dateString.optional(),
+});
+
 // ============================================
 // PAYROLL EXPORT SCHEMAS
 // ============================================
@@ -139,6 +179,10 @@ module.exports = {
   tipPoolSessionSchema,
   distributeTipPoolSchema,
   tipQuerySchema,
+  createTimeOffSchema,
+  createEmployeeTimeOffSchema,
+  reviewTimeOffSchema,
+  timeOffQuerySchema,
   payrollExportSchema,
 };
 
@@ -0,0 +1,33 @@
+/**
+ * Location validation schemas
+ */
+const { z } = require('zod');
+const { id, nonEmptyString, optionalString, phone } = require('./common');
+
+const createLocationSchema = z.object({
+  code: nonEmptyString.max(20).transform((v) => v.toUpperCase()),
+  name: nonEmptyString.max(255),
+  address: optionalString.transform(v => v || null),
+  phone: phone.transform(v => v || null),
+  timezone: optionalString.transform(v => v || null),
+});
+
+const updateLocationSchema = createLocationSchema.partial().extend({
+  is_active: z.boolean().optional(),
+});
+
+const locationListQuerySchema = z.object({
+  include_inactive: z.coerce.boolean().default(false),
+});
+
+// Replaces a user's assignments; an empty list grants every location
+const userLocationsSchema = z.object({
+  location_ids: z.array(id).max(100),
+});
+
+module.exports = {
+  createLocationSchema,
+  updateLocationSchema,
+  locationListQuerySchema,
+  userLocationsSchema,
+};
@@ -25,6 +25,7 @@ const createEmployeeSchema = z.object({
   email: email.transform(v => v || null),
   emergency_contact: optionalString.transform(v => v || null),
   notes: optionalString.transform(v => v || null),
+  location_id: optionalId, // home location
 });
 
 const updateEmployeeSchema = createEmployeeSchema.partial().extend({
@@ -69,6 +70,7 @@ const runPayrollSchema = z.object({
     overtime_hours: z.coerce.number().nonnegative().default(0),
     tips: money.default(0),
   })).min(1),
+  post_to_gl: z.boolean().optional().default(false), // one journal entry tagged by department
 });
 
 // Query schemas
@@ -79,6 +81,7 @@ const payrollQuerySchema = dateRangeSchema.extend({
 
 const employeeQuerySchema = z.object({
   active_only: z.coerce.boolean().default(true),
+  location_id: optionalId,
 });
 
 module.exports = {
@@ -0,0 +1,39 @@
+/**
+ * Employee self-service portal validation schemas
+ * Employees act on their own records only, so no employee_id and no backdated punches
+ */
+const { z } = require('zod');
+const { dateString, optionalId, optionalString } = require('./common');
+const { breakSchema, createTimeOffSchema } = require('./labor.schema');
+
+const portalScheduleQuerySchema = z.object({
+  days: z.coerce.number().int().min(1).max(90).default(14),
+});
+
+const portalClockInSchema = z.object({
+  schedule_id: optionalId,
+  notes: optionalString,
+});
+
+const portalClockOutSchema = z.object({
+  notes: optionalString,
+});
+
+const portalHistoryQuerySchema = z.object({
+  start_date: dateString.optional(),
+  end_date: dateString.optional(),
+});
+
+const portalPayRecordQuerySchema = portalHistoryQuerySchema.extend({
+  format: z.enum(['json', 'csv']).default('json'),
+});
+
+module.exports = {
+  portalScheduleQuerySchema,
+  portalClockInSchema,
+  portalClockOutSchema,
+  portalBreakSchema: breakSchema,
+  portalHistoryQuerySchema,
+  portalPayRecordQuerySchema,
+  portalTimeOffSchema: createTimeOffSchema,
+};
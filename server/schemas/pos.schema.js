@@ -14,7 +14,8 @@ const createPosConfigSchema = z.object({
   provider: posProviders,
   name: nonEmptyString.max(255),
   api_key: optionalString, // Will be encrypted before storage
-  location_id: optionalString,
+  location_id: optionalId, // Store the POS rings sales for
+  external_location_id: optionalString, // Provider's own location identifier
   webhook_secret: optionalString,
   settings: z.record(z.unknown()).optional(),
 });
@@ -22,7 +23,8 @@ const createPosConfigSchema = z.object({
 const updatePosConfigSchema = z.object({
   name: nonEmptyString.max(255).optional(),
   api_key: optionalString,
-  location_id: optionalString,
+  location_id: optionalId,
+  external_location_id: optionalString,
   webhook_secret: optionalString,
   is_active: z.boolean().optional(),
   settings: z.record(z.unknown()).optional(),
@@ -99,6 +101,7 @@ const transactionQuerySchema = z.object({
   end_date: dateString.optional(),
   transaction_type: z.enum(['sale', 'refund', 'void', 'exchange']).optional(),
   payment_method: z.enum(['cash', 'card', 'gift_card', 'split', 'other']).optional(),
+  location_id: optionalId,
   limit: z.coerce.number().int().positive().max(500).default(100),
   offset: z.coerce.number().int().nonnegative().default(0),
 });
@@ -107,6 +110,7 @@ const settlementQuerySchema = z.object({
   pos_config_id: z.coerce.number().int().positive().optional(),
   start_date: dateString.optional(),
   end_date: dateString.optional(),
+  location_id: optionalId,
 });
 
 module.exports = {
@@ -2,7 +2,7 @@
  * Report validation schemas
  */
 const { z } = require('zod');
-const { dateString, dateRangeSchema } = require('./common');
+const { dateString, optionalId, dateRangeSchema } = require('./common');
 
 const comparePeriods = ['previous_period', 'previous_year'];
 const groupByOptions = ['category', 'type', 'vendor', 'month'];
@@ -11,29 +11,38 @@ const pnlQuerySchema = z.object({
   start_date: dateString,
   end_date: dateString,
   compare_period: z.enum(comparePeriods).optional(),
+  location_id: optionalId,
 });
 
 const taxExpenseQuerySchema = z.object({
   tax_year: z.coerce.number().int().min(2000).max(2100).optional(),
   start_date: dateString.optional(),
   end_date: dateString.optional(),
+  location_id: optionalId,
 });
 
 const cashFlowQuerySchema = z.object({
   start_date: dateString,
   end_date: dateString,
+  location_id: optionalId,
 });
 
-const vendorAnalysisQuerySchema = dateRangeSchema;
+const vendorAnalysisQuerySchema = dateRangeSchema.extend({
+  location_id: optionalId,
+});
 
 const budgetVsActualQuerySchema = z.object({
   month: z.coerce.number().int().min(1).max(12).optional(),
   year: z.coerce.number().int().min(2000).max(2100).optional(),
+  location_id: optionalId,
 });
 
-const dailySummaryQuerySchema = dateRangeSchema;
+const dailySummaryQuerySchema = dateRangeSchema.extend({
+  location_id: optionalId,
+});
 
 const expenseSummaryQuerySchema = dateRangeSchema.extend({
+  location_id: optionalId,
   group_by: z.enum(groupByOptions).optional().default('category'),
 });
 
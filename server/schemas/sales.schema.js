@@ -2,10 +2,11 @@
  * Sales validation schemas
  */
 const { z } = require('zod');
-const { dateString, id, dateRangeSchema } = require('./common');
+const { dateString, id, optionalId, dateRangeSchema } = require('./common');
 
 const createSalesRecordSchema = z.object({
   date: dateString,
+  location_id: optionalId,
   menu_item_id: id,
   quantity_sold: z.coerce.number().int().nonnegative(),
 });
@@ -16,6 +17,7 @@ const updateSalesRecordSchema = z.object({
 
 const dailySalesSchema = z.object({
   date: dateString,
+  location_id: optionalId,
   sales: z.array(z.object({
     menu_item_id: id,
     quantity_sold: z.coerce.number().int().nonnegative(),
@@ -24,11 +26,13 @@ const dailySalesSchema = z.object({
 
 const addSalesSchema = z.object({
   date: dateString,
+  location_id: optionalId,
   menu_item_id: id,
   quantity_sold: z.coerce.number().int().positive(),
 });
 
 const salesQuerySchema = dateRangeSchema.extend({
+  location_id: optionalId,
   period: z.enum(['today', 'week', 'month', 'quarter', 'year', 'ytd']).optional(),
 });
 
@@ -0,0 +1,43 @@
+/**
+ * Re-encrypt stored secrets
+ *
+ * Usage:
+ *   node server/scripts/reencrypt-secrets.js            re-wrap data keys under the current
+ *                                                       master key and move every secret to
+ *                                                       the active data key (also encrypts
+ *                                                       legacy plaintext/base64 values)
+ *   node server/scripts/reencrypt-secrets.js --rotate   rotate the data key first
+ *   node server/scripts/reencrypt-secrets.js --status   list data keys and how many values use each
+ *
+ * Master key rotation: set the new ENCRYPTION_MASTER_KEY / ENCRYPTION_MASTER_KEY_ID, move the
+ * old key to ENCRYPTION_PREVIOUS_MASTER_KEYS ("id:key"), run this command, then drop the old key.
+ */
+const db = require('../db');
+const EncryptionService = require('../services/EncryptionService');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const encryptionService = new EncryptionService(db.pool);
+
+  await db.initializeTables();
+
+  if (args.includes('--status')) {
+    console.table(await encryptionService.getKeyStatus());
+    return;
+  }
+
+  const result = await encryptionService.reencryptAll({ rotate: args.includes('--rotate') });
+  console.log(`🔑 Active data key: ${result.active_key_id}`);
+  console.log(`🔁 Data keys re-wrapped: ${result.rewrapped_keys}`);
+  console.table(result.fields);
+}
+
+main()
+  .then(() => {
+    console.log('✅ Done');
+  })
+  .catch((error) => {
+    console.error('❌ Re-encryption failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
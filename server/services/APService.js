@@ -5,6 +5,7 @@
 const { ValidationError, NotFoundError } = require('../utils/errors');
 const { serviceLogger } = require('../utils/logger');
 const PostingService = require('./PostingService');
+const { applyDimensionDefaults } = require('../utils/dimensions');
 
 class APService {
   /**
@@ -227,19 +228,26 @@ class APService {
       const journalLines = [];
       const apAccountId = await this.getAccountIdByNumber('2000', client);
       
-      // Group lines by account for cleaner JE
+      // Group lines by account and dimensions for cleaner JE
       const accountTotals = new Map();
       for (const line of lines.rows) {
         const accountId = line.mapped_account_id || line.category_account_id || await this.getDefaultExpenseAccountId(client);
-        const current = accountTotals.get(accountId) || 0;
-        accountTotals.set(accountId, current + parseFloat(line.line_total || 0));
+        const key = [accountId, line.department, line.class].join('|');
+        const current = accountTotals.get(key) || {
+          account_id: accountId,
+          department: line.department,
+          class: line.class,
+          amount: 0,
+        };
+        current.amount += parseFloat(line.line_total || 0);
+        accountTotals.set(key, current);
       }
 
       // Add debit lines
-      for (const [accountId, amount] of accountTotals) {
+      for (const { amount, ...dimensions } of accountTotals.values()) {
         if (amount > 0) {
           journalLines.push({
-            account_id: accountId,
+            ...dimensions,
             debit: amount,
             credit: 0,
             description: `Invoice ${invoice.invoice_number || invoiceId}`,
@@ -265,11 +273,13 @@ class APService {
       );
       const journalEntry = jeResult.rows[0];
 
-      for (const jl of journalLines) {
+      // Lines without a department/class take the account's defaults
+      for (const jl of await applyDimensionDefaults(client, journalLines)) {
         await client.query(
-          `INSERT INTO journal_entry_lines (journal_entry_id, account_id, debit, credit, description)
-           VALUES ($1, $2, $3, $4, $5)`,
-          [journalEntry.id, jl.account_id, jl.debit, jl.credit, jl.description]
+          `INSERT INTO journal_entry_lines (
+             journal_entry_id, account_id, debit, credit, description, department, class
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [journalEntry.id, jl.account_id, jl.debit, jl.credit, jl.description, jl.department, jl.class]
         );
       }
 
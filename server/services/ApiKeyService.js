@@ -0,0 +1,232 @@
+/**
+ * ApiKeyService
+ * Admin-issued API keys for machine integrations (POS imports, scripted uploads)
+ *
+ * Keys look like `rpk_<prefix>_<secret>`; only a SHA-256 hash is stored, the prefix is kept
+ * in clear so keys can be identified in lists and logs. Each key carries scopes of the form
+ * `<resource>:<level>` where resource is a role_permissions resource and level is
+ * read, write (read + create/update/delete) or approve (read + sign-off actions).
+ */
+const crypto = require('crypto');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { serviceLogger } = require('../utils/logger');
+const { writeAuditEntry } = require('../utils/audit');
+
+const KEY_PREFIX = 'rpk_';
+const LAST_USED_TOUCH_SECONDS = 60;
+
+/**
+ * Resources a key can be scoped to
+ */
+const SCOPE_RESOURCES = [
+  'vendors',
+  'inventory',
+  'menu',
+  'sales',
+  'expenses',
+  'reports',
+  'tax',
+  'payroll',
+  'accounting',
+  'ledger',
+  'ap',
+  'labor',
+  'timeclock',
+  'approvals',
+  'pos',
+  'locations',
+];
+
+/**
+ * Scope level → actions it grants
+ */
+const SCOPE_LEVELS = {
+  read: ['read'],
+  write: ['read', 'create', 'update', 'delete'],
+  approve: ['read', 'approve'],
+};
+
+const API_KEY_SCOPES = SCOPE_RESOURCES.flatMap((resource) =>
+  Object.keys(SCOPE_LEVELS).map((level) => `${resource}:${level}`)
+);
+
+class ApiKeyService {
+  /**
+   * @param {import('pg').Pool} pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+    this.logger = serviceLogger.child({ service: 'api-keys' });
+  }
+
+  // ============================================
+  // KEY FORMAT
+  // ============================================
+
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Fresh key and the prefix stored alongside its hash
+   */
+  generateKey() {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    return { key: `${KEY_PREFIX}${prefix}_${secret}`, prefix: `${KEY_PREFIX}${prefix}` };
+  }
+
+  /**
+   * Whether a set of scopes covers resource/action (fallback resource also accepted)
+   */
+  hasScope(scopes, resource, action, fallback = null) {
+    return (scopes || []).some((scope) => {
+      const [scopeResource, level] = scope.split(':');
+      if (scopeResource !== resource && scopeResource !== fallback) {return false;}
+      return (SCOPE_LEVELS[level] || []).includes(action);
+    });
+  }
+
+  // ============================================
+  // ISSUE / LIST / REVOKE
+  // ============================================
+
+  /**
+   * Issue a key. The plaintext key is only returned here.
+   * @param {{name: string, scopes: string[], expires_at?: string, description?: string}} input
+   * @param {Object} issuedBy - acting user
+   */
+  async createKey(input, issuedBy, context = {}) {
+    const scopes = [...new Set(input.scopes)];
+    const invalid = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+    if (invalid.length > 0) {
+      throw new ValidationError('Unknown API key scopes', { invalid, allowed: API_KEY_SCOPES });
+    }
+    if (input.expires_at && new Date(input.expires_at) <= new Date()) {
+      throw new ValidationError('expires_at must be in the future');
+    }
+
+    const { key, prefix } = this.generateKey();
+    const result = await this.pool.query(
+      `INSERT INTO api_keys (name, description, key_prefix, key_hash, scopes, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, name, description, key_prefix, scopes, expires_at, created_by, created_at`,
+      [
+        input.name,
+        input.description || null,
+        prefix,
+        this.hashKey(key),
+        JSON.stringify(scopes),
+        input.expires_at || null,
+        issuedBy.id,
+      ]
+    );
+    const apiKey = result.rows[0];
+
+    await writeAuditEntry(this.pool, {
+      user_id: issuedBy.id,
+      user_email: issuedBy.email,
+      action: 'api_key_create',
+      resource: 'api_keys',
+      resource_id: apiKey.id,
+      new_values: apiKey,
+      ip_address: context.ip_address,
+      user_agent: context.user_agent,
+      request_id: context.request_id,
+    });
+
+    this.logger.info({ apiKeyId: apiKey.id, prefix, scopes }, 'API key issued');
+    return { ...apiKey, key };
+  }
+
+  async listKeys({ includeRevoked = false } = {}) {
+    const result = await this.pool.query(
+      `SELECT k.id, k.name, k.description, k.key_prefix, k.scopes, k.expires_at,
+         k.last_used_at, k.last_used_ip, k.revoked_at, k.created_at,
+         u.email AS created_by_email,
+         (k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP))
+           AS is_active
+       FROM api_keys k
+       LEFT JOIN users u ON k.created_by = u.id
+       WHERE ($1 OR k.revoked_at IS NULL)
+       ORDER BY k.created_at DESC`,
+      [includeRevoked]
+    );
+    return result.rows;
+  }
+
+  async revokeKey(id, revokedBy, context = {}) {
+    const result = await this.pool.query(
+      `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id, name, key_prefix, revoked_at`,
+      [id, revokedBy.id]
+    );
+    if (result.rows.length === 0) {
+      throw new NotFoundError('API key');
+    }
+    const apiKey = result.rows[0];
+
+    await writeAuditEntry(this.pool, {
+      user_id: revokedBy.id,
+      user_email: revokedBy.email,
+      action: 'api_key_revoke',
+      resource: 'api_keys',
+      resource_id: apiKey.id,
+      new_values: { revoked_at: apiKey.revoked_at },
+      ip_address: context.ip_address,
+      user_agent: context.user_agent,
+      request_id: context.request_id,
+    });
+
+    this.logger.info({ apiKeyId: apiKey.id, prefix: apiKey.key_prefix }, 'API key revoked');
+    return apiKey;
+  }
+
+  // ============================================
+  // AUTHENTICATION
+  // ============================================
+
+  /**
+   * Resolve a presented key to the principal used as req.user
+   * @returns {Promise<Object|null>} null if unknown, revoked or expired
+   */
+  async validateKey(key, ipAddress = null) {
+    const result = await this.pool.query(
+      `SELECT id, name, scopes, created_by, last_used_at,
+         (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - make_interval(secs => $2))
+           AS needs_touch
+       FROM api_keys
+       WHERE key_hash = $1 AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+      [this.hashKey(key), LAST_USED_TOUCH_SECONDS]
+    );
+    const apiKey = result.rows[0];
+    if (!apiKey) {return null;}
+
+    if (apiKey.needs_touch) {
+      await this.pool.query(
+        'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2 WHERE id = $1',
+        [apiKey.id, ipAddress]
+      );
+    }
+
+    // Writes are attributed to the issuing admin; the role matches no role_permissions
+    // rows or requireRole() checks, so the key's scopes are the only grant
+    return {
+      id: apiKey.created_by,
+      email: `api-key:${apiKey.name}`,
+      role: 'api_key',
+      api_key_id: apiKey.id,
+      scopes: apiKey.scopes,
+      must_change_password: false,
+    };
+  }
+}
+
+module.exports = ApiKeyService;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
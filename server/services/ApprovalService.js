@@ -0,0 +1,510 @@
+/**
+ * ApprovalService
+ * Generic approval workflow on approval_requests: request, approve, reject, escalate, expire.
+ * Sensitive operations register a handler per request_type; the handler's execute()
+ * runs inside the approval transaction once a permitted approver signs off.
+ */
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  ForbiddenError,
+} = require('../utils/errors');
+const { serviceLogger } = require('../utils/logger');
+const { getSetting } = require('../utils/settings');
+const AuthService = require('./AuthService');
+
+const OPEN_STATUSES = ['pending', 'escalated'];
+const DEFAULT_EXPIRY_HOURS = 72;
+
+/**
+ * request_type → { approverRole, execute(client, request, context), inScope?(client, request, user) }
+ * inScope limits deciders to the records their data/location scope covers.
+ */
+const handlers = new Map();
+
+class ApprovalService {
+  /**
+   * @param {import('pg').Pool} pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+    this.authService = new AuthService(pool);
+    this.logger = serviceLogger.child({ service: 'approvals' });
+  }
+
+  /**
+   * Register the executor for a request type
+   * @param {string} requestType
+   * @param {{approverRole?: string, execute: Function, inScope?: Function}} handler
+   */
+  static registerHandler(requestType, handler) {
+    handlers.set(requestType, { approverRole: 'admin', ...handler });
+  }
+
+  static getHandler(requestType) {
+    const handler = handlers.get(requestType);
+    if (!handler) {
+      throw new ValidationError(`No approval handler registered for '${requestType}'`);
+    }
+    return handler;
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  audit(client, context, action, request, extra = {}) {
+    const user = context.user || {};
+    return this.authService.logAudit(
+      {
+        user_id: user.id || null,
+        user_email: user.email || null,
+        action,
+        resource: 'approval_requests',
+        resource_id: request.id,
+        old_values: extra.old_values || null,
+        new_values: {
+          request_type: request.request_type,
+          reference_type: request.reference_type,
+          reference_id: request.reference_id,
+          status: request.status,
+          ...extra.new_values,
+        },
+        ip_address: context.ip_address,
+        user_agent: context.user_agent,
+        request_id: context.request_id,
+      },
+      client
+    );
+  }
+
+  async lockOpenRequest(client, id) {
+    const result = await client.query('SELECT * FROM approval_requests WHERE id = $1 FOR UPDATE', [id]);
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Approval request');
+    }
+    const request = result.rows[0];
+    if (!OPEN_STATUSES.includes(request.status)) {
+      throw new ValidationError(`Approval request is already ${request.status}`);
+    }
+    return request;
+  }
+
+  /**
+   * Approver role (or admin), and the record inside the user's scope when the handler checks one
+   */
+  async canDecide(client, request, user) {
+    if (user.role !== 'admin' && user.role !== request.approver_role) {return false;}
+    const { inScope } = ApprovalService.getHandler(request.request_type);
+    return inScope ? Boolean(await inScope(client, request, user)) : true;
+  }
+
+  /**
+   * Admins, the requester, whoever decided it, and anyone who could decide it may see a request
+   */
+  canView(client, request, user) {
+    if (user.role === 'admin' || request.requested_by === user.id || request.approved_by === user.id) {
+      return true;
+    }
+    return this.canDecide(client, request, user);
+  }
+
+  // ============================================
+  // REQUEST
+  // ============================================
+
+  /**
+   * Open an approval request for a sensitive operation
+   */
+  async requestApproval(input, context) {
+    const {
+      request_type,
+      reference_type,
+      reference_id = null,
+      payload = null,
+      notes = null,
+    } = input;
+    const handler = ApprovalService.getHandler(request_type);
+    const user = context.user || {};
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // One open request per target record
+      const existing = await client.query(
+        `SELECT id FROM approval_requests
+         WHERE request_type = $1 AND reference_type = $2
+           AND reference_id IS NOT DISTINCT FROM $3
+           AND status = ANY($4)`,
+        [request_type, reference_type, reference_id, OPEN_STATUSES]
+      );
+      if (existing.rows.length > 0) {
+        throw new ConflictError(
+          `Approval request #${existing.rows[0].id} is already pending for this ${reference_type}`
+        );
+      }
+
+      const expiryHours = await getSetting(client, 'approval_expiry_hours', DEFAULT_EXPIRY_HOURS);
+
+      const result = await client.query(
+        `INSERT INTO approval_requests (
+           request_type, reference_type, reference_id, requested_by, status,
+           approver_role, payload, notes, expires_at
+         ) VALUES ($1, $2, $3, $4, 'pending', $5, $6, $7,
+           CURRENT_TIMESTAMP + ($8 || ' hours')::interval)
+         RETURNING *`,
+        [
+          request_type,
+          reference_type,
+          reference_id,
+          user.id || null,
+          handler.approverRole,
+          payload ? JSON.stringify(payload) : null,
+          notes,
+          String(expiryHours),
+        ]
+      );
+      const request = result.rows[0];
+
+      const auditId = await this.audit(client, context, 'approval_requested', request, {
+        new_values: { payload, notes },
+      });
+      await client.query('UPDATE approval_requests SET request_audit_id = $1 WHERE id = $2', [
+        auditId,
+        request.id,
+      ]);
+
+      await client.query('COMMIT');
+
+      this.logger.info(
+        { approvalId: request.id, request_type, reference_type, reference_id },
+        'Approval requested'
+      );
+
+      return { ...request, request_audit_id: auditId };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ============================================
+  // DECISIONS
+  // ============================================
+
+  /**
+   * Approve a request and execute the underlying operation
+   */
+  async approve(id, context, notes = null) {
+    const user = context.user || {};
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const request = await this.lockOpenRequest(client, id);
+
+      if (request.expires_at && new Date(request.expires_at) < new Date()) {
+        await this.markExpired(client, request, context);
+        await client.query('COMMIT');
+        throw new ValidationError('Approval request has expired');
+      }
+      if (!(await this.canDecide(client, request, user))) {
+        throw new ForbiddenError(`Approval requires role: ${request.approver_role} with access to the record`);
+      }
+      if (request.requested_by && request.requested_by === user.id) {
+        const allowSelf = await getSetting(client, 'approval_allow_self', false);
+        if (!allowSelf) {
+          throw new ForbiddenError('Requester cannot approve their own request');
+        }
+      }
+
+      const handler = ApprovalService.getHandler(request.request_type);
+      const result = await handler.execute(client, request, context);
+
+      const updated = await client.query(
+        `UPDATE approval_requests SET
+           status = 'approved',
+           approved_by = $1,
+           approved_at = CURRENT_TIMESTAMP,
+           decision_notes = $2,
+           result = $3
+         WHERE id = $4
+         RETURNING *`,
+        [user.id || null, notes, result ? JSON.stringify(result) : null, id]
+      );
+      const approved = updated.rows[0];
+
+      const auditId = await this.audit(client, context, 'approval_approved', approved, {
+        old_values: { status: request.status },
+        new_values: { notes },
+      });
+      await client.query('UPDATE approval_requests SET decision_audit_id = $1 WHERE id = $2', [
+        auditId,
+        id,
+      ]);
+
+      await client.query('COMMIT');
+
+      this.logger.info(
+        { approvalId: id, request_type: request.request_type, approvedBy: user.id },
+        'Approval granted and executed'
+      );
+
+      return { ...approved, decision_audit_id: auditId };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Reject a request (the operation is not executed)
+   */
+  async reject(id, context, reason) {
+    const user = context.user || {};
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const request = await this.lockOpenRequest(client, id);
+      if (!(await this.canDecide(client, request, user))) {
+        throw new ForbiddenError(`Rejection requires role: ${request.approver_role} with access to the record`);
+      }
+
+      const updated = await client.query(
+        `UPDATE approval_requests SET
+           status = 'rejected',
+           approved_by = $1,
+           approved_at = CURRENT_TIMESTAMP,
+           rejection_reason = $2
+         WHERE id = $3
+         RETURNING *`,
+        [user.id || null, reason, id]
+      );
+      const rejected = updated.rows[0];
+
+      const auditId = await this.audit(client, context, 'approval_rejected', rejected, {
+        old_values: { status: request.status },
+        new_values: { rejection_reason: reason },
+      });
+      await client.query('UPDATE approval_requests SET decision_audit_id = $1 WHERE id = $2', [
+        auditId,
+        id,
+      ]);
+
+      await client.query('COMMIT');
+
+      this.logger.info({ approvalId: id, rejectedBy: user.id }, 'Approval rejected');
+
+      return { ...rejected, decision_audit_id: auditId };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Escalate a request to the admin approver level
+   */
+  async escalate(id, context, reason = null) {
+    const user = context.user || {};
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const request = await this.lockOpenRequest(client, id);
+      if (request.approver_role === 'admin') {
+        throw new ValidationError('Approval request is already at the highest approval level');
+      }
+      if (request.requested_by !== user.id && !(await this.canDecide(client, request, user))) {
+        throw new ForbiddenError('Only the requester or an approver can escalate this request');
+      }
+
+      const updated = await client.query(
+        `UPDATE approval_requests SET
+           status = 'escalated',
+           approver_role = 'admin',
+           escalated_by = $1,
+           escalated_at = CURRENT_TIMESTAMP,
+           escalation_reason = $2
+         WHERE id = $3
+         RETURNING *`,
+        [user.id || null, reason, id]
+      );
+      const escalated = updated.rows[0];
+
+      await this.audit(client, context, 'approval_escalated', escalated, {
+        old_values: { status: request.status, approver_role: request.approver_role },
+        new_values: { approver_role: 'admin', escalation_reason: reason },
+      });
+
+      await client.query('COMMIT');
+
+      this.logger.info({ approvalId: id, escalatedBy: user.id }, 'Approval escalated');
+
+      return escalated;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ============================================
+  // EXPIRY
+  // ============================================
+
+  async markExpired(client, request, context) {
+    const updated = await client.query(
+      `UPDATE approval_requests SET status = 'expired' WHERE id = $1 RETURNING *`,
+      [request.id]
+    );
+    await this.audit(client, context, 'approval_expired', updated.rows[0], {
+      old_values: { status: request.status },
+    });
+    return updated.rows[0];
+  }
+
+  /**
+   * Expire all open requests past their expires_at
+   */
+  async expireStale(context = {}) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const stale = await client.query(
+        `SELECT * FROM approval_requests
+         WHERE status = ANY($1) AND expires_at < CURRENT_TIMESTAMP
+         FOR UPDATE`,
+        [OPEN_STATUSES]
+      );
+
+      const expired = [];
+      for (const request of stale.rows) {
+        expired.push(await this.markExpired(client, request, context));
+      }
+
+      await client.query('COMMIT');
+
+      if (expired.length > 0) {
+        this.logger.info({ count: expired.length }, 'Stale approval requests expired');
+      }
+
+      return expired;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ============================================
+  // QUERIES
+  // ============================================
+
+  /**
+   * List requests, limited to those the user may see (see canView) when a user is given
+   */
+  async getRequests(filters = {}, user = null) {
+    const { status, request_type, reference_type, reference_id, requested_by, limit = 100, offset = 0 } =
+      filters;
+
+    let sql = `
+      SELECT ar.*,
+        ru.email as requested_by_email,
+        au.email as approved_by_email
+      FROM approval_requests ar
+      LEFT JOIN users ru ON ar.requested_by = ru.id
+      LEFT JOIN users au ON ar.approved_by = au.id
+      WHERE 1=1
+    `;
+    const params = [];
+    let p = 1;
+
+    if (status) {
+      sql += ` AND ar.status = $${p++}`;
+      params.push(status);
+    }
+    if (request_type) {
+      sql += ` AND ar.request_type = $${p++}`;
+      params.push(request_type);
+    }
+    if (reference_type) {
+      sql += ` AND ar.reference_type = $${p++}`;
+      params.push(reference_type);
+    }
+    if (reference_id) {
+      sql += ` AND ar.reference_id = $${p++}`;
+      params.push(reference_id);
+    }
+    if (requested_by) {
+      sql += ` AND ar.requested_by = $${p++}`;
+      params.push(requested_by);
+    }
+    if (user && user.role !== 'admin') {
+      sql += ` AND (ar.requested_by = $${p} OR ar.approved_by = $${p} OR ar.approver_role = $${p + 1})`;
+      p += 2;
+      params.push(user.id, user.role);
+    }
+
+    sql += ` ORDER BY ar.requested_at DESC LIMIT $${p++} OFFSET $${p++}`;
+    params.push(limit, offset);
+
+    const result = await this.pool.query(sql, params);
+    if (!user) {return result.rows;}
+
+    // Approver-role matches still need the handler's record scope
+    const visible = [];
+    for (const request of result.rows) {
+      if (await this.canView(this.pool, request, user)) {visible.push(request);}
+    }
+    return visible;
+  }
+
+  /**
+   * Get a request with its audit trail (visible to the given user, see canView)
+   */
+  async getRequest(id, user = null) {
+    const result = await this.pool.query(
+      `SELECT ar.*,
+         ru.email as requested_by_email,
+         au.email as approved_by_email
+       FROM approval_requests ar
+       LEFT JOIN users ru ON ar.requested_by = ru.id
+       LEFT JOIN users au ON ar.approved_by = au.id
+       WHERE ar.id = $1`,
+      [id]
+    );
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Approval request');
+    }
+    if (user && !(await this.canView(this.pool, result.rows[0], user))) {
+      throw new ForbiddenError('This approval request is outside your access');
+    }
+
+    const audit = await this.pool.query(
+      `SELECT * FROM audit_log
+       WHERE resource = 'approval_requests' AND resource_id = $1
+       ORDER BY created_at`,
+      [id]
+    );
+
+    return { ...result.rows[0], audit_trail: audit.rows };
+  }
+}
+
+module.exports = ApprovalService;
@@ -3,8 +3,29 @@
  * Handles authentication, authorization, and audit logging
  */
 const crypto = require('crypto');
-const { ValidationError, NotFoundError } = require('../utils/errors');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  UnauthorizedError,
+  ForbiddenError,
+  TooManyRequestsError,
+} = require('../utils/errors');
 const { serviceLogger } = require('../utils/logger');
+const { writeAuditEntry } = require('../utils/audit');
+const { getSetting } = require('../utils/settings');
+const totp = require('../utils/totp');
+const { notify } = require('../utils/notifier');
+const config = require('../config');
+const EncryptionService = require('./EncryptionService');
+
+const MFA_CHALLENGE_MINUTES = 5;
+const MFA_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const MFA_SECRET_CONTEXT = 'users.mfa_secret';
+const RESET_REQUEST_COOLDOWN_SECONDS = 60;
+const SESSION_POLICY_TTL_MS = 60 * 1000;
+const SESSION_TOUCH_SECONDS = 60;
 
 class AuthService {
   /**
@@ -13,6 +34,8 @@ class AuthService {
   constructor(pool) {
     this.pool = pool;
     this.logger = serviceLogger.child({ service: 'auth' });
+    this.encryptionService = new EncryptionService(pool);
+    this.sessionPolicy = null;
   }
 
   // ============================================
@@ -43,7 +66,13 @@ class AuthService {
   // USER MANAGEMENT
   // ============================================
 
-  async createUser(input) {
+  /**
+   * @param {Object} input - email, password, names, role, employee_id
+   * @param {Object} [options]
+   * @param {boolean} [options.mustChangePassword] - force a new password on first login
+   * @param {boolean} [options.enforcePolicy=true] - apply the password policy (off for demo setup)
+   */
+  async createUser(input, { mustChangePassword = false, enforcePolicy = true } = {}) {
     const { email, password, first_name, last_name, role = 'viewer', employee_id = null } = input;
 
     // Check if email already exists
@@ -52,13 +81,17 @@ class AuthService {
       throw new ValidationError('Email already registered');
     }
 
+    if (enforcePolicy) {
+      await this.validatePassword(password, { email });
+    }
+
     const passwordHash = this.hashPassword(password);
 
     const result = await this.pool.query(
-      `INSERT INTO users (email, password_hash, first_name, last_name, role, employee_id)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id, email, first_name, last_name, role, employee_id, is_active, created_at`,
-      [email.toLowerCase(), passwordHash, first_name, last_name, role, employee_id]
+      `INSERT INTO users (email, password_hash, first_name, last_name, role, employee_id, must_change_password)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, email, first_name, last_name, role, employee_id, is_active, must_change_password, created_at`,
+      [email.toLowerCase(), passwordHash, first_name, last_name, role, employee_id, mustChangePassword]
     );
 
     this.logger.info({ userId: result.rows[0].id, email }, 'User created');
@@ -66,13 +99,25 @@ class AuthService {
     return result.rows[0];
   }
 
+  /**
+   * Password step of login.
+   * Returns a session, or an MFA challenge ({ mfa_required, mfa_token, ... }) that
+   * completeMfaLogin() exchanges for a session once the code is verified.
+   */
   async login(email, password, ipAddress = null, userAgent = null) {
+    const policy = await this.getLockoutPolicy();
+    await this.checkIpLockout(ipAddress, policy);
+
     const result = await this.pool.query(
-      'SELECT * FROM users WHERE email = $1',
+      `SELECT u.*, e.termination_date AS employee_termination_date
+       FROM users u
+       LEFT JOIN employees e ON u.employee_id = e.id
+       WHERE u.email = $1`,
       [email.toLowerCase()]
     );
 
     if (result.rows.length === 0) {
+      await this.recordLoginAttempt({ email, ipAddress, success: false });
       throw new ValidationError('Invalid email or password');
     }
 
@@ -80,46 +125,64 @@ class AuthService {
 
     // Check if account is locked
     if (user.locked_until && new Date(user.locked_until) > new Date()) {
-      throw new ValidationError('Account is temporarily locked. Try again later.');
+      throw new TooManyRequestsError(
+        'Account is temporarily locked. Try again later.',
+        Math.ceil((new Date(user.locked_until) - Date.now()) / 1000)
+      );
     }
 
-    // Check if account is active
-    if (!user.is_active) {
+    // Check if account is active (and the linked employee still works here)
+    if (!user.is_active || this.isTerminated(user.employee_termination_date)) {
       throw new ValidationError('Account is deactivated');
     }
 
     // Verify password
     if (!this.verifyPassword(password, user.password_hash)) {
-      // Increment failed attempts
-      const attempts = (user.failed_login_attempts || 0) + 1;
-      const lockUntil = attempts >= 5 ? new Date(Date.now() + 15 * 60 * 1000) : null; // Lock for 15 mins after 5 fails
-
-      await this.pool.query(
-        'UPDATE users SET failed_login_attempts = $1, locked_until = $2 WHERE id = $3',
-        [attempts, lockUntil, user.id]
-      );
-
+      await this.recordFailedLogin(user, ipAddress, policy);
       throw new ValidationError('Invalid email or password');
     }
 
-    // Reset failed attempts
+    // Second step: enrolled users verify a code, required roles must enroll first.
+    // Failed attempts are only reset once the second factor passes (see completeMfaLogin).
+    if (user.mfa_enabled) {
+      return this.createMfaChallenge(user, 'verify');
+    }
+    if (await this.isMfaRequired(user.role)) {
+      return this.createMfaChallenge(user, 'enroll');
+    }
+
+    await this.recordSuccessfulLogin(user, ipAddress);
+    return this.createSession(user, ipAddress, userAgent);
+  }
+
+  /**
+   * Record a completed login and reset the account's failed attempts
+   */
+  async recordSuccessfulLogin(user, ipAddress) {
+    await this.recordLoginAttempt({ email: user.email, userId: user.id, ipAddress, success: true });
     await this.pool.query(
-      'UPDATE users SET failed_login_attempts = 0, locked_until = NULL, last_login = CURRENT_TIMESTAMP WHERE id = $1',
+      'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = $1',
       [user.id]
     );
+  }
 
-    // Generate session token
+  /**
+   * Issue a session token for an authenticated user
+   */
+  async createSession(user, ipAddress = null, userAgent = null) {
     const token = this.generateToken();
     const tokenHash = this.hashToken(token);
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+    const { absoluteHours } = await this.getSessionPolicy();
+    const expiresAt = new Date(Date.now() + absoluteHours * 60 * 60 * 1000);
 
     await this.pool.query(
       `INSERT INTO sessions (user_id, token_hash, expires_at, ip_address, user_agent)
        VALUES ($1, $2, $3, $4, $5)`,
       [user.id, tokenHash, expiresAt, ipAddress, userAgent]
     );
+    await this.pool.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
 
-    this.logger.info({ userId: user.id, email }, 'User logged in');
+    this.logger.info({ userId: user.id, email: user.email }, 'User logged in');
 
     return {
       token,
@@ -130,22 +193,34 @@ class AuthService {
         first_name: user.first_name,
         last_name: user.last_name,
         role: user.role,
+        employee_id: user.employee_id,
+        must_change_password: Boolean(user.must_change_password),
       },
     };
   }
 
   async logout(token) {
     const tokenHash = this.hashToken(token);
-    await this.pool.query('DELETE FROM sessions WHERE token_hash = $1', [tokenHash]);
+    await this.pool.query(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'logout'
+       WHERE token_hash = $1 AND revoked_at IS NULL`,
+      [tokenHash]
+    );
   }
 
+  /**
+   * Resolve a bearer token to its user, enforcing revocation, the idle and
+   * absolute timeouts, deactivation and employee termination
+   */
   async validateToken(token) {
     const tokenHash = this.hashToken(token);
     const result = await this.pool.query(
-      `SELECT s.*, u.id as user_id, u.email, u.first_name, u.last_name, u.role, u.is_active
+      `SELECT s.*, u.id as user_id, u.email, u.first_name, u.last_name, u.role, u.is_active,
+         u.employee_id, u.must_change_password, e.termination_date AS employee_termination_date
        FROM sessions s
        JOIN users u ON s.user_id = u.id
-       WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP`,
+       LEFT JOIN employees e ON u.employee_id = e.id
+       WHERE s.token_hash = $1 AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
       [tokenHash]
     );
 
@@ -155,18 +230,839 @@ class AuthService {
 
     const session = result.rows[0];
     if (!session.is_active) {
+      await this.revokeSession(session.id, 'deactivated');
+      return null;
+    }
+    if (this.isTerminated(session.employee_termination_date)) {
+      await this.revokeSession(session.id, 'employee_terminated');
+      return null;
+    }
+
+    const { idleMinutes } = await this.getSessionPolicy();
+    const lastActivity = new Date(session.last_activity_at || session.created_at);
+    if (idleMinutes > 0 && Date.now() - lastActivity.getTime() > idleMinutes * 60 * 1000) {
+      await this.revokeSession(session.id, 'idle_timeout');
       return null;
     }
 
+    // Touch at most once a minute to avoid a write per request
+    await this.pool.query(
+      `UPDATE sessions SET last_activity_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND last_activity_at < CURRENT_TIMESTAMP - ($2 || ' seconds')::interval`,
+      [session.id, String(SESSION_TOUCH_SECONDS)]
+    );
+
     return {
       id: session.user_id,
       email: session.email,
       first_name: session.first_name,
       last_name: session.last_name,
       role: session.role,
+      employee_id: session.employee_id,
+      must_change_password: Boolean(session.must_change_password),
+      session_id: session.id,
+    };
+  }
+
+  isTerminated(terminationDate) {
+    if (!terminationDate) {
+      return false;
+    }
+    const today = new Date();
+    today.setHours(23, 59, 59, 999);
+    return new Date(terminationDate) <= today;
+  }
+
+  // ============================================
+  // SESSIONS
+  // ============================================
+
+  /**
+   * Idle and absolute timeouts (business settings, cached briefly since
+   * every authenticated request needs them)
+   */
+  async getSessionPolicy() {
+    if (this.sessionPolicy && this.sessionPolicy.loadedAt > Date.now() - SESSION_POLICY_TTL_MS) {
+      return this.sessionPolicy;
+    }
+
+    const [idleMinutes, absoluteHours] = await Promise.all([
+      getSetting(this.pool, 'session_idle_timeout_minutes', 60),
+      getSetting(this.pool, 'session_absolute_timeout_hours', 24),
+    ]);
+    this.sessionPolicy = { idleMinutes, absoluteHours, loadedAt: Date.now() };
+    return this.sessionPolicy;
+  }
+
+  /**
+   * Active sessions for a user (newest activity first)
+   * @param {number} userId
+   * @param {number} [currentSessionId] - flagged as `current`
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const result = await this.pool.query(
+      `SELECT id, user_id, ip_address, user_agent, created_at, last_activity_at, expires_at
+       FROM sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_activity_at DESC NULLS LAST, created_at DESC`,
+      [userId]
+    );
+    return result.rows.map((session) => ({ ...session, current: session.id === currentSessionId }));
+  }
+
+  async getSession(sessionId) {
+    const result = await this.pool.query('SELECT * FROM sessions WHERE id = $1', [sessionId]);
+    if (!result.rows.length) {
+      throw new NotFoundError('Session');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Revoke a single session
+   * @returns {Promise<boolean>} false if it was already revoked
+   */
+  async revokeSession(sessionId, reason, revokedBy = null, client = this.pool) {
+    const result = await client.query(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2, revoked_by = $3
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [sessionId, reason, revokedBy]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {Object} [options]
+   * @param {number} [options.exceptSessionId] - keep this one (e.g. "sign out other devices")
+   * @returns {Promise<number>} sessions revoked
+   */
+  async revokeUserSessions(userId, reason, { exceptSessionId = null, revokedBy = null } = {}, client = this.pool) {
+    const result = await client.query(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2, revoked_by = $3
+       WHERE user_id = $1 AND revoked_at IS NULL AND ($4::int IS NULL OR id <> $4)`,
+      [userId, reason, revokedBy, exceptSessionId]
+    );
+    if (result.rowCount) {
+      this.logger.info({ userId, reason, count: result.rowCount }, 'Sessions revoked');
+    }
+    return result.rowCount;
+  }
+
+  /**
+   * Revoke sessions of users linked to an employee (on termination)
+   */
+  async revokeEmployeeSessions(employeeId, reason = 'employee_terminated', revokedBy = null) {
+    const result = await this.pool.query(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2, revoked_by = $3
+       WHERE revoked_at IS NULL
+         AND user_id IN (SELECT id FROM users WHERE employee_id = $1)`,
+      [employeeId, reason, revokedBy]
+    );
+    if (result.rowCount) {
+      this.logger.info({ employeeId, reason, count: result.rowCount }, 'Employee sessions revoked');
+    }
+    return result.rowCount;
+  }
+
+  // ============================================
+  // PASSWORD POLICY
+  // ============================================
+
+  /**
+   * Password complexity rules (business settings)
+   */
+  async getPasswordPolicy() {
+    const [minLength, requireUppercase, requireLowercase, requireNumber, requireSymbol] = await Promise.all([
+      getSetting(this.pool, 'password_min_length', 8),
+      getSetting(this.pool, 'password_require_uppercase', true),
+      getSetting(this.pool, 'password_require_lowercase', true),
+      getSetting(this.pool, 'password_require_number', true),
+      getSetting(this.pool, 'password_require_symbol', false),
+    ]);
+
+    return {
+      min_length: minLength,
+      require_uppercase: requireUppercase,
+      require_lowercase: requireLowercase,
+      require_number: requireNumber,
+      require_symbol: requireSymbol,
+    };
+  }
+
+  /**
+   * Throw a ValidationError listing every rule the password breaks
+   * @param {string} password
+   * @param {{email?: string}} [user] - the password may not contain the username
+   */
+  async validatePassword(password, user = {}) {
+    const policy = await this.getPasswordPolicy();
+    const problems = [];
+
+    if (password.length < policy.min_length) {
+      problems.push(`at least ${policy.min_length} characters`);
+    }
+    if (policy.require_uppercase && !/[A-Z]/.test(password)) {
+      problems.push('an uppercase letter');
+    }
+    if (policy.require_lowercase && !/[a-z]/.test(password)) {
+      problems.push('a lowercase letter');
+    }
+    if (policy.require_number && !/\d/.test(password)) {
+      problems.push('a number');
+    }
+    if (policy.require_symbol && !/[^A-Za-z0-9]/.test(password)) {
+      problems.push('a symbol');
+    }
+
+    const username = (user.email || '').split('@')[0].toLowerCase();
+    if (username.length >= 3 && password.toLowerCase().includes(username)) {
+      problems.push('no part of your username');
+    }
+
+    if (problems.length) {
+      throw new ValidationError(`Password must contain ${problems.join(', ')}`, { requirements: problems });
+    }
+  }
+
+  /**
+   * Store a new password and clear lockout / forced-change state
+   */
+  async setPassword(userId, password, client = this.pool) {
+    await client.query(
+      `UPDATE users SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP,
+         must_change_password = false, failed_login_attempts = 0, locked_until = NULL,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [this.hashPassword(password), userId]
+    );
+  }
+
+  /**
+   * Change password for a signed-in user; signs out their other sessions
+   */
+  async changePassword(userId, currentPassword, newPassword, currentSessionId = null) {
+    const result = await this.pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+    const user = result.rows[0];
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    if (!this.verifyPassword(currentPassword, user.password_hash)) {
+      throw new ValidationError('Current password is incorrect');
+    }
+    if (currentPassword === newPassword) {
+      throw new ValidationError('New password must be different from the current password');
+    }
+    await this.validatePassword(newPassword, user);
+
+    await this.setPassword(user.id, newPassword);
+    await this.revokeUserSessions(user.id, 'password_change', { exceptSessionId: currentSessionId });
+    this.logger.info({ userId: user.id }, 'Password changed');
+  }
+
+  // ============================================
+  // LOCKOUT
+  // ============================================
+
+  async getLockoutPolicy() {
+    const [threshold, baseMinutes, maxMinutes, ipThreshold, ipWindowMinutes] = await Promise.all([
+      getSetting(this.pool, 'lockout_threshold', 5),
+      getSetting(this.pool, 'lockout_base_minutes', 1),
+      getSetting(this.pool, 'lockout_max_minutes', 60),
+      getSetting(this.pool, 'lockout_ip_threshold', 20),
+      getSetting(this.pool, 'lockout_ip_window_minutes', 15),
+    ]);
+
+    return { threshold, baseMinutes, maxMinutes, ipThreshold, ipWindowMinutes };
+  }
+
+  /**
+   * Progressive lockout: base minutes at the threshold, doubling with each further failure
+   */
+  lockoutMinutes(failures, threshold, policy) {
+    if (failures < threshold) {
+      return 0;
+    }
+    return Math.min(policy.maxMinutes, policy.baseMinutes * 2 ** (failures - threshold));
+  }
+
+  recordLoginAttempt({ email, userId = null, ipAddress = null, success }) {
+    return this.pool.query(
+      `INSERT INTO login_attempts (email, user_id, ip_address, success)
+       VALUES ($1, $2, $3, $4)`,
+      [email.toLowerCase(), userId, ipAddress, success]
+    );
+  }
+
+  /**
+   * Count a failed password for the user and lock the account once past the threshold
+   */
+  async recordFailedLogin(user, ipAddress, policy) {
+    // Incremented in SQL so parallel guesses each count
+    const result = await this.pool.query(
+      `UPDATE users SET failed_login_attempts = COALESCE(failed_login_attempts, 0) + 1
+       WHERE id = $1
+       RETURNING failed_login_attempts`,
+      [user.id]
+    );
+    const attempts = result.rows[0].failed_login_attempts;
+    const minutes = this.lockoutMinutes(attempts, policy.threshold, policy);
+    const lockUntil = minutes ? new Date(Date.now() + minutes * 60 * 1000) : null;
+
+    if (lockUntil) {
+      // GREATEST keeps a longer lock set by a concurrent failure
+      await this.pool.query(
+        'UPDATE users SET locked_until = GREATEST(locked_until, $1) WHERE id = $2',
+        [lockUntil, user.id]
+      );
+    }
+    await this.recordLoginAttempt({ email: user.email, userId: user.id, ipAddress, success: false });
+
+    if (lockUntil) {
+      this.logger.warn({ userId: user.id, attempts, minutes }, 'Account locked after failed logins');
+      await this.logAudit({
+        user_id: user.id,
+        user_email: user.email,
+        action: 'account_locked',
+        resource: 'users',
+        resource_id: user.id,
+        new_values: { failed_login_attempts: attempts, locked_until: lockUntil },
+        ip_address: ipAddress,
+      });
+    }
+  }
+
+  /**
+   * Block an IP with too many recent failures (any account), with the same backoff
+   */
+  async checkIpLockout(ipAddress, policy) {
+    if (!ipAddress) {
+      return;
+    }
+
+    const result = await this.pool.query(
+      `SELECT COUNT(*) AS failures, MAX(attempted_at) AS last_failure
+       FROM login_attempts
+       WHERE ip_address = $1 AND success = false
+         AND attempted_at > CURRENT_TIMESTAMP - ($2 || ' minutes')::interval`,
+      [ipAddress, String(policy.ipWindowMinutes)]
+    );
+
+    const failures = parseInt(result.rows[0].failures, 10);
+    const minutes = this.lockoutMinutes(failures, policy.ipThreshold, policy);
+    if (!minutes) {
+      return;
+    }
+
+    const lockedUntil = new Date(new Date(result.rows[0].last_failure).getTime() + minutes * 60 * 1000);
+    if (lockedUntil > new Date()) {
+      throw new TooManyRequestsError(
+        'Too many failed sign-in attempts from this address. Try again later.',
+        Math.ceil((lockedUntil - Date.now()) / 1000)
+      );
+    }
+  }
+
+  /**
+   * Clear a user's lockout (admin)
+   */
+  async unlockUser(userId) {
+    const result = await this.pool.query(
+      `UPDATE users SET failed_login_attempts = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id`,
+      [userId]
+    );
+    if (!result.rows.length) {
+      throw new NotFoundError('User');
+    }
+  }
+
+  // ============================================
+  // PASSWORD RESET
+  // ============================================
+
+  /**
+   * Send a one-time reset link. Always resolves the same way so callers
+   * can't probe which accounts exist.
+   * @param {Object} context - audit context (ip_address, user_agent, request_id)
+   */
+  async requestPasswordReset(email, context = {}) {
+    const result = await this.pool.query(
+      'SELECT * FROM users WHERE email = $1 AND is_active = true',
+      [email.toLowerCase()]
+    );
+    const user = result.rows[0];
+    if (!user) {
+      this.logger.info({ email }, 'Password reset requested for unknown account');
+      return;
+    }
+
+    const recent = await this.pool.query(
+      `SELECT id FROM password_reset_tokens
+       WHERE user_id = $1 AND created_at > CURRENT_TIMESTAMP - ($2 || ' seconds')::interval`,
+      [user.id, String(RESET_REQUEST_COOLDOWN_SECONDS)]
+    );
+    if (recent.rows.length) {
+      return;
+    }
+
+    const token = this.generateToken();
+    const minutes = await getSetting(this.pool, 'password_reset_token_minutes', 60);
+    const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+    // Only the newest link works
+    await this.pool.query(
+      `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND used_at IS NULL`,
+      [user.id]
+    );
+    await this.pool.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+       VALUES ($1, $2, $3, $4)`,
+      [user.id, this.hashToken(token), expiresAt, context.ip_address || null]
+    );
+
+    const resetUrl = `${config.app.url}/?reset_token=${token}`;
+    try {
+      await notify({
+        to: user.email,
+        type: 'password_reset',
+        subject: 'Reset your password',
+        text:
+          `Hi ${user.first_name},\n\nUse this link to choose a new password:\n${resetUrl}\n\n` +
+          `It expires in ${minutes} minutes and works once. If you didn't ask for this, ignore this message.`,
+        data: { reset_url: resetUrl, expires_at: expiresAt },
+      });
+    } catch (error) {
+      this.logger.error({ error: error.message, userId: user.id }, 'Failed to deliver password reset');
+    }
+
+    await this.logAudit({
+      user_id: user.id,
+      user_email: user.email,
+      action: 'password_reset_request',
+      resource: 'users',
+      resource_id: user.id,
+      ip_address: context.ip_address,
+      user_agent: context.user_agent,
+      request_id: context.request_id,
+    });
+  }
+
+  /**
+   * Set a new password with a reset token; signs the user out everywhere
+   */
+  async resetPassword(token, newPassword, context = {}) {
+    const result = await this.pool.query(
+      `SELECT t.id AS token_id, u.*
+       FROM password_reset_tokens t
+       JOIN users u ON t.user_id = u.id
+       WHERE t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP`,
+      [this.hashToken(token)]
+    );
+    const user = result.rows[0];
+    if (!user || !user.is_active) {
+      throw new ValidationError('This reset link is invalid or has expired');
+    }
+
+    await this.validatePassword(newPassword, user);
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const used = await client.query(
+        `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND used_at IS NULL
+         RETURNING id`,
+        [user.token_id]
+      );
+      if (!used.rows.length) {
+        throw new ValidationError('This reset link is invalid or has expired');
+      }
+
+      await this.setPassword(user.id, newPassword, client);
+      await this.revokeUserSessions(user.id, 'password_reset', {}, client);
+      await this.logAudit(
+        {
+          user_id: user.id,
+          user_email: user.email,
+          action: 'password_reset',
+          resource: 'users',
+          resource_id: user.id,
+          ip_address: context.ip_address,
+          user_agent: context.user_agent,
+          request_id: context.request_id,
+        },
+        client
+      );
+
+      await client.query('COMMIT');
+      this.logger.info({ userId: user.id }, 'Password reset');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ============================================
+  // TWO-FACTOR AUTHENTICATION (TOTP)
+  // ============================================
+
+  /**
+   * Roles that must use two-factor authentication (business setting)
+   */
+  async isMfaRequired(role) {
+    const roles = await getSetting(this.pool, 'mfa_required_roles', []);
+    return Array.isArray(roles) && roles.includes(role);
+  }
+
+  getMfaIssuer() {
+    return getSetting(this.pool, 'business_name', 'Restaurant P&L');
+  }
+
+  /**
+   * Short-lived token standing in for a session until the second step passes
+   * @param {'verify'|'enroll'} purpose - verify a code, or enroll first (required role)
+   */
+  async createMfaChallenge(user, purpose) {
+    const token = this.generateToken();
+    const expiresAt = new Date(Date.now() + MFA_CHALLENGE_MINUTES * 60 * 1000);
+
+    await this.pool.query(
+      `INSERT INTO mfa_challenges (user_id, token_hash, purpose, expires_at)
+       VALUES ($1, $2, $3, $4)`,
+      [user.id, this.hashToken(token), purpose, expiresAt]
+    );
+
+    return {
+      mfa_required: true,
+      mfa_enrollment_required: purpose === 'enroll',
+      mfa_token: token,
+      expires_at: expiresAt,
+    };
+  }
+
+  /**
+   * Open challenge joined with its user (user columns + challenge_id, purpose, attempts)
+   */
+  async getMfaChallenge(mfaToken) {
+    const result = await this.pool.query(
+      `SELECT c.id AS challenge_id, c.purpose, c.attempts, u.*
+       FROM mfa_challenges c
+       JOIN users u ON c.user_id = u.id
+       WHERE c.token_hash = $1 AND c.consumed_at IS NULL
+         AND c.expires_at > CURRENT_TIMESTAMP AND c.attempts < $2`,
+      [this.hashToken(mfaToken), MFA_MAX_ATTEMPTS]
+    );
+
+    const challenge = result.rows[0];
+    if (!challenge || !challenge.is_active) {
+      throw new UnauthorizedError('Invalid or expired two-factor challenge. Sign in again.');
+    }
+    return challenge;
+  }
+
+  /**
+   * Start enrollment from an 'enroll' login challenge (user has no session yet)
+   */
+  async setupMfaFromChallenge(mfaToken) {
+    const challenge = await this.getMfaChallenge(mfaToken);
+    if (challenge.purpose !== 'enroll') {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+    return this.startMfaSetup(challenge);
+  }
+
+  /**
+   * Second login step: verify the code (or finish enrollment) and issue the session
+   * @param {Object} context - audit context (ip_address, user_agent, request_id)
+   */
+  async completeMfaLogin(mfaToken, code, context = {}) {
+    const policy = await this.getLockoutPolicy();
+    await this.checkIpLockout(context.ip_address, policy);
+
+    const user = await this.getMfaChallenge(mfaToken);
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      throw new TooManyRequestsError(
+        'Account is temporarily locked. Try again later.',
+        Math.ceil((new Date(user.locked_until) - Date.now()) / 1000)
+      );
+    }
+
+    let verification;
+    if (user.purpose === 'enroll') {
+      verification = await this.activateMfa(user, code, context);
+    } else {
+      verification = await this.verifySecondFactor(user, code, context);
+    }
+
+    // Wrong codes count toward the account lockout too, so fresh challenges don't reset the budget
+    if (!verification) {
+      await this.pool.query('UPDATE mfa_challenges SET attempts = attempts + 1 WHERE id = $1', [
+        user.challenge_id,
+      ]);
+      await this.recordFailedLogin(user, context.ip_address, policy);
+      throw new ValidationError('Invalid authentication code');
+    }
+
+    const consumed = await this.pool.query(
+      `UPDATE mfa_challenges SET consumed_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND consumed_at IS NULL
+       RETURNING id`,
+      [user.challenge_id]
+    );
+    if (!consumed.rows.length) {
+      throw new UnauthorizedError('Invalid or expired two-factor challenge. Sign in again.');
+    }
+
+    await this.recordSuccessfulLogin(user, context.ip_address);
+    const session = await this.createSession(user, context.ip_address, context.user_agent);
+    return { ...session, ...verification };
+  }
+
+  /**
+   * Generate and store a pending secret; returns the provisioning URI
+   */
+  async startMfaSetup(user) {
+    const secret = totp.generateSecret();
+    const encrypted = await this.encryptionService.encrypt(secret, MFA_SECRET_CONTEXT);
+
+    await this.pool.query(
+      `UPDATE users SET mfa_secret = $1, mfa_enabled = false, mfa_last_step = NULL,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [encrypted, user.id]
+    );
+
+    return {
+      secret,
+      otpauth_uri: totp.buildOtpauthUri({
+        issuer: await this.getMfaIssuer(),
+        account: user.email,
+        secret,
+      }),
     };
   }
 
+  /**
+   * Begin enrollment for a signed-in user
+   */
+  async beginMfaEnrollment(userId) {
+    const user = await this.getUserForMfa(userId);
+    if (user.mfa_enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+    return this.startMfaSetup(user);
+  }
+
+  /**
+   * Confirm the pending secret with a code; enables MFA and issues recovery codes.
+   * @returns {Promise<{recovery_codes: string[]}|null>} null when the code is wrong
+   */
+  async activateMfa(user, code, context = {}) {
+    if (!user.mfa_secret) {
+      throw new ValidationError('Start two-factor setup before verifying a code');
+    }
+
+    const secret = await this.encryptionService.decrypt(user.mfa_secret, MFA_SECRET_CONTEXT);
+    const step = totp.verifyCode(secret, code);
+    if (step === null) {
+      return null;
+    }
+
+    await this.pool.query(
+      `UPDATE users SET mfa_enabled = true, mfa_enrolled_at = CURRENT_TIMESTAMP, mfa_last_step = $1,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [step, user.id]
+    );
+    const recoveryCodes = await this.replaceRecoveryCodes(user.id);
+
+    await this.logMfaEvent('mfa_enroll', user, context);
+    this.logger.info({ userId: user.id }, 'Two-factor authentication enabled');
+
+    return { recovery_codes: recoveryCodes };
+  }
+
+  /**
+   * Confirm enrollment for a signed-in user
+   */
+  async confirmMfaEnrollment(userId, code, context = {}) {
+    const user = await this.getUserForMfa(userId);
+    if (user.mfa_enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const result = await this.activateMfa(user, code, context);
+    if (!result) {
+      throw new ValidationError('Invalid authentication code');
+    }
+    return result;
+  }
+
+  /**
+   * Check a TOTP code (replay-protected) or an unused recovery code
+   * @returns {Promise<{mfa_method: string, recovery_codes_remaining?: number}|null>}
+   */
+  async verifySecondFactor(user, code, context = {}) {
+    if (!user.mfa_enabled || !user.mfa_secret) {
+      return null;
+    }
+
+    const secret = await this.encryptionService.decrypt(user.mfa_secret, MFA_SECRET_CONTEXT);
+    const lastStep = user.mfa_last_step === null ? null : parseInt(user.mfa_last_step, 10);
+    const step = totp.verifyCode(secret, code, { afterStep: lastStep });
+    if (step !== null) {
+      // Conditional, so two logins racing with the same code cannot both claim its step
+      const claimed = await this.pool.query(
+        `UPDATE users SET mfa_last_step = $1
+         WHERE id = $2 AND (mfa_last_step IS NULL OR mfa_last_step < $1)`,
+        [step, user.id]
+      );
+      return claimed.rowCount ? { mfa_method: 'totp' } : null;
+    }
+
+    const used = await this.pool.query(
+      `UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [user.id, this.hashRecoveryCode(code)]
+    );
+    if (!used.rows.length) {
+      return null;
+    }
+
+    await this.logMfaEvent('mfa_recovery_code_used', user, context);
+    const remaining = await this.countRecoveryCodes(user.id);
+    return { mfa_method: 'recovery_code', recovery_codes_remaining: remaining };
+  }
+
+  /**
+   * Turn off MFA for the signed-in user (requires password and a current code)
+   */
+  async disableMfa(userId, { password, code }, context = {}) {
+    const user = await this.getUserForMfa(userId);
+    if (!user.mfa_enabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+    if (await this.isMfaRequired(user.role)) {
+      throw new ForbiddenError(`Two-factor authentication is required for the ${user.role} role`);
+    }
+    if (!this.verifyPassword(password, user.password_hash)) {
+      throw new ValidationError('Password is incorrect');
+    }
+    if (!(await this.verifySecondFactor(user, code, context))) {
+      throw new ValidationError('Invalid authentication code');
+    }
+
+    await this.clearMfa(user.id);
+    await this.logMfaEvent('mfa_disable', user, context);
+    this.logger.info({ userId: user.id }, 'Two-factor authentication disabled');
+  }
+
+  /**
+   * Admin reset for a user who lost their authenticator and recovery codes
+   */
+  async resetMfa(userId, context = {}) {
+    const user = await this.getUserForMfa(userId);
+    await this.clearMfa(user.id);
+    await this.logMfaEvent('mfa_reset', user, context);
+    this.logger.info({ userId: user.id, by: context.user && context.user.id }, 'Two-factor authentication reset');
+  }
+
+  /**
+   * Issue a fresh set of recovery codes (invalidates the old ones)
+   */
+  async regenerateRecoveryCodes(userId, code, context = {}) {
+    const user = await this.getUserForMfa(userId);
+    if (!(await this.verifySecondFactor(user, code, context))) {
+      throw new ValidationError('Invalid authentication code');
+    }
+
+    const recoveryCodes = await this.replaceRecoveryCodes(user.id);
+    await this.logMfaEvent('mfa_recovery_codes_regenerate', user, context);
+    return { recovery_codes: recoveryCodes };
+  }
+
+  async getMfaStatus(userId) {
+    const user = await this.getUserForMfa(userId);
+    return {
+      enabled: Boolean(user.mfa_enabled),
+      enrolled_at: user.mfa_enrolled_at,
+      required: await this.isMfaRequired(user.role),
+      recovery_codes_remaining: user.mfa_enabled ? await this.countRecoveryCodes(user.id) : 0,
+    };
+  }
+
+  async getUserForMfa(userId) {
+    const result = await this.pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+    if (!result.rows.length) {
+      throw new NotFoundError('User');
+    }
+    return result.rows[0];
+  }
+
+  async clearMfa(userId) {
+    await this.pool.query(
+      `UPDATE users SET mfa_enabled = false, mfa_secret = NULL, mfa_enrolled_at = NULL,
+         mfa_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [userId]
+    );
+    await this.pool.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+  }
+
+  hashRecoveryCode(code) {
+    return this.hashToken(String(code || '').toLowerCase().replace(/[\s-]/g, ''));
+  }
+
+  async replaceRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await this.pool.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    await this.pool.query(
+      `INSERT INTO mfa_recovery_codes (user_id, code_hash)
+       SELECT $1, UNNEST($2::text[])`,
+      [userId, codes.map((code) => this.hashRecoveryCode(code))]
+    );
+
+    return codes;
+  }
+
+  async countRecoveryCodes(userId) {
+    const result = await this.pool.query(
+      'SELECT COUNT(*) AS count FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Audit an MFA event on the affected user (actor from context, else the user)
+   */
+  logMfaEvent(action, user, context = {}) {
+    const actor = context.user || user;
+    return this.logAudit({
+      user_id: actor.id,
+      user_email: actor.email,
+      action,
+      resource: 'users',
+      resource_id: user.id,
+      ip_address: context.ip_address,
+      user_agent: context.user_agent,
+      request_id: context.request_id,
+    });
+  }
+
   // ============================================
   // AUTHORIZATION
   // ============================================
@@ -199,42 +1095,26 @@ class AuthService {
   // AUDIT LOGGING
   // ============================================
 
-  async logAudit(input) {
-    const {
-      user_id = null,
-      user_email = null,
-      action,
-      resource,
-      resource_id = null,
-      old_values = null,
-      new_values = null,
-      ip_address = null,
-      user_agent = null,
-      request_id = null,
-    } = input;
-
-    await this.pool.query(
-      `INSERT INTO audit_log (
-         user_id, user_email, action, resource, resource_id,
-         old_values, new_values, ip_address, user_agent, request_id
-       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-      [
-        user_id,
-        user_email,
-        action,
-        resource,
-        resource_id,
-        old_values ? JSON.stringify(old_values) : null,
-        new_values ? JSON.stringify(new_values) : null,
-        ip_address,
-        user_agent,
-        request_id,
-      ]
-    );
+  /**
+   * Write an audit_log entry (optionally inside the caller's transaction)
+   * @returns {Promise<number>} audit_log id
+   */
+  logAudit(input, client = this.pool) {
+    return writeAuditEntry(client, input);
   }
 
   async getAuditLog(filters = {}) {
-    const { user_id, resource, action, start_date, end_date, limit = 100, offset = 0 } = filters;
+    const {
+      user_id,
+      resource,
+      resource_id,
+      action,
+      request_id,
+      start_date,
+      end_date,
+      limit = 100,
+      offset = 0,
+    } = filters;
 
     let sql = `
       SELECT al.*, u.email as user_email_lookup
@@ -253,10 +1133,18 @@ class AuthService {
       sql += ` AND al.resource = $${p++}`;
       params.push(resource);
     }
+    if (resource_id) {
+      sql += ` AND al.resource_id = $${p++}`;
+      params.push(resource_id);
+    }
     if (action) {
       sql += ` AND al.action = $${p++}`;
       params.push(action);
     }
+    if (request_id) {
+      sql += ` AND al.request_id = $${p++}`;
+      params.push(request_id);
+    }
     if (start_date) {
       sql += ` AND al.created_at >= $${p++}`;
       params.push(start_date);
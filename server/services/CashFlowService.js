@@ -0,0 +1,133 @@
+/**
+ * CashFlowService
+ * Indirect-method statement of cash flows built from journal_entry_lines.
+ *
+ * Balance sheet accounts are classified by accounts.cash_flow_category ('cash', 'operating',
+ * 'investing', 'financing'); when it is NULL the category follows the sub_type (see
+ * defaultCategory). Operating cash starts from net income; every other non-cash balance sheet
+ * account contributes its change (credit - debit) to its section. Because every entry balances,
+ * the three sections add up to the change in the cash accounts; reconciliation.difference shows
+ * any gap. Year-end closing entries are left out: they move income into retained earnings
+ * without touching cash.
+ */
+const SECTIONS = ['operating', 'investing', 'financing'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Category for a balance sheet account without an explicit cash_flow_category
+ */
+function defaultCategory(account) {
+  if (account.sub_type === 'cash') {return 'cash';}
+  if (account.sub_type === 'fixed_asset') {return 'investing';}
+  if (account.sub_type === 'long_term' || account.account_type === 'equity') {return 'financing';}
+  return 'operating';
+}
+
+class CashFlowService {
+  /**
+   * @param {import('pg').Pool} pool
+   * @param {import('./ChartOfAccountsService')} chartOfAccountsService - header rollups
+   */
+  constructor(pool, chartOfAccountsService) {
+    this.pool = pool;
+    this.chartOfAccountsService = chartOfAccountsService;
+  }
+
+  /**
+   * Statement of cash flows for a date range
+   * @param {{start_date: string, end_date: string, locationIds?: number[]|null}} options
+   *   locationIds limits the statement to lines tagged with those locations
+   */
+  async statement({ start_date, end_date, locationIds = null }) {
+    const params = [start_date, end_date];
+    let locationFilter = '';
+    if (locationIds) {
+      params.push(locationIds);
+      locationFilter = ` AND jel.location_id = ANY($${params.length}::int[])`;
+    }
+
+    const result = await this.pool.query(
+      `SELECT a.id as account_id, a.account_number, a.name, a.account_type, a.sub_type,
+         a.cash_flow_category,
+         COALESCE(SUM(jel.debit - jel.credit) FILTER (WHERE je.entry_date < $1), 0) as opening,
+         COALESCE(SUM(jel.debit - jel.credit) FILTER (WHERE je.entry_date >= $1), 0) as activity
+       FROM journal_entry_lines jel
+       JOIN journal_entries je ON je.id = jel.journal_entry_id
+       JOIN accounts a ON a.id = jel.account_id
+       WHERE je.entry_date <= $2 AND COALESCE(je.is_closing, false) = false${locationFilter}
+       GROUP BY a.id, a.account_number, a.name, a.account_type, a.sub_type, a.cash_flow_category
+       ORDER BY a.account_number`,
+      params
+    );
+
+    let netIncome = 0;
+    const sections = Object.fromEntries(SECTIONS.map((s) => [s, []]));
+    const cashAccounts = [];
+
+    for (const r of result.rows) {
+      const opening = parseFloat(r.opening) || 0;
+      const activity = parseFloat(r.activity) || 0;
+
+      if (r.account_type === 'revenue' || r.account_type === 'expense') {
+        netIncome -= activity;
+        continue;
+      }
+
+      const category = r.cash_flow_category || defaultCategory(r);
+      const account = { account_id: r.account_id, account_number: r.account_number, name: r.name };
+      if (category === 'cash') {
+        cashAccounts.push({
+          ...account,
+          beginning: round2(opening),
+          ending: round2(opening + activity),
+          change: round2(activity),
+        });
+      } else if (activity !== 0) {
+        // An asset going up uses cash; a liability or equity balance going up provides it
+        sections[category].push({ ...account, amount: round2(-activity) });
+      }
+    }
+
+    const sum = (items, key) => round2(items.reduce((total, i) => total + i[key], 0));
+    const operatingTotal = round2(netIncome + sum(sections.operating, 'amount'));
+    const investingTotal = sum(sections.investing, 'amount');
+    const financingTotal = sum(sections.financing, 'amount');
+    const netChange = round2(operatingTotal + investingTotal + financingTotal);
+    const cashChange = sum(cashAccounts, 'change');
+    // Header subtotals within each section
+    const rollups = Object.fromEntries(
+      await Promise.all(
+        SECTIONS.map(async (s) => [
+          s,
+          await this.chartOfAccountsService.rollups(sections[s], (i) => ({ amount: i.amount })),
+        ])
+      )
+    );
+
+    return {
+      period: { start_date, end_date },
+      operating: {
+        net_income: round2(netIncome),
+        adjustments: sections.operating,
+        rollups: rollups.operating,
+        total: operatingTotal,
+      },
+      investing: { items: sections.investing, rollups: rollups.investing, total: investingTotal },
+      financing: { items: sections.financing, rollups: rollups.financing, total: financingTotal },
+      net_change_in_cash: netChange,
+      cash: {
+        beginning: sum(cashAccounts, 'beginning'),
+        ending: sum(cashAccounts, 'ending'),
+        change: cashChange,
+        accounts: cashAccounts,
+      },
+      reconciliation: {
+        difference: round2(netChange - cashChange),
+        is_reconciled: round2(netChange - cashChange) === 0,
+      },
+    };
+  }
+}
+
+module.exports = CashFlowService;
@@ -0,0 +1,210 @@
+/**
+ * ChartOfAccountsService
+ * Parent/child account hierarchy. Header accounts (accounts.is_header) only group other
+ * accounts: they are never posted to (see PostingService.assertPostableAccounts) and show up in
+ * ledger reports as rollup subtotals of every account beneath them. A parent must be a header
+ * of the same account type, and an account can never sit beneath itself.
+ */
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Add numbers (or nested objects of numbers, e.g. per-column amounts) from value into target
+ */
+function addInto(target, value) {
+  for (const [key, v] of Object.entries(value)) {
+    if (typeof v === 'number') {
+      target[key] = (target[key] || 0) + v;
+    } else if (v && typeof v === 'object') {
+      addInto((target[key] = target[key] || {}), v);
+    }
+  }
+  return target;
+}
+
+function roundAll(value) {
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => [key, typeof v === 'number' ? round2(v) : roundAll(v)])
+  );
+}
+
+class ChartOfAccountsService {
+  /**
+   * @param {import('pg').Pool} pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // ============================================
+  // VALIDATION
+  // ============================================
+
+  /**
+   * Check that parentAccountId can hold an account of accountType.
+   * @param {number} parentAccountId
+   * @param {string} accountType
+   * @param {number|null} [accountId] - account being moved (checked for cycles)
+   */
+  async assertValidParent(parentAccountId, accountType, accountId = null) {
+    const result = await this.pool.query(
+      'SELECT id, account_number, account_type, is_header FROM accounts WHERE id = $1',
+      [parentAccountId]
+    );
+    const parent = result.rows[0];
+    if (!parent) {
+      throw new ValidationError('Parent account not found', { parent_account_id: parentAccountId });
+    }
+    if (!parent.is_header) {
+      throw new ValidationError(`Parent account ${parent.account_number} is not a header account`);
+    }
+    if (parent.account_type !== accountType) {
+      throw new ValidationError(
+        `Parent account ${parent.account_number} is a ${parent.account_type} account, not ${accountType}`
+      );
+    }
+    if (!accountId) {return;}
+
+    // The parent's ancestor chain (itself included) must not contain the account being moved
+    const ancestors = await this.pool.query(
+      `WITH RECURSIVE chain AS (
+         SELECT id, parent_account_id, ARRAY[id] as path FROM accounts WHERE id = $1
+         UNION ALL
+         SELECT a.id, a.parent_account_id, chain.path || a.id
+         FROM accounts a JOIN chain ON a.id = chain.parent_account_id
+         WHERE NOT a.id = ANY(chain.path)
+       )
+       SELECT id FROM chain`,
+      [parentAccountId]
+    );
+    if (ancestors.rows.some((r) => r.id === Number(accountId))) {
+      throw new ValidationError(
+        'An account cannot be placed beneath itself or its own sub-accounts'
+      );
+    }
+  }
+
+  /**
+   * Check that an existing account can switch to (or from) being a header
+   */
+  async assertCanChangeHeader(accountId, isHeader) {
+    if (isHeader) {
+      const posted = await this.pool.query(
+        'SELECT 1 FROM journal_entry_lines WHERE account_id = $1 LIMIT 1',
+        [accountId]
+      );
+      if (posted.rows.length > 0) {
+        throw new ValidationError('Accounts with posted activity cannot become header accounts');
+      }
+    } else {
+      const children = await this.pool.query(
+        'SELECT account_number FROM accounts WHERE parent_account_id = $1 ORDER BY account_number',
+        [accountId]
+      );
+      if (children.rows.length > 0) {
+        throw new ValidationError('Header accounts with sub-accounts must stay headers', {
+          sub_accounts: children.rows.map((r) => r.account_number),
+        });
+      }
+    }
+  }
+
+  /**
+   * Validate a create (account = null) or update against the hierarchy rules
+   * @param {Object|null} account - current row when updating
+   * @param {{account_type?: string, parent_account_id?: number|null, is_header?: boolean}} changes
+   */
+  async validate(account, changes) {
+    const accountType = changes.account_type || account?.account_type;
+    if (changes.parent_account_id) {
+      await this.assertValidParent(changes.parent_account_id, accountType, account?.id || null);
+    }
+    if (account && changes.is_header !== undefined && changes.is_header !== account.is_header) {
+      await this.assertCanChangeHeader(account.id, changes.is_header);
+    }
+  }
+
+  async getAccount(accountId) {
+    const result = await this.pool.query('SELECT * FROM accounts WHERE id = $1', [accountId]);
+    if (!result.rows[0]) {
+      throw new NotFoundError('Account');
+    }
+    return result.rows[0];
+  }
+
+  // ============================================
+  // ROLLUPS
+  // ============================================
+
+  /**
+   * The account and every account beneath it
+   * @returns {Promise<number[]>}
+   */
+  async descendantIds(accountId) {
+    const result = await this.pool.query(
+      `WITH RECURSIVE tree AS (
+         SELECT id, ARRAY[id] as path FROM accounts WHERE id = $1
+         UNION ALL
+         SELECT a.id, tree.path || a.id
+         FROM accounts a JOIN tree ON a.parent_account_id = tree.id
+         WHERE NOT a.id = ANY(tree.path)
+       )
+       SELECT id FROM tree`,
+      [accountId]
+    );
+    return result.rows.map((r) => r.id);
+  }
+
+  /**
+   * Subtotals for every header account above the report rows.
+   * @param {Array<{account_id: number}>} rows - report rows (one per posting account)
+   * @param {(row: Object) => Object} valueOf - the row's amounts: numbers or objects of numbers
+   * @returns {Promise<Array<Object>>} one entry per header with activity beneath it, in account
+   *   number order, carrying parent_account_id, depth, the descendant account_ids and the summed
+   *   amounts
+   */
+  async rollups(rows, valueOf) {
+    if (rows.length === 0) {return [];}
+    const result = await this.pool.query(
+      `SELECT id, account_number, name, account_type, parent_account_id, is_header
+       FROM accounts ORDER BY account_number`
+    );
+    const byId = new Map(result.rows.map((a) => [a.id, a]));
+
+    const ancestorsOf = (accountId) => {
+      const chain = [];
+      let parentId = byId.get(accountId)?.parent_account_id;
+      while (parentId && byId.has(parentId) && !chain.includes(parentId)) {
+        chain.push(parentId);
+        parentId = byId.get(parentId).parent_account_id;
+      }
+      return chain;
+    };
+
+    const totals = new Map();
+    for (const row of rows) {
+      for (const headerId of ancestorsOf(row.account_id)) {
+        if (!totals.has(headerId)) {totals.set(headerId, { account_ids: [], amounts: {} });}
+        const total = totals.get(headerId);
+        total.account_ids.push(row.account_id);
+        addInto(total.amounts, valueOf(row));
+      }
+    }
+
+    return result.rows
+      .filter((a) => totals.has(a.id))
+      .map((a) => ({
+        account_id: a.id,
+        account_number: a.account_number,
+        name: a.name,
+        account_type: a.account_type,
+        parent_account_id: a.parent_account_id,
+        depth: ancestorsOf(a.id).length,
+        account_ids: totals.get(a.id).account_ids,
+        ...roundAll(totals.get(a.id).amounts),
+      }));
+  }
+}
+
+module.exports = ChartOfAccountsService;
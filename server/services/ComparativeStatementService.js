@@ -0,0 +1,321 @@
+/**
+ * ComparativeStatementService
+ * Columnar income statements and balance sheets from the ledger:
+ *   months - twelve monthly columns ending with the month of the end date
+ *   qtd    - quarter-to-date vs the same stretch of the prior quarter
+ *   ytd    - year-to-date vs the same dates a year earlier
+ * Quarters and years follow the fiscal_year_start_month setting. Two-column modes carry a
+ * variance (current - comparison, in dollars and percent); income statement rows also carry
+ * each column's percent of sales (total revenue).
+ */
+const { getSetting } = require('../utils/settings');
+const { dimensionClause } = require('../utils/dimensions');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ============================================
+// DATE HELPERS (YYYY-MM-DD strings, UTC)
+// ============================================
+
+const iso = (y, m, d) => new Date(Date.UTC(y, m, d)).toISOString().split('T')[0];
+
+function parts(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return { y, m: m - 1, d };
+}
+
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+
+/**
+ * Same day n months away; month ends map to month ends (Apr 30 -> Jan 31)
+ */
+function addMonths(date, n) {
+  const { y, m, d } = parts(date);
+  const lastDay = daysInMonth(y, m + n);
+  return iso(y, m + n, d === daysInMonth(y, m) ? lastDay : Math.min(d, lastDay));
+}
+
+function addDays(date, n) {
+  const { y, m, d } = parts(date);
+  return iso(y, m, d + n);
+}
+
+/**
+ * First day of the fiscal year (or quarter, with monthsPerPeriod = 3) holding the date
+ */
+function fiscalPeriodStart(date, fiscalStartMonth, monthsPerPeriod) {
+  const { y, m } = parts(date);
+  const offset = (((m - (fiscalStartMonth - 1)) % 12) + 12) % 12;
+  return iso(y, m - (offset % monthsPerPeriod), 1);
+}
+
+class ComparativeStatementService {
+  /**
+   * @param {import('pg').Pool} pool
+   * @param {import('./ChartOfAccountsService')} chartOfAccountsService - header rollups
+   */
+  constructor(pool, chartOfAccountsService) {
+    this.pool = pool;
+    this.chartOfAccountsService = chartOfAccountsService;
+  }
+
+  /**
+   * Date ranges for an income statement comparison
+   * @returns {Promise<Array<{key: string, label: string, start_date: string, end_date: string}>>}
+   */
+  async incomeColumns(mode, endDate) {
+    if (mode === 'months') {
+      const { y, m } = parts(endDate);
+      return Array.from({ length: 12 }, (_, i) => {
+        const start = iso(y, m - 11 + i, 1);
+        const monthEnd = iso(y, m - 10 + i, 0);
+        return {
+          key: start.slice(0, 7),
+          label: start.slice(0, 7),
+          start_date: start,
+          end_date: i === 11 ? endDate : monthEnd,
+        };
+      });
+    }
+
+    const fiscalStartMonth = await getSetting(this.pool, 'fiscal_year_start_month', 1);
+    if (mode === 'qtd') {
+      const start = fiscalPeriodStart(endDate, fiscalStartMonth, 3);
+      // Same number of months into the prior quarter, clamped to its month ends
+      return [
+        { key: 'current', label: 'Quarter to date', start_date: start, end_date: endDate },
+        {
+          key: 'prior',
+          label: 'Prior quarter',
+          start_date: addMonths(start, -3),
+          end_date: addMonths(endDate, -3),
+        },
+      ];
+    }
+
+    const start = fiscalPeriodStart(endDate, fiscalStartMonth, 12);
+    return [
+      { key: 'current', label: 'Year to date', start_date: start, end_date: endDate },
+      {
+        key: 'prior',
+        label: 'Prior year',
+        start_date: addMonths(start, -12),
+        end_date: addMonths(endDate, -12),
+      },
+    ];
+  }
+
+  /**
+   * As-of dates for a balance sheet comparison
+   */
+  async balanceColumns(mode, asOfDate) {
+    if (mode === 'months') {
+      const { y, m } = parts(asOfDate);
+      return Array.from({ length: 12 }, (_, i) => {
+        const date = i === 11 ? asOfDate : iso(y, m - 10 + i, 0);
+        return { key: date.slice(0, 7), label: date.slice(0, 7), as_of_date: date };
+      });
+    }
+
+    if (mode === 'qtd') {
+      const fiscalStartMonth = await getSetting(this.pool, 'fiscal_year_start_month', 1);
+      const start = fiscalPeriodStart(asOfDate, fiscalStartMonth, 3);
+      return [
+        { key: 'current', label: 'Current', as_of_date: asOfDate },
+        { key: 'prior', label: 'Prior quarter end', as_of_date: addDays(start, -1) },
+      ];
+    }
+
+    return [
+      { key: 'current', label: 'Current', as_of_date: asOfDate },
+      { key: 'prior', label: 'Prior year', as_of_date: addMonths(asOfDate, -12) },
+    ];
+  }
+
+  // ============================================
+  // STATEMENTS
+  // ============================================
+
+  /**
+   * Comparative income statement
+   * @param {{compare: 'months'|'qtd'|'ytd', end_date: string, locationIds?: number[]|null,
+   *   dimensions?: Object}} options - dimensions: department/daypart/class filters
+   */
+  async incomeStatement({ compare, end_date, locationIds = null, dimensions = {} }) {
+    const columns = await this.incomeColumns(compare, end_date);
+    const params = [];
+    const sums = columns.map((c, i) => {
+      params.push(c.start_date, c.end_date);
+      return `COALESCE(SUM(jel.credit - jel.debit) FILTER (
+          WHERE je.entry_date BETWEEN $${params.length - 1} AND $${params.length}), 0) as c${i}`;
+    });
+    params.push(
+      columns.reduce((min, c) => (c.start_date < min ? c.start_date : min), columns[0].start_date),
+      columns.reduce((max, c) => (c.end_date > max ? c.end_date : max), columns[0].end_date)
+    );
+    let where = `je.entry_date BETWEEN $${params.length - 1} AND $${params.length}`;
+    if (locationIds) {
+      params.push(locationIds);
+      where += ` AND jel.location_id = ANY($${params.length}::int[])`;
+    }
+    where += dimensionClause(dimensions, params);
+
+    const result = await this.pool.query(
+      `SELECT a.id as account_id, a.account_number, a.name, a.account_type, ${sums.join(', ')}
+       FROM journal_entry_lines jel
+       JOIN journal_entries je ON je.id = jel.journal_entry_id
+       JOIN accounts a ON a.id = jel.account_id
+       WHERE ${where}
+         AND COALESCE(je.is_closing, false) = false
+         AND a.account_type IN ('revenue', 'expense')
+       GROUP BY a.id, a.account_number, a.name, a.account_type
+       ORDER BY a.account_number`,
+      params
+    );
+
+    const rows = result.rows.map((r) => ({
+      account_id: r.account_id,
+      account_number: r.account_number,
+      name: r.name,
+      account_type: r.account_type,
+      // Revenue keeps its credit balance; expenses flip to their debit balance
+      amounts: Object.fromEntries(
+        columns.map((c, i) => {
+          const credit = parseFloat(r[`c${i}`]) || 0;
+          return [c.key, round2(r.account_type === 'revenue' ? credit : -credit)];
+        })
+      ),
+    }));
+
+    const revenue = rows.filter((r) => r.account_type === 'revenue');
+    const expenses = rows.filter((r) => r.account_type === 'expense');
+    const totalRevenue = this.sumColumns(columns, revenue);
+    const totalExpenses = this.sumColumns(columns, expenses);
+    const netIncome = Object.fromEntries(
+      columns.map((c) => [c.key, round2(totalRevenue[c.key] - totalExpenses[c.key])])
+    );
+
+    const decorate = (amounts, extra = {}) => ({
+      ...extra,
+      amounts,
+      percent_of_sales: Object.fromEntries(
+        columns.map((c) => [
+          c.key,
+          totalRevenue[c.key] ? round2((amounts[c.key] / totalRevenue[c.key]) * 100) : null,
+        ])
+      ),
+      ...(columns.length === 2 && { variance: this.variance(amounts) }),
+    });
+
+    const rollups = await this.chartOfAccountsService.rollups(rows, (r) => ({
+      amounts: r.amounts,
+    }));
+
+    return {
+      compare,
+      columns,
+      revenue: revenue.map(({ amounts, ...account }) => decorate(amounts, account)),
+      expenses: expenses.map(({ amounts, ...account }) => decorate(amounts, account)),
+      rollups: rollups.map(({ amounts, ...header }) => decorate(amounts, header)),
+      totals: {
+        total_revenue: decorate(totalRevenue),
+        total_expenses: decorate(totalExpenses),
+        net_income: decorate(netIncome),
+      },
+    };
+  }
+
+  /**
+   * Comparative balance sheet
+   * @param {{compare: 'months'|'qtd'|'ytd', as_of_date: string, locationIds?: number[]|null}} options
+   */
+  async balanceSheet({ compare, as_of_date, locationIds = null }) {
+    const columns = await this.balanceColumns(compare, as_of_date);
+    const params = [];
+    const sums = columns.map((c, i) => {
+      params.push(c.as_of_date);
+      return `COALESCE(SUM(jel.debit - jel.credit) FILTER (WHERE je.entry_date <= $${params.length}), 0) as c${i}`;
+    });
+    params.push(
+      columns.reduce((max, c) => (c.as_of_date > max ? c.as_of_date : max), columns[0].as_of_date)
+    );
+    let where = `je.entry_date <= $${params.length}`;
+    if (locationIds) {
+      params.push(locationIds);
+      where += ` AND jel.location_id = ANY($${params.length}::int[])`;
+    }
+
+    const result = await this.pool.query(
+      `SELECT a.id as account_id, a.account_number, a.name, a.account_type, ${sums.join(', ')}
+       FROM journal_entry_lines jel
+       JOIN journal_entries je ON je.id = jel.journal_entry_id
+       JOIN accounts a ON a.id = jel.account_id
+       WHERE ${where} AND a.account_type IN ('asset', 'liability', 'equity')
+       GROUP BY a.id, a.account_number, a.name, a.account_type
+       ORDER BY a.account_number`,
+      params
+    );
+
+    const rows = result.rows.map((r) => {
+      const amounts = Object.fromEntries(
+        columns.map((c, i) => {
+          const debit = parseFloat(r[`c${i}`]) || 0;
+          return [c.key, round2(r.account_type === 'asset' ? debit : -debit)];
+        })
+      );
+      return {
+        account_id: r.account_id,
+        account_number: r.account_number,
+        name: r.name,
+        account_type: r.account_type,
+        amounts,
+        ...(columns.length === 2 && { variance: this.variance(amounts) }),
+      };
+    });
+
+    const section = (type) => rows.filter((r) => r.account_type === type);
+    const withVariance = (amounts) => ({
+      amounts,
+      ...(columns.length === 2 && { variance: this.variance(amounts) }),
+    });
+    const totalAssets = this.sumColumns(columns, section('asset'));
+    const totalLiabilities = this.sumColumns(columns, section('liability'));
+    const totalEquity = this.sumColumns(columns, section('equity'));
+    const rollups = await this.chartOfAccountsService.rollups(rows, (r) => ({
+      amounts: r.amounts,
+    }));
+
+    return {
+      compare,
+      columns,
+      assets: section('asset'),
+      liabilities: section('liability'),
+      equity: section('equity'),
+      rollups: rollups.map(({ amounts, ...header }) => ({ ...header, ...withVariance(amounts) })),
+      totals: {
+        total_assets: withVariance(totalAssets),
+        total_liabilities: withVariance(totalLiabilities),
+        total_equity: withVariance(totalEquity),
+      },
+    };
+  }
+
+  sumColumns(columns, rows) {
+    return Object.fromEntries(
+      columns.map((c) => [c.key, round2(rows.reduce((sum, r) => sum + r.amounts[c.key], 0))])
+    );
+  }
+
+  /**
+   * Current vs prior column: dollar change and percent of the prior amount
+   */
+  variance(amounts) {
+    const amount = round2(amounts.current - amounts.prior);
+    return {
+      amount,
+      percent: amounts.prior ? round2((amount / Math.abs(amounts.prior)) * 100) : null,
+    };
+  }
+}
+
+module.exports = ComparativeStatementService;
@@ -0,0 +1,291 @@
+/**
+ * ConsolidationService
+ * Side-by-side per-location financial statements with intercompany eliminations.
+ *
+ * Each location column holds the lines tagged with that location (company-level lines without
+ * one go to a "company" column). Elimination entries (journal_entries.is_elimination) post
+ * only to intercompany accounts and are shown in their own column, so
+ * consolidated = sum of location columns + eliminations.
+ */
+const { ValidationError } = require('../utils/errors');
+const { serviceLogger } = require('../utils/logger');
+
+const COMPANY_COLUMN = 'company';
+const CREDIT_NORMAL_TYPES = ['liability', 'equity', 'revenue'];
+
+const round2 = (n) => parseFloat(n.toFixed(2));
+
+/**
+ * Balance in the account's normal direction (credits for liability/equity/revenue)
+ */
+function normalBalance(accountType, debits, credits) {
+  return CREDIT_NORMAL_TYPES.includes(accountType) ? credits - debits : debits - credits;
+}
+
+class ConsolidationService {
+  /**
+   * @param {import('pg').Pool} pool
+   * @param {import('./PostingService')} postingService
+   * @param {import('./ChartOfAccountsService')} chartOfAccountsService - header rollups
+   */
+  constructor(pool, postingService, chartOfAccountsService) {
+    this.pool = pool;
+    this.postingService = postingService;
+    this.chartOfAccountsService = chartOfAccountsService;
+    this.logger = serviceLogger.child({ service: 'consolidation' });
+  }
+
+  // ============================================
+  // STATEMENTS
+  // ============================================
+
+  /**
+   * Income statement with a column per location
+   * @param {{start_date: string, end_date: string}} range
+   */
+  async incomeStatement({ start_date, end_date }) {
+    const rows = await this.accountActivity(
+      `je.entry_date BETWEEN $1 AND $2 AND a.account_type IN ('revenue', 'expense')
+       AND COALESCE(je.is_closing, false) = false`,
+      [start_date, end_date]
+    );
+    const { columns, accounts } = await this.pivot(rows);
+
+    const revenue = accounts.filter((a) => a.account_type === 'revenue');
+    const expenses = accounts.filter((a) => a.account_type === 'expense');
+    const totals = this.columnTotals(columns, (key) => {
+      const totalRevenue = this.sumColumn(revenue, key);
+      const totalExpenses = this.sumColumn(expenses, key);
+      return {
+        total_revenue: round2(totalRevenue),
+        total_expenses: round2(totalExpenses),
+        net_income: round2(totalRevenue - totalExpenses),
+      };
+    });
+
+    return {
+      period: { start_date, end_date },
+      columns,
+      revenue,
+      expenses,
+      rollups: await this.rollups(accounts),
+      totals,
+      uneliminated_intercompany: this.uneliminated(accounts),
+    };
+  }
+
+  /**
+   * Balance sheet with a column per location
+   * @param {{as_of_date: string}} asOf
+   */
+  async balanceSheet({ as_of_date }) {
+    const rows = await this.accountActivity(
+      `je.entry_date <= $1 AND a.account_type IN ('asset', 'liability', 'equity')`,
+      [as_of_date]
+    );
+    const { columns, accounts } = await this.pivot(rows);
+
+    const assets = accounts.filter((a) => a.account_type === 'asset');
+    const liabilities = accounts.filter((a) => a.account_type === 'liability');
+    const equity = accounts.filter((a) => a.account_type === 'equity');
+    const totals = this.columnTotals(columns, (key) => {
+      const totalAssets = this.sumColumn(assets, key);
+      const totalLiabilities = this.sumColumn(liabilities, key);
+      const totalEquity = this.sumColumn(equity, key);
+      return {
+        total_assets: round2(totalAssets),
+        total_liabilities: round2(totalLiabilities),
+        total_equity: round2(totalEquity),
+        liabilities_plus_equity: round2(totalLiabilities + totalEquity),
+        difference: round2(totalAssets - (totalLiabilities + totalEquity)),
+      };
+    });
+
+    return {
+      as_of_date,
+      columns,
+      assets,
+      liabilities,
+      equity,
+      rollups: await this.rollups(accounts),
+      totals,
+      uneliminated_intercompany: this.uneliminated(accounts),
+    };
+  }
+
+  /**
+   * Debits/credits per account, location and elimination flag
+   */
+  async accountActivity(where, params) {
+    const result = await this.pool.query(
+      `SELECT a.id as account_id, a.account_number, a.name, a.account_type, a.is_intercompany,
+         jel.location_id, COALESCE(je.is_elimination, false) as is_elimination,
+         SUM(jel.debit) as debits, SUM(jel.credit) as credits
+       FROM journal_entry_lines jel
+       JOIN journal_entries je ON je.id = jel.journal_entry_id
+       JOIN accounts a ON a.id = jel.account_id
+       WHERE ${where}
+       GROUP BY a.id, a.account_number, a.name, a.account_type, a.is_intercompany,
+         jel.location_id, COALESCE(je.is_elimination, false)
+       ORDER BY a.account_number`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Turn activity rows into one row per account with by_location/eliminations/consolidated
+   */
+  async pivot(rows) {
+    const locations = await this.pool.query(
+      `SELECT id, code, name FROM locations
+       WHERE is_active = true OR id = ANY($1::int[])
+       ORDER BY id`,
+      [[...new Set(rows.map((r) => r.location_id).filter(Boolean))]]
+    );
+    const columns = locations.rows.map((l) => ({
+      key: String(l.id),
+      location_id: l.id,
+      code: l.code,
+      name: l.name,
+    }));
+    if (rows.some((r) => !r.is_elimination && !r.location_id)) {
+      columns.push({ key: COMPANY_COLUMN, location_id: null, code: null, name: 'Company' });
+    }
+
+    const accounts = new Map();
+    for (const r of rows) {
+      if (!accounts.has(r.account_id)) {
+        accounts.set(r.account_id, {
+          account_id: r.account_id,
+          account_number: r.account_number,
+          name: r.name,
+          account_type: r.account_type,
+          is_intercompany: r.is_intercompany,
+          by_location: Object.fromEntries(columns.map((c) => [c.key, 0])),
+          eliminations: 0,
+          consolidated: 0,
+        });
+      }
+      const item = accounts.get(r.account_id);
+      const amount = normalBalance(r.account_type, parseFloat(r.debits) || 0, parseFloat(r.credits) || 0);
+      if (r.is_elimination) {
+        item.eliminations += amount;
+      } else {
+        item.by_location[r.location_id ? String(r.location_id) : COMPANY_COLUMN] += amount;
+      }
+      item.consolidated += amount;
+    }
+
+    return {
+      columns,
+      accounts: [...accounts.values()].map((a) => ({
+        ...a,
+        by_location: Object.fromEntries(
+          Object.entries(a.by_location).map(([key, amount]) => [key, round2(amount)])
+        ),
+        eliminations: round2(a.eliminations),
+        consolidated: round2(a.consolidated),
+      })),
+    };
+  }
+
+  /**
+   * Header account subtotals for every column
+   */
+  rollups(accounts) {
+    return this.chartOfAccountsService.rollups(accounts, (a) => ({
+      by_location: a.by_location,
+      eliminations: a.eliminations,
+      consolidated: a.consolidated,
+    }));
+  }
+
+  sumColumn(accounts, key) {
+    return accounts.reduce((sum, a) => {
+      if (key === 'eliminations' || key === 'consolidated') {return sum + a[key];}
+      return sum + a.by_location[key];
+    }, 0);
+  }
+
+  /**
+   * Totals for every location column plus eliminations and consolidated
+   */
+  columnTotals(columns, totalsFor) {
+    return {
+      by_location: Object.fromEntries(columns.map((c) => [c.key, totalsFor(c.key)])),
+      eliminations: totalsFor('eliminations'),
+      consolidated: totalsFor('consolidated'),
+    };
+  }
+
+  /**
+   * Intercompany accounts still carrying a consolidated balance (eliminations still to post)
+   */
+  uneliminated(accounts) {
+    return accounts
+      .filter((a) => a.is_intercompany && a.consolidated !== 0)
+      .map((a) => ({
+        account_id: a.account_id,
+        account_number: a.account_number,
+        name: a.name,
+        consolidated: a.consolidated,
+      }));
+  }
+
+  // ============================================
+  // ELIMINATION ENTRIES
+  // ============================================
+
+  /**
+   * Post a tagged elimination entry; every line must hit an intercompany account
+   * @param {Object} input - journal entry input (see PostingService.createJournalEntry)
+   */
+  async createElimination(input) {
+    const accountIds = [...new Set(input.lines.map((l) => l.account_id))];
+    const result = await this.pool.query(
+      'SELECT id FROM accounts WHERE id = ANY($1::int[]) AND is_intercompany = true',
+      [accountIds]
+    );
+    if (result.rows.length !== accountIds.length) {
+      const intercompany = result.rows.map((r) => r.id);
+      throw new ValidationError('Elimination entries may only post to intercompany accounts', {
+        invalid: accountIds.filter((accountId) => !intercompany.includes(accountId)),
+      });
+    }
+
+    const entry = await this.postingService.createJournalEntry({
+      ...input,
+      reference_type: 'elimination',
+      is_elimination: true,
+      location_id: null,
+      lines: input.lines.map((l) => ({ ...l, location_id: null })),
+    });
+
+    this.logger.info({ journalEntryId: entry.id, entry_date: entry.entry_date }, 'Elimination posted');
+    return entry;
+  }
+
+  async listEliminations({ start_date, end_date }) {
+    const params = [];
+    let sql = `SELECT je.*,
+        (SELECT json_agg(row_to_json(jel.*)) FROM journal_entry_lines jel
+         WHERE jel.journal_entry_id = je.id) as lines
+      FROM journal_entries je
+      WHERE je.is_elimination = true`;
+    if (start_date) {
+      params.push(start_date);
+      sql += ` AND je.entry_date >= $${params.length}`;
+    }
+    if (end_date) {
+      params.push(end_date);
+      sql += ` AND je.entry_date <= $${params.length}`;
+    }
+    sql += ' ORDER BY je.entry_date DESC, je.id DESC';
+
+    const result = await this.pool.query(sql, params);
+    return result.rows;
+  }
+}
+
+module.exports = ConsolidationService;
@@ -0,0 +1,372 @@
+/**
+ * EncryptionService
+ * Envelope encryption (AES-256-GCM) for secrets stored in the database.
+ * Values are encrypted with a data key; data keys are stored wrapped by the
+ * master key from config, and every ciphertext carries the id of its data key.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const { AppError } = require('../utils/errors');
+const { serviceLogger } = require('../utils/logger');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const VALUE_PREFIX = 'enc:v1';
+
+// Development-only fallback so local setups run without configuration
+const DEV_MASTER_KEY = crypto.createHash('sha256').update('restaurant-pl-dev-master-key').digest();
+
+/**
+ * Columns holding encrypted secrets.
+ * `legacy` is how values written before encryption were stored; `flag` is the
+ * boolean exposed in API responses instead of the secret.
+ */
+const ENCRYPTED_FIELDS = [
+  { table: 'pos_configurations', column: 'api_key_encrypted', legacy: 'base64', flag: 'has_api_key' },
+  { table: 'pos_configurations', column: 'webhook_secret', legacy: 'base64', flag: 'has_webhook_secret' },
+  { table: 'bank_accounts', column: 'routing_number', legacy: 'plaintext', flag: 'has_routing_number' },
+  { table: 'employees', column: 'ssn_last_four', legacy: 'plaintext', flag: 'has_ssn' },
+  { table: 'users', column: 'mfa_secret', legacy: 'plaintext', flag: 'has_mfa_secret' },
+];
+
+// Unwrapped data keys shared by all instances: key_id -> Buffer
+const dataKeyCache = new Map();
+let devKeyWarned = false;
+
+/**
+ * Parse a 32-byte key given as hex or base64
+ */
+function parseKey(raw, name) {
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new AppError(`${name} must be a 32-byte key (hex or base64)`, 500, 'ENCRYPTION_CONFIG_ERROR');
+  }
+  return key;
+}
+
+/**
+ * Master keys by id from config (current + previous)
+ */
+function loadMasterKeys(encryptionConfig) {
+  const keys = new Map();
+  for (const [id, raw] of Object.entries(encryptionConfig.previousMasterKeys)) {
+    keys.set(id, parseKey(raw, `Previous master key "${id}"`));
+  }
+  if (encryptionConfig.masterKey) {
+    keys.set(encryptionConfig.masterKeyId, parseKey(encryptionConfig.masterKey, 'ENCRYPTION_MASTER_KEY'));
+  } else if (!config.isProd) {
+    keys.set(encryptionConfig.masterKeyId, DEV_MASTER_KEY);
+  }
+  return keys;
+}
+
+/**
+ * AES-256-GCM encrypt; returns base64 iv, tag and ciphertext
+ */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64'));
+}
+
+/**
+ * AES-256-GCM decrypt of seal() output
+ */
+function unseal(key, [iv, tag, ciphertext], aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+}
+
+/**
+ * Replace secret columns with has_* flags for API responses
+ * @param {Object|null} row
+ */
+function maskSecrets(row) {
+  if (!row) {return row;}
+  const masked = { ...row };
+  for (const field of ENCRYPTED_FIELDS) {
+    if (field.column in masked) {
+      masked[field.flag] = masked[field.column] !== null && masked[field.column] !== '';
+      delete masked[field.column];
+    }
+  }
+  return masked;
+}
+
+class EncryptionService {
+  /**
+   * @param {import('pg').Pool} pool
+   * @param {Object} [encryptionConfig] - defaults to config.encryption
+   */
+  constructor(pool, encryptionConfig = config.encryption) {
+    this.pool = pool;
+    this.logger = serviceLogger.child({ service: 'encryption' });
+    this.masterKeyId = encryptionConfig.masterKeyId;
+    this.masterKeys = loadMasterKeys(encryptionConfig);
+
+    if (!encryptionConfig.masterKey && !config.isProd && !devKeyWarned) {
+      devKeyWarned = true;
+      this.logger.warn('ENCRYPTION_MASTER_KEY not set - using the development master key');
+    }
+  }
+
+  // ============================================
+  // MASTER KEYS
+  // ============================================
+
+  getMasterKey(masterKeyId = this.masterKeyId) {
+    const key = this.masterKeys.get(masterKeyId);
+    if (!key) {
+      throw new AppError(`Encryption master key "${masterKeyId}" is not configured`, 500, 'ENCRYPTION_KEY_MISSING');
+    }
+    return key;
+  }
+
+  wrapDataKey(dataKey, keyId) {
+    return seal(this.getMasterKey(), dataKey, keyId).join(':');
+  }
+
+  unwrapDataKey(row) {
+    if (dataKeyCache.has(row.key_id)) {return dataKeyCache.get(row.key_id);}
+    const dataKey = unseal(this.getMasterKey(row.master_key_id), row.wrapped_key.split(':'), row.key_id);
+    dataKeyCache.set(row.key_id, dataKey);
+    return dataKey;
+  }
+
+  // ============================================
+  // DATA KEYS
+  // ============================================
+
+  /**
+   * Create a new active data key (callers retire the previous one first)
+   */
+  async createDataKey(client = this.pool) {
+    const keyId = `dek-${crypto.randomBytes(8).toString('hex')}`;
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+
+    const result = await client.query(
+      `INSERT INTO encryption_keys (key_id, wrapped_key, master_key_id, status)
+       VALUES ($1, $2, $3, 'active')
+       ON CONFLICT DO NOTHING
+       RETURNING key_id`,
+      [keyId, this.wrapDataKey(dataKey, keyId), this.masterKeyId]
+    );
+    if (!result.rows.length) {
+      // Another process created the active key first
+      return this.getActiveDataKey(client);
+    }
+
+    dataKeyCache.set(keyId, dataKey);
+    this.logger.info({ keyId }, 'Data key created');
+    return { keyId, dataKey };
+  }
+
+  /**
+   * Data key used for new writes (created on first use)
+   */
+  async getActiveDataKey(client = this.pool) {
+    const result = await client.query(
+      "SELECT * FROM encryption_keys WHERE status = 'active' LIMIT 1"
+    );
+    if (!result.rows.length) {
+      return this.createDataKey(client);
+    }
+    const row = result.rows[0];
+    return { keyId: row.key_id, dataKey: this.unwrapDataKey(row) };
+  }
+
+  async getDataKey(keyId, client = this.pool) {
+    if (dataKeyCache.has(keyId)) {return dataKeyCache.get(keyId);}
+    const result = await client.query('SELECT * FROM encryption_keys WHERE key_id = $1', [keyId]);
+    if (!result.rows.length) {
+      throw new AppError(`Unknown encryption key "${keyId}"`, 500, 'ENCRYPTION_KEY_MISSING');
+    }
+    return this.unwrapDataKey(result.rows[0]);
+  }
+
+  /**
+   * Retire the active data key and start a new one.
+   * Retired keys still decrypt existing values until they are re-encrypted.
+   */
+  async rotateDataKey() {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        "UPDATE encryption_keys SET status = 'retired', retired_at = NOW() WHERE status = 'active'"
+      );
+      const { keyId } = await this.createDataKey(client);
+      await client.query('COMMIT');
+
+      this.logger.info({ keyId }, 'Data key rotated');
+      return keyId;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Re-wrap data keys held under a previous master key with the current one
+   * @returns {Promise<number>} keys re-wrapped
+   */
+  async rewrapDataKeys() {
+    const result = await this.pool.query(
+      'SELECT * FROM encryption_keys WHERE master_key_id <> $1',
+      [this.masterKeyId]
+    );
+
+    for (const row of result.rows) {
+      const dataKey = this.unwrapDataKey(row);
+      await this.pool.query(
+        `UPDATE encryption_keys SET wrapped_key = $1, master_key_id = $2, rewrapped_at = NOW()
+         WHERE id = $3`,
+        [this.wrapDataKey(dataKey, row.key_id), this.masterKeyId, row.id]
+      );
+    }
+
+    if (result.rows.length) {
+      this.logger.info({ count: result.rows.length, masterKeyId: this.masterKeyId }, 'Data keys re-wrapped');
+    }
+    return result.rows.length;
+  }
+
+  // ============================================
+  // VALUES
+  // ============================================
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${VALUE_PREFIX}:`);
+  }
+
+  keyIdOf(value) {
+    return this.isEncrypted(value) ? value.split(':')[2] : null;
+  }
+
+  /**
+   * Encrypt a value for storage
+   * @param {string|null} plaintext - empty values are stored as NULL
+   * @param {string} context - 'table.column', bound to the ciphertext
+   */
+  async encrypt(plaintext, context, client = this.pool) {
+    if (plaintext === null || plaintext === undefined || plaintext === '') {return null;}
+    const { keyId, dataKey } = await this.getActiveDataKey(client);
+    const parts = seal(dataKey, Buffer.from(String(plaintext), 'utf8'), context);
+    return [VALUE_PREFIX, keyId, ...parts].join(':');
+  }
+
+  /**
+   * Decrypt a stored value
+   * @param {string|null} value
+   * @param {string} context - 'table.column' the value was encrypted for
+   */
+  async decrypt(value, context, client = this.pool) {
+    if (value === null || value === undefined) {return null;}
+    if (!this.isEncrypted(value)) {
+      throw new AppError(`Value for ${context} is not encrypted`, 500, 'ENCRYPTION_ERROR');
+    }
+
+    const [, , keyId, ...parts] = value.split(':');
+    const dataKey = await this.getDataKey(keyId, client);
+    try {
+      return unseal(dataKey, parts, context).toString('utf8');
+    } catch (_error) {
+      throw new AppError(`Unable to decrypt value for ${context}`, 500, 'ENCRYPTION_ERROR');
+    }
+  }
+
+  // ============================================
+  // RE-ENCRYPTION
+  // ============================================
+
+  /**
+   * Plaintext of a stored value, accepting pre-encryption formats
+   */
+  readStoredValue(field, value) {
+    const context = `${field.table}.${field.column}`;
+    if (this.isEncrypted(value)) {return this.decrypt(value, context);}
+    if (field.legacy === 'base64') {return Promise.resolve(Buffer.from(value, 'base64').toString('utf8'));}
+    return Promise.resolve(value);
+  }
+
+  /**
+   * Re-encrypt every secret column with the active data key
+   * (also encrypts legacy plaintext/base64 values and re-wraps data keys).
+   * @param {Object} [options]
+   * @param {boolean} [options.rotate] - rotate the data key first
+   */
+  async reencryptAll({ rotate = false } = {}) {
+    const rewrapped = await this.rewrapDataKeys();
+    if (rotate) {
+      await this.rotateDataKey();
+    }
+    const { keyId } = await this.getActiveDataKey();
+
+    const fields = [];
+    for (const field of ENCRYPTED_FIELDS) {
+      const context = `${field.table}.${field.column}`;
+      const rows = await this.pool.query(
+        `SELECT id, ${field.column} AS value FROM ${field.table}
+         WHERE ${field.column} IS NOT NULL AND ${field.column} <> ''`
+      );
+
+      let updated = 0;
+      let skipped = 0;
+      for (const row of rows.rows) {
+        if (this.keyIdOf(row.value) === keyId) {
+          skipped++;
+          continue;
+        }
+        const plaintext = await this.readStoredValue(field, row.value);
+        const encrypted = await this.encrypt(plaintext, context);
+        // Only replace the value we read, in case it changed meanwhile
+        const result = await this.pool.query(
+          `UPDATE ${field.table} SET ${field.column} = $1 WHERE id = $2 AND ${field.column} = $3`,
+          [encrypted, row.id, row.value]
+        );
+        updated += result.rowCount;
+      }
+
+      fields.push({ table: field.table, column: field.column, updated, skipped });
+    }
+
+    this.logger.info({ keyId, fields }, 'Secrets re-encrypted');
+    return { active_key_id: keyId, rewrapped_keys: rewrapped, fields };
+  }
+
+  /**
+   * Data keys with the number of values still encrypted under each
+   */
+  async getKeyStatus() {
+    const keys = await this.pool.query(
+      `SELECT key_id, master_key_id, status, created_at, retired_at, rewrapped_at
+       FROM encryption_keys ORDER BY created_at DESC`
+    );
+
+    const usage = {};
+    for (const field of ENCRYPTED_FIELDS) {
+      const result = await this.pool.query(
+        `SELECT split_part(${field.column}, ':', 3) AS key_id, COUNT(*) AS count
+         FROM ${field.table}
+         WHERE ${field.column} LIKE '${VALUE_PREFIX}:%'
+         GROUP BY 1`
+      );
+      for (const row of result.rows) {
+        usage[row.key_id] = (usage[row.key_id] || 0) + parseInt(row.count, 10);
+      }
+    }
+
+    return keys.rows.map((key) => ({ ...key, values: usage[key.key_id] || 0 }));
+  }
+}
+
+module.exports = EncryptionService;
+module.exports.ENCRYPTED_FIELDS = ENCRYPTED_FIELDS;
+module.exports.maskSecrets = maskSecrets;
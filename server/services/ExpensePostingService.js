@@ -0,0 +1,251 @@
+/**
+ * ExpensePostingService
+ * Keeps each expense's journal entry in step with the expense:
+ *   debit  - the category's account (expense_categories.account_id, Miscellaneous 9200 when unmapped);
+ *            line items with a line_total are split out to their mapped category's account and
+ *            the rest of the amount stays on the expense's category
+ *   credit - the account for the payment method from the expense_payment_accounts setting
+ *            (cash, bank, credit card, or Accrued Expenses 2050 when no method is recorded;
+ *            Accounts Payable is left to AP invoices so it reconciles to the AP subledger)
+ *
+ * Entries are tagged reference_type 'expense' and linked from expenses.journal_entry_id. An edit that
+ * changes the date, amount, accounts or location reverses the current entry and posts a new one;
+ * deleting the expense reverses it. Reversals are dated with the original entry while its period
+ * is open, and today once it has closed.
+ */
+const { NotFoundError } = require('../utils/errors');
+const { serviceLogger } = require('../utils/logger');
+const { getSetting } = require('../utils/settings');
+
+const DEFAULT_EXPENSE_ACCOUNT = '9200';
+const DEFAULT_PAYMENT_ACCOUNTS = { default: '2050' };
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const num = (v) => parseFloat(v) || 0;
+
+/**
+ * Order-independent fingerprint of an entry's date and lines, to skip no-op re-posts
+ */
+function signature(entryDate, lines) {
+  const keys = lines
+    .map((l) => [l.account_id, round2(num(l.debit)), round2(num(l.credit)), l.location_id || ''].join(':'))
+    .sort();
+  return `${entryDate}|${keys.join(',')}`;
+}
+
+class ExpensePostingService {
+  /**
+   * @param {import('pg').Pool} pool
+   * @param {import('./PostingService')} postingService
+   */
+  constructor(pool, postingService) {
+    this.pool = pool;
+    this.postingService = postingService;
+    this.logger = serviceLogger.child({ service: 'expense-posting' });
+  }
+
+  /**
+   * Post an expense, replacing its current entry when what it posts has changed
+   * @param {number} expenseId
+   * @param {{created_by?: string|null}} [options]
+   * @param {import('pg').PoolClient} [client] - post inside the caller's transaction
+   * @returns {Promise<object|null>} the expense's current entry (null for a zero amount)
+   */
+  postExpense(expenseId, { created_by = null } = {}, client = null) {
+    return this.withClient(client, async (tx) => {
+      const expense = await this.loadExpense(tx, expenseId);
+      const lines = await this.buildLines(tx, expense);
+      const current = await this.currentEntry(tx, expense);
+
+      if (current && lines.length > 0 && current.signature === signature(expense.expense_date, lines)) {
+        return current;
+      }
+      if (current) {
+        await this.reverseEntry(tx, current, { created_by, reason: 'updated' });
+      }
+
+      const entry = lines.length > 0
+        ? await this.postingService.createJournalEntry(
+          {
+            entry_date: expense.expense_date,
+            description: `Expense #${expense.id}: ${expense.description}`,
+            reference_type: 'expense',
+            reference_id: expense.id,
+            location_id: expense.location_id,
+            created_by: created_by || expense.created_by,
+            lines,
+          },
+          tx
+        )
+        : null;
+
+      await tx.query('UPDATE expenses SET journal_entry_id = $1 WHERE id = $2', [entry ? entry.id : null, expense.id]);
+      this.logger.info(
+        { expenseId: expense.id, journalEntryId: entry && entry.id, replaced: current && current.id },
+        'Expense posted'
+      );
+      return entry;
+    });
+  }
+
+  /**
+   * Reverse an expense's entry ahead of deleting the expense
+   * @param {number} expenseId
+   * @param {{created_by?: string|null}} [options]
+   * @param {import('pg').PoolClient} [client]
+   * @returns {Promise<object|null>} the reversing entry, if there was an entry to reverse
+   */
+  reverseExpense(expenseId, { created_by = null } = {}, client = null) {
+    return this.withClient(client, async (tx) => {
+      const expense = await this.loadExpense(tx, expenseId);
+      const current = await this.currentEntry(tx, expense);
+      if (!current) {return null;}
+
+      const reversal = await this.reverseEntry(tx, current, { created_by, reason: 'deleted' });
+      await tx.query('UPDATE expenses SET journal_entry_id = NULL WHERE id = $1', [expense.id]);
+      return reversal;
+    });
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  async withClient(client, fn) {
+    if (client) {
+      return fn(client);
+    }
+
+    const own = await this.pool.connect();
+    try {
+      await own.query('BEGIN');
+      const value = await fn(own);
+      await own.query('COMMIT');
+      return value;
+    } catch (err) {
+      await own.query('ROLLBACK');
+      throw err;
+    } finally {
+      own.release();
+    }
+  }
+
+  async loadExpense(client, expenseId) {
+    const result = await client.query(
+      `SELECT e.id, e.expense_date::text as expense_date, e.description, e.amount, e.payment_method,
+              e.location_id, e.created_by, e.journal_entry_id,
+              ec.name as category_name, ec.account_id as category_account_id
+       FROM expenses e
+       LEFT JOIN expense_categories ec ON ec.id = e.category_id
+       WHERE e.id = $1
+       FOR UPDATE OF e`,
+      [expenseId]
+    );
+    const expense = result.rows[0];
+    if (!expense) {
+      throw new NotFoundError('Expense');
+    }
+    return expense;
+  }
+
+  /**
+   * Debit lines per account (line item splits, then the remainder on the category) and the
+   * payment credit. Splits that add up to more than the expense are ignored.
+   */
+  async buildLines(client, expense) {
+    const amount = round2(num(expense.amount));
+    if (amount <= 0) {return [];}
+
+    const categoryAccountId = expense.category_account_id
+      || await this.postingService.getAccountIdByNumber(DEFAULT_EXPENSE_ACCOUNT);
+
+    const items = await client.query(
+      `SELECT eli.line_total, ec.account_id
+       FROM expense_line_items eli
+       LEFT JOIN expense_categories ec ON ec.id = eli.mapped_category_id
+       WHERE eli.expense_id = $1 AND COALESCE(eli.line_total, 0) <> 0
+       ORDER BY eli.line_number, eli.id`,
+      [expense.id]
+    );
+
+    const debits = new Map();
+    const addDebit = (accountId, value) => debits.set(accountId, round2((debits.get(accountId) || 0) + value));
+
+    const itemsTotal = round2(items.rows.reduce((sum, i) => sum + num(i.line_total), 0));
+    const usableSplits = items.rows.every((i) => num(i.line_total) > 0) && itemsTotal <= amount;
+    if (usableSplits) {
+      for (const item of items.rows) {
+        addDebit(item.account_id || categoryAccountId, num(item.line_total));
+      }
+      if (amount - itemsTotal > 0) {addDebit(categoryAccountId, amount - itemsTotal);}
+    } else {
+      this.logger.warn(
+        { expenseId: expense.id, amount, itemsTotal },
+        'Expense line items do not fit the expense amount; posting it to the category account'
+      );
+      addDebit(categoryAccountId, amount);
+    }
+
+    const lines = [];
+    for (const [accountId, debit] of debits) {
+      if (debit > 0) {
+        lines.push({ account_id: accountId, debit, credit: 0, description: expense.category_name || 'Expense' });
+      }
+    }
+    lines.push({
+      account_id: await this.paymentAccountId(client, expense.payment_method),
+      debit: 0,
+      credit: amount,
+      description: expense.payment_method ? `Paid by ${expense.payment_method}` : 'Unpaid expense',
+    });
+    return lines.map((l) => ({ ...l, location_id: expense.location_id }));
+  }
+
+  async paymentAccountId(client, paymentMethod) {
+    const accounts = await getSetting(client, 'expense_payment_accounts', DEFAULT_PAYMENT_ACCOUNTS);
+    const accountNumber = (paymentMethod && accounts[paymentMethod])
+      || accounts.default
+      || DEFAULT_PAYMENT_ACCOUNTS.default;
+    return this.postingService.getAccountIdByNumber(accountNumber);
+  }
+
+  /**
+   * The expense's entry while it still stands (not voided or reversed from the ledger), with its
+   * signature
+   */
+  async currentEntry(client, expense) {
+    if (!expense.journal_entry_id) {return null;}
+
+    const result = await client.query(
+      `SELECT id, entry_date::text as entry_date, voided_at, reversed_by_entry_id
+       FROM journal_entries WHERE id = $1`,
+      [expense.journal_entry_id]
+    );
+    const entry = result.rows[0];
+    if (!entry || entry.voided_at || entry.reversed_by_entry_id) {return null;}
+
+    const lines = await client.query(
+      'SELECT account_id, debit, credit, location_id FROM journal_entry_lines WHERE journal_entry_id = $1',
+      [entry.id]
+    );
+    return { ...entry, signature: signature(entry.entry_date, lines.rows) };
+  }
+
+  async reverseEntry(client, entry, { created_by, reason }) {
+    const today = new Date().toISOString().split('T')[0];
+    const period = await this.postingService.findFiscalPeriodForDate(entry.entry_date);
+    const entryDate = period && period.is_closed && today > entry.entry_date ? today : entry.entry_date;
+
+    return this.postingService.reverseJournalEntry(
+      entry.id,
+      {
+        entry_date: entryDate,
+        description: `Reversal of JE #${entry.id}: expense ${reason}`,
+        created_by,
+      },
+      client
+    );
+  }
+}
+
+module.exports = ExpensePostingService;
@@ -0,0 +1,371 @@
+/**
+ * GLExportService
+ * Exports journal entries for an outside accountant's package:
+ *   iif      - QuickBooks Desktop general journal transactions
+ *   qbo_csv  - QuickBooks Online journal entry import
+ *   xero_csv - Xero manual journal import
+ *
+ * Accounts are written with their crosswalk value for the format (gl_export_crosswalk), else the
+ * external account an import from that package mapped to them (see GLImportService), else the
+ * account name (QuickBooks) or account number (Xero). Every export is recorded as a run with the
+ * entries it contained, so `only_unexported` can pick up where the last run of a format left off.
+ * Year-end closing entries (the package closes its own years) and entries imported from a package
+ * are never exported, and neither are the reversals and voids that mirror them.
+ */
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { serviceLogger } = require('../utils/logger');
+
+const FILES = {
+  iif: { extension: 'iif', contentType: 'text/plain' },
+  qbo_csv: { extension: 'csv', contentType: 'text/csv' },
+  xero_csv: { extension: 'csv', contentType: 'text/csv' },
+};
+
+// Same date order defaults as GLImportService
+const DEFAULT_DATE_FORMATS = { iif: 'MDY', qbo_csv: 'MDY', xero_csv: 'DMY' };
+
+// Xero needs a tax rate on every manual journal line; ledger entries are already net of tax
+const XERO_TAX_RATE = 'Tax Exempt';
+
+const RUN_COLUMNS = `id, format, start_date::text, end_date::text, only_unexported, entry_count, line_count,
+  total_debits, created_by, created_at`;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * YYYY-MM-DD as the package expects it
+ * @param {'MDY'|'DMY'|'YMD'} order
+ */
+function formatDate(date, order) {
+  const [y, m, d] = date.split('-');
+  if (order === 'DMY') {return `${d}/${m}/${y}`;}
+  if (order === 'YMD') {return date;}
+  return `${m}/${d}/${y}`;
+}
+
+function csvCell(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+const csvRow = (values) => values.map(csvCell).join(',');
+
+// IIF fields are tab-separated; tabs and line breaks inside text would split the record
+const iifText = (value) => String(value || '').replace(/[\t\r\n]+/g, ' ').trim();
+
+const entryNumber = (entry) => `JE-${entry.id}`;
+
+/**
+ * General journal transactions: the first line is the TRNS row, the rest are SPL rows.
+ * AMOUNT is signed (positive = debit).
+ */
+function renderIif(entries, accountFor, dateOrder) {
+  const columns = ['TRNSTYPE', 'DATE', 'ACCNT', 'CLASS', 'AMOUNT', 'DOCNUM', 'MEMO'];
+  const out = [
+    ['!TRNS', 'TRNSID', ...columns].join('\t'),
+    ['!SPL', 'SPLID', ...columns].join('\t'),
+    '!ENDTRNS',
+  ];
+  for (const entry of entries) {
+    entry.lines.forEach((line, i) => {
+      out.push(
+        [
+          i === 0 ? 'TRNS' : 'SPL',
+          '',
+          'GENERAL JOURNAL',
+          formatDate(entry.entry_date, dateOrder),
+          iifText(accountFor(line.account_id)),
+          iifText(line.class),
+          (line.debit - line.credit).toFixed(2),
+          entryNumber(entry),
+          iifText(line.description || entry.description),
+        ].join('\t')
+      );
+    });
+    out.push('ENDTRNS');
+  }
+  return `${out.join('\r\n')}\r\n`;
+}
+
+function renderQboCsv(entries, accountFor, dateOrder) {
+  const out = [csvRow(['JournalNo', 'JournalDate', 'AccountName', 'Debits', 'Credits', 'Description', 'Class'])];
+  for (const entry of entries) {
+    for (const line of entry.lines) {
+      out.push(
+        csvRow([
+          entryNumber(entry),
+          formatDate(entry.entry_date, dateOrder),
+          accountFor(line.account_id),
+          line.debit ? line.debit.toFixed(2) : '',
+          line.credit ? line.credit.toFixed(2) : '',
+          line.description || entry.description,
+          line.class,
+        ])
+      );
+    }
+  }
+  return `${out.join('\n')}\n`;
+}
+
+/**
+ * Xero groups lines into a journal by narration and date, so the narration carries the entry number
+ */
+function renderXeroCsv(entries, accountFor, dateOrder) {
+  const out = [
+    csvRow(['*Narration', '*Date', 'Description', '*AccountCode', '*TaxRate', '*Amount',
+      'TrackingName1', 'TrackingOption1']),
+  ];
+  for (const entry of entries) {
+    for (const line of entry.lines) {
+      out.push(
+        csvRow([
+          `${entryNumber(entry)} ${entry.description}`,
+          formatDate(entry.entry_date, dateOrder),
+          line.description,
+          accountFor(line.account_id),
+          XERO_TAX_RATE,
+          (line.debit - line.credit).toFixed(2),
+          line.class ? 'Class' : '',
+          line.class,
+        ])
+      );
+    }
+  }
+  return `${out.join('\n')}\n`;
+}
+
+const RENDERERS = { iif: renderIif, qbo_csv: renderQboCsv, xero_csv: renderXeroCsv };
+
+class GLExportService {
+  /**
+   * @param {import('pg').Pool} pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+    this.logger = serviceLogger.child({ service: 'gl-export' });
+  }
+
+  // ============================================
+  // ACCOUNT CROSSWALK
+  // ============================================
+
+  /**
+   * Every account with the external account it exports as in a format
+   */
+  async listCrosswalk(format) {
+    const result = await this.pool.query(
+      `SELECT a.id as account_id, a.account_number, a.name, a.account_type, a.is_header,
+              x.external_account as crosswalk, m.external_account as imported_as
+       FROM accounts a
+       LEFT JOIN gl_export_crosswalk x ON x.account_id = a.id AND x.format = $1
+       LEFT JOIN LATERAL (
+         SELECT external_account FROM gl_import_account_map
+         WHERE account_id = a.id AND source = $1
+         ORDER BY updated_at DESC LIMIT 1
+       ) m ON true
+       ORDER BY a.account_number`,
+      [format]
+    );
+    return result.rows.map((r) => ({
+      ...r,
+      exports_as: r.crosswalk || r.imported_as || (format === 'xero_csv' ? r.account_number : r.name),
+    }));
+  }
+
+  /**
+   * Set (or, with external_account null, clear) crosswalk values for a format
+   * @param {string} format
+   * @param {Array<{account_id: number, external_account: string|null}>} mappings
+   */
+  async saveCrosswalk(format, mappings) {
+    const ids = mappings.map((m) => m.account_id);
+    const found = await this.pool.query('SELECT id FROM accounts WHERE id = ANY($1::int[])', [ids]);
+    const missing = ids.filter((id) => !found.rows.some((r) => r.id === id));
+    if (missing.length > 0) {
+      throw new ValidationError('Unknown accounts in crosswalk', { account_ids: missing });
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const m of mappings) {
+        if (m.external_account) {
+          await client.query(
+            `INSERT INTO gl_export_crosswalk (format, account_id, external_account)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (format, account_id)
+             DO UPDATE SET external_account = EXCLUDED.external_account, updated_at = CURRENT_TIMESTAMP`,
+            [format, m.account_id, m.external_account]
+          );
+        } else {
+          await client.query('DELETE FROM gl_export_crosswalk WHERE format = $1 AND account_id = $2', [
+            format,
+            m.account_id,
+          ]);
+        }
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    return this.listCrosswalk(format);
+  }
+
+  // ============================================
+  // EXPORT RUNS
+  // ============================================
+
+  /**
+   * Export entries in a date range and record the run
+   * @param {{format: string, start_date: string, end_date: string, only_unexported?: boolean,
+   *   date_format?: string}} options
+   * @param {{created_by?: string|null}} [context]
+   * @returns {Promise<{run: Object, filename: string, contentType: string, content: string}>}
+   */
+  async exportEntries(options, { created_by = null } = {}) {
+    const { format, start_date, end_date, only_unexported = false } = options;
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const params = [start_date, end_date];
+      let sql = `SELECT je.id FROM journal_entries je
+        WHERE je.entry_date BETWEEN $1 AND $2
+          AND COALESCE(je.is_closing, false) = false
+          AND COALESCE(je.reference_type, '') <> 'gl_import'
+          AND NOT EXISTS (
+            SELECT 1 FROM journal_entries orig
+            WHERE orig.id = je.reverses_entry_id
+              AND (COALESCE(orig.is_closing, false) = true OR orig.reference_type = 'gl_import'))`;
+      if (only_unexported) {
+        params.push(format);
+        sql += ` AND NOT EXISTS (
+          SELECT 1 FROM gl_export_run_entries re
+          JOIN gl_export_runs r ON r.id = re.export_run_id
+          WHERE re.journal_entry_id = je.id AND r.format = $${params.length})`;
+      }
+      const selected = await client.query(sql, params);
+      const entryIds = selected.rows.map((r) => r.id);
+      const entries = await this.loadEntries(entryIds, client);
+
+      const runResult = await client.query(
+        `INSERT INTO gl_export_runs
+           (format, start_date, end_date, only_unexported, entry_count, line_count, total_debits, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING ${RUN_COLUMNS}`,
+        [
+          format,
+          start_date,
+          end_date,
+          only_unexported,
+          entries.length,
+          entries.reduce((sum, e) => sum + e.lines.length, 0),
+          round2(entries.reduce((sum, e) => sum + e.lines.reduce((s, l) => s + l.debit, 0), 0)),
+          created_by,
+        ]
+      );
+      const run = runResult.rows[0];
+      if (entryIds.length > 0) {
+        await client.query(
+          `INSERT INTO gl_export_run_entries (export_run_id, journal_entry_id)
+           SELECT $1, UNNEST($2::int[])`,
+          [run.id, entryIds]
+        );
+      }
+      await client.query('COMMIT');
+
+      this.logger.info({ runId: run.id, format, entries: entries.length }, 'GL export run recorded');
+      return { run, ...(await this.render(run, entries, options.date_format)) };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Re-create a past run's file (with the current crosswalk)
+   */
+  async runFile(runId, dateFormat = null) {
+    const run = await this.getRun(runId);
+    const linked = await this.pool.query(
+      'SELECT journal_entry_id FROM gl_export_run_entries WHERE export_run_id = $1',
+      [runId]
+    );
+    const entries = await this.loadEntries(linked.rows.map((r) => r.journal_entry_id));
+    return { run, ...(await this.render(run, entries, dateFormat)) };
+  }
+
+  async render(run, entries, dateFormat = null) {
+    const crosswalk = await this.listCrosswalk(run.format);
+    const exportsAs = new Map(crosswalk.map((a) => [a.account_id, a.exports_as]));
+    const content = RENDERERS[run.format](
+      entries,
+      (accountId) => exportsAs.get(accountId),
+      dateFormat || DEFAULT_DATE_FORMATS[run.format]
+    );
+    const { extension, contentType } = FILES[run.format];
+    return {
+      filename: `gl_${run.format}_${run.start_date}_${run.end_date}_run${run.id}.${extension}`,
+      contentType,
+      content,
+    };
+  }
+
+  /**
+   * Entries with their lines, in date order
+   */
+  async loadEntries(entryIds, client = this.pool) {
+    if (entryIds.length === 0) {return [];}
+    const [entries, lines] = await Promise.all([
+      client.query(
+        `SELECT id, entry_date::text, description FROM journal_entries
+         WHERE id = ANY($1::int[]) ORDER BY entry_date, id`,
+        [entryIds]
+      ),
+      client.query(
+        `SELECT journal_entry_id, account_id, debit, credit, description, class
+         FROM journal_entry_lines WHERE journal_entry_id = ANY($1::int[]) ORDER BY id`,
+        [entryIds]
+      ),
+    ]);
+    const byEntry = new Map(entries.rows.map((e) => [e.id, { ...e, lines: [] }]));
+    for (const l of lines.rows) {
+      byEntry.get(l.journal_entry_id).lines.push({
+        ...l,
+        debit: parseFloat(l.debit) || 0,
+        credit: parseFloat(l.credit) || 0,
+      });
+    }
+    return [...byEntry.values()];
+  }
+
+  async getRun(runId) {
+    const result = await this.pool.query(
+      `SELECT ${RUN_COLUMNS} FROM gl_export_runs WHERE id = $1`,
+      [runId]
+    );
+    if (!result.rows[0]) {
+      throw new NotFoundError('Export run');
+    }
+    return result.rows[0];
+  }
+
+  async listRuns(format = null) {
+    const params = [];
+    let sql = `SELECT ${RUN_COLUMNS} FROM gl_export_runs`;
+    if (format) {
+      params.push(format);
+      sql += ` WHERE format = $${params.length}`;
+    }
+    sql += ' ORDER BY created_at DESC, id DESC';
+    const result = await this.pool.query(sql, params);
+    return result.rows;
+  }
+}
+
+module.exports = GLExportService;
@@ -0,0 +1,759 @@
+/**
+ * GLImportService
+ * Imports chart of accounts, opening balances and historical journals from QuickBooks Desktop
+ * (IIF) and QuickBooks Online / Xero CSV exports.
+ *
+ * Pipeline: parse the file into external accounts and entries, map every external account to
+ * `accounts` (explicit account_map, then the saved map from earlier imports, then a matching
+ * account number or name, then - with create_missing_accounts - a new account from the file's
+ * chart), check each entry balances, and find or create a monthly fiscal period for every
+ * entry date. Nothing is written until the whole file is clean; the import then posts every
+ * entry through PostingService in one transaction, tagged reference_type 'gl_import' with the
+ * batch id. Rolling a batch back voids its entries, which stay in the ledger for audit.
+ */
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { serviceLogger } = require('../utils/logger');
+
+// Date order when a file doesn't use YYYY-MM-DD
+const DEFAULT_DATE_FORMATS = { iif: 'MDY', qbo_csv: 'MDY', xero_csv: 'DMY' };
+
+// CSV header aliases (lower case, without Xero's leading '*'), most specific first
+const COLUMNS = {
+  date: ['date', 'transaction date', 'journal date', 'journaldate'],
+  entry: ['journal no.', 'journal no', 'journalno', 'journal number', 'journalnumber', 'transaction id',
+    'trans #', 'num', 'no.', 'reference', 'narration'],
+  account: ['account code', 'accountcode', 'account', 'account name', 'accountname', 'full name'],
+  debit: ['debit', 'debits', 'debit amount', 'dr'],
+  credit: ['credit', 'credits', 'credit amount', 'cr'],
+  amount: ['amount', 'net amount', 'balance'], // signed: positive = debit
+  memo: ['memo/description', 'memo', 'description', 'line description'],
+  narration: ['narration'],
+  class: ['class'],
+  code: ['code', 'account code', 'account #', 'account number', 'number', 'accnum'],
+  name: ['name', 'account name', 'account', 'full name'],
+  type: ['type', 'account type', 'accnttype'],
+};
+
+// External account types -> [account_type, sub_type]; matched on the lower-cased type
+const ACCOUNT_TYPES = [
+  [['bank', 'cash'], 'asset', 'cash'],
+  [['ar', 'accounts receivable (a/r)', 'accounts receivable', 'receivable'], 'asset', 'receivable'],
+  [['fixasset', 'fixed', 'fixed assets', 'fixed asset'], 'asset', 'fixed_asset'],
+  [['inventory'], 'asset', 'inventory'],
+  [['prepayment'], 'asset', 'prepaid'],
+  [['ocasset', 'oasset', 'current', 'noncurrent', 'other current assets', 'other assets',
+    'current asset', 'non-current asset'], 'asset', null],
+  [['ap', 'accounts payable (a/p)', 'accounts payable', 'ccard', 'credit card'], 'liability', 'payable'],
+  [['ltliab', 'termliab', 'long term liabilities', 'non-current liability'], 'liability', 'long_term'],
+  [['ocliab', 'currliab', 'liability', 'other current liabilities', 'current liability'], 'liability', null],
+  [['equity'], 'equity', null],
+  [['inc', 'revenue', 'sales', 'income'], 'revenue', 'sales'],
+  [['exinc', 'otherincome', 'other income'], 'revenue', 'other'],
+  [['cogs', 'directcosts', 'direct costs', 'cost of goods sold'], 'expense', 'cogs'],
+  [['exp', 'exexp', 'expense', 'expenses', 'overheads', 'depreciatn', 'other expense'], 'expense', 'operating'],
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Split delimited text into rows of cells, honouring double-quoted cells
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') {i++;}
+      row.push(cell.trim());
+      if (row.some((c) => c !== '')) {rows.push(row);}
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some((c) => c !== '')) {rows.push(row);}
+  return rows;
+}
+
+/**
+ * YYYY-MM-DD from an export date ('2024-03-31', '03/31/2024', '31/03/24', ...)
+ * @param {'MDY'|'DMY'|'YMD'} order - for dates that aren't YYYY-MM-DD
+ */
+function parseDate(value, order) {
+  const v = String(value || '').trim();
+  let y;
+  let m;
+  let d;
+  const iso = v.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  const parts = v.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})$/);
+  if (iso) {
+    [y, m, d] = iso.slice(1).map(Number);
+  } else if (parts && order !== 'YMD') {
+    const [a, b, year] = parts.slice(1).map(Number);
+    [m, d] = order === 'DMY' ? [b, a] : [a, b];
+    y = year < 100 ? (year < 70 ? 2000 + year : 1900 + year) : year;
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {return null;}
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Number from an export amount ('1,234.50', '$12', '(45.00)' = -45); blank is 0
+ */
+function parseAmount(value) {
+  const v = String(value || '').trim();
+  if (!v) {return 0;}
+  const negative = /^\(.*\)$/.test(v) || v.startsWith('-');
+  const n = parseFloat(v.replace(/[^0-9.]/g, ''));
+  if (Number.isNaN(n)) {return NaN;}
+  return negative ? -n : n;
+}
+
+/**
+ * Signed amount (positive = debit) as a line's debit/credit
+ */
+function signedLine(amount) {
+  return amount >= 0 ? { debit: round2(amount), credit: 0 } : { debit: 0, credit: round2(-amount) };
+}
+
+/**
+ * Index of the first header matching an alias, or -1
+ */
+function columnIndex(headers, aliases) {
+  for (const alias of aliases) {
+    const i = headers.indexOf(alias);
+    if (i !== -1) {return i;}
+  }
+  return -1;
+}
+
+/**
+ * QuickBooks Desktop IIF: !ACCNT / !TRNS / !SPL header rows describe the rows that follow;
+ * TRNS starts a transaction, SPL adds its splits and ENDTRNS closes it. AMOUNT is signed.
+ */
+function parseIif(text, dateOrder) {
+  const headers = {};
+  const accounts = [];
+  const entries = [];
+  const errors = [];
+  let current = null;
+
+  const rows = parseDelimited(text, '\t');
+  rows.forEach((cells, i) => {
+    const type = cells[0].toUpperCase();
+    if (type.startsWith('!')) {
+      headers[type.slice(1)] = cells.map((c) => c.toUpperCase());
+      return;
+    }
+    const record = Object.fromEntries((headers[type] || []).map((h, j) => [h, cells[j] || '']));
+
+    if (type === 'ACCNT') {
+      accounts.push({
+        key: record.NAME,
+        code: record.ACCNUM || null,
+        name: record.NAME.split(':').pop(),
+        type: record.ACCNTTYPE,
+        description: record.DESC || null,
+      });
+    } else if (type === 'TRNS') {
+      current = {
+        row: i + 1,
+        external_id: record.TRNSID || record.DOCNUM || `row ${i + 1}`,
+        entry_date: parseDate(record.DATE, dateOrder),
+        raw_date: record.DATE,
+        description: record.MEMO || record.NAME || record.TRNSTYPE || null,
+        lines: [],
+      };
+      entries.push(current);
+    }
+    if ((type === 'TRNS' || type === 'SPL') && current) {
+      const amount = parseAmount(record.AMOUNT);
+      if (Number.isNaN(amount)) {
+        errors.push({ row: i + 1, message: `Invalid amount "${record.AMOUNT}"` });
+      } else if (round2(amount) !== 0) {
+        current.lines.push({
+          external_account: record.ACCNT,
+          ...signedLine(amount),
+          description: record.MEMO || null,
+          class: record.CLASS || null,
+        });
+      }
+    } else if (type === 'SPL') {
+      errors.push({ row: i + 1, message: 'SPL row outside a transaction' });
+    } else if (type === 'ENDTRNS') {
+      current = null;
+    }
+  });
+
+  return { accounts, entries, errors };
+}
+
+/**
+ * Header row and column indexes of a CSV export; report exports (QuickBooks Online) carry title
+ * rows above the header, so the first row naming every required column wins
+ */
+function csvTable(text, required, optional) {
+  const rows = parseDelimited(text.replace(/^\uFEFF/, ''), ',');
+  const normalize = (h) => h.toLowerCase().replace(/^\*/, '').trim();
+  const headerAt = rows.findIndex((r) => {
+    const headers = r.map(normalize);
+    return required.every((key) => columnIndex(headers, COLUMNS[key]) !== -1);
+  });
+  if (headerAt === -1) {
+    throw new ValidationError(`Could not find a header row with columns: ${required.join(', ')}`);
+  }
+  const headers = rows[headerAt].map(normalize);
+  const index = {};
+  for (const key of [...required, ...optional]) {
+    index[key] = columnIndex(headers, COLUMNS[key]);
+  }
+  const value = (cells, key) => (index[key] === -1 ? '' : cells[index[key]] || '');
+  return { rows: rows.slice(headerAt + 1).map((cells, i) => ({ cells, row: headerAt + i + 2 })), value };
+}
+
+/**
+ * Amount of a CSV line: Debit/Credit columns, else a signed Amount
+ */
+function csvLineAmount(cells, value) {
+  const debit = parseAmount(value(cells, 'debit'));
+  const credit = parseAmount(value(cells, 'credit'));
+  if (value(cells, 'debit') || value(cells, 'credit')) {return debit - credit;}
+  return parseAmount(value(cells, 'amount'));
+}
+
+/**
+ * Chart of accounts export (Xero: *Code, *Name, *Type; QuickBooks Online: Account, Type)
+ */
+function parseCsvAccounts(text, source) {
+  const { rows, value } = csvTable(text, ['name', 'type'], ['code', 'description']);
+  const accounts = rows.map(({ cells }) => {
+    const code = value(cells, 'code') || null;
+    const name = value(cells, 'name');
+    // Xero journals reference accounts by code, QuickBooks Online by name
+    return { key: source === 'xero_csv' && code ? code : name, code, name, type: value(cells, 'type'),
+      description: value(cells, 'description') || null };
+  });
+  return { accounts: accounts.filter((a) => a.key), entries: [], errors: [] };
+}
+
+/**
+ * Journal export: one row per line. A row with a new entry number (or, without one, a new date)
+ * starts an entry; QuickBooks Online leaves both blank on a transaction's later rows.
+ */
+function parseCsvJournal(text, dateOrder) {
+  const { rows, value } = csvTable(text, ['date', 'account'], ['entry', 'debit', 'credit',
+    'amount', 'memo', 'narration', 'class']);
+  const entries = [];
+  const errors = [];
+  let current = null;
+
+  for (const { cells, row } of rows) {
+    const account = value(cells, 'account');
+    if (!account || /^total/i.test(cells[0] || '')) {continue;}
+    const key = value(cells, 'entry');
+    const rawDate = value(cells, 'date');
+    if (!current || (key && key !== current.external_id) || (!key && rawDate && rawDate !== current.raw_date)) {
+      current = {
+        row,
+        external_id: key || `row ${row}`,
+        entry_date: parseDate(rawDate, dateOrder),
+        raw_date: rawDate,
+        description: value(cells, 'narration') || value(cells, 'memo') || null,
+        lines: [],
+      };
+      entries.push(current);
+    }
+
+    const amount = csvLineAmount(cells, value);
+    if (Number.isNaN(amount)) {
+      errors.push({ row, message: 'Invalid debit/credit amount' });
+    } else if (round2(amount) !== 0) {
+      current.lines.push({
+        external_account: account,
+        ...signedLine(amount),
+        description: value(cells, 'memo') || null,
+        class: value(cells, 'class') || null,
+      });
+    }
+  }
+  return { accounts: [], entries, errors };
+}
+
+/**
+ * Trial balance export: one opening-balance entry on openingDate
+ */
+function parseCsvTrialBalance(text, openingDate) {
+  const { rows, value } = csvTable(text, ['account'], ['debit', 'credit', 'amount']);
+  const entry = {
+    row: 1,
+    external_id: 'opening balances',
+    entry_date: openingDate,
+    raw_date: openingDate,
+    description: `Opening balances as of ${openingDate}`,
+    lines: [],
+  };
+  const errors = [];
+  for (const { cells, row } of rows) {
+    const account = value(cells, 'account');
+    if (!account || /^total/i.test(account)) {continue;}
+    const amount = csvLineAmount(cells, value);
+    if (Number.isNaN(amount)) {
+      errors.push({ row, message: 'Invalid debit/credit amount' });
+    } else if (round2(amount) !== 0) {
+      entry.lines.push({ external_account: account, ...signedLine(amount), description: 'Opening balance' });
+    }
+  }
+  return { accounts: [], entries: [entry], errors };
+}
+
+function accountTypeFor(externalType) {
+  const type = String(externalType || '').toLowerCase().trim();
+  const match = ACCOUNT_TYPES.find(([names]) => names.includes(type));
+  return match ? { account_type: match[1], sub_type: match[2] } : null;
+}
+
+function monthBounds(date) {
+  const [y, m] = date.split('-').map(Number);
+  const end = new Date(Date.UTC(y, m, 0)).toISOString().split('T')[0];
+  return { start_date: `${date.slice(0, 7)}-01`, end_date: end };
+}
+
+class GLImportService {
+  /**
+   * @param {import('pg').Pool} pool
+   * @param {import('./PostingService')} postingService
+   */
+  constructor(pool, postingService) {
+    this.pool = pool;
+    this.postingService = postingService;
+    this.logger = serviceLogger.child({ service: 'gl-import' });
+  }
+
+  /**
+   * Parse an export into external accounts and entries
+   * @param {{source: string, kind: string, content: string, date_format?: string, opening_date?: string}} input
+   */
+  parse({ source, kind, content, date_format, opening_date }) {
+    const dateOrder = date_format || DEFAULT_DATE_FORMATS[source];
+    if (source === 'iif') {return parseIif(content, dateOrder);}
+    if (kind === 'accounts') {return parseCsvAccounts(content, source);}
+    if (kind === 'trial_balance') {return parseCsvTrialBalance(content, opening_date);}
+    return parseCsvJournal(content, dateOrder);
+  }
+
+  // ============================================
+  // PLANNING (no writes)
+  // ============================================
+
+  /**
+   * Parse, map and validate an import
+   * @returns {Promise<Object>} plan with account mappings, entries, periods and problems
+   */
+  async plan(input) {
+    const { source, account_map = {}, create_missing_accounts = false } = input;
+    const parsed = this.parse(input);
+    const errors = [...parsed.errors];
+
+    // Every external account named in the file's chart or its lines
+    const chart = new Map(parsed.accounts.map((a) => [a.key, a]));
+    const externalKeys = [
+      ...new Set([...chart.keys(), ...parsed.entries.flatMap((e) => e.lines.map((l) => l.external_account))]),
+    ];
+
+    const [accountsResult, savedResult] = await Promise.all([
+      this.pool.query('SELECT id, account_number, name, is_header FROM accounts'),
+      this.pool.query('SELECT external_account, account_id FROM gl_import_account_map WHERE source = $1', [
+        source,
+      ]),
+    ]);
+    const byId = new Map(accountsResult.rows.map((a) => [a.id, a]));
+    const byNumber = new Map(accountsResult.rows.map((a) => [a.account_number, a]));
+    const byName = new Map(accountsResult.rows.map((a) => [a.name.toLowerCase(), a]));
+    const saved = new Map(savedResult.rows.map((r) => [r.external_account, r.account_id]));
+
+    const mappings = [];
+    const toCreate = [];
+    const unmapped = [];
+    for (const key of externalKeys) {
+      const info = chart.get(key);
+      const leadingNumber = key.match(/^(\d+)\s/)?.[1]; // QuickBooks Online: "1000 Checking"
+      const name = key.split(':').pop().replace(/^\d+\s+/, '').toLowerCase();
+      let account = null;
+      let via = null;
+      if (account_map[key]) {
+        account = byId.get(Number(account_map[key]));
+        via = 'account_map';
+        if (!account) {
+          errors.push({ account: key, message: `account_map points at unknown account ${account_map[key]}` });
+          continue;
+        }
+      } else if (saved.has(key) && byId.has(saved.get(key))) {
+        [account, via] = [byId.get(saved.get(key)), 'saved'];
+      } else if (byNumber.get(info?.code || key) || byNumber.get(leadingNumber)) {
+        [account, via] = [byNumber.get(info?.code || key) || byNumber.get(leadingNumber), 'number'];
+      } else if (byName.get(name)) {
+        [account, via] = [byName.get(name), 'name'];
+      }
+
+      if (account) {
+        if (account.is_header) {
+          errors.push({ account: key, message: `Maps to header account ${account.account_number}` });
+        }
+        mappings.push({ external_account: key, account_id: account.id, account_number: account.account_number, via });
+        continue;
+      }
+
+      const type = accountTypeFor(info?.type);
+      if (create_missing_accounts && info?.code && type) {
+        toCreate.push({ external_account: key, account_number: info.code, name: info.name, ...type,
+          description: info.description });
+      } else {
+        unmapped.push({
+          external_account: key,
+          type: info?.type || null,
+          reason: !create_missing_accounts ? 'No matching account; add it to account_map'
+            : !info ? 'Not in an imported chart of accounts' : !info.code ? 'No account number to create it with'
+              : `Unknown account type "${info.type}"`,
+        });
+      }
+    }
+
+    // Entries: dates and balance
+    for (const e of parsed.entries) {
+      if (!e.entry_date) {
+        errors.push({ entry: e.external_id, row: e.row, message: `Invalid date "${e.raw_date}"` });
+      }
+      const debits = round2(e.lines.reduce((s, l) => s + l.debit, 0));
+      const credits = round2(e.lines.reduce((s, l) => s + l.credit, 0));
+      e.total = debits;
+      if (e.lines.length < 2) {
+        errors.push({ entry: e.external_id, row: e.row, message: 'Entry needs at least 2 non-zero lines' });
+      } else if (debits !== credits) {
+        errors.push({ entry: e.external_id, row: e.row, message: `Entry is not balanced (diff=${round2(debits - credits)})` });
+      }
+    }
+    const entries = parsed.entries.filter((e) => e.entry_date);
+
+    // Periods: existing ones must be open; missing months are created
+    const periods = await this.planPeriods(entries.map((e) => e.entry_date), errors);
+
+    const dates = entries.map((e) => e.entry_date).sort();
+    return {
+      source,
+      kind: source === 'iif' ? 'journal' : input.kind,
+      summary: {
+        entries: parsed.entries.length,
+        lines: parsed.entries.reduce((s, e) => s + e.lines.length, 0),
+        total_debits: round2(parsed.entries.reduce((s, e) => s + (e.total || 0), 0)),
+        start_date: dates[0] || null,
+        end_date: dates[dates.length - 1] || null,
+        accounts_in_file: externalKeys.length,
+      },
+      mappings,
+      accounts_to_create: toCreate,
+      unmapped_accounts: unmapped,
+      periods_to_create: periods.toCreate,
+      errors,
+      is_valid: errors.length === 0 && unmapped.length === 0,
+      entries,
+      periodFor: periods.periodFor,
+    };
+  }
+
+  /**
+   * Fiscal period for every date: an existing open period, or a new month to create
+   */
+  async planPeriods(dates, errors) {
+    const unique = [...new Set(dates)].sort();
+    if (unique.length === 0) {return { toCreate: [], periodFor: new Map() };}
+    const result = await this.pool.query(
+      `SELECT id, period_name, start_date::text, end_date::text, is_closed
+       FROM fiscal_periods
+       WHERE end_date >= $1 AND start_date <= $2
+       ORDER BY start_date DESC`,
+      [unique[0], unique[unique.length - 1]]
+    );
+
+    const periodFor = new Map();
+    const toCreate = new Map();
+    for (const date of unique) {
+      // Same choice as PostingService.findFiscalPeriodForDate: latest-starting period
+      const period = result.rows.find((p) => p.start_date <= date && p.end_date >= date);
+      if (period?.is_closed) {
+        errors.push({ date, message: `Fiscal period ${period.period_name} is closed` });
+      } else if (period) {
+        periodFor.set(date, period.id);
+      } else {
+        const month = monthBounds(date);
+        toCreate.set(month.start_date, month);
+        periodFor.set(date, month.start_date); // resolved to the new id on import
+      }
+    }
+    return { toCreate: [...toCreate.values()], periodFor };
+  }
+
+  /**
+   * Plan without the internals; what a dry run returns
+   */
+  async preview(input) {
+    const plan = await this.plan(input);
+    delete plan.periodFor;
+    return {
+      ...plan,
+      entries: plan.entries.slice(0, 50).map((e) => ({
+        external_id: e.external_id,
+        entry_date: e.entry_date,
+        description: e.description,
+        total: e.total,
+        lines: e.lines.length,
+      })),
+    };
+  }
+
+  // ============================================
+  // IMPORT & ROLLBACK
+  // ============================================
+
+  /**
+   * Import a clean file as one batch
+   * @param {Object} input - see glImportSchema
+   * @param {{created_by?: string|null}} options
+   */
+  async importBatch(input, { created_by = null } = {}) {
+    const plan = await this.plan(input);
+    if (!plan.is_valid) {
+      throw new ValidationError('Import has problems; nothing was imported', {
+        errors: plan.errors,
+        unmapped_accounts: plan.unmapped_accounts,
+      });
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const batchResult = await client.query(
+        `INSERT INTO gl_import_batches (source, kind, filename, status, created_by)
+         VALUES ($1, $2, $3, 'posted', $4)
+         RETURNING id`,
+        [plan.source, plan.kind, input.filename || null, created_by]
+      );
+      const batchId = batchResult.rows[0].id;
+
+      const accountIds = new Map(plan.mappings.map((m) => [m.external_account, m.account_id]));
+      const createdAccountIds = [];
+      for (const a of plan.accounts_to_create) {
+        const created = await client.query(
+          `INSERT INTO accounts (account_number, name, account_type, sub_type, description)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id`,
+          [a.account_number, a.name, a.account_type, a.sub_type, a.description]
+        );
+        accountIds.set(a.external_account, created.rows[0].id);
+        createdAccountIds.push(created.rows[0].id);
+      }
+
+      // Remember mappings for the next file from the same system
+      for (const [externalAccount, accountId] of accountIds) {
+        await client.query(
+          `INSERT INTO gl_import_account_map (source, external_account, account_id)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (source, external_account)
+           DO UPDATE SET account_id = EXCLUDED.account_id, updated_at = CURRENT_TIMESTAMP`,
+          [plan.source, externalAccount, accountId]
+        );
+      }
+
+      const newPeriodIds = new Map();
+      for (const p of plan.periods_to_create) {
+        const created = await client.query(
+          `INSERT INTO fiscal_periods (period_name, period_type, start_date, end_date, notes)
+           VALUES ($1, 'month', $2, $3, $4)
+           RETURNING id`,
+          [`MONTH ${p.start_date} to ${p.end_date}`, p.start_date, p.end_date, `Created by GL import #${batchId}`]
+        );
+        newPeriodIds.set(p.start_date, created.rows[0].id);
+      }
+
+      let lineCount = 0;
+      let totalDebits = 0;
+      for (const e of plan.entries) {
+        const period = plan.periodFor.get(e.entry_date);
+        await this.postingService.createJournalEntry(
+          {
+            entry_date: e.entry_date,
+            description: e.description || `Imported ${plan.source} entry ${e.external_id}`,
+            reference_type: 'gl_import',
+            reference_id: batchId,
+            fiscal_period_id: newPeriodIds.get(period) || period,
+            created_by,
+            location_id: input.location_id || null,
+            lines: e.lines.map((l) => ({
+              account_id: accountIds.get(l.external_account),
+              debit: l.debit,
+              credit: l.credit,
+              description: l.description,
+              class: l.class,
+            })),
+          },
+          client
+        );
+        lineCount += e.lines.length;
+        totalDebits += e.total;
+      }
+
+      await client.query(
+        `UPDATE gl_import_batches SET
+           entry_count = $1, line_count = $2, total_debits = $3, start_date = $4, end_date = $5,
+           created_account_ids = $6, created_period_ids = $7
+         WHERE id = $8`,
+        [
+          plan.entries.length,
+          lineCount,
+          round2(totalDebits),
+          plan.summary.start_date,
+          plan.summary.end_date,
+          createdAccountIds,
+          [...newPeriodIds.values()],
+          batchId,
+        ]
+      );
+      await client.query('COMMIT');
+
+      this.logger.info({ batchId, source: plan.source, entries: plan.entries.length }, 'GL import posted');
+      return this.getBatch(batchId);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Undo a batch by voiding its journal entries. Entries are never deleted: they may already sit
+   * in an export run, a bank reconciliation or an audit trail. The periods and accounts the
+   * import created stay (they hold the voided entries, and other data may use them by now).
+   */
+  async rollback(batchId, { rolled_back_by = null, reason = null } = {}) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const batch = await this.getBatch(batchId, client, true);
+      if (batch.status !== 'posted') {
+        throw new ValidationError(`Import batch is ${batch.status}`);
+      }
+
+      const entries = await client.query(
+        `SELECT je.id, je.entry_date::text, je.reversed_by_entry_id, fp.period_name, fp.is_closed
+         FROM journal_entries je
+         LEFT JOIN fiscal_periods fp ON fp.id = je.fiscal_period_id
+         WHERE je.reference_type = 'gl_import' AND je.reference_id = $1`,
+        [batchId]
+      );
+      const closed = [...new Set(entries.rows.filter((e) => e.is_closed).map((e) => e.period_name))];
+      if (closed.length > 0) {
+        throw new ValidationError('Imported entries fall in closed periods; reopen them first', {
+          periods: closed,
+        });
+      }
+      const reversed = entries.rows.filter((e) => e.reversed_by_entry_id).map((e) => e.id);
+      if (reversed.length > 0) {
+        throw new ValidationError('Some imported entries have been reversed or voided', {
+          journal_entry_ids: reversed,
+        });
+      }
+
+      const entryIds = entries.rows.map((e) => e.id);
+      for (const entryId of entryIds) {
+        await this.postingService.voidJournalEntry(
+          entryId,
+          { reason: reason || `GL import #${batchId} rolled back`, voided_by: rolled_back_by },
+          client
+        );
+      }
+
+      await client.query(
+        `UPDATE gl_import_batches SET
+           status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP, rolled_back_by = $1,
+           rollback_reason = $2
+         WHERE id = $3`,
+        [rolled_back_by, reason, batchId]
+      );
+      await client.query('COMMIT');
+
+      this.logger.info({ batchId, entries: entryIds.length }, 'GL import rolled back');
+      return {
+        ...(await this.getBatch(batchId)),
+        entries_voided: entryIds.length,
+      };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getBatch(batchId, client = this.pool, forUpdate = false) {
+    const result = await client.query(
+      `SELECT * FROM gl_import_batches WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+      [batchId]
+    );
+    if (!result.rows[0]) {
+      throw new NotFoundError('Import batch');
+    }
+    return result.rows[0];
+  }
+
+  async listBatches() {
+    const result = await this.pool.query('SELECT * FROM gl_import_batches ORDER BY created_at DESC, id DESC');
+    return result.rows;
+  }
+
+  /**
+   * Saved external account mappings (reused by later imports from the same source)
+   */
+  async listAccountMap(source = null) {
+    const params = [];
+    let sql = `SELECT m.*, a.account_number, a.name as account_name
+      FROM gl_import_account_map m
+      JOIN accounts a ON a.id = m.account_id`;
+    if (source) {
+      params.push(source);
+      sql += ` WHERE m.source = $${params.length}`;
+    }
+    sql += ' ORDER BY m.source, m.external_account';
+    const result = await this.pool.query(sql, params);
+    return result.rows;
+  }
+}
+
+module.exports = GLImportService;
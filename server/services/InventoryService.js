@@ -1,9 +1,23 @@
 /**
  * InventoryService
  * Manages perpetual inventory: movements, levels, receipts, counts
+ *
+ * Stock is kept per location; every level, movement and count carries a location_id.
+ * Transfers move stock between locations (or storage areas of one location) as paired
+ * transfer_out / transfer_in movements at the source's average cost.
  */
 const { ValidationError, NotFoundError } = require('../utils/errors');
 const { serviceLogger } = require('../utils/logger');
+const { DEFAULT_LOCATION_ID } = require('../utils/locationScope');
+const PostingService = require('./PostingService');
+
+// GL accounts for inter-location transfers
+const TRANSFER_ACCOUNTS = {
+  inventory: '1200', // Food Inventory
+  dueFrom: '1700', // Due From Locations (source)
+  dueTo: '2600', // Due To Locations (destination)
+  variance: '5000', // Food Cost (sent vs received discrepancies)
+};
 
 class InventoryService {
   /**
@@ -11,6 +25,7 @@ class InventoryService {
    */
   constructor(pool) {
     this.pool = pool;
+    this.postingService = new PostingService(pool);
     this.logger = serviceLogger.child({ service: 'inventory' });
   }
 
@@ -19,19 +34,19 @@ class InventoryService {
   // ============================================
 
   /**
-   * Ensure inventory_levels row exists for an ingredient
+   * Ensure inventory_levels row exists for an ingredient at a location
    */
-  async ensureLevelExists(ingredientId, unit, client = this.pool) {
+  async ensureLevelExists(ingredientId, unit, client = this.pool, locationId = DEFAULT_LOCATION_ID) {
     const existing = await client.query(
-      'SELECT id FROM inventory_levels WHERE ingredient_id = $1',
-      [ingredientId]
+      'SELECT id FROM inventory_levels WHERE ingredient_id = $1 AND location_id = $2',
+      [ingredientId, locationId]
     );
     if (existing.rows.length === 0) {
       await client.query(
-        `INSERT INTO inventory_levels (ingredient_id, unit, quantity_on_hand)
-         VALUES ($1, $2, 0)
-         ON CONFLICT (ingredient_id) DO NOTHING`,
-        [ingredientId, unit]
+        `INSERT INTO inventory_levels (ingredient_id, location_id, unit, quantity_on_hand)
+         VALUES ($1, $2, $3, 0)
+         ON CONFLICT (ingredient_id, location_id) DO NOTHING`,
+        [ingredientId, locationId, unit]
       );
     }
   }
@@ -41,13 +56,13 @@ class InventoryService {
    * Uses weighted average cost for receipts
    */
   async updateLevelFromMovement(movement, client = this.pool) {
-    const { ingredient_id, movement_type, quantity, unit, unit_cost } = movement;
+    const { ingredient_id, location_id, movement_type, quantity, unit, unit_cost } = movement;
 
-    await this.ensureLevelExists(ingredient_id, unit, client);
+    await this.ensureLevelExists(ingredient_id, unit, client, location_id);
 
     const currentLevel = await client.query(
-      'SELECT * FROM inventory_levels WHERE ingredient_id = $1 FOR UPDATE',
-      [ingredient_id]
+      'SELECT * FROM inventory_levels WHERE ingredient_id = $1 AND location_id = $2 FOR UPDATE',
+      [ingredient_id, location_id]
     );
     const level = currentLevel.rows[0];
 
@@ -87,7 +102,7 @@ class InventoryService {
          last_used_date = COALESCE($5, last_used_date),
          last_count_date = COALESCE($6, last_count_date),
          updated_at = CURRENT_TIMESTAMP
-       WHERE ingredient_id = $7`,
+       WHERE ingredient_id = $7 AND location_id = $8`,
       [
         newQty,
         newAvgCost,
@@ -96,11 +111,12 @@ class InventoryService {
         lastUsedDate,
         lastCountDate,
         ingredient_id,
+        location_id,
       ]
     );
 
     this.logger.debug(
-      { ingredient_id, movement_type, quantity, newQty, newAvgCost },
+      { ingredient_id, location_id, movement_type, quantity, newQty, newAvgCost },
       'Inventory level updated'
     );
 
@@ -117,6 +133,7 @@ class InventoryService {
   async recordMovement(input) {
     const {
       ingredient_id,
+      location_id = DEFAULT_LOCATION_ID,
       movement_type,
       quantity,
       unit,
@@ -145,8 +162,8 @@ class InventoryService {
       const result = await client.query(
         `INSERT INTO inventory_movements (
            ingredient_id, movement_type, quantity, unit, unit_cost, total_cost,
-           reference_type, reference_id, reason, performed_by, movement_date, notes
-         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+           reference_type, reference_id, reason, performed_by, movement_date, notes, location_id
+         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
          RETURNING *`,
         [
           ingredient_id,
@@ -161,6 +178,7 @@ class InventoryService {
           performed_by,
           movement_date,
           notes,
+          location_id,
         ]
       );
 
@@ -172,7 +190,7 @@ class InventoryService {
       await client.query('COMMIT');
 
       this.logger.info(
-        { movementId: movement.id, ingredient_id, movement_type, quantity },
+        { movementId: movement.id, ingredient_id, location_id, movement_type, quantity },
         'Inventory movement recorded'
       );
 
@@ -190,7 +208,7 @@ class InventoryService {
   // ============================================
 
   /**
-   * Receive items against a purchase order
+   * Receive items against a purchase order (into the PO's location)
    */
   async receiveAgainstPO(input) {
     const {
@@ -215,6 +233,7 @@ class InventoryService {
       if (poResult.rows.length === 0) {
         throw new NotFoundError('Purchase order');
       }
+      const locationId = poResult.rows[0].location_id;
 
       // Create receipt header
       const receiptResult = await client.query(
@@ -265,8 +284,8 @@ class InventoryService {
           const movementResult = await client.query(
             `INSERT INTO inventory_movements (
                ingredient_id, movement_type, quantity, unit, unit_cost, total_cost,
-               reference_type, reference_id, performed_by, movement_date, notes
-             ) VALUES ($1,'receipt',$2,$3,$4,$5,'receipt',$6,$7,$8,$9)
+               reference_type, reference_id, performed_by, movement_date, notes, location_id
+             ) VALUES ($1,'receipt',$2,$3,$4,$5,'receipt',$6,$7,$8,$9,$10)
              RETURNING *`,
             [
               effectiveIngredientId,
@@ -278,6 +297,7 @@ class InventoryService {
               received_by,
               receipt_date,
               `Received from PO #${purchase_order_id}`,
+              locationId,
             ]
           );
 
@@ -340,6 +360,7 @@ class InventoryService {
    */
   async recordCount(input) {
     const {
+      location_id = DEFAULT_LOCATION_ID,
       count_date = new Date().toISOString().split('T')[0],
       counted_by = null,
       notes = null,
@@ -358,8 +379,8 @@ class InventoryService {
 
         // Get current system level
         const levelResult = await client.query(
-          'SELECT quantity_on_hand, average_cost FROM inventory_levels WHERE ingredient_id = $1',
-          [ingredient_id]
+          'SELECT quantity_on_hand, average_cost FROM inventory_levels WHERE ingredient_id = $1 AND location_id = $2',
+          [ingredient_id, location_id]
         );
 
         const systemQty = levelResult.rows.length > 0 ? parseFloat(levelResult.rows[0].quantity_on_hand) : 0;
@@ -369,10 +390,10 @@ class InventoryService {
         // Insert count record
         const total_value = parseFloat(quantity_on_hand) * (unit_cost || avgCost);
         const countResult = await client.query(
-          `INSERT INTO inventory_counts (count_date, ingredient_id, quantity_on_hand, unit, unit_cost, total_value, counted_by, notes)
-           VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+          `INSERT INTO inventory_counts (count_date, ingredient_id, quantity_on_hand, unit, unit_cost, total_value, counted_by, notes, location_id)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
            RETURNING *`,
-          [count_date, ingredient_id, quantity_on_hand, unit, unit_cost || avgCost, total_value, counted_by, itemNotes]
+          [count_date, ingredient_id, quantity_on_hand, unit, unit_cost || avgCost, total_value, counted_by, itemNotes, location_id]
         );
 
         const countRecord = {
@@ -387,8 +408,8 @@ class InventoryService {
           const movementResult = await client.query(
             `INSERT INTO inventory_movements (
                ingredient_id, movement_type, quantity, unit, unit_cost, total_cost,
-               reference_type, reference_id, reason, performed_by, movement_date, notes
-             ) VALUES ($1,'count_adjustment',$2,$3,$4,$5,'count',$6,$7,$8,$9,$10)
+               reference_type, reference_id, reason, performed_by, movement_date, notes, location_id
+             ) VALUES ($1,'count_adjustment',$2,$3,$4,$5,'count',$6,$7,$8,$9,$10,$11)
              RETURNING *`,
             [
               ingredient_id,
@@ -401,21 +422,22 @@ class InventoryService {
               counted_by,
               count_date,
               `Physical count adjustment: system=${systemQty}, counted=${quantity_on_hand}`,
+              location_id,
             ]
           );
 
           adjustments.push(movementResult.rows[0]);
 
           // Update inventory level directly to the counted amount
-          await this.ensureLevelExists(ingredient_id, unit, client);
+          await this.ensureLevelExists(ingredient_id, unit, client, location_id);
           await client.query(
             `UPDATE inventory_levels SET
                quantity_on_hand = $1,
                total_value = $2,
                last_count_date = $3,
                updated_at = CURRENT_TIMESTAMP
-             WHERE ingredient_id = $4`,
-            [quantity_on_hand, total_value, count_date, ingredient_id]
+             WHERE ingredient_id = $4 AND location_id = $5`,
+            [quantity_on_hand, total_value, count_date, ingredient_id, location_id]
           );
         }
       }
@@ -423,11 +445,11 @@ class InventoryService {
       await client.query('COMMIT');
 
       this.logger.info(
-        { count_date, itemsCount: items.length, adjustmentsCount: adjustments.length },
+        { count_date, location_id, itemsCount: items.length, adjustmentsCount: adjustments.length },
         'Inventory count recorded'
       );
 
-      return { count_date, counted_by, notes, items: countResults, adjustments };
+      return { count_date, location_id, counted_by, notes, items: countResults, adjustments };
     } catch (err) {
       await client.query('ROLLBACK');
       throw err;
@@ -445,6 +467,7 @@ class InventoryService {
    */
   async recordUsage(ingredient_id, quantity, unit, options = {}) {
     const {
+      location_id = DEFAULT_LOCATION_ID,
       reference_type = 'recipe',
       reference_id = null,
       performed_by = null,
@@ -454,6 +477,7 @@ class InventoryService {
     // Usage is always a negative movement
     return this.recordMovement({
       ingredient_id,
+      location_id,
       movement_type: 'usage',
       quantity: -Math.abs(quantity),
       unit,
@@ -468,10 +492,11 @@ class InventoryService {
    * Record waste/spoilage
    */
   async recordWaste(ingredient_id, quantity, unit, reason, options = {}) {
-    const { performed_by = null, notes = null } = options;
+    const { location_id = DEFAULT_LOCATION_ID, performed_by = null, notes = null } = options;
 
     return this.recordMovement({
       ingredient_id,
+      location_id,
       movement_type: 'waste',
       quantity: -Math.abs(quantity),
       unit,
@@ -480,6 +505,461 @@ class InventoryService {
       notes,
     });
   }
+
+  // ============================================
+  // TRANSFERS (between locations / storage areas)
+  // ============================================
+
+  /**
+   * Transfer header with its lines
+   */
+  async getTransfer(transferId, client = this.pool) {
+    const result = await client.query(
+      `SELECT t.*, fl.name as from_location_name, tl.name as to_location_name,
+         fa.name as from_storage_area_name, ta.name as to_storage_area_name,
+         COALESCE((SELECT json_agg(row_to_json(x) ORDER BY x.id) FROM (
+           SELECT itl.*, i.name as ingredient_name
+           FROM inventory_transfer_lines itl
+           JOIN ingredients i ON itl.ingredient_id = i.id
+           WHERE itl.transfer_id = t.id
+         ) x), '[]') as lines
+       FROM inventory_transfers t
+       JOIN locations fl ON t.from_location_id = fl.id
+       JOIN locations tl ON t.to_location_id = tl.id
+       LEFT JOIN storage_areas fa ON t.from_storage_area_id = fa.id
+       LEFT JOIN storage_areas ta ON t.to_storage_area_id = ta.id
+       WHERE t.id = $1`,
+      [transferId]
+    );
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Inventory transfer');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Check a transfer's route: two locations, or two storage areas of one location
+   */
+  async validateTransferRoute(input, client = this.pool) {
+    const { from_location_id, to_location_id, from_storage_area_id = null, to_storage_area_id = null } = input;
+
+    const locations = await client.query(
+      'SELECT id FROM locations WHERE id = ANY($1::int[]) AND is_active = true',
+      [[Number(from_location_id), Number(to_location_id)]]
+    );
+    if (locations.rows.length !== new Set([Number(from_location_id), Number(to_location_id)]).size) {
+      throw new ValidationError('Transfer locations must be active locations');
+    }
+
+    for (const [areaId, locationId] of [
+      [from_storage_area_id, from_location_id],
+      [to_storage_area_id, to_location_id],
+    ]) {
+      if (!areaId) {continue;}
+      const area = await client.query('SELECT location_id FROM storage_areas WHERE id = $1', [areaId]);
+      if (area.rows.length === 0) {
+        throw new NotFoundError('Storage area');
+      }
+      if (area.rows[0].location_id !== Number(locationId)) {
+        throw new ValidationError(`Storage area ${areaId} is not at location ${locationId}`);
+      }
+    }
+
+    if (Number(from_location_id) === Number(to_location_id)) {
+      if (!from_storage_area_id || !to_storage_area_id || from_storage_area_id === to_storage_area_id) {
+        throw new ValidationError(
+          'A transfer within one location needs different source and destination storage areas'
+        );
+      }
+    }
+  }
+
+  /**
+   * Create a draft transfer
+   */
+  async createTransfer(input) {
+    const {
+      from_location_id,
+      to_location_id,
+      from_storage_area_id = null,
+      to_storage_area_id = null,
+      transfer_date = new Date().toISOString().split('T')[0],
+      post_to_gl = false,
+      notes = null,
+      created_by = null,
+      lines,
+    } = input;
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await this.validateTransferRoute(input, client);
+
+      const result = await client.query(
+        `INSERT INTO inventory_transfers (
+           from_location_id, to_location_id, from_storage_area_id, to_storage_area_id,
+           transfer_date, post_to_gl, notes, created_by
+         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+         RETURNING id`,
+        [
+          from_location_id,
+          to_location_id,
+          from_storage_area_id,
+          to_storage_area_id,
+          transfer_date,
+          post_to_gl && Number(from_location_id) !== Number(to_location_id),
+          notes,
+          created_by,
+        ]
+      );
+      const transferId = result.rows[0].id;
+      await this.insertTransferLines(transferId, lines, client);
+
+      await client.query('COMMIT');
+      this.logger.info({ transferId, from_location_id, to_location_id }, 'Inventory transfer created');
+      return this.getTransfer(transferId);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async insertTransferLines(transferId, lines, client) {
+    for (const line of lines) {
+      await client.query(
+        `INSERT INTO inventory_transfer_lines (transfer_id, ingredient_id, quantity, unit, notes)
+         VALUES ($1,$2,$3,$4,$5)`,
+        [transferId, line.ingredient_id, line.quantity, line.unit, line.notes || null]
+      );
+    }
+  }
+
+  /**
+   * Lock a transfer and check it is in the expected status
+   */
+  async lockTransfer(transferId, status, client) {
+    const result = await client.query('SELECT * FROM inventory_transfers WHERE id = $1 FOR UPDATE', [
+      transferId,
+    ]);
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Inventory transfer');
+    }
+    const transfer = result.rows[0];
+    if (transfer.status !== status) {
+      throw new ValidationError(`Transfer is ${transfer.status}; expected ${status}`);
+    }
+    return transfer;
+  }
+
+  /**
+   * Edit a draft transfer (lines, when given, replace the existing ones)
+   */
+  async updateTransfer(transferId, input) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const transfer = await this.lockTransfer(transferId, 'draft', client);
+      // The origin is fixed once created: the route checked access against it
+      const merged = {
+        to_location_id: transfer.to_location_id,
+        from_storage_area_id: transfer.from_storage_area_id,
+        to_storage_area_id: transfer.to_storage_area_id,
+        ...input,
+        from_location_id: transfer.from_location_id,
+      };
+      await this.validateTransferRoute(merged, client);
+
+      await client.query(
+        `UPDATE inventory_transfers SET
+           to_location_id = $1,
+           from_storage_area_id = $2,
+           to_storage_area_id = $3,
+           transfer_date = COALESCE($4, transfer_date),
+           post_to_gl = COALESCE($5, post_to_gl) AND $1 <> from_location_id,
+           notes = COALESCE($6, notes),
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $7`,
+        [
+          merged.to_location_id,
+          merged.from_storage_area_id,
+          merged.to_storage_area_id,
+          input.transfer_date || null,
+          input.post_to_gl ?? null,
+          input.notes || null,
+          transferId,
+        ]
+      );
+
+      if (input.lines) {
+        await client.query('DELETE FROM inventory_transfer_lines WHERE transfer_id = $1', [transferId]);
+        await this.insertTransferLines(transferId, input.lines, client);
+      }
+
+      await client.query('COMMIT');
+      return this.getTransfer(transferId);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Send a draft: stock leaves the source at its current average cost. Refused when a line
+   * needs more than the source has on hand.
+   */
+  async sendTransfer(transferId, { sent_by = null } = {}) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const transfer = await this.lockTransfer(transferId, 'draft', client);
+      const lines = await client.query(
+        'SELECT * FROM inventory_transfer_lines WHERE transfer_id = $1 ORDER BY id',
+        [transferId]
+      );
+      if (lines.rows.length === 0) {
+        throw new ValidationError('Transfer has no lines');
+      }
+
+      for (const line of lines.rows) {
+        await this.ensureLevelExists(line.ingredient_id, line.unit, client, transfer.from_location_id);
+        const level = await client.query(
+          'SELECT quantity_on_hand, average_cost FROM inventory_levels WHERE ingredient_id = $1 AND location_id = $2 FOR UPDATE',
+          [line.ingredient_id, transfer.from_location_id]
+        );
+        // Earlier lines for the same ingredient have already been taken off
+        const onHand = parseFloat(level.rows[0].quantity_on_hand) || 0;
+        if (parseFloat(line.quantity) > onHand) {
+          throw new ValidationError(`Not enough stock to send line ${line.id}`, {
+            line_id: line.id,
+            ingredient_id: line.ingredient_id,
+            quantity: parseFloat(line.quantity),
+            on_hand: onHand,
+          });
+        }
+        const unitCost = parseFloat(level.rows[0].average_cost) || 0;
+
+        const movement = await this.insertTransferMovement(client, transfer, line, {
+          movement_type: 'transfer_out',
+          quantity: -parseFloat(line.quantity),
+          unit_cost: unitCost,
+          location_id: transfer.from_location_id,
+          storage_area_id: transfer.from_storage_area_id,
+          performed_by: sent_by,
+        });
+        await this.updateLevelFromMovement(movement, client);
+
+        await client.query('UPDATE inventory_transfer_lines SET unit_cost = $1 WHERE id = $2', [
+          unitCost,
+          line.id,
+        ]);
+      }
+
+      await client.query(
+        `UPDATE inventory_transfers SET
+           status = 'sent', sent_at = CURRENT_TIMESTAMP, sent_by = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [sent_by, transferId]
+      );
+
+      await client.query('COMMIT');
+      this.logger.info({ transferId, lines: lines.rows.length }, 'Inventory transfer sent');
+      return this.getTransfer(transferId);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Receive a sent transfer. Lines default to the quantity sent; any difference needs a
+   * discrepancy_reason. Received stock comes in at the cost it left the source with.
+   * @param {{received_by?: string, lines?: Array<{line_id:number, received_quantity:number, discrepancy_reason?:string}>}} input
+   */
+  async receiveTransfer(transferId, input = {}) {
+    const { received_by = null, lines: receivedLines = [] } = input;
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const transfer = await this.lockTransfer(transferId, 'sent', client);
+      const lines = await client.query(
+        'SELECT * FROM inventory_transfer_lines WHERE transfer_id = $1 ORDER BY id',
+        [transferId]
+      );
+
+      const byLine = new Map(receivedLines.map((l) => [Number(l.line_id), l]));
+      for (const lineId of byLine.keys()) {
+        if (!lines.rows.some((l) => l.id === lineId)) {
+          throw new ValidationError(`Line ${lineId} is not on this transfer`);
+        }
+      }
+
+      let sentValue = 0;
+      let receivedValue = 0;
+      let hasDiscrepancy = false;
+
+      for (const line of lines.rows) {
+        const sent = parseFloat(line.quantity);
+        const entry = byLine.get(line.id);
+        const received = entry ? parseFloat(entry.received_quantity) : sent;
+        const unitCost = parseFloat(line.unit_cost) || 0;
+
+        if (received !== sent) {
+          if (!entry.discrepancy_reason) {
+            throw new ValidationError(`discrepancy_reason is required for line ${line.id}`);
+          }
+          hasDiscrepancy = true;
+        }
+
+        if (received > 0) {
+          const movement = await this.insertTransferMovement(client, transfer, line, {
+            movement_type: 'transfer_in',
+            quantity: received,
+            unit_cost: unitCost,
+            location_id: transfer.to_location_id,
+            storage_area_id: transfer.to_storage_area_id,
+            performed_by: received_by,
+          });
+          await this.updateLevelFromMovement(movement, client);
+        }
+
+        await client.query(
+          'UPDATE inventory_transfer_lines SET received_quantity = $1, discrepancy_reason = $2 WHERE id = $3',
+          [received, entry?.discrepancy_reason || null, line.id]
+        );
+
+        sentValue += sent * unitCost;
+        receivedValue += received * unitCost;
+      }
+
+      let journalEntryId = null;
+      if (transfer.post_to_gl) {
+        journalEntryId = await this.postTransferToGL(client, transfer, sentValue, receivedValue, received_by);
+      }
+
+      await client.query(
+        `UPDATE inventory_transfers SET
+           status = 'received', received_at = CURRENT_TIMESTAMP, received_by = $1,
+           has_discrepancy = $2, journal_entry_id = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [received_by, hasDiscrepancy, journalEntryId, transferId]
+      );
+
+      await client.query('COMMIT');
+      this.logger.info({ transferId, hasDiscrepancy, journalEntryId }, 'Inventory transfer received');
+      return this.getTransfer(transferId);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Cancel a draft transfer (sent transfers must be received)
+   */
+  async cancelTransfer(transferId) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await this.lockTransfer(transferId, 'draft', client);
+      await client.query(
+        `UPDATE inventory_transfers SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [transferId]
+      );
+      await client.query('COMMIT');
+      return this.getTransfer(transferId);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async insertTransferMovement(client, transfer, line, movement) {
+    const { movement_type, quantity, unit_cost, location_id, storage_area_id, performed_by } = movement;
+    const result = await client.query(
+      `INSERT INTO inventory_movements (
+         ingredient_id, movement_type, quantity, unit, unit_cost, total_cost,
+         reference_type, reference_id, performed_by, movement_date, notes, location_id, storage_area_id
+       ) VALUES ($1,$2,$3,$4,$5,$6,'transfer',$7,$8,CURRENT_DATE,$9,$10,$11)
+       RETURNING *`,
+      [
+        line.ingredient_id,
+        movement_type,
+        quantity,
+        line.unit,
+        unit_cost,
+        Math.abs(quantity) * unit_cost,
+        transfer.id,
+        performed_by,
+        `Transfer #${transfer.id}`,
+        location_id,
+        storage_area_id,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Inter-location transfer entry: the source moves inventory to Due From Locations, the
+   * destination books it against Due To Locations; quantity discrepancies go to food cost
+   */
+  async postTransferToGL(client, transfer, sentValue, receivedValue, createdBy = null) {
+    const sent = Math.round(sentValue * 100) / 100;
+    const received = Math.round(receivedValue * 100) / 100;
+    if (sent === 0 && received === 0) {return null;}
+
+    const from = transfer.from_location_id;
+    const to = transfer.to_location_id;
+    const variance = Math.round((sent - received) * 100) / 100;
+    const lines = [
+      { account: TRANSFER_ACCOUNTS.dueFrom, debit: sent, credit: 0, location_id: from },
+      { account: TRANSFER_ACCOUNTS.inventory, debit: 0, credit: sent, location_id: from },
+      { account: TRANSFER_ACCOUNTS.inventory, debit: received, credit: 0, location_id: to },
+      { account: TRANSFER_ACCOUNTS.dueTo, debit: 0, credit: sent, location_id: to },
+      {
+        account: TRANSFER_ACCOUNTS.variance,
+        debit: Math.max(variance, 0),
+        credit: Math.max(-variance, 0),
+        location_id: to,
+      },
+    ].filter((l) => l.debit > 0 || l.credit > 0);
+
+    const resolvedLines = [];
+    for (const l of lines) {
+      resolvedLines.push({
+        account_id: await this.postingService.getAccountIdByNumber(l.account),
+        debit: l.debit,
+        credit: l.credit,
+        description: `Transfer #${transfer.id}`,
+        location_id: l.location_id,
+      });
+    }
+
+    // Posted inside the receive transaction (closed periods are rejected by PostingService)
+    const entry = await this.postingService.createJournalEntry(
+      {
+        entry_date: new Date().toISOString().split('T')[0],
+        description: `Inventory transfer #${transfer.id}`,
+        reference_type: 'inventory_transfer',
+        reference_id: transfer.id,
+        created_by: createdBy,
+        lines: resolvedLines,
+      },
+      client
+    );
+    return entry.id;
+  }
 }
 
 module.exports = InventoryService;
@@ -4,6 +4,7 @@
  */
 const { ValidationError, NotFoundError } = require('../utils/errors');
 const { serviceLogger } = require('../utils/logger');
+const { scopeClause } = require('../utils/dataScope');
 
 class LaborService {
   /**
@@ -28,6 +29,7 @@ class LaborService {
       department = null,
       position = null,
       schedule_id = null,
+      location_id = null,
       notes = null,
     } = input;
 
@@ -46,11 +48,30 @@ class LaborService {
       throw new NotFoundError('Employee');
     }
 
+    // Punch location: explicit, else the scheduled shift's, else the employee's home location
+    let punchLocation = location_id;
+    if (!punchLocation && schedule_id) {
+      const schedule = await this.pool.query('SELECT location_id FROM schedules WHERE id = $1', [
+        schedule_id,
+      ]);
+      punchLocation = schedule.rows[0] ? schedule.rows[0].location_id : null;
+    }
+    punchLocation = punchLocation || emp.rows[0].location_id;
+
     const result = await this.pool.query(
-      `INSERT INTO timeclock_entries (employee_id, clock_in, department, position, schedule_id, notes)
-       VALUES ($1, $2, $3, $4, $5, $6)
+      `INSERT INTO timeclock_entries (
+         employee_id, clock_in, department, position, schedule_id, notes, location_id
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-      [employee_id, clock_in, department || emp.rows[0].department, position || emp.rows[0].position, schedule_id, notes]
+      [
+        employee_id,
+        clock_in,
+        department || emp.rows[0].department,
+        position || emp.rows[0].position,
+        schedule_id,
+        notes,
+        punchLocation,
+      ]
     );
 
     this.logger.info({ entryId: result.rows[0].id, employee_id }, 'Employee clocked in');
@@ -154,6 +175,76 @@ class LaborService {
     return result.rows[0] || null;
   }
 
+  // ============================================
+  // TIME OFF
+  // ============================================
+
+  /**
+   * Submit a time-off request for an employee
+   */
+  async requestTimeOff(employeeId, input) {
+    const { start_date, end_date, request_type = 'vacation', hours = null, reason = null } = input;
+
+    const overlap = await this.pool.query(
+      `SELECT id FROM time_off_requests
+       WHERE employee_id = $1 AND status IN ('pending', 'approved')
+         AND start_date <= $3 AND end_date >= $2`,
+      [employeeId, start_date, end_date]
+    );
+    if (overlap.rows.length > 0) {
+      throw new ValidationError('Overlaps an existing time-off request', {
+        request_id: overlap.rows[0].id,
+      });
+    }
+
+    const result = await this.pool.query(
+      `INSERT INTO time_off_requests (employee_id, start_date, end_date, request_type, hours, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [employeeId, start_date, end_date, request_type, hours, reason]
+    );
+
+    this.logger.info({ requestId: result.rows[0].id, employeeId }, 'Time off requested');
+    return result.rows[0];
+  }
+
+  /**
+   * Withdraw a pending request (employee's own)
+   */
+  async cancelTimeOff(employeeId, requestId) {
+    const result = await this.pool.query(
+      `UPDATE time_off_requests SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND employee_id = $2 AND status = 'pending'
+       RETURNING *`,
+      [requestId, employeeId]
+    );
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Pending time-off request');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Approve or reject a pending request
+   * @param {'approved'|'rejected'} decision
+   */
+  async reviewTimeOff(requestId, decision, reviewerId, notes = null) {
+    const result = await this.pool.query(
+      `UPDATE time_off_requests SET
+         status = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP, review_notes = $4,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [requestId, decision, reviewerId, notes]
+    );
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Pending time-off request');
+    }
+
+    this.logger.info({ requestId, decision }, 'Time off reviewed');
+    return result.rows[0];
+  }
+
   // ============================================
   // TIP POOLING
   // ============================================
@@ -359,8 +450,10 @@ class LaborService {
 
   /**
    * Generate payroll-ready export data
+   * @param {Object} [scope] - caller's data scope (utils/dataScope); all employees if omitted
    */
-  async generatePayrollExport(startDate, endDate, includeTips = true) {
+  async generatePayrollExport(startDate, endDate, includeTips = true, scope = null) {
+    const params = [startDate, endDate];
     const employees = await this.pool.query(`
       SELECT e.*,
         COALESCE(tc.total_hours, 0) as total_hours,
@@ -402,9 +495,9 @@ class LaborService {
         GROUP BY employee_id
       ) tips ON e.id = tips.employee_id
       WHERE e.is_active = true
-        AND (tc.total_hours > 0 OR tips.total_tips > 0)
+        AND (tc.total_hours > 0 OR tips.total_tips > 0)${scopeClause(scope, params)}
       ORDER BY e.last_name, e.first_name
-    `, [startDate, endDate]);
+    `, params);
 
     // Calculate pay for each employee
     const payrollData = employees.rows.map(emp => {
@@ -0,0 +1,623 @@
+/**
+ * PeriodCloseService
+ * Period close: a configurable pre-close checklist (business setting period_close_checklist maps
+ * each check to 'blocking', 'warning' or 'off'). Failing blocking checks stop the close unless
+ * signed off; the completed checklist is stored with the period.
+ *
+ * Year-end close: zeroes revenue and expense accounts into retained earnings with a closing
+ * entry dated the last day of the fiscal year, locks every period in the year and stores a
+ * closing report. Closing lines keep their location, so per-location balance sheets tie out.
+ * An admin rolls a close back with a reversing closing entry, which re-opens the periods
+ * the close locked.
+ */
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { serviceLogger } = require('../utils/logger');
+const { getSetting } = require('../utils/settings');
+
+const RETAINED_EARNINGS_ACCOUNT = '3100';
+const DETAIL_LIMIT = 25;
+
+/**
+ * Pre-close checks. Each query takes ($1 start_date, $2 end_date) - or ($1 end_date) for asOf
+ * checks - and returns one row per issue. signable: whether a failing check can be signed off
+ * instead of fixed.
+ */
+const CLOSE_CHECKS = [
+  {
+    key: 'unposted_pos_settlements',
+    label: 'POS settlements not posted to the GL',
+    severity: 'blocking',
+    signable: true,
+    sql: `SELECT ps.id, ps.settlement_date::text as date, ps.location_id, ps.net_sales as amount
+          FROM pos_settlements ps
+          WHERE ps.settlement_date BETWEEN $1 AND $2 AND COALESCE(ps.is_posted, false) = false
+          ORDER BY ps.settlement_date`,
+  },
+  {
+    key: 'unapproved_ap_invoices',
+    label: 'AP invoices awaiting approval',
+    severity: 'warning',
+    signable: true,
+    sql: `SELECT ai.id, COALESCE(ai.invoice_date, ai.created_at::date)::text as date, ai.invoice_number,
+            ai.approval_status as status, ai.total as amount
+          FROM ap_invoices ai
+          WHERE COALESCE(ai.invoice_date, ai.created_at::date) BETWEEN $1 AND $2
+            AND ai.approval_status IN ('pending', 'hold')
+          ORDER BY 2`,
+  },
+  {
+    key: 'unreconciled_bank_transactions',
+    label: 'Unreconciled bank transactions',
+    severity: 'warning',
+    signable: true,
+    sql: `SELECT bt.id, bt.transaction_date::text as date, bt.bank_account_id, bt.description, bt.amount
+          FROM bank_transactions bt
+          WHERE bt.transaction_date BETWEEN $1 AND $2 AND COALESCE(bt.is_reconciled, false) = false
+          ORDER BY bt.transaction_date`,
+  },
+  {
+    // Counts post as soon as they are recorded, so the open item is a location with no count
+    key: 'missing_inventory_counts',
+    label: 'Locations without an inventory count in the period',
+    severity: 'warning',
+    signable: true,
+    sql: `SELECT l.id as location_id, l.name
+          FROM locations l
+          WHERE l.is_active = true
+            AND NOT EXISTS (
+              SELECT 1 FROM inventory_counts ic
+              WHERE ic.location_id = l.id AND ic.count_date BETWEEN $1 AND $2
+            )
+          ORDER BY l.name`,
+  },
+  {
+    key: 'open_timeclock_entries',
+    label: 'Punches still clocked in',
+    severity: 'blocking',
+    signable: true,
+    asOf: true,
+    sql: `SELECT te.id, te.employee_id, te.clock_in, te.location_id
+          FROM timeclock_entries te
+          WHERE te.clock_out IS NULL AND te.clock_in::date <= $1
+          ORDER BY te.clock_in`,
+  },
+  {
+    key: 'unbalanced_trial_balance',
+    label: 'Unbalanced journal entries (trial balance does not tie)',
+    severity: 'blocking',
+    signable: false,
+    asOf: true,
+    sql: `SELECT je.id, je.entry_date::text as date, je.description,
+            SUM(jel.debit) as debits, SUM(jel.credit) as credits
+          FROM journal_entries je
+          JOIN journal_entry_lines jel ON jel.journal_entry_id = je.id
+          WHERE je.entry_date <= $1
+          GROUP BY je.id, je.entry_date, je.description
+          HAVING ROUND(SUM(jel.debit) - SUM(jel.credit), 2) <> 0
+          ORDER BY je.entry_date`,
+  },
+  {
+    // Reversals post only when /journal-entries/auto-reversals runs
+    key: 'overdue_auto_reversals',
+    label: 'Accruals past their auto-reverse date and not yet reversed',
+    severity: 'blocking',
+    signable: true,
+    asOf: true,
+    sql: `SELECT je.id, je.entry_date::text as date, je.auto_reverse_on::text as auto_reverse_on,
+            je.description
+          FROM journal_entries je
+          WHERE je.auto_reverse_on <= $1 AND je.reversed_by_entry_id IS NULL AND je.voided_at IS NULL
+          ORDER BY je.auto_reverse_on, je.id`,
+  },
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Identity of each issue a check returned (missing_inventory_counts rows are locations), sorted
+ */
+const issueIds = (rows) => rows.map((r) => String(r.id ?? r.location_id)).sort();
+
+/**
+ * A sign-off covers the issues open when it was given; one the signer never saw makes it stale
+ */
+function isStaleSignOff(signoff, rows) {
+  if (!Array.isArray(signoff.issue_ids)) {return true;}
+  const reviewed = new Set(signoff.issue_ids);
+  return issueIds(rows).some((issueId) => !reviewed.has(issueId));
+}
+
+class PeriodCloseService {
+  /**
+   * @param {import('pg').Pool} pool
+   * @param {import('./PostingService')} postingService
+   */
+  constructor(pool, postingService) {
+    this.pool = pool;
+    this.postingService = postingService;
+    this.logger = serviceLogger.child({ service: 'period-close' });
+  }
+
+  // ============================================
+  // PERIOD CLOSE CHECKLIST
+  // ============================================
+
+  /**
+   * Checks with their configured severity ('off' checks are dropped)
+   */
+  async configuredChecks(client = this.pool) {
+    const config = await getSetting(client, 'period_close_checklist', {});
+    return CLOSE_CHECKS.map((check) => ({
+      ...check,
+      severity: config[check.key] || check.severity,
+    })).filter((check) => check.severity !== 'off');
+  }
+
+  /**
+   * Run the checklist for a period
+   * @param {number} periodId
+   * @returns {Promise<{period: object, items: Array, blocking: string[], warnings: string[], can_close: boolean}>}
+   */
+  async runChecklist(periodId, client = this.pool) {
+    const periodResult = await client.query(
+      `SELECT *, start_date::text as start_date, end_date::text as end_date
+       FROM fiscal_periods WHERE id = $1`,
+      [periodId]
+    );
+    const period = periodResult.rows[0];
+    if (!period) {
+      throw new NotFoundError('Fiscal period');
+    }
+
+    const signoffs = await client.query(
+      'SELECT * FROM period_close_signoffs WHERE fiscal_period_id = $1',
+      [period.id]
+    );
+    const signoffByKey = new Map(signoffs.rows.map((so) => [so.check_key, so]));
+
+    const items = [];
+    for (const check of await this.configuredChecks(client)) {
+      const result = await this.runCheck(client, check, period);
+      let signoff = check.signable ? signoffByKey.get(check.key) || null : null;
+      let status = 'pass';
+      if (result.rows.length > 0) {
+        signoff = signoff && { ...signoff, stale: isStaleSignOff(signoff, result.rows) };
+        status = signoff && !signoff.stale ? 'signed_off' : 'fail';
+      }
+
+      items.push({
+        key: check.key,
+        label: check.label,
+        severity: check.severity,
+        signable: check.signable,
+        status,
+        count: result.rows.length,
+        details: result.rows.slice(0, DETAIL_LIMIT),
+        sign_off: signoff,
+      });
+    }
+
+    const failing = (severity) =>
+      items.filter((i) => i.status === 'fail' && i.severity === severity).map((i) => i.key);
+    const blocking = failing('blocking');
+
+    return {
+      period: {
+        id: period.id,
+        period_name: period.period_name,
+        start_date: period.start_date,
+        end_date: period.end_date,
+        is_closed: period.is_closed,
+      },
+      items,
+      blocking,
+      warnings: failing('warning'),
+      can_close: blocking.length === 0 && !period.is_closed,
+    };
+  }
+
+  runCheck(client, check, period) {
+    return client.query(check.sql, check.asOf ? [period.end_date] : [period.start_date, period.end_date]);
+  }
+
+  /**
+   * Sign off a checklist item: accept the issues open now so they no longer block the close.
+   * The sign-off records which issues were reviewed and goes stale when a new one appears.
+   * @param {number} periodId
+   * @param {string} checkKey
+   * @param {{signed_off_by?: string|null, note?: string|null}} [input]
+   */
+  async signOff(periodId, checkKey, { signed_off_by = null, note = null } = {}) {
+    const check = CLOSE_CHECKS.find((c) => c.key === checkKey);
+    if (!check) {
+      throw new NotFoundError(`Checklist item ${checkKey}`);
+    }
+    if (!check.signable) {
+      throw new ValidationError(`${check.label} must be fixed; it cannot be signed off`);
+    }
+
+    const period = await this.pool.query(
+      `SELECT id, is_closed, start_date::text as start_date, end_date::text as end_date
+       FROM fiscal_periods WHERE id = $1`,
+      [periodId]
+    );
+    if (period.rows.length === 0) {
+      throw new NotFoundError('Fiscal period');
+    }
+    if (period.rows[0].is_closed) {
+      throw new ValidationError('Fiscal period is already closed');
+    }
+
+    const issues = await this.runCheck(this.pool, check, period.rows[0]);
+    if (issues.rows.length === 0) {
+      throw new ValidationError(`${check.label}: nothing to sign off`);
+    }
+
+    const result = await this.pool.query(
+      `INSERT INTO period_close_signoffs (fiscal_period_id, check_key, signed_off_by, note, issue_count, issue_ids)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (fiscal_period_id, check_key) DO UPDATE SET
+         signed_off_by = EXCLUDED.signed_off_by,
+         note = EXCLUDED.note,
+         issue_count = EXCLUDED.issue_count,
+         issue_ids = EXCLUDED.issue_ids,
+         signed_off_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [periodId, checkKey, signed_off_by, note, issues.rows.length, JSON.stringify(issueIds(issues.rows))]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Close a period after the checklist passes; the checklist is stored with the period
+   * @param {number} periodId
+   * @param {{closed_by?: string|null}} [options]
+   */
+  async closePeriod(periodId, { closed_by = null } = {}) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const locked = await client.query(
+        'SELECT id, is_closed FROM fiscal_periods WHERE id = $1 FOR UPDATE',
+        [periodId]
+      );
+      if (locked.rows.length === 0) {
+        throw new NotFoundError('Fiscal period');
+      }
+      if (locked.rows[0].is_closed) {
+        throw new ValidationError('Fiscal period is already closed');
+      }
+
+      const checklist = await this.runChecklist(periodId, client);
+      if (checklist.blocking.length > 0) {
+        throw new ValidationError('Period close is blocked by open checklist items', checklist);
+      }
+
+      const result = await client.query(
+        `UPDATE fiscal_periods
+         SET is_closed = true, closed_at = CURRENT_TIMESTAMP, closed_by = $1, close_checklist = $2
+         WHERE id = $3
+         RETURNING *`,
+        [
+          closed_by,
+          JSON.stringify({ ...checklist, completed_at: new Date().toISOString() }),
+          periodId,
+        ]
+      );
+
+      await client.query('COMMIT');
+      this.logger.info({ periodId, warnings: checklist.warnings.length }, 'Fiscal period closed');
+      return result.rows[0];
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ============================================
+  // YEAR-END CLOSE
+  // ============================================
+
+  /**
+   * Close a fiscal year (a fiscal_periods row with period_type 'year')
+   * @param {number} periodId
+   * @param {{closed_by?: string|null, dry_run?: boolean}} [options] - dry_run returns the report only
+   */
+  async closeYear(periodId, { closed_by = null, dry_run = false } = {}) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const year = await this.lockYear(client, periodId);
+      const active = await client.query(
+        `SELECT id FROM year_end_closes WHERE fiscal_period_id = $1 AND status = 'closed'`,
+        [year.id]
+      );
+      if (active.rows.length > 0) {
+        throw new ValidationError('Fiscal year is already closed; roll the close back first');
+      }
+
+      const closing = await this.buildClosing(client, year);
+      const retainedBefore = await this.retainedEarningsBalance(client, year.end_date);
+
+      const periods = await client.query(
+        `SELECT id, period_name, period_type, start_date::text as start_date, end_date::text as end_date
+         FROM fiscal_periods
+         WHERE start_date >= $1 AND end_date <= $2 AND is_closed = false
+         ORDER BY start_date, end_date DESC`,
+        [year.start_date, year.end_date]
+      );
+
+      const report = {
+        fiscal_year: {
+          id: year.id,
+          period_name: year.period_name,
+          start_date: year.start_date,
+          end_date: year.end_date,
+        },
+        net_income: closing.netIncome,
+        by_location: closing.byLocation,
+        accounts: closing.accounts,
+        retained_earnings: {
+          account_number: RETAINED_EARNINGS_ACCOUNT,
+          before: retainedBefore,
+          after: round2(retainedBefore + closing.netIncome),
+        },
+        periods_locked: periods.rows,
+      };
+
+      if (dry_run) {
+        await client.query('ROLLBACK');
+        return { dry_run: true, ...report };
+      }
+
+      const closeResult = await client.query(
+        `INSERT INTO year_end_closes (fiscal_period_id, net_income, closed_by)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [year.id, closing.netIncome, closed_by]
+      );
+      const closeId = closeResult.rows[0].id;
+
+      let entry = null;
+      if (closing.lines.length > 0) {
+        entry = await this.postingService.createJournalEntry(
+          {
+            entry_date: year.end_date,
+            description: `Year-end close: ${year.period_name}`,
+            reference_type: 'year_end_close',
+            reference_id: closeId,
+            is_closing: true,
+            created_by: closed_by,
+            allow_closed_period: true,
+            lines: closing.lines,
+          },
+          client
+        );
+      }
+
+      await client.query(
+        `UPDATE fiscal_periods
+         SET is_closed = true, closed_at = CURRENT_TIMESTAMP, closed_by = $1
+         WHERE id = ANY($2::int[])`,
+        [closed_by, periods.rows.map((p) => p.id)]
+      );
+
+      const stored = await client.query(
+        `UPDATE year_end_closes SET closing_entry_id = $1, report = $2
+         WHERE id = $3
+         RETURNING *`,
+        [
+          entry?.id || null,
+          JSON.stringify({ ...report, closing_entry_id: entry?.id || null }),
+          closeId,
+        ]
+      );
+
+      await client.query('COMMIT');
+      this.logger.info(
+        { closeId, periodId: year.id, journalEntryId: entry?.id, netIncome: closing.netIncome },
+        'Fiscal year closed'
+      );
+      return stored.rows[0];
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Roll back the active close of a fiscal year: reverse the closing entry on the same date
+   * and re-open the periods that close locked
+   * @param {number} periodId
+   * @param {{rolled_back_by?: string|null, reason?: string|null}} [options]
+   */
+  async rollbackYear(periodId, { rolled_back_by = null, reason = null } = {}) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const year = await this.lockYear(client, periodId);
+      const result = await client.query(
+        `SELECT * FROM year_end_closes WHERE fiscal_period_id = $1 AND status = 'closed' FOR UPDATE`,
+        [year.id]
+      );
+      const close = result.rows[0];
+      if (!close) {
+        throw new ValidationError('Fiscal year has no active close to roll back');
+      }
+
+      let reversal = null;
+      if (close.closing_entry_id) {
+        reversal = await this.postingService.reverseJournalEntry(
+          close.closing_entry_id,
+          {
+            entry_date: year.end_date,
+            description: `Year-end close rollback: ${year.period_name}${reason ? ` (${reason})` : ''}`,
+            created_by: rolled_back_by,
+            allow_closed_period: true,
+            year_end_rollback: true,
+          },
+          client
+        );
+      }
+
+      await client.query(
+        `UPDATE fiscal_periods SET is_closed = false, closed_at = NULL, closed_by = NULL
+         WHERE id = ANY($1::int[])`,
+        [(close.report?.periods_locked || []).map((p) => p.id)]
+      );
+
+      const updated = await client.query(
+        `UPDATE year_end_closes SET
+           status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP, rolled_back_by = $1,
+           rollback_entry_id = $2, rollback_reason = $3
+         WHERE id = $4
+         RETURNING *`,
+        [rolled_back_by, reversal?.id || null, reason, close.id]
+      );
+
+      await client.query('COMMIT');
+      this.logger.info(
+        { closeId: close.id, reversalId: reversal?.id },
+        'Year-end close rolled back'
+      );
+      return updated.rows[0];
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Close history for a fiscal year, newest first
+   */
+  async listCloses(periodId) {
+    const result = await this.pool.query(
+      'SELECT * FROM year_end_closes WHERE fiscal_period_id = $1 ORDER BY id DESC',
+      [periodId]
+    );
+    return result.rows;
+  }
+
+  async lockYear(client, periodId) {
+    const result = await client.query(
+      `SELECT *, start_date::text as start_date, end_date::text as end_date
+       FROM fiscal_periods WHERE id = $1 FOR UPDATE`,
+      [periodId]
+    );
+    const year = result.rows[0];
+    if (!year) {
+      throw new NotFoundError('Fiscal period');
+    }
+    if (year.period_type !== 'year') {
+      throw new ValidationError('Year-end close runs on a fiscal period of type year');
+    }
+    return year;
+  }
+
+  /**
+   * Closing lines per account and location, with the net going to retained earnings
+   */
+  async buildClosing(client, year) {
+    const result = await client.query(
+      `SELECT a.id as account_id, a.account_number, a.name, a.account_type, jel.location_id,
+         SUM(jel.debit) as debits, SUM(jel.credit) as credits
+       FROM journal_entry_lines jel
+       JOIN journal_entries je ON je.id = jel.journal_entry_id
+       JOIN accounts a ON a.id = jel.account_id
+       WHERE je.entry_date BETWEEN $1 AND $2 AND a.account_type IN ('revenue', 'expense')
+       GROUP BY a.id, a.account_number, a.name, a.account_type, jel.location_id
+       HAVING SUM(jel.debit) <> SUM(jel.credit)
+       ORDER BY a.account_number, jel.location_id NULLS LAST`,
+      [year.start_date, year.end_date]
+    );
+
+    const lines = [];
+    const accounts = [];
+    const byLocation = new Map();
+
+    for (const r of result.rows) {
+      const debits = parseFloat(r.debits) || 0;
+      const credits = parseFloat(r.credits) || 0;
+      // Normal balance: credits for revenue, debits for expenses
+      const balance = round2(r.account_type === 'revenue' ? credits - debits : debits - credits);
+      if (balance === 0) {
+        continue;
+      }
+
+      const key = r.location_id || null;
+      if (!byLocation.has(key)) {
+        byLocation.set(key, { location_id: key, revenue: 0, expenses: 0, net_income: 0 });
+      }
+      const totals = byLocation.get(key);
+      if (r.account_type === 'revenue') {
+        totals.revenue = round2(totals.revenue + balance);
+      } else {
+        totals.expenses = round2(totals.expenses + balance);
+      }
+
+      // Post the opposite of the account's balance to bring it to zero
+      const closesWithDebit = (r.account_type === 'revenue') === balance > 0;
+      lines.push({
+        account_id: r.account_id,
+        debit: closesWithDebit ? Math.abs(balance) : 0,
+        credit: closesWithDebit ? 0 : Math.abs(balance),
+        description: 'Year-end close',
+        location_id: key,
+      });
+      accounts.push({
+        account_id: r.account_id,
+        account_number: r.account_number,
+        name: r.name,
+        account_type: r.account_type,
+        location_id: key,
+        balance,
+      });
+    }
+
+    if (lines.length > 0) {
+      const retainedId = await this.postingService.getAccountIdByNumber(RETAINED_EARNINGS_ACCOUNT);
+      for (const totals of byLocation.values()) {
+        totals.net_income = round2(totals.revenue - totals.expenses);
+        if (totals.net_income === 0) {
+          continue;
+        }
+        lines.push({
+          account_id: retainedId,
+          debit: totals.net_income < 0 ? -totals.net_income : 0,
+          credit: totals.net_income > 0 ? totals.net_income : 0,
+          description: 'Year-end close to retained earnings',
+          location_id: totals.location_id,
+        });
+      }
+    }
+
+    const byLocationRows = [...byLocation.values()];
+    return {
+      lines,
+      accounts,
+      byLocation: byLocationRows,
+      netIncome: round2(byLocationRows.reduce((sum, l) => sum + l.net_income, 0)),
+    };
+  }
+
+  async retainedEarningsBalance(client, asOfDate) {
+    const result = await client.query(
+      `SELECT COALESCE(SUM(jel.credit - jel.debit), 0) as balance
+       FROM journal_entry_lines jel
+       JOIN journal_entries je ON je.id = jel.journal_entry_id
+       JOIN accounts a ON a.id = jel.account_id
+       WHERE a.account_number = $1 AND je.entry_date <= $2`,
+      [RETAINED_EARNINGS_ACCOUNT, asOfDate]
+    );
+    return round2(parseFloat(result.rows[0].balance) || 0);
+  }
+}
+
+module.exports = PeriodCloseService;
@@ -5,39 +5,39 @@
 const { query, pool } = require('../db');
 const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errors');
 const PostingService = require('./PostingService');
+const EncryptionService = require('./EncryptionService');
+const { DEFAULT_LOCATION_ID } = require('../utils/locationScope');
 
-// Create posting service instance
+// Create service instances
 const postingService = new PostingService(pool);
+const encryptionService = new EncryptionService(pool);
 
-/**
- * Encrypt API key for storage (simplified - in production use proper encryption)
- */
-function encryptApiKey(key) {
-  if (!key) return null;
-  // In production, use proper encryption with a secure key
-  return Buffer.from(key).toString('base64');
-}
+// Secrets are returned as has_* flags only
+const CONFIG_COLUMNS = `id, provider, name, location_id, external_location_id, is_active, settings,
+  created_at, updated_at,
+  api_key_encrypted IS NOT NULL AS has_api_key, webhook_secret IS NOT NULL AS has_webhook_secret`;
 
-/**
- * Decrypt API key for use
- */
-function decryptApiKey(encrypted) {
-  if (!encrypted) return null;
-  return Buffer.from(encrypted, 'base64').toString('utf8');
-}
+// Transactions and settlements belong to the store of the config they were imported through
+const CONFIG_LOCATION = '(SELECT location_id FROM pos_configurations WHERE id = $1)';
 
 /**
  * Create a POS configuration
  */
-async function createPosConfig({ provider, name, api_key, location_id, webhook_secret, settings }) {
-  const encryptedKey = encryptApiKey(api_key);
-  const encryptedWebhook = encryptApiKey(webhook_secret);
+async function createPosConfig({
+  provider, name, api_key, location_id, external_location_id, webhook_secret, settings
+}) {
+  const encryptedKey = await encryptionService.encrypt(api_key, 'pos_configurations.api_key_encrypted');
+  const encryptedWebhook = await encryptionService.encrypt(webhook_secret, 'pos_configurations.webhook_secret');
   
   const result = await query(
-    `INSERT INTO pos_configurations (provider, name, api_key_encrypted, location_id, webhook_secret, settings, is_active)
-     VALUES ($1, $2, $3, $4, $5, $6, true)
-     RETURNING id, provider, name, location_id, is_active, settings, created_at, updated_at`,
-    [provider, name, encryptedKey, location_id, encryptedWebhook, JSON.stringify(settings || {})]
+    `INSERT INTO pos_configurations (
+       provider, name, api_key_encrypted, location_id, external_location_id, webhook_secret, settings, is_active
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, true)
+     RETURNING ${CONFIG_COLUMNS}`,
+    [
+      provider, name, encryptedKey, location_id || DEFAULT_LOCATION_ID, external_location_id,
+      encryptedWebhook, JSON.stringify(settings || {})
+    ]
   );
   return result.rows[0];
 }
@@ -47,7 +47,7 @@ async function createPosConfig({ provider, name, api_key, location_id, webhook_s
  */
 async function getPosConfigs() {
   const result = await query(
-    `SELECT id, provider, name, location_id, is_active, settings, created_at, updated_at
+    `SELECT ${CONFIG_COLUMNS}
      FROM pos_configurations
      ORDER BY name`
   );
@@ -59,7 +59,7 @@ async function getPosConfigs() {
  */
 async function getPosConfigById(id) {
   const result = await query(
-    `SELECT id, provider, name, location_id, is_active, settings, created_at, updated_at
+    `SELECT ${CONFIG_COLUMNS}
      FROM pos_configurations WHERE id = $1`,
     [id]
   );
@@ -85,15 +85,21 @@ async function updatePosConfig(id, updates) {
   }
   if (updates.api_key !== undefined) {
     fields.push(`api_key_encrypted = $${idx++}`);
-    values.push(encryptApiKey(updates.api_key));
+    values.push(await encryptionService.encrypt(updates.api_key, 'pos_configurations.api_key_encrypted'));
   }
-  if (updates.location_id !== undefined) {
+  if (updates.location_id) {
     fields.push(`location_id = $${idx++}`);
     values.push(updates.location_id);
   }
+  if (updates.external_location_id !== undefined) {
+    fields.push(`external_location_id = $${idx++}`);
+    values.push(updates.external_location_id);
+  }
   if (updates.webhook_secret !== undefined) {
     fields.push(`webhook_secret = $${idx++}`);
-    values.push(encryptApiKey(updates.webhook_secret));
+    values.push(
+      await encryptionService.encrypt(updates.webhook_secret, 'pos_configurations.webhook_secret')
+    );
   }
   if (updates.is_active !== undefined) {
     fields.push(`is_active = $${idx++}`);
@@ -113,12 +119,30 @@ async function updatePosConfig(id, updates) {
   
   const result = await query(
     `UPDATE pos_configurations SET ${fields.join(', ')} WHERE id = $${idx}
-     RETURNING id, provider, name, location_id, is_active, settings, created_at, updated_at`,
+     RETURNING ${CONFIG_COLUMNS}`,
     values
   );
   return result.rows[0];
 }
 
+/**
+ * Decrypted credentials for calling the POS provider (never send to clients)
+ */
+async function getPosCredentials(id) {
+  const result = await query(
+    'SELECT api_key_encrypted, webhook_secret FROM pos_configurations WHERE id = $1',
+    [id]
+  );
+  if (!result.rows.length) {
+    throw new NotFoundError('POS configuration not found');
+  }
+  const { api_key_encrypted, webhook_secret } = result.rows[0];
+  return {
+    api_key: await encryptionService.decrypt(api_key_encrypted, 'pos_configurations.api_key_encrypted'),
+    webhook_secret: await encryptionService.decrypt(webhook_secret, 'pos_configurations.webhook_secret'),
+  };
+}
+
 /**
  * Delete POS configuration
  */
@@ -148,8 +172,8 @@ async function importTransaction(posConfigId, txn) {
       pos_config_id, external_id, transaction_date, transaction_type,
       subtotal, tax_amount, tip_amount, discount_amount, total_amount,
       payment_method, card_brand, card_last_four, customer_name, customer_email,
-      employee_external_id, raw_data
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+      employee_external_id, raw_data, location_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, ${CONFIG_LOCATION})
      RETURNING *`,
     [
       posConfigId, txn.external_id, txn.transaction_date, txn.transaction_type || 'sale',
@@ -205,7 +229,10 @@ async function batchImportTransactions(posConfigId, transactions) {
 /**
  * Get transactions with filters
  */
-async function getTransactions({ pos_config_id, start_date, end_date, transaction_type, payment_method, limit = 100, offset = 0 }) {
+async function getTransactions({
+  pos_config_id, start_date, end_date, transaction_type, payment_method, location_ids = null,
+  limit = 100, offset = 0
+}) {
   let sql = `
     SELECT t.*, c.provider, c.name as pos_name,
            (SELECT json_agg(row_to_json(i)) FROM pos_transaction_items i WHERE i.pos_transaction_id = t.id) as items
@@ -236,6 +263,10 @@ async function getTransactions({ pos_config_id, start_date, end_date, transactio
     sql += ` AND t.payment_method = $${idx++}`;
     params.push(payment_method);
   }
+  if (location_ids) {
+    sql += ` AND t.location_id = ANY($${idx++}::int[])`;
+    params.push(location_ids);
+  }
   
   sql += ` ORDER BY t.transaction_date DESC LIMIT $${idx++} OFFSET $${idx++}`;
   params.push(limit, offset);
@@ -287,8 +318,8 @@ async function importSettlement({
       pos_config_id, external_id, settlement_date,
       cash_sales, card_sales, gift_card_sales, other_sales,
       total_sales, total_refunds, total_discounts, total_tips, total_tax,
-      net_sales, transaction_count, raw_data
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      net_sales, transaction_count, raw_data, location_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, ${CONFIG_LOCATION})
      RETURNING *`,
     [
       pos_config_id, external_id, settlement_date,
@@ -304,7 +335,7 @@ async function importSettlement({
 /**
  * Get settlements with filters
  */
-async function getSettlements({ pos_config_id, start_date, end_date }) {
+async function getSettlements({ pos_config_id, start_date, end_date, location_ids = null }) {
   let sql = `
     SELECT s.*, c.provider, c.name as pos_name
     FROM pos_settlements s
@@ -326,6 +357,10 @@ async function getSettlements({ pos_config_id, start_date, end_date }) {
     sql += ` AND s.settlement_date <= $${idx++}`;
     params.push(end_date);
   }
+  if (location_ids) {
+    sql += ` AND s.location_id = ANY($${idx++}::int[])`;
+    params.push(location_ids);
+  }
   
   sql += ' ORDER BY s.settlement_date DESC';
   
@@ -432,6 +467,9 @@ async function postSettlementToGL(settlementId, userId) {
     description: `POS Settlement - ${s.settlement_date}`,
     reference_type: 'pos_settlement',
     reference_id: s.id,
+    location_id: s.location_id,
+    // A settlement covers the whole day; department/class come from the account defaults
+    dimensions: { daypart: 'all_day' },
     created_by: userId,
     lines: resolvedLines
   });
@@ -561,6 +599,7 @@ module.exports = {
   getPosConfigs,
   getPosConfigById,
   updatePosConfig,
+  getPosCredentials,
   deletePosConfig,
   importTransaction,
   batchImportTransactions,
@@ -1,9 +1,13 @@
 /**
  * PostingService
  * Centralizes creation of balanced journal entries and fiscal period rules.
+ * Posted entries are never edited: corrections are linked mirror entries (reverse), a void
+ * mirrors the entry on its own date so it nets to zero but stays on record, and accruals
+ * carrying auto_reverse_on are reversed on that date by processAutoReversals.
  */
 const { ValidationError, NotFoundError } = require('../utils/errors');
 const { serviceLogger } = require('../utils/logger');
+const { applyDimensionDefaults } = require('../utils/dimensions');
 
 class PostingService {
   /**
@@ -46,6 +50,25 @@ class PostingService {
     return row.id;
   }
 
+  /**
+   * Reject lines posting to header accounts, which only group sub-accounts
+   * @param {number[]} accountIds
+   * @param {import('pg').PoolClient} [client]
+   */
+  async assertPostableAccounts(accountIds, client = null) {
+    const result = await (client || this.pool).query(
+      `SELECT account_number FROM accounts
+       WHERE id = ANY($1::int[]) AND is_header = true
+       ORDER BY account_number`,
+      [[...new Set(accountIds.map(Number))]]
+    );
+    if (result.rows.length > 0) {
+      throw new ValidationError('Cannot post to header accounts', {
+        header_accounts: result.rows.map((r) => r.account_number),
+      });
+    }
+  }
+
   /**
    * Create a balanced journal entry.
    *
@@ -56,11 +79,20 @@ class PostingService {
    * @param {number|null} [input.reference_id]
    * @param {boolean} [input.is_adjusting]
    * @param {boolean} [input.is_closing]
+   * @param {boolean} [input.is_elimination] - intercompany elimination (consolidation only)
    * @param {number|null} [input.fiscal_period_id]
    * @param {string|null} [input.created_by]
-   * @param {Array<{account_id:number,debit:number,credit:number,description?:string|null}>} input.lines
+   * @param {number|null} [input.location_id] - default location for lines that carry none
+   * @param {{department?: string, daypart?: string, class?: string}} [input.dimensions] - defaults
+   *   for lines that carry none (after which the account's defaults apply)
+   * @param {string|null} [input.auto_reverse_on] - YYYY-MM-DD the entry reverses itself on
+   * @param {boolean} [input.auto_reverse] - reverse on the first day of the next period
+   * @param {number|null} [input.reverses_entry_id] - entry this one reverses
+   * @param {boolean} [input.allow_closed_period] - internal: year-end closing may post into closed periods
+   * @param {Array<{account_id:number,debit:number,credit:number,description?:string|null,location_id?:number|null,department?:string|null,daypart?:string|null,class?:string|null}>} input.lines
+   * @param {import('pg').PoolClient} [client] - post inside the caller's transaction
    */
-  async createJournalEntry(input) {
+  async createJournalEntry(input, client = null) {
     const {
       entry_date,
       description,
@@ -68,10 +100,17 @@ class PostingService {
       reference_id = null,
       is_adjusting = false,
       is_closing = false,
+      is_elimination = false,
       fiscal_period_id = null,
       created_by = null,
+      location_id = null,
+      dimensions = {},
+      auto_reverse = false,
+      reverses_entry_id = null,
+      allow_closed_period = false,
       lines,
     } = input;
+    let { auto_reverse_on = null } = input;
 
     if (!Array.isArray(lines) || lines.length < 2) {
       throw new ValidationError('Journal entry must have at least 2 lines');
@@ -100,55 +139,291 @@ class PostingService {
       throw new ValidationError(`Journal entry is not balanced (diff=${diff})`);
     }
 
+    await this.assertPostableAccounts(lines.map((l) => l.account_id), client);
+    const taggedLines = await applyDimensionDefaults(client || this.pool, lines, dimensions);
+
     const inferredPeriod = await this.findFiscalPeriodForDate(entry_date);
-    if (inferredPeriod?.is_closed) {
+    if (inferredPeriod?.is_closed && !allow_closed_period) {
       // Admin override will be added in auth/roles phase
       throw new ValidationError('Fiscal period is closed; cannot post entries to this date');
     }
 
     const periodIdToUse = fiscal_period_id || inferredPeriod?.id || null;
 
-    const client = await this.pool.connect();
-    try {
-      await client.query('BEGIN');
+    if (auto_reverse && !auto_reverse_on) {
+      auto_reverse_on = await this.nextPeriodStart(entry_date);
+    }
+    if (auto_reverse_on && auto_reverse_on <= entry_date) {
+      throw new ValidationError('auto_reverse_on must be after entry_date');
+    }
 
-      const entryResult = await client.query(
+    const insert = async (tx) => {
+      const entryResult = await tx.query(
         `
         INSERT INTO journal_entries (
           entry_date, description, reference_type, reference_id,
-          is_adjusting, is_closing, fiscal_period_id, created_by
+          is_adjusting, is_closing, fiscal_period_id, created_by, is_elimination,
+          auto_reverse_on, reverses_entry_id
         )
-        VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
         RETURNING *
         `,
-        [entry_date, description, reference_type, reference_id, is_adjusting, is_closing, periodIdToUse, created_by]
+        [
+          entry_date,
+          description,
+          reference_type,
+          reference_id,
+          is_adjusting,
+          is_closing,
+          periodIdToUse,
+          created_by,
+          is_elimination,
+          auto_reverse_on,
+          reverses_entry_id,
+        ]
       );
 
       const entry = entryResult.rows[0];
 
       const insertedLines = [];
-      for (const l of lines) {
-        const lineResult = await client.query(
+      for (const l of taggedLines) {
+        const lineResult = await tx.query(
           `
           INSERT INTO journal_entry_lines (
-            journal_entry_id, account_id, debit, credit, description
+            journal_entry_id, account_id, debit, credit, description, location_id,
+            department, daypart, class
           )
-          VALUES ($1,$2,$3,$4,$5)
+          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
           RETURNING *
           `,
-          [entry.id, l.account_id, l.debit || 0, l.credit || 0, l.description || null]
+          [
+            entry.id,
+            l.account_id,
+            l.debit || 0,
+            l.credit || 0,
+            l.description || null,
+            l.location_id || location_id,
+            l.department,
+            l.daypart,
+            l.class,
+          ]
         );
         insertedLines.push(lineResult.rows[0]);
       }
 
-      await client.query('COMMIT');
+      return { ...entry, lines: insertedLines };
+    };
+
+    let posted;
+    if (client) {
+      posted = await insert(client);
+    } else {
+      const own = await this.pool.connect();
+      try {
+        await own.query('BEGIN');
+        posted = await insert(own);
+        await own.query('COMMIT');
+      } catch (err) {
+        await own.query('ROLLBACK');
+        throw err;
+      } finally {
+        own.release();
+      }
+    }
+
+    this.logger.info(
+      { journalEntryId: posted.id, entry_date, reference_type, reference_id },
+      'Journal entry posted'
+    );
+
+    return posted;
+  }
+
+  /**
+   * First day after the fiscal period holding the date (the next calendar month without one)
+   * @param {string} entryDate - YYYY-MM-DD
+   * @returns {Promise<string>} YYYY-MM-DD
+   */
+  async nextPeriodStart(entryDate) {
+    const result = await this.pool.query(
+      `
+      SELECT COALESCE(
+        (SELECT end_date + 1 FROM fiscal_periods
+         WHERE start_date <= $1 AND end_date >= $1
+         ORDER BY start_date DESC, end_date ASC
+         LIMIT 1),
+        (date_trunc('month', $1::date) + interval '1 month')::date
+      )::text as next_start
+      `,
+      [entryDate]
+    );
+    return result.rows[0].next_start;
+  }
+
+  // ============================================
+  // REVERSALS & VOIDS
+  // ============================================
+
+  /**
+   * Post a linked mirror of an entry (debits and credits swapped) on a later date.
+   * The reversal date must fall in an open period; the original is left untouched apart
+   * from its reversed_by_entry_id link.
+   *
+   * @param {number} entryId
+   * @param {object} [options]
+   * @param {string} [options.entry_date] - YYYY-MM-DD, defaults to today
+   * @param {string} [options.description]
+   * @param {string|null} [options.created_by]
+   * @param {boolean} [options.allow_closed_period] - internal, see createJournalEntry
+   * @param {boolean} [options.year_end_rollback] - internal, PeriodCloseService.rollbackYear
+   * @param {import('pg').PoolClient} [client] - reverse inside the caller's transaction
+   * @returns {Promise<object>} the reversing entry with lines
+   */
+  async reverseJournalEntry(entryId, options = {}, client = null) {
+    const {
+      entry_date = new Date().toISOString().split('T')[0],
+      description = null,
+      created_by = null,
+      allow_closed_period = false,
+      year_end_rollback = false,
+    } = options;
+
+    const reversal = await this.withEntryLock(entryId, async (client, original) => {
+      if (!year_end_rollback) {
+        this.assertNotYearEndClose(original);
+      }
+      if (entry_date < original.entry_date) {
+        throw new ValidationError('Reversal date cannot be before the original entry date');
+      }
+
+      const mirror = await this.postMirror(client, original, {
+        entry_date,
+        description: description || `Reversal of JE #${original.id}: ${original.description}`,
+        reference_type: 'reversal',
+        created_by,
+        allow_closed_period,
+      });
+
+      this.logger.info({ journalEntryId: original.id, reversalId: mirror.id }, 'Journal entry reversed');
+      return mirror;
+    }, client);
+    return reversal;
+  }
+
+  /**
+   * Void an entry: mirror it on its own date so it nets to zero, and mark both entries void.
+   * Both stay in the ledger for audit; the original's period must still be open.
+   *
+   * @param {number} entryId
+   * @param {{reason: string, voided_by?: string|null}} options
+   * @param {import('pg').PoolClient} [client] - void inside the caller's transaction
+   * @returns {Promise<object>} the voided entry
+   */
+  async voidJournalEntry(entryId, { reason, voided_by = null }, client = null) {
+    if (!reason) {
+      throw new ValidationError('A reason is required to void a journal entry');
+    }
+
+    const voided = await this.withEntryLock(entryId, async (client, original) => {
+      this.assertNotYearEndClose(original);
+      const mirror = await this.postMirror(client, original, {
+        entry_date: original.entry_date,
+        description: `Void of JE #${original.id}: ${original.description}`,
+        reference_type: 'void',
+        created_by: voided_by,
+      });
 
-      this.logger.info(
-        { journalEntryId: entry.id, entry_date, reference_type, reference_id },
-        'Journal entry posted'
+      const result = await client.query(
+        `
+        UPDATE journal_entries
+        SET voided_at = CURRENT_TIMESTAMP, voided_by = $1, void_reason = $2
+        WHERE id = ANY($3::int[])
+        RETURNING *
+        `,
+        [voided_by, reason, [original.id, mirror.id]]
       );
 
-      return { ...entry, lines: insertedLines };
+      this.logger.info({ journalEntryId: original.id, mirrorId: mirror.id }, 'Journal entry voided');
+      return result.rows.find((r) => r.id === original.id);
+    }, client);
+    return voided;
+  }
+
+  /**
+   * Reverse every entry whose auto_reverse_on has arrived. Each entry posts on its own
+   * auto_reverse_on date; failures (e.g. a closed period) are reported and left pending.
+   *
+   * @param {string} [asOfDate] - YYYY-MM-DD, defaults to today
+   */
+  async processAutoReversals(asOfDate = new Date().toISOString().split('T')[0]) {
+    const due = await this.pool.query(
+      `
+      SELECT id, auto_reverse_on::text as auto_reverse_on
+      FROM journal_entries
+      WHERE auto_reverse_on <= $1
+        AND reversed_by_entry_id IS NULL
+        AND voided_at IS NULL
+      ORDER BY auto_reverse_on, id
+      `,
+      [asOfDate]
+    );
+
+    const reversed = [];
+    const failed = [];
+    for (const entry of due.rows) {
+      try {
+        const reversal = await this.reverseJournalEntry(entry.id, {
+          entry_date: entry.auto_reverse_on,
+          created_by: 'auto-reversal',
+        });
+        reversed.push({ journal_entry_id: entry.id, reversal_id: reversal.id, entry_date: entry.auto_reverse_on });
+      } catch (err) {
+        failed.push({ journal_entry_id: entry.id, error: err.message });
+      }
+    }
+
+    if (reversed.length || failed.length) {
+      this.logger.info({ asOfDate, reversed: reversed.length, failed: failed.length }, 'Auto-reversals processed');
+    }
+    return { as_of_date: asOfDate, reversed, failed };
+  }
+
+  /**
+   * Lock an entry that can still be reversed or voided and run fn inside a transaction
+   * (the caller's, when a client is given)
+   */
+  async withEntryLock(entryId, fn, outerClient = null) {
+    const run = async (client) => {
+      const result = await client.query(
+        'SELECT *, entry_date::text as entry_date FROM journal_entries WHERE id = $1 FOR UPDATE',
+        [entryId]
+      );
+      const original = result.rows[0];
+      if (!original) {
+        throw new NotFoundError('Journal entry');
+      }
+      if (original.voided_at) {
+        throw new ValidationError('Journal entry is void');
+      }
+      if (original.reversed_by_entry_id) {
+        throw new ValidationError(`Journal entry is already reversed by JE #${original.reversed_by_entry_id}`);
+      }
+      if (original.reverses_entry_id) {
+        throw new ValidationError('Journal entry is itself a reversal; post a new entry instead');
+      }
+      return fn(client, original);
+    };
+
+    if (outerClient) {
+      return run(outerClient);
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const value = await run(client);
+      await client.query('COMMIT');
+      return value;
     } catch (err) {
       await client.query('ROLLBACK');
       throw err;
@@ -156,6 +431,69 @@ class PostingService {
       client.release();
     }
   }
+
+  /**
+   * Closing entries are tied to their year_end_closes row and the periods it locked, so they
+   * are only undone by rolling back the close
+   */
+  assertNotYearEndClose(entry) {
+    if (entry.reference_type === 'year_end_close') {
+      throw new ValidationError(
+        'Year-end closing entries are undone with POST /api/ledger/periods/:id/year-end-close/rollback'
+      );
+    }
+  }
+
+  /**
+   * Post the mirror of a locked entry and link the two
+   */
+  async postMirror(
+    client,
+    original,
+    { entry_date, description, reference_type, created_by, allow_closed_period = false }
+  ) {
+    const lines = await client.query(
+      `
+      SELECT account_id, debit, credit, description, location_id, department, daypart, class
+      FROM journal_entry_lines
+      WHERE journal_entry_id = $1
+      ORDER BY id
+      `,
+      [original.id]
+    );
+
+    const mirror = await this.createJournalEntry(
+      {
+        entry_date,
+        description,
+        reference_type,
+        reference_id: original.id,
+        is_adjusting: original.is_adjusting,
+        is_closing: original.is_closing,
+        is_elimination: original.is_elimination,
+        created_by,
+        reverses_entry_id: original.id,
+        allow_closed_period,
+        lines: lines.rows.map((l) => ({
+          account_id: l.account_id,
+          debit: l.credit,
+          credit: l.debit,
+          description: l.description,
+          location_id: l.location_id,
+          department: l.department,
+          daypart: l.daypart,
+          class: l.class,
+        })),
+      },
+      client
+    );
+
+    await client.query('UPDATE journal_entries SET reversed_by_entry_id = $1 WHERE id = $2', [
+      mirror.id,
+      original.id,
+    ]);
+    return mirror;
+  }
 }
 
 module.exports = PostingService;
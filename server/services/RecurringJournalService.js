@@ -0,0 +1,535 @@
+/**
+ * RecurringJournalService
+ * Recurring journal templates (rent accruals, depreciation, loan interest, management fees).
+ * generate() posts every run that is due through PostingService, one transaction per run with
+ * the template locked. A run dated in a closed period is skipped or queued, per the template's
+ * closed_period_action; queued runs post on a later generate once their period is open again.
+ */
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { serviceLogger } = require('../utils/logger');
+
+const MONTHS_PER_FREQUENCY = { monthly: 1, quarterly: 3, annual: 12 };
+const DAYS_PER_FREQUENCY = { weekly: 7, biweekly: 14 };
+const MAX_PREVIEW_RUNS = 60;
+
+const TEMPLATE_COLUMNS = `t.*, t.start_date::text as start_date, t.end_date::text as end_date,
+  t.next_run_date::text as next_run_date, t.last_run_date::text as last_run_date,
+  COALESCE((SELECT json_agg(row_to_json(l) ORDER BY l.id) FROM recurring_journal_template_lines l
+    WHERE l.template_id = t.id), '[]') as lines`;
+
+/**
+ * Next run date (YYYY-MM-DD) after a run; monthly-style runs keep the start date's day of month,
+ * clamped to the month's last day
+ */
+function nextRunDate(runDate, frequency, anchorDate) {
+  const [y, m, d] = runDate.split('-').map(Number);
+  if (DAYS_PER_FREQUENCY[frequency]) {
+    return new Date(Date.UTC(y, m - 1, d + DAYS_PER_FREQUENCY[frequency]))
+      .toISOString()
+      .split('T')[0];
+  }
+
+  const anchorDay = Number(anchorDate.split('-')[2]);
+  const monthIndex = m - 1 + MONTHS_PER_FREQUENCY[frequency];
+  const lastDay = new Date(Date.UTC(y, monthIndex + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, monthIndex, Math.min(anchorDay, lastDay)))
+    .toISOString()
+    .split('T')[0];
+}
+
+class RecurringJournalService {
+  /**
+   * @param {import('pg').Pool} pool
+   * @param {import('./PostingService')} postingService
+   */
+  constructor(pool, postingService) {
+    this.pool = pool;
+    this.postingService = postingService;
+    this.logger = serviceLogger.child({ service: 'recurring-journals' });
+  }
+
+  // ============================================
+  // TEMPLATES
+  // ============================================
+
+  /**
+   * @param {{include_inactive?: boolean, locationIds?: number[]|null}} [filters]
+   */
+  async listTemplates({ include_inactive = false, locationIds = null } = {}) {
+    const params = [];
+    let sql = `SELECT ${TEMPLATE_COLUMNS}
+      FROM recurring_journal_templates t
+      WHERE 1=1`;
+    if (!include_inactive) {
+      sql += ' AND t.is_active = true';
+    }
+    if (locationIds) {
+      params.push(locationIds);
+      sql += ` AND t.location_id = ANY($${params.length}::int[])`;
+    }
+    sql += ' ORDER BY t.next_run_date, t.name';
+
+    const result = await this.pool.query(sql, params);
+    return result.rows;
+  }
+
+  async getTemplate(templateId, client = this.pool) {
+    const result = await client.query(
+      `SELECT ${TEMPLATE_COLUMNS},
+         COALESCE((SELECT json_agg(row_to_json(r) ORDER BY r.run_date DESC) FROM (
+           SELECT id, run_date::text as run_date, status, journal_entry_id, message
+           FROM recurring_journal_runs WHERE template_id = t.id
+           ORDER BY run_date DESC LIMIT 12
+         ) r), '[]') as recent_runs
+       FROM recurring_journal_templates t
+       WHERE t.id = $1`,
+      [templateId]
+    );
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Recurring journal template');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * @param {object} input - see createRecurringJournalSchema
+   */
+  async createTemplate(input) {
+    const {
+      name,
+      description = null,
+      frequency,
+      start_date,
+      end_date = null,
+      location_id = null,
+      auto_reverse = false,
+      closed_period_action = 'queue',
+      notes = null,
+      created_by = null,
+      lines,
+    } = input;
+    this.validateLines(lines);
+    if (end_date && end_date < start_date) {
+      throw new ValidationError('end_date cannot be before start_date');
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO recurring_journal_templates (
+           name, description, frequency, start_date, end_date, next_run_date, location_id,
+           auto_reverse, closed_period_action, notes, created_by
+         ) VALUES ($1,$2,$3,$4,$5,$4,$6,$7,$8,$9,$10)
+         RETURNING id`,
+        [
+          name,
+          description,
+          frequency,
+          start_date,
+          end_date,
+          location_id,
+          auto_reverse,
+          closed_period_action,
+          notes,
+          created_by,
+        ]
+      );
+      const templateId = result.rows[0].id;
+      await this.insertLines(client, templateId, lines);
+      await client.query('COMMIT');
+
+      this.logger.info({ templateId, frequency }, 'Recurring journal template created');
+      return this.getTemplate(templateId);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update a template; lines, when given, replace the existing ones. A new start_date restarts
+   * the schedule from that date.
+   */
+  async updateTemplate(templateId, input) {
+    if (input.lines) {
+      this.validateLines(input.lines);
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const existing = await this.getTemplate(templateId, client);
+      const startDate = input.start_date || existing.start_date;
+      const endDate = input.end_date === undefined ? existing.end_date : input.end_date;
+      if (endDate && endDate < startDate) {
+        throw new ValidationError('end_date cannot be before start_date');
+      }
+
+      await client.query(
+        `UPDATE recurring_journal_templates SET
+           name = COALESCE($1, name),
+           description = COALESCE($2, description),
+           frequency = COALESCE($3, frequency),
+           start_date = $4,
+           end_date = $5,
+           next_run_date = CASE WHEN $6 THEN $4 ELSE next_run_date END,
+           location_id = COALESCE($7, location_id),
+           auto_reverse = COALESCE($8, auto_reverse),
+           closed_period_action = COALESCE($9, closed_period_action),
+           is_active = COALESCE($10, is_active),
+           notes = COALESCE($11, notes),
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $12`,
+        [
+          input.name,
+          input.description,
+          input.frequency,
+          startDate,
+          endDate,
+          Boolean(input.start_date) && input.start_date !== existing.start_date,
+          input.location_id,
+          input.auto_reverse,
+          input.closed_period_action,
+          input.is_active,
+          input.notes,
+          templateId,
+        ]
+      );
+
+      if (input.lines) {
+        await client.query('DELETE FROM recurring_journal_template_lines WHERE template_id = $1', [
+          templateId,
+        ]);
+        await this.insertLines(client, templateId, input.lines);
+      }
+
+      await client.query('COMMIT');
+      return this.getTemplate(templateId);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Templates post through createJournalEntry; catch unbalanced lines when they are saved
+   */
+  validateLines(lines) {
+    if (!Array.isArray(lines) || lines.length < 2) {
+      throw new ValidationError('A journal template needs at least 2 lines');
+    }
+    const diff = lines.reduce((sum, l) => sum + (l.debit || 0) - (l.credit || 0), 0);
+    if (Math.round(diff * 100) !== 0) {
+      throw new ValidationError(
+        `Template lines are not balanced (diff=${Math.round(diff * 100) / 100})`
+      );
+    }
+  }
+
+  async insertLines(client, templateId, lines) {
+    await this.postingService.assertPostableAccounts(lines.map((l) => l.account_id), client);
+    for (const l of lines) {
+      await client.query(
+        `INSERT INTO recurring_journal_template_lines (
+           template_id, account_id, debit, credit, description, location_id,
+           department, daypart, class
+         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+        [
+          templateId,
+          l.account_id,
+          l.debit || 0,
+          l.credit || 0,
+          l.description || null,
+          l.location_id || null,
+          l.department || null,
+          l.daypart || null,
+          l.class || null,
+        ]
+      );
+    }
+  }
+
+  // ============================================
+  // PREVIEW & GENERATE
+  // ============================================
+
+  /**
+   * Upcoming run dates through a date, flagged when they fall in a closed period
+   * @param {{through_date: string, template_id?: number|null, locationIds?: number[]|null}} options
+   */
+  async previewRuns({ through_date, template_id = null, locationIds = null }) {
+    const templates = template_id
+      ? [await this.getTemplate(template_id)]
+      : await this.listTemplates({ locationIds });
+
+    const periods = await this.pool.query(
+      `SELECT start_date::text as start_date, end_date::text as end_date, is_closed
+       FROM fiscal_periods WHERE is_closed = true`
+    );
+    const isClosed = (date) => periods.rows.some((p) => p.start_date <= date && p.end_date >= date);
+
+    const runs = [];
+    for (const template of templates) {
+      if (!template.is_active) {
+        continue;
+      }
+      const queued = await this.pool.query(
+        `SELECT run_date::text as run_date FROM recurring_journal_runs
+         WHERE template_id = $1 AND status = 'queued' ORDER BY run_date`,
+        [template.id]
+      );
+      for (const run of queued.rows) {
+        runs.push(this.previewRun(template, run.run_date, 'queued', isClosed(run.run_date)));
+      }
+
+      let date = template.next_run_date;
+      let count = 0;
+      while (
+        date &&
+        date <= through_date &&
+        (!template.end_date || date <= template.end_date) &&
+        count < MAX_PREVIEW_RUNS
+      ) {
+        runs.push(this.previewRun(template, date, 'scheduled', isClosed(date)));
+        date = nextRunDate(date, template.frequency, template.start_date);
+        count++;
+      }
+    }
+
+    runs.sort((a, b) => a.run_date.localeCompare(b.run_date) || a.template_id - b.template_id);
+    return { through_date, runs };
+  }
+
+  previewRun(template, runDate, status, inClosedPeriod) {
+    return {
+      template_id: template.id,
+      template_name: template.name,
+      run_date: runDate,
+      status,
+      amount: template.lines.reduce((sum, l) => sum + parseFloat(l.debit || 0), 0),
+      in_closed_period: inClosedPeriod,
+      closed_period_action: inClosedPeriod ? template.closed_period_action : null,
+    };
+  }
+
+  /**
+   * Retry queued and failed runs (queued ones post once their period re-opens), then post every
+   * scheduled run due through asOfDate. Each run locks its template and is posted, recorded and
+   * (for a scheduled run) advanced in one transaction, so overlapping generates cannot post a run
+   * twice.
+   * @param {string} [asOfDate] - YYYY-MM-DD, defaults to today
+   */
+  async generate(asOfDate = new Date().toISOString().split('T')[0], { created_by = null } = {}) {
+    const results = { as_of_date: asOfDate, posted: [], queued: [], skipped: [], failed: [] };
+
+    const queued = await this.pool.query(
+      `SELECT r.id, r.template_id, r.run_date::text as run_date
+       FROM recurring_journal_runs r
+       JOIN recurring_journal_templates t ON t.id = r.template_id
+       WHERE r.status IN ('queued', 'failed') AND t.is_active = true AND r.run_date <= $1
+       ORDER BY r.run_date, r.id`,
+      [asOfDate]
+    );
+    for (const run of queued.rows) {
+      await this.runOnce(run.template_id, results, created_by, async (client, template) => {
+        const current = await client.query(
+          'SELECT status FROM recurring_journal_runs WHERE id = $1',
+          [run.id]
+        );
+        const status = current.rows[0]?.status;
+        return template.is_active && (status === 'queued' || status === 'failed') ? run.run_date : null;
+      });
+    }
+
+    const due = await this.pool.query(
+      `SELECT id FROM recurring_journal_templates
+       WHERE is_active = true AND next_run_date <= $1
+         AND (end_date IS NULL OR next_run_date <= end_date)
+       ORDER BY next_run_date, id`,
+      [asOfDate]
+    );
+    const dueRunDate = (_client, template) => {
+      const runDate = template.next_run_date;
+      const isDue = template.is_active
+        && runDate <= asOfDate
+        && (!template.end_date || runDate <= template.end_date);
+      return isDue ? runDate : null;
+    };
+    for (const { id } of due.rows) {
+      let more = true;
+      while (more) {
+        more = await this.runOnce(id, results, created_by, dueRunDate, true);
+      }
+    }
+
+    this.logger.info(
+      {
+        asOfDate,
+        posted: results.posted.length,
+        queued: results.queued.length,
+        skipped: results.skipped.length,
+        failed: results.failed.length,
+      },
+      'Recurring journals generated'
+    );
+    return results;
+  }
+
+  /**
+   * Lock a template, then post, queue or skip one run, record it in recurring_journal_runs and,
+   * for a scheduled run, advance next_run_date, all in one transaction. A run that fails to post
+   * is recorded as failed (and still advances the schedule) in a second transaction.
+   * @param {number} templateId
+   * @param {object} results - generate() results to add the run to
+   * @param {string|null} createdBy
+   * @param {(client: import('pg').PoolClient, template: object) => Promise<string|null>|string|null} pickRunDate -
+   *   the run date still to process once the template is locked, null when there is none
+   * @param {boolean} [scheduled] - advance next_run_date past the run
+   * @returns {Promise<boolean>} whether a run was processed
+   */
+  async runOnce(templateId, results, createdBy, pickRunDate, scheduled = false) {
+    let item = null;
+    try {
+      const outcome = await this.withLockedTemplate(templateId, async (client, template) => {
+        const runDate = await pickRunDate(client, template);
+        if (!runDate) {
+          return null;
+        }
+        item = { template_id: template.id, template_name: template.name, run_date: runDate };
+
+        const result = await this.postRun(client, template, runDate, createdBy);
+        if (scheduled) {
+          await this.advanceSchedule(client, template, runDate);
+        }
+        return result;
+      });
+      if (!outcome) {
+        return false;
+      }
+
+      results[outcome.status].push(
+        outcome.journal_entry_id ? { ...item, journal_entry_id: outcome.journal_entry_id } : item
+      );
+      return true;
+    } catch (err) {
+      if (!item) {
+        throw err;
+      }
+
+      await this.withLockedTemplate(templateId, async (client, template) => {
+        await this.recordRun(client, template.id, item.run_date, 'failed', null, err.message);
+        if (scheduled) {
+          await this.advanceSchedule(client, template, item.run_date);
+        }
+      });
+      this.logger.warn({ ...item, err: err.message }, 'Recurring journal run failed');
+      results.failed.push({ ...item, error: err.message });
+      return true;
+    }
+  }
+
+  /**
+   * Post (or queue/skip, when its period is closed) one run of a locked template and record it
+   * @returns {Promise<{status: string, journal_entry_id?: number}>}
+   */
+  async postRun(client, template, runDate, createdBy) {
+    const period = await this.postingService.findFiscalPeriodForDate(runDate);
+    if (period?.is_closed) {
+      const status = template.closed_period_action === 'skip' ? 'skipped' : 'queued';
+      await this.recordRun(
+        client,
+        template.id,
+        runDate,
+        status,
+        null,
+        `Period ${period.period_name} is closed`
+      );
+      return { status };
+    }
+
+    const entry = await this.postingService.createJournalEntry(
+      {
+        entry_date: runDate,
+        description: template.description || template.name,
+        reference_type: 'recurring_journal',
+        reference_id: template.id,
+        created_by: createdBy,
+        location_id: template.location_id,
+        auto_reverse: template.auto_reverse,
+        lines: template.lines.map((l) => ({
+          account_id: l.account_id,
+          debit: parseFloat(l.debit) || 0,
+          credit: parseFloat(l.credit) || 0,
+          description: l.description,
+          location_id: l.location_id,
+          department: l.department,
+          daypart: l.daypart,
+          class: l.class,
+        })),
+      },
+      client
+    );
+    await this.recordRun(client, template.id, runDate, 'posted', entry.id, null);
+    await client.query(
+      `UPDATE recurring_journal_templates
+       SET last_run_date = GREATEST(COALESCE(last_run_date, $1), $1)
+       WHERE id = $2`,
+      [runDate, template.id]
+    );
+    return { status: 'posted', journal_entry_id: entry.id };
+  }
+
+  async advanceSchedule(client, template, runDate) {
+    await client.query(
+      `UPDATE recurring_journal_templates SET
+         next_run_date = $1,
+         is_active = CASE WHEN end_date IS NOT NULL AND $1::date > end_date THEN false ELSE is_active END,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [nextRunDate(runDate, template.frequency, template.start_date), template.id]
+    );
+  }
+
+  /**
+   * Run fn in a transaction holding the template's row lock, with the template as it stands
+   * once the lock is held
+   */
+  async withLockedTemplate(templateId, fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT id FROM recurring_journal_templates WHERE id = $1 FOR UPDATE', [
+        templateId,
+      ]);
+      const template = await this.getTemplate(templateId, client);
+      const value = await fn(client, template);
+      await client.query('COMMIT');
+      return value;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async recordRun(client, templateId, runDate, status, journalEntryId, message) {
+    await client.query(
+      `INSERT INTO recurring_journal_runs (template_id, run_date, status, journal_entry_id, message)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (template_id, run_date) DO UPDATE SET
+         status = EXCLUDED.status,
+         journal_entry_id = EXCLUDED.journal_entry_id,
+         message = EXCLUDED.message,
+         updated_at = CURRENT_TIMESTAMP`,
+      [templateId, runDate, status, journalEntryId, message]
+    );
+  }
+}
+
+module.exports = RecurringJournalService;
@@ -4,6 +4,7 @@
 const { serviceLogger } = require('../utils/logger');
 const { NotFoundError, ValidationError } = require('../utils/errors');
 const { calculateTimeBasedPL, calculateLaborCost } = require('../utils/calculations');
+const { DEFAULT_LOCATION_ID } = require('../utils/locationScope');
 
 class SalesService {
   /**
@@ -27,9 +28,10 @@ class SalesService {
   /**
    * Get sales for a specific date
    * @param {string} date
+   * @param {number[]|null} [locationIds]
    */
-  async getByDate(date) {
-    return this.salesRepo.findByDate(date);
+  async getByDate(date, locationIds = null) {
+    return this.salesRepo.findByDate(date, locationIds);
   }
 
   /**
@@ -48,32 +50,46 @@ class SalesService {
    * Save daily sales (bulk upsert)
    * @param {string} date
    * @param {Array} sales
+   * @param {number} [locationId]
    */
-  async saveDailySales(date, sales) {
-    await this.salesRepo.transaction(async (client) => {
+  async saveDailySales(date, sales, locationId = DEFAULT_LOCATION_ID) {
+    // Row changes are audited once the batch commits
+    const changes = await this.salesRepo.transaction(async (client) => {
+      const written = [];
       for (const sale of sales) {
+        const existing = await client.query(
+          'SELECT * FROM sales_log WHERE date = $1 AND menu_item_id = $2 AND location_id = $3 FOR UPDATE',
+          [date, sale.menu_item_id, locationId]
+        );
+        const before = existing.rows[0] || null;
+
         if (sale.quantity_sold > 0) {
-          await client.query(
-            `INSERT INTO sales_log (date, menu_item_id, quantity_sold) 
-             VALUES ($1, $2, $3) 
-             ON CONFLICT (date, menu_item_id) 
-             DO UPDATE SET quantity_sold = EXCLUDED.quantity_sold`,
-            [date, sale.menu_item_id, sale.quantity_sold]
-          );
-        } else {
-          await client.query(
-            'DELETE FROM sales_log WHERE date = $1 AND menu_item_id = $2',
-            [date, sale.menu_item_id]
+          const result = await client.query(
+            `INSERT INTO sales_log (date, menu_item_id, quantity_sold, location_id) 
+             VALUES ($1, $2, $3, $4) 
+             ON CONFLICT (date, menu_item_id, location_id) 
+             DO UPDATE SET quantity_sold = EXCLUDED.quantity_sold
+             RETURNING *`,
+            [date, sale.menu_item_id, sale.quantity_sold, locationId]
           );
+          written.push({ action: before ? 'update' : 'create', before, after: result.rows[0] });
+        } else if (before) {
+          await client.query('DELETE FROM sales_log WHERE id = $1', [before.id]);
+          written.push({ action: 'delete', before, after: null });
         }
       }
+      return written;
     });
 
-    this.logger.info({ date, count: sales.length }, 'Daily sales saved');
+    for (const { action, before, after } of changes) {
+      await this.salesRepo.audit(action, (after || before).id, before, after);
+    }
+
+    this.logger.info({ date, locationId, count: sales.length }, 'Daily sales saved');
 
     // Calculate and return daily profit
-    const profit = await this.calculateDailyProfit(date);
-    return { date, daily_profit: profit };
+    const profit = await this.calculateDailyProfit(date, locationId);
+    return { date, location_id: locationId, daily_profit: profit };
   }
 
   /**
@@ -81,7 +97,7 @@ class SalesService {
    * @param {Object} data
    */
   async upsertSale(data) {
-    const { date, menu_item_id, quantity_sold } = data;
+    const { date, menu_item_id, quantity_sold, location_id = DEFAULT_LOCATION_ID } = data;
 
     // Verify menu item exists
     const menuItem = await this.menuItemRepo.findById(menu_item_id);
@@ -89,8 +105,8 @@ class SalesService {
       throw new NotFoundError('Menu Item');
     }
 
-    const sale = await this.salesRepo.upsert(date, menu_item_id, quantity_sold);
-    this.logger.info({ date, menuItemId: menu_item_id }, 'Sale upserted');
+    const sale = await this.salesRepo.upsert(date, menu_item_id, quantity_sold, location_id);
+    this.logger.info({ date, menuItemId: menu_item_id, locationId: location_id }, 'Sale upserted');
 
     return sale
       ? { ...sale, menu_item_name: menuItem.name, selling_price: menuItem.selling_price }
@@ -102,7 +118,7 @@ class SalesService {
    * @param {Object} data
    */
   async addSale(data) {
-    const { date, menu_item_id, quantity_sold } = data;
+    const { date, menu_item_id, quantity_sold, location_id = DEFAULT_LOCATION_ID } = data;
 
     if (quantity_sold <= 0) {
       throw new ValidationError('quantity_sold must be positive');
@@ -113,8 +129,11 @@ class SalesService {
       throw new NotFoundError('Menu Item');
     }
 
-    const sale = await this.salesRepo.addQuantity(date, menu_item_id, quantity_sold);
-    this.logger.info({ date, menuItemId: menu_item_id, quantity: quantity_sold }, 'Sale added');
+    const sale = await this.salesRepo.addQuantity(date, menu_item_id, quantity_sold, location_id);
+    this.logger.info(
+      { date, menuItemId: menu_item_id, locationId: location_id, quantity: quantity_sold },
+      'Sale added'
+    );
 
     return { ...sale, menu_item_name: menuItem.name, selling_price: menuItem.selling_price };
   }
@@ -146,10 +165,16 @@ class SalesService {
   /**
    * Get analytics for a period - OPTIMIZED (fixes N+1)
    * @param {string} period
+   * @param {number[]|null} [locationIds] - limit to these locations
    */
-  async getAnalytics(period = 'month') {
+  async getAnalytics(period = 'month', locationIds = null) {
     const { sql: dateFilter, params } = this.salesRepo.getDateFilter(period);
-    const salesWithCosts = await this.salesRepo.findSalesWithCosts(dateFilter, params);
+    let filter = dateFilter;
+    if (locationIds) {
+      params.push(locationIds);
+      filter += ` AND s.location_id = ANY($${params.length}::int[])`;
+    }
+    const salesWithCosts = await this.salesRepo.findSalesWithCosts(filter, params);
 
     // Process sales with pre-computed costs
     const processedSales = salesWithCosts.map((sale) => {
@@ -237,9 +262,10 @@ class SalesService {
   /**
    * Calculate daily profit
    * @param {string} date
+   * @param {number} [locationId]
    */
-  async calculateDailyProfit(date) {
-    const { sql, params } = { sql: 's.date = $1', params: [date] };
+  async calculateDailyProfit(date, locationId = DEFAULT_LOCATION_ID) {
+    const { sql, params } = { sql: 's.date = $1 AND s.location_id = $2', params: [date, locationId] };
     const salesWithCosts = await this.salesRepo.findSalesWithCosts(sql, params);
 
     let totalProfit = 0;
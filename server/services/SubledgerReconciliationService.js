@@ -0,0 +1,421 @@
+/**
+ * SubledgerReconciliationService
+ * Compares each subledger with its GL control account as of a date:
+ *   accounts_payable - open accounts_payable balances vs Accounts Payable (2000)
+ *   inventory        - inventory_levels value vs Food Inventory (1200)
+ *   card_receivable  - POS settlement card sales, less deposits booked to the account, vs 1100
+ *   gift_cards       - gift cards sold (daily revenue) less POS redemptions vs Gift Cards Outstanding (2400)
+ *
+ * Balances are positive in the account's normal direction. Every unmatched document carries the
+ * amount it contributes to the difference (subledger - GL), so the documents add up to the
+ * difference; anything they don't explain is reported as `unexplained` (for inventory, the drift
+ * between stored values and movement costs).
+ */
+const { NotFoundError } = require('../utils/errors');
+
+const CONTROLS = {
+  accounts_payable: {
+    account_number: '2000',
+    normal: 'credit',
+    label: 'Accounts payable',
+    method: 'accountsPayable',
+  },
+  inventory: { account_number: '1200', normal: 'debit', label: 'Inventory', method: 'inventory' },
+  card_receivable: {
+    account_number: '1100',
+    normal: 'debit',
+    label: 'Card sales receivable',
+    method: 'cardReceivable',
+  },
+  gift_cards: { account_number: '2400', normal: 'credit', label: 'Gift card liability', method: 'giftCards' },
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const num = (v) => parseFloat(v) || 0;
+
+/**
+ * Per-type counts and totals, then the largest documents (limit 0 = summary only)
+ */
+function finalize(documents, limit) {
+  const summary = new Map();
+  for (const d of documents) {
+    const s = summary.get(d.type) || { type: d.type, count: 0, amount: 0 };
+    s.count += 1;
+    s.amount += d.amount;
+    summary.set(d.type, s);
+  }
+  return {
+    summary: [...summary.values()].map((s) => ({ ...s, amount: round2(s.amount) })),
+    documents: [...documents].sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount)).slice(0, limit),
+  };
+}
+
+class SubledgerReconciliationService {
+  /**
+   * @param {import('pg').Pool} pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Every control account, without documents
+   * @param {string} asOfDate - YYYY-MM-DD
+   */
+  async reconcileAll(asOfDate) {
+    const results = [];
+    for (const key of Object.keys(CONTROLS)) {
+      const result = await this.reconcile(key, asOfDate, { limit: 0 });
+      delete result.documents;
+      results.push(result);
+    }
+    return {
+      as_of_date: asOfDate,
+      reconciliations: results,
+      is_reconciled: results.every((r) => r.is_reconciled),
+    };
+  }
+
+  /**
+   * One control account with its unmatched documents
+   * @param {string} key - see CONTROLS
+   * @param {string} asOfDate - YYYY-MM-DD
+   * @param {{limit?: number}} [options] - documents to return (largest first)
+   */
+  async reconcile(key, asOfDate, { limit = 200 } = {}) {
+    const control = CONTROLS[key];
+    if (!control) {
+      throw new NotFoundError(`Reconciliation ${key}`);
+    }
+    const account = await this.controlAccount(control, asOfDate);
+    const detail = await this[control.method](account, asOfDate, limit);
+
+    const difference = round2(detail.subledger_balance - account.balance);
+    const explained = round2(detail.summary.reduce((sum, s) => sum + s.amount, 0));
+    return {
+      key,
+      label: control.label,
+      as_of_date: asOfDate,
+      account_id: account.id,
+      account_number: control.account_number,
+      account_name: account.name,
+      subledger_balance: round2(detail.subledger_balance),
+      gl_balance: round2(account.balance),
+      difference,
+      is_reconciled: difference === 0,
+      explained,
+      unexplained: round2(difference - explained),
+      summary: detail.summary,
+      documents: detail.documents,
+    };
+  }
+
+  /**
+   * Control account and its GL balance (in its normal direction) as of the date
+   */
+  async controlAccount(control, asOfDate) {
+    const result = await this.pool.query(
+      `SELECT a.id, a.name,
+              COALESCE((
+                SELECT SUM(jel.debit - jel.credit)
+                FROM journal_entry_lines jel
+                JOIN journal_entries je ON je.id = jel.journal_entry_id
+                WHERE jel.account_id = a.id AND je.entry_date <= $2
+              ), 0) as debit_balance
+       FROM accounts a WHERE a.account_number = $1`,
+      [control.account_number, asOfDate]
+    );
+    const account = result.rows[0];
+    if (!account) {
+      throw new NotFoundError(`Account ${control.account_number}`);
+    }
+    const debitBalance = num(account.debit_balance);
+    return { id: account.id, name: account.name, balance: control.normal === 'debit' ? debitBalance : -debitBalance };
+  }
+
+  /**
+   * Lines on the control account from entries the subledger doesn't produce (manual entries,
+   * reversals, imports...), as documents. sign converts debit - credit into subledger - GL.
+   */
+  async unmatchedGlLines(account, asOfDate, referenceTypes, sign, filter = '') {
+    const result = await this.pool.query(
+      `SELECT je.id, je.entry_date::text, je.description, je.reference_type, jel.debit, jel.credit
+       FROM journal_entry_lines jel
+       JOIN journal_entries je ON je.id = jel.journal_entry_id
+       WHERE jel.account_id = $1 AND je.entry_date <= $2
+         AND COALESCE(je.reference_type, '') <> ALL($3::text[])${filter}
+       ORDER BY je.entry_date, je.id`,
+      [account.id, asOfDate, referenceTypes]
+    );
+    return result.rows.map((r) => ({
+      type: 'gl_only',
+      document_type: 'journal_entry',
+      document_id: r.id,
+      date: r.entry_date,
+      reference: r.reference_type,
+      description: r.description,
+      amount: round2(sign * (num(r.debit) - num(r.credit))),
+    }));
+  }
+
+  // ============================================
+  // SUBLEDGERS
+  // ============================================
+
+  /**
+   * Payables invoiced by the date, less payments made by then. Payments outside payment batches
+   * aren't dated, so they count as made before the date.
+   */
+  async accountsPayable(account, asOfDate, limit) {
+    const result = await this.pool.query(
+      `SELECT ap.id, ap.invoice_number, ap.invoice_date::text, ap.amount, ap.amount_paid,
+              v.name as vendor_name, ai.id as ap_invoice_id, ai.journal_entry_id,
+              COALESCE(paid.after, 0) as paid_after, COALESCE(paid.by_date, 0) as batch_paid,
+              COALESCE(posted.amount, 0) as posted_amount
+       FROM accounts_payable ap
+       JOIN vendors v ON v.id = ap.vendor_id
+       LEFT JOIN ap_invoices ai ON ai.accounts_payable_id = ap.id
+       LEFT JOIN LATERAL (
+         SELECT SUM(pbi.amount) FILTER (WHERE pb.batch_date > $1) as after,
+                SUM(pbi.amount) FILTER (WHERE pb.batch_date <= $1) as by_date
+         FROM payment_batch_items pbi
+         JOIN payment_batches pb ON pb.id = pbi.batch_id
+         WHERE pbi.accounts_payable_id = ap.id AND pbi.status = 'paid'
+       ) paid ON true
+       LEFT JOIN LATERAL (
+         SELECT SUM(jel.credit - jel.debit) as amount
+         FROM journal_entry_lines jel
+         JOIN journal_entries je ON je.id = jel.journal_entry_id
+         WHERE je.id = ai.journal_entry_id AND jel.account_id = $2 AND je.entry_date <= $1
+       ) posted ON true
+       WHERE ap.invoice_date <= $1
+       ORDER BY ap.invoice_date, ap.id`,
+      [asOfDate, account.id]
+    );
+
+    let subledger = 0;
+    const documents = [];
+    for (const r of result.rows) {
+      const amount = num(r.amount);
+      const paid = num(r.amount_paid) - num(r.paid_after);
+      const paidOutsideBatches = round2(paid - num(r.batch_paid));
+      const notPosted = round2(amount - num(r.posted_amount));
+      subledger += amount - paid;
+
+      const document = {
+        document_type: 'accounts_payable',
+        document_id: r.id,
+        date: r.invoice_date,
+        reference: r.invoice_number,
+        description: r.vendor_name,
+        ap_invoice_id: r.ap_invoice_id,
+        journal_entry_id: r.journal_entry_id,
+      };
+      if (notPosted !== 0) {
+        documents.push({
+          ...document,
+          type: r.journal_entry_id ? 'posted_amount_mismatch' : 'payable_not_posted',
+          amount: notPosted,
+        });
+      }
+      if (paidOutsideBatches !== 0) {
+        // Marked paid without a payment batch, so no GL payment entry
+        documents.push({ ...document, type: 'payment_not_posted', amount: -paidOutsideBatches });
+      }
+    }
+
+    documents.push(...(await this.unmatchedGlLines(account, asOfDate, ['ap_invoice', 'payment'], 1)));
+    return { subledger_balance: subledger, ...finalize(documents, limit) };
+  }
+
+  /**
+   * Current inventory value with movements after the date backed out at their own cost
+   */
+  async inventory(account, asOfDate, limit) {
+    const [levels, later] = await Promise.all([
+      this.pool.query('SELECT COALESCE(SUM(total_value), 0) as value FROM inventory_levels'),
+      this.pool.query(
+        `SELECT COALESCE(SUM(quantity * COALESCE(unit_cost, 0)), 0) as value
+         FROM inventory_movements WHERE movement_date > $1`,
+        [asOfDate]
+      ),
+    ]);
+    const subledger = num(levels.rows[0].value) - num(later.rows[0].value);
+
+    // Movements through the date that never reached the GL: everything except transfers
+    // posted with post_to_gl
+    const unposted = `FROM inventory_movements m
+      JOIN ingredients i ON i.id = m.ingredient_id
+      WHERE m.movement_date <= $1
+        AND NOT (m.reference_type = 'transfer' AND EXISTS (
+          SELECT 1 FROM journal_entries je
+          WHERE je.reference_type = 'inventory_transfer' AND je.reference_id = m.reference_id))
+        AND ROUND(m.quantity * COALESCE(m.unit_cost, 0), 2) <> 0`;
+    const [byType, movements] = await Promise.all([
+      this.pool.query(
+        `SELECT m.movement_type, COUNT(*)::int as count,
+                SUM(ROUND(m.quantity * COALESCE(m.unit_cost, 0), 2)) as amount
+         ${unposted}
+         GROUP BY m.movement_type`,
+        [asOfDate]
+      ),
+      limit > 0
+        ? this.pool.query(
+          `SELECT m.id, m.movement_type, m.movement_date::text, m.reference_type, m.reference_id,
+                  m.location_id, i.name as ingredient_name,
+                  ROUND(m.quantity * COALESCE(m.unit_cost, 0), 2) as amount
+           ${unposted}
+           ORDER BY ABS(m.quantity * COALESCE(m.unit_cost, 0)) DESC
+           LIMIT $2`,
+          [asOfDate, limit]
+        )
+        : { rows: [] },
+    ]);
+
+    const glOnly = finalize(
+      await this.unmatchedGlLines(account, asOfDate, ['inventory_transfer'], -1),
+      limit
+    );
+    const documents = [
+      ...movements.rows.map((m) => ({
+        type: `${m.movement_type}_not_posted`,
+        document_type: 'inventory_movement',
+        document_id: m.id,
+        date: m.movement_date,
+        reference: m.reference_type ? `${m.reference_type} ${m.reference_id}` : null,
+        description: m.ingredient_name,
+        location_id: m.location_id,
+        amount: num(m.amount),
+      })),
+      ...glOnly.documents,
+    ];
+
+    return {
+      subledger_balance: subledger,
+      summary: [
+        ...byType.rows.map((r) => ({ type: `${r.movement_type}_not_posted`, count: r.count, amount: round2(num(r.amount)) })),
+        ...glOnly.summary,
+      ],
+      documents: documents.sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount)).slice(0, limit),
+    };
+  }
+
+  /**
+   * POS card sales settled by the date, less the deposits (credits) booked against the account
+   */
+  async cardReceivable(account, asOfDate, limit) {
+    const settlements = await this.settlements(account, asOfDate, 'card_sales');
+    const deposits = await this.pool.query(
+      `SELECT COALESCE(SUM(jel.credit), 0) as credits
+       FROM journal_entry_lines jel
+       JOIN journal_entries je ON je.id = jel.journal_entry_id
+       WHERE jel.account_id = $1 AND je.entry_date <= $2
+         AND COALESCE(je.reference_type, '') <> 'pos_settlement'`,
+      [account.id, asOfDate]
+    );
+
+    const documents = settlements
+      .map((s) => ({ ...s.document, amount: round2(num(s.card_sales) - num(s.posted)) }))
+      .filter((d) => d.amount !== 0);
+    documents.push(
+      ...(await this.unmatchedGlLines(account, asOfDate, ['pos_settlement'], -1, ' AND jel.debit > 0'))
+    );
+
+    const cardSales = settlements.reduce((sum, s) => sum + num(s.card_sales), 0);
+    return {
+      subledger_balance: cardSales - num(deposits.rows[0].credits),
+      ...finalize(documents, limit),
+    };
+  }
+
+  /**
+   * Gift cards sold (daily revenue) less gift cards redeemed (POS settlements) by the date
+   */
+  async giftCards(account, asOfDate, limit) {
+    const settlements = await this.settlements(account, asOfDate, 'gift_card_sales');
+    const sales = await this.pool.query(
+      `SELECT d.date::text, d.sold, COALESCE(gl.credited, 0) as credited
+       FROM (
+         SELECT date, SUM(gift_card_sales) as sold FROM daily_revenue
+         WHERE date <= $2 GROUP BY date
+       ) d
+       FULL OUTER JOIN (
+         SELECT je.entry_date, SUM(jel.credit) as credited
+         FROM journal_entry_lines jel
+         JOIN journal_entries je ON je.id = jel.journal_entry_id
+         WHERE jel.account_id = $1 AND je.entry_date <= $2 AND jel.credit > 0
+           AND COALESCE(je.reference_type, '') <> 'pos_settlement'
+         GROUP BY je.entry_date
+       ) gl ON gl.entry_date = d.date
+       ORDER BY 1`,
+      [account.id, asOfDate]
+    );
+
+    const documents = [];
+    let sold = 0;
+    for (const r of sales.rows) {
+      sold += num(r.sold);
+      const amount = round2(num(r.sold) - num(r.credited));
+      if (amount !== 0) {
+        documents.push({
+          type: 'gift_card_sales_not_posted',
+          document_type: 'daily_revenue',
+          document_id: null,
+          date: r.date,
+          reference: null,
+          description: `Gift cards sold ${num(r.sold).toFixed(2)}, credited to the liability ${num(r.credited).toFixed(2)}`,
+          amount,
+        });
+      }
+    }
+    // Redemptions reduce the liability: (redeemed - posted) is missing from the GL's debits
+    documents.push(
+      ...settlements
+        .map((s) => ({ ...s.document, amount: -round2(num(s.gift_card_sales) - num(s.posted)) }))
+        .filter((d) => d.amount !== 0)
+    );
+    documents.push(
+      ...(await this.unmatchedGlLines(account, asOfDate, ['pos_settlement'], 1, ' AND jel.debit > 0'))
+    );
+
+    const redeemed = settlements.reduce((sum, s) => sum + num(s.gift_card_sales), 0);
+    return { subledger_balance: sold - redeemed, ...finalize(documents, limit) };
+  }
+
+  /**
+   * POS settlements through the date with the amount their GL entry posted to the account
+   * (debits, for card sales and gift card redemptions alike)
+   */
+  async settlements(account, asOfDate, column) {
+    const result = await this.pool.query(
+      `SELECT s.id, s.settlement_date::text, s.is_posted, s.location_id, s.card_sales, s.gift_card_sales,
+              c.name as pos_name,
+              COALESCE((
+                SELECT SUM(jel.debit - jel.credit)
+                FROM journal_entry_lines jel
+                JOIN journal_entries je ON je.id = jel.journal_entry_id
+                WHERE je.reference_type = 'pos_settlement' AND je.reference_id = s.id
+                  AND jel.account_id = $1 AND je.entry_date <= $2
+              ), 0) as posted
+       FROM pos_settlements s
+       LEFT JOIN pos_configurations c ON c.id = s.pos_config_id
+       WHERE s.settlement_date <= $2 AND (s.${column} <> 0 OR s.is_posted)
+       ORDER BY s.settlement_date, s.id`,
+      [account.id, asOfDate]
+    );
+    return result.rows.map((s) => ({
+      ...s,
+      document: {
+        type: s.is_posted ? 'posted_amount_mismatch' : 'settlement_not_posted',
+        document_type: 'pos_settlement',
+        document_id: s.id,
+        date: s.settlement_date,
+        reference: s.pos_name,
+        description: `POS settlement ${s.settlement_date}`,
+        location_id: s.location_id,
+      },
+    }));
+  }
+}
+
+module.exports = SubledgerReconciliationService;
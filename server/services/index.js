@@ -9,11 +9,23 @@ const SalesService = require('./SalesService');
 
 // Module-based services (direct exports, no DI)
 const PostingService = require('./PostingService');
+const ConsolidationService = require('./ConsolidationService');
+const PeriodCloseService = require('./PeriodCloseService');
+const RecurringJournalService = require('./RecurringJournalService');
+const CashFlowService = require('./CashFlowService');
+const ChartOfAccountsService = require('./ChartOfAccountsService');
+const ComparativeStatementService = require('./ComparativeStatementService');
+const GLImportService = require('./GLImportService');
+const GLExportService = require('./GLExportService');
+const SubledgerReconciliationService = require('./SubledgerReconciliationService');
+const ExpensePostingService = require('./ExpensePostingService');
 const InventoryService = require('./InventoryService');
 const APService = require('./APService');
 const LaborService = require('./LaborService');
 const AuthService = require('./AuthService');
+const ApiKeyService = require('./ApiKeyService');
 const PosService = require('./PosService');
+const EncryptionService = require('./EncryptionService');
 
 /**
  * Create all services with dependencies
@@ -34,10 +46,22 @@ module.exports = {
   createServices,
   // Module-based services
   PostingService,
+  ConsolidationService,
+  PeriodCloseService,
+  RecurringJournalService,
+  CashFlowService,
+  ChartOfAccountsService,
+  ComparativeStatementService,
+  GLImportService,
+  GLExportService,
+  SubledgerReconciliationService,
+  ExpensePostingService,
   InventoryService,
   APService,
   LaborService,
   AuthService,
+  ApiKeyService,
   PosService,
+  EncryptionService,
 };
 
@@ -0,0 +1,189 @@
+/**
+ * Audit helpers
+ * Request-scoped audit context (AsyncLocalStorage), record diffs and audit_log writes
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const { dbLogger } = require('./logger');
+
+const auditStorage = new AsyncLocalStorage();
+
+/**
+ * Columns never copied into audit_log
+ */
+const REDACTED_COLUMNS = [
+  'password_hash',
+  'token_hash',
+  'key_hash',
+  'mfa_secret',
+  'ssn_last_four',
+  'routing_number',
+  'api_key_encrypted',
+  'webhook_secret',
+  'file_data',
+];
+
+/**
+ * Columns whose changes alone don't make an update worth diffing
+ */
+const IGNORED_DIFF_COLUMNS = ['updated_at'];
+
+/**
+ * Acting user + request metadata for audit_log entries
+ * @param {import('express').Request} req
+ */
+function auditContext(req) {
+  return {
+    user: req.user || null,
+    ip_address: req.ip || null,
+    user_agent: req.headers['user-agent'] || null,
+    request_id: req.id || null,
+  };
+}
+
+/**
+ * Run fn with an audit context visible to repositories via getAuditContext()
+ */
+function runWithAuditContext(context, fn) {
+  return auditStorage.run(context, fn);
+}
+
+/**
+ * Audit context of the current request (empty outside a request)
+ */
+function getAuditContext() {
+  return auditStorage.getStore() || {};
+}
+
+/**
+ * Copy of a row with sensitive columns masked
+ */
+function redact(row) {
+  if (!row) {return null;}
+  const copy = { ...row };
+  for (const column of REDACTED_COLUMNS) {
+    if (copy[column] !== undefined && copy[column] !== null) {
+      copy[column] = '[REDACTED]';
+    }
+  }
+  return copy;
+}
+
+function normalizeValue(value) {
+  if (value instanceof Date) {return value.toISOString();}
+  if (value !== null && typeof value === 'object') {return JSON.stringify(value);}
+  return value;
+}
+
+/**
+ * Diff two versions of a record
+ * @returns {{old_values: Object|null, new_values: Object|null, changed: boolean}}
+ */
+function diffRecords(before, after) {
+  if (!before || !after) {
+    return { old_values: redact(before), new_values: redact(after), changed: true };
+  }
+
+  const oldValues = {};
+  const newValues = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const key of keys) {
+    if (IGNORED_DIFF_COLUMNS.includes(key)) {continue;}
+    if (normalizeValue(before[key]) !== normalizeValue(after[key])) {
+      oldValues[key] = before[key];
+      newValues[key] = after[key];
+    }
+  }
+
+  const changed = Object.keys(newValues).length > 0;
+  return {
+    old_values: changed ? redact(oldValues) : null,
+    new_values: changed ? redact(newValues) : null,
+    changed,
+  };
+}
+
+/**
+ * Insert an audit_log row
+ * @param {import('pg').Pool|import('pg').PoolClient} client
+ * @returns {Promise<number>} audit_log id
+ */
+async function writeAuditEntry(client, input) {
+  const {
+    user_id = null,
+    user_email = null,
+    action,
+    resource,
+    resource_id = null,
+    old_values = null,
+    new_values = null,
+    ip_address = null,
+    user_agent = null,
+    request_id = null,
+  } = input;
+
+  const result = await client.query(
+    `INSERT INTO audit_log (
+       user_id, user_email, action, resource, resource_id,
+       old_values, new_values, ip_address, user_agent, request_id
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING id`,
+    [
+      user_id,
+      user_email,
+      action,
+      resource,
+      resource_id,
+      old_values ? JSON.stringify(old_values) : null,
+      new_values ? JSON.stringify(new_values) : null,
+      ip_address,
+      user_agent,
+      request_id,
+    ]
+  );
+
+  return result.rows[0].id;
+}
+
+/**
+ * Record a before/after change for a table row using the current audit context.
+ * Failures are logged, never thrown: auditing must not break the write it describes.
+ * @param {import('pg').Pool|import('pg').PoolClient} client
+ * @param {{table: string, action: string, record_id: number, before?: Object, after?: Object}} change
+ * @param {Object} [context] - explicit context (defaults to getAuditContext())
+ */
+async function recordChange(client, change, context = getAuditContext()) {
+  const { table, action, record_id, before = null, after = null } = change;
+  const diff = diffRecords(before, after);
+  if (!diff.changed) {return null;}
+
+  const user = context.user || {};
+  try {
+    return await writeAuditEntry(client, {
+      user_id: user.id || null,
+      user_email: user.email || null,
+      action,
+      resource: table,
+      resource_id: record_id ? parseInt(record_id, 10) : null,
+      old_values: diff.old_values,
+      new_values: diff.new_values,
+      ip_address: context.ip_address,
+      user_agent: context.user_agent,
+      request_id: context.request_id,
+    });
+  } catch (err) {
+    dbLogger.error({ error: err.message, table, action, record_id }, 'Failed to write audit entry');
+    return null;
+  }
+}
+
+module.exports = {
+  REDACTED_COLUMNS,
+  auditContext,
+  runWithAuditContext,
+  getAuditContext,
+  redact,
+  diffRecords,
+  writeAuditEntry,
+  recordChange,
+};
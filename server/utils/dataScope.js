@@ -0,0 +1,114 @@
+/**
+ * Row-level data scoping for employee data (labor, payroll, tips)
+ *
+ * A user's scope comes from their role and users.employee_id:
+ * - 'all':        admin, accountant and API keys (API keys are limited by their scopes instead);
+ *                 also managers with no linked employee/department (general managers)
+ * - 'department': managers linked to an employee with a department see that department
+ * - 'self':       everyone else sees only their own employee record (nothing if unlinked)
+ */
+const { ForbiddenError } = require('./errors');
+
+const UNRESTRICTED_ROLES = ['admin', 'accountant', 'api_key'];
+
+/**
+ * Resolve the data scope of a user
+ * @param {import('pg').Pool|import('pg').PoolClient} client
+ * @param {Object} user - req.user
+ * @returns {Promise<{level: 'all'|'department'|'self', employeeId: number|null, department: string|null}>}
+ */
+async function resolveDataScope(client, user) {
+  const employeeId = user.employee_id || null;
+  if (UNRESTRICTED_ROLES.includes(user.role)) {
+    return { level: 'all', employeeId, department: null };
+  }
+
+  let department = null;
+  if (employeeId) {
+    const result = await client.query('SELECT department FROM employees WHERE id = $1', [
+      employeeId,
+    ]);
+    department = result.rows[0]?.department || null;
+  }
+
+  if (user.role === 'manager') {
+    return department
+      ? { level: 'department', employeeId, department }
+      : { level: 'all', employeeId, department: null };
+  }
+  return { level: 'self', employeeId, department };
+}
+
+/**
+ * SQL condition (prefixed with AND) limiting rows to the scope; pushes its parameter
+ * @param {Object} scope - from resolveDataScope
+ * @param {Array} params - query parameters, appended to
+ * @param {Object} [columns]
+ * @param {string} [columns.employee='e.id'] - employee id column
+ * @param {string} [columns.department='e.department'] - employees.department column
+ */
+function scopeClause(scope, params, { employee = 'e.id', department = 'e.department' } = {}) {
+  if (!scope || scope.level === 'all') {return '';}
+
+  if (scope.level === 'department') {
+    params.push(scope.department);
+    return ` AND ${department} = $${params.length}`;
+  }
+
+  if (!scope.employeeId) {return ' AND FALSE';}
+  params.push(scope.employeeId);
+  return ` AND ${employee} = $${params.length}`;
+}
+
+/**
+ * Whether an employee falls inside the scope
+ */
+async function canAccessEmployee(client, scope, employeeId) {
+  if (!scope || scope.level === 'all') {return true;}
+  if (scope.level === 'self') {
+    return Boolean(scope.employeeId) && Number(employeeId) === Number(scope.employeeId);
+  }
+
+  const result = await client.query('SELECT department FROM employees WHERE id = $1', [
+    employeeId,
+  ]);
+  return result.rows[0]?.department === scope.department;
+}
+
+/**
+ * Throw ForbiddenError unless the employee falls inside the scope
+ */
+async function assertEmployeeInScope(client, scope, employeeId) {
+  if (!(await canAccessEmployee(client, scope, employeeId))) {
+    throw new ForbiddenError('Employee is outside your data scope');
+  }
+}
+
+/**
+ * Throw ForbiddenError unless the scope covers a whole department (new employees)
+ */
+function assertDepartmentInScope(scope, department) {
+  if (!scope || scope.level === 'all') {return;}
+  if (scope.level !== 'department' || department !== scope.department) {
+    throw new ForbiddenError('Department is outside your data scope');
+  }
+}
+
+/**
+ * Throw ForbiddenError unless the scope is unrestricted (operations spanning all employees)
+ */
+function assertUnrestrictedScope(scope) {
+  if (scope && scope.level !== 'all') {
+    throw new ForbiddenError('This operation spans all employees');
+  }
+}
+
+module.exports = {
+  UNRESTRICTED_ROLES,
+  resolveDataScope,
+  scopeClause,
+  canAccessEmployee,
+  assertEmployeeInScope,
+  assertDepartmentInScope,
+  assertUnrestrictedScope,
+};
@@ -0,0 +1,96 @@
+/**
+ * Reporting dimensions on journal lines: department, daypart and class
+ *
+ * department uses the payroll departments, daypart is the meal period and class is free-form
+ * (e.g. 'bar', 'kitchen', 'catering'). Posting sources pass their own values; a line left
+ * blank falls back to the entry's defaults, then to the account's default_department /
+ * default_class. Reports treat lines without a value as 'unassigned'.
+ */
+const DIMENSIONS = ['department', 'daypart', 'class'];
+const DAYPARTS = ['breakfast', 'lunch', 'dinner', 'late_night', 'all_day'];
+const UNASSIGNED = 'unassigned';
+
+/**
+ * Fill each line's blank dimensions from defaults, then from its account
+ * @param {import('pg').Pool|import('pg').PoolClient} client
+ * @param {Array<{account_id: number}>} lines
+ * @param {{department?: string, daypart?: string, class?: string}} [defaults]
+ */
+async function applyDimensionDefaults(client, lines, defaults = {}) {
+  const result = await client.query(
+    'SELECT id, default_department, default_class FROM accounts WHERE id = ANY($1::int[])',
+    [[...new Set(lines.map((l) => Number(l.account_id)))]]
+  );
+  const accounts = new Map(result.rows.map((a) => [a.id, a]));
+
+  return lines.map((l) => {
+    const account = accounts.get(Number(l.account_id)) || {};
+    return {
+      ...l,
+      department: l.department || defaults.department || account.default_department || null,
+      daypart: l.daypart || defaults.daypart || null,
+      class: l.class || defaults.class || account.default_class || null,
+    };
+  });
+}
+
+/**
+ * SQL conditions (each prefixed with AND) for ?department=&daypart=&class= filters; the value
+ * 'unassigned' matches lines without one. Pushes its parameters.
+ * @param {Object} filters - query with optional dimension values
+ * @param {Array} params - query parameters, appended to
+ * @param {string} [alias] - journal_entry_lines alias
+ */
+function dimensionClause(filters, params, alias = 'jel') {
+  let sql = '';
+  for (const dimension of DIMENSIONS) {
+    const value = filters[dimension];
+    if (!value) {continue;}
+    if (value === UNASSIGNED) {
+      sql += ` AND ${alias}.${dimension} IS NULL`;
+    } else {
+      params.push(value);
+      sql += ` AND ${alias}.${dimension} = $${params.length}`;
+    }
+  }
+  return sql;
+}
+
+/**
+ * Collapse rows grouped by (account, dimension) into one row per account. Each field is summed
+ * into the account row and into by_dimension[value] ('unassigned' for lines without one).
+ * @param {Array<Object>} rows - ordered by account, carrying a `dimension` column
+ * @param {string[]} fields - numeric columns to sum
+ * @returns {{columns: string[], rows: Array<Object>}}
+ */
+function collapseByDimension(rows, fields) {
+  const zero = () => Object.fromEntries(fields.map((f) => [f, 0]));
+  const accounts = new Map();
+  const columns = new Set();
+
+  for (const { dimension, ...row } of rows) {
+    const key = dimension || UNASSIGNED;
+    if (!accounts.has(row.account_id)) {
+      accounts.set(row.account_id, { ...row, ...zero(), by_dimension: {} });
+    }
+    const account = accounts.get(row.account_id);
+    account.by_dimension[key] = account.by_dimension[key] || zero();
+    for (const f of fields) {
+      const value = parseFloat(row[f]) || 0;
+      account[f] += value;
+      account.by_dimension[key][f] += value;
+    }
+    columns.add(key);
+  }
+
+  return { columns: [...columns].sort(), rows: [...accounts.values()] };
+}
+
+module.exports = {
+  DIMENSIONS,
+  DAYPARTS,
+  UNASSIGNED,
+  applyDimensionDefaults,
+  dimensionClause,
+  collapseByDimension,
+};
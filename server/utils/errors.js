@@ -92,6 +92,16 @@ class ForbiddenError extends AppError {
   }
 }
 
+/**
+ * Too many requests error (429)
+ */
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', retryAfterSeconds = null) {
+    super(message, 429, 'TOO_MANY_REQUESTS');
+    this.details = retryAfterSeconds ? { retry_after_seconds: retryAfterSeconds } : null;
+  }
+}
+
 /**
  * Wrap async route handlers to catch errors
  * @param {Function} fn - Async route handler
@@ -111,6 +121,7 @@ module.exports = {
   ServiceUnavailableError,
   UnauthorizedError,
   ForbiddenError,
+  TooManyRequestsError,
   asyncHandler,
 };
 
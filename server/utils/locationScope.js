@@ -0,0 +1,100 @@
+/**
+ * Per-user location access for multi-location data (sales, expenses, inventory, labor, POS, GL)
+ *
+ * Admins and API keys see every location. Other users see the locations assigned to them in
+ * user_locations; a user with no assignments sees every location, so single-store setups need
+ * no configuration. Rows written without a location belong to the seeded MAIN location.
+ */
+const { ForbiddenError, ValidationError } = require('./errors');
+
+const DEFAULT_LOCATION_ID = 1;
+const ALL_LOCATION_ROLES = ['admin', 'api_key'];
+
+/**
+ * Resolve the locations a user may access
+ * @param {import('pg').Pool|import('pg').PoolClient} client
+ * @param {Object} user - req.user
+ * @returns {Promise<{all: boolean, locationIds: number[]}>}
+ */
+async function resolveLocationScope(client, user) {
+  if (ALL_LOCATION_ROLES.includes(user.role)) {
+    return { all: true, locationIds: [] };
+  }
+
+  const result = await client.query(
+    'SELECT location_id FROM user_locations WHERE user_id = $1 ORDER BY location_id',
+    [user.id]
+  );
+  const locationIds = result.rows.map((r) => r.location_id);
+  return { all: locationIds.length === 0, locationIds };
+}
+
+/**
+ * Whether a location falls inside the scope
+ */
+function canAccessLocation(scope, locationId) {
+  if (!scope || scope.all) {return true;}
+  return scope.locationIds.includes(Number(locationId));
+}
+
+/**
+ * Throw ForbiddenError unless the location falls inside the scope
+ */
+function assertLocationAccess(scope, locationId) {
+  if (!canAccessLocation(scope, locationId)) {
+    throw new ForbiddenError('Location is outside your access');
+  }
+}
+
+/**
+ * Locations a read is limited to: the requested one (checked), the scope's, or null for all
+ * @param {Object} scope - from resolveLocationScope
+ * @param {number|null} [locationId] - ?location_id filter
+ * @returns {number[]|null}
+ */
+function locationFilterIds(scope, locationId = null) {
+  if (locationId) {
+    assertLocationAccess(scope, locationId);
+    return [Number(locationId)];
+  }
+  if (!scope || scope.all) {return null;}
+  return scope.locationIds;
+}
+
+/**
+ * SQL condition (prefixed with AND) limiting rows to locationFilterIds; pushes its parameter
+ * @param {Object} scope - from resolveLocationScope
+ * @param {Array} params - query parameters, appended to
+ * @param {string} column - location id column
+ * @param {number|null} [locationId] - ?location_id filter
+ */
+function locationClause(scope, params, column, locationId = null) {
+  const locationIds = locationFilterIds(scope, locationId);
+  if (!locationIds) {return '';}
+  params.push(locationIds);
+  return ` AND ${column} = ANY($${params.length}::int[])`;
+}
+
+/**
+ * Location for a new row: the requested one, else the user's only location, else MAIN
+ */
+function resolveWriteLocation(scope, locationId = null) {
+  if (locationId) {
+    assertLocationAccess(scope, locationId);
+    return locationId;
+  }
+
+  if (!scope || scope.all) {return DEFAULT_LOCATION_ID;}
+  if (scope.locationIds.length === 1) {return scope.locationIds[0];}
+  throw new ValidationError('location_id is required', { allowed: scope.locationIds });
+}
+
+module.exports = {
+  DEFAULT_LOCATION_ID,
+  resolveLocationScope,
+  canAccessLocation,
+  assertLocationAccess,
+  locationFilterIds,
+  locationClause,
+  resolveWriteLocation,
+};
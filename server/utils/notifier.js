@@ -0,0 +1,71 @@
+/**
+ * Notifier
+ * Pluggable delivery for user notifications (password resets, etc.).
+ * - 'outbox': writes each message as JSON under NOTIFIER_OUTBOX_DIR (development)
+ * - 'webhook': POSTs the message to NOTIFIER_WEBHOOK_URL (hand off to an email/SMS gateway)
+ * Other transports can be added with registerTransport().
+ */
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { notifications: notifierConfig } = require('../config');
+const { AppError } = require('./errors');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('notifier');
+const transports = new Map();
+
+/**
+ * Register a delivery transport
+ * @param {string} name - value of NOTIFIER_TRANSPORT that selects it
+ * @param {(message: Object) => Promise<void>} send
+ */
+function registerTransport(name, send) {
+  transports.set(name, send);
+}
+
+registerTransport('outbox', async (message) => {
+  const dir = path.resolve(notifierConfig.outboxDir);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const file = path.join(dir, `${Date.now()}-${message.id}.json`);
+  await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+  logger.info({ to: message.to, type: message.type, file }, 'Notification written to outbox');
+});
+
+registerTransport('webhook', async (message) => {
+  if (!notifierConfig.webhookUrl) {
+    throw new AppError('NOTIFIER_WEBHOOK_URL is not configured', 500, 'NOTIFIER_NOT_CONFIGURED');
+  }
+  const response = await fetch(notifierConfig.webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(message),
+  });
+  if (!response.ok) {
+    throw new AppError(`Notification webhook returned ${response.status}`, 502, 'NOTIFIER_FAILED');
+  }
+});
+
+/**
+ * Deliver a notification through the configured transport
+ * @param {{to: string, type: string, subject: string, text: string, data?: Object}} message
+ */
+async function notify(message) {
+  const send = transports.get(notifierConfig.transport);
+  if (!send) {
+    throw new AppError(
+      `Unknown notifier transport "${notifierConfig.transport}"`,
+      500,
+      'NOTIFIER_NOT_CONFIGURED'
+    );
+  }
+
+  const envelope = { id: uuidv4(), created_at: new Date().toISOString(), ...message };
+  await send(envelope);
+  return envelope.id;
+}
+
+module.exports = {
+  registerTransport,
+  notify,
+};
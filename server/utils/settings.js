@@ -0,0 +1,39 @@
+/**
+ * Business settings helpers
+ * Typed reads from the business_settings key/value table
+ */
+
+/**
+ * Parse a stored setting value according to its setting_type
+ */
+function parseSettingValue(value, type) {
+  if (type === 'number') {return parseFloat(value);}
+  if (type === 'boolean') {return value === 'true';}
+  if (type === 'json') {return JSON.parse(value || '{}');}
+  return value;
+}
+
+/**
+ * Read a single business setting
+ * @param {import('pg').Pool|import('pg').PoolClient} client - pool or transaction client
+ * @param {string} key - setting_key
+ * @param {*} defaultValue - returned when the setting is missing or empty
+ */
+async function getSetting(client, key, defaultValue = null) {
+  const result = await client.query(
+    'SELECT setting_value, setting_type FROM business_settings WHERE setting_key = $1',
+    [key]
+  );
+  const row = result.rows[0];
+  if (!row || row.setting_value === null || row.setting_value === '') {
+    return defaultValue;
+  }
+
+  const value = parseSettingValue(row.setting_value, row.setting_type);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+module.exports = {
+  parseSettingValue,
+  getSetting,
+};
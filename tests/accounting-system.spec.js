@@ -582,6 +582,15 @@ test.describe('Restaurant Accounting System - Full Audit', () => {
   // ============================================
 
   test.describe('12. API Health Checks', () => {
+    let authHeaders;
+
+    test.beforeAll(async ({ request }) => {
+      const response = await request.post('http://localhost:5001/api/auth/login', {
+        data: { email: 'admin', password: '1234' }
+      });
+      const { token } = await response.json();
+      authHeaders = { Authorization: `Bearer ${token}` };
+    });
     
     test('12.1 Should have healthy API connection', async ({ page, request }) => {
       const response = await request.get('http://localhost:5001/api/health');
@@ -593,7 +602,7 @@ test.describe('Restaurant Accounting System - Full Audit', () => {
     });
 
     test('12.2 Should fetch vendors from API', async ({ page, request }) => {
-      const response = await request.get('http://localhost:5001/api/vendors');
+      const response = await request.get('http://localhost:5001/api/vendors', { headers: authHeaders });
       expect(response.ok()).toBeTruthy();
       
       const vendors = await response.json();
@@ -602,7 +611,7 @@ test.describe('Restaurant Accounting System - Full Audit', () => {
     });
 
     test('12.3 Should fetch employees from API', async ({ page, request }) => {
-      const response = await request.get('http://localhost:5001/api/payroll/employees');
+      const response = await request.get('http://localhost:5001/api/payroll/employees', { headers: authHeaders });
       expect(response.ok()).toBeTruthy();
       
       const employees = await response.json();
@@ -611,7 +620,7 @@ test.describe('Restaurant Accounting System - Full Audit', () => {
     });
 
     test('12.4 Should fetch expense categories from API', async ({ page, request }) => {
-      const response = await request.get('http://localhost:5001/api/expenses/meta/categories');
+      const response = await request.get('http://localhost:5001/api/expenses/meta/categories', { headers: authHeaders });
       expect(response.ok()).toBeTruthy();
       
       const categories = await response.json();
@@ -620,7 +629,7 @@ test.describe('Restaurant Accounting System - Full Audit', () => {
     });
 
     test('12.5 Should fetch bank accounts from API', async ({ page, request }) => {
-      const response = await request.get('http://localhost:5001/api/accounting/bank-accounts');
+      const response = await request.get('http://localhost:5001/api/accounting/bank-accounts', { headers: authHeaders });
       expect(response.ok()).toBeTruthy();
       
       const accounts = await response.json();
@@ -629,7 +638,7 @@ test.describe('Restaurant Accounting System - Full Audit', () => {
     });
 
     test('12.6 Should fetch business settings from API', async ({ page, request }) => {
-      const response = await request.get('http://localhost:5001/api/accounting/settings');
+      const response = await request.get('http://localhost:5001/api/accounting/settings', { headers: authHeaders });
       expect(response.ok()).toBeTruthy();
       
       const settings = await response.json();
@@ -640,7 +649,7 @@ test.describe('Restaurant Accounting System - Full Audit', () => {
       const today = new Date().toISOString().split('T')[0];
       const lastMonth = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
       
-      const response = await request.get(`http://localhost:5001/api/reports/pnl?start_date=${lastMonth}&end_date=${today}`);
+      const response = await request.get(`http://localhost:5001/api/reports/pnl?start_date=${lastMonth}&end_date=${today}`, { headers: authHeaders });
       expect(response.ok()).toBeTruthy();
       
       const pnl = await response.json();
@@ -650,7 +659,7 @@ test.describe('Restaurant Accounting System - Full Audit', () => {
     });
 
     test('12.8 Should fetch menu items from API', async ({ page, request }) => {
-      const response = await request.get('http://localhost:5001/api/menu-items');
+      const response = await request.get('http://localhost:5001/api/menu-items', { headers: authHeaders });
       expect(response.ok()).toBeTruthy();
       
       const items = await response.json();
@@ -0,0 +1,177 @@
+/**
+ * Access Control - End-to-End API Tests
+ * Authentication on every router, role permissions, the refusal of unmapped API paths and the
+ * approval workflow, using throwaway users created through the admin API.
+ *
+ * Run with: npx playwright test tests/e2e/access-control.spec.js
+ */
+const { test, expect } = require('@playwright/test');
+const { API_BASE, authHeaders, createUser, userHeaders } = require('./helpers');
+
+const ROUTERS = [
+  'vendors', 'ingredients', 'menu-items', 'sales', 'expenses', 'reports', 'tax', 'payroll',
+  'accounting', 'ledger', 'ap', 'inventory', 'labor', 'portal', 'approvals', 'locations',
+  'pos', 'uploads', 'mappings',
+];
+
+// ============================================
+// TEST SUITE: Authentication & Permissions
+// ============================================
+test.describe('Authentication & Permissions', () => {
+  let viewer;
+
+  test.beforeAll(async ({ request }) => {
+    viewer = await createUser(request, 'viewer');
+  });
+
+  test('Every router requires a token', async ({ request }) => {
+    console.log('\n🔒 Testing unauthenticated access...');
+
+    for (const router of ROUTERS) {
+      const response = await request.get(`${API_BASE}/${router}`);
+      expect(response.status(), `/api/${router}`).toBe(401);
+    }
+
+    console.log(`✅ ${ROUTERS.length} routers refuse anonymous requests`);
+  });
+
+  test('Viewer is limited to its role permissions', async ({ request }) => {
+    console.log('\n👤 Testing viewer permissions...');
+
+    const expenses = await request.get(`${API_BASE}/expenses`, { headers: userHeaders(viewer) });
+    expect(expenses.status()).toBe(200);
+
+    const vendors = await request.get(`${API_BASE}/vendors`, { headers: userHeaders(viewer) });
+    expect(vendors.status()).toBe(403);
+
+    const create = await request.post(`${API_BASE}/expenses`, {
+      headers: userHeaders(viewer),
+      data: { expense_date: '2024-01-15', description: 'E2E viewer write', amount: 10 }
+    });
+    expect(create.status()).toBe(403);
+
+    console.log('✅ Viewer reads expenses but cannot write them or read vendors');
+  });
+
+  test('Permissions hold regardless of path case', async ({ request }) => {
+    console.log('\n🔠 Testing mixed-case paths...');
+
+    const response = await request.get(`${API_BASE}/VENDORS`, { headers: userHeaders(viewer) });
+    expect(response.status()).toBe(403);
+
+    console.log('✅ /api/VENDORS is checked as /api/vendors');
+  });
+
+  test('Unmapped API paths are refused', async ({ request }) => {
+    console.log('\n🚫 Testing unmapped path...');
+
+    const response = await request.get(`${API_BASE}/not-a-router`, { headers: await authHeaders(request) });
+    expect(response.status()).toBe(403);
+    const body = await response.json();
+    expect(JSON.stringify(body)).toContain('No permission mapping');
+
+    console.log('✅ Unmapped path refused even for admin');
+  });
+
+  test('Clear-all-data needs an authorized user', async ({ request }) => {
+    console.log('\n🧨 Testing clear-all-data access...');
+
+    const anonymous = await request.post(`${API_BASE}/accounting/clear-all-data`, {
+      data: { confirm: 'CLEAR_ALL_DATA' }
+    });
+    expect(anonymous.status()).toBe(401);
+
+    const asViewer = await request.post(`${API_BASE}/accounting/clear-all-data`, {
+      headers: userHeaders(viewer),
+      data: { confirm: 'CLEAR_ALL_DATA' }
+    });
+    expect(asViewer.status()).toBe(403);
+
+    console.log('✅ Clear-all-data refused for anonymous and viewer requests');
+  });
+});
+
+// ============================================
+// TEST SUITE: Approval Workflow
+// ============================================
+test.describe('Approval Workflow', () => {
+  let manager;
+  let approval;
+
+  test.beforeAll(async ({ request }) => {
+    manager = await createUser(request, 'manager');
+  });
+
+  test('Clear-all-data waits for approval', async ({ request }) => {
+    console.log('\n📝 Testing approval request...');
+
+    const response = await request.post(`${API_BASE}/accounting/clear-all-data`, {
+      headers: await authHeaders(request),
+      data: { confirm: 'CLEAR_ALL_DATA', reason: 'E2E approval workflow' }
+    });
+    expect(response.status()).toBe(202);
+    const body = await response.json();
+    expect(body.approval_required).toBe(true);
+    approval = body.approval;
+    expect(approval.status).toBe('pending');
+    expect(approval.approver_role).toBe('admin');
+
+    console.log(`✅ Approval #${approval.id} opened, nothing cleared yet`);
+  });
+
+  test('Requester cannot approve their own request', async ({ request }) => {
+    console.log('\n🙅 Testing self-approval...');
+
+    const response = await request.post(`${API_BASE}/approvals/${approval.id}/approve`, {
+      headers: await authHeaders(request),
+      data: {}
+    });
+    expect(response.status()).toBe(403);
+
+    console.log('✅ Self-approval refused');
+  });
+
+  test('Other users cannot see the request', async ({ request }) => {
+    console.log('\n👀 Testing approval visibility...');
+
+    const list = await request.get(`${API_BASE}/approvals`, { headers: userHeaders(manager) });
+    expect(list.ok()).toBeTruthy();
+    expect((await list.json()).map((r) => r.id)).not.toContain(approval.id);
+
+    const single = await request.get(`${API_BASE}/approvals/${approval.id}`, { headers: userHeaders(manager) });
+    expect(single.status()).toBe(403);
+
+    const asAdmin = await request.get(`${API_BASE}/approvals/${approval.id}`, { headers: await authHeaders(request) });
+    expect(asAdmin.ok()).toBeTruthy();
+    const detail = await asAdmin.json();
+    expect(detail.audit_trail.map((a) => a.action)).toContain('approval_requested');
+
+    console.log('✅ Only the requester and admins see the request');
+  });
+
+  test('Admin-level requests cannot be escalated further', async ({ request }) => {
+    console.log('\n⬆️ Testing escalation...');
+
+    const response = await request.post(`${API_BASE}/approvals/${approval.id}/escalate`, {
+      headers: await authHeaders(request),
+      data: { reason: 'E2E escalation' }
+    });
+    expect(response.status()).toBe(400);
+
+    console.log('✅ Escalation past admin refused');
+  });
+
+  test('Reject the request', async ({ request }) => {
+    console.log('\n❌ Testing rejection...');
+
+    const response = await request.post(`${API_BASE}/approvals/${approval.id}/reject`, {
+      headers: await authHeaders(request),
+      data: { reason: 'E2E cleanup' }
+    });
+    expect(response.ok()).toBeTruthy();
+    const rejected = await response.json();
+    expect(rejected.status).toBe('rejected');
+
+    console.log(`✅ Approval #${approval.id} rejected, data left in place`);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Audit Trail & Secrets - End-to-End API Tests
+ * Record-level change history (only the changed columns, tied to the request that made them)
+ * and secrets that are encrypted at rest, masked in responses and redacted from the audit log.
+ * The encryption checks read the database directly, so run against the server's database.
+ *
+ * Run with: npx playwright test tests/e2e/audit.spec.js
+ */
+const { test, expect } = require('@playwright/test');
+const { Pool } = require('pg');
+const { database } = require('../../server/config');
+const EncryptionService = require('../../server/services/EncryptionService');
+const { API_BASE, authHeaders } = require('./helpers');
+
+async function recordHistory(request, resource, id) {
+  const response = await request.get(`${API_BASE}/auth/audit-log/${resource}/${id}`, {
+    headers: await authHeaders(request)
+  });
+  expect(response.ok()).toBeTruthy();
+  return response.json();
+}
+
+// ============================================
+// TEST SUITE: Record Change History
+// ============================================
+test.describe('Record Change History', () => {
+  let vendor;
+  let createRequestId;
+  let updateRequestId;
+
+  test('Vendor create and update are audited', async ({ request }) => {
+    console.log('\n📜 Testing vendor audit trail...');
+
+    const created = await request.post(`${API_BASE}/vendors`, {
+      headers: await authHeaders(request),
+      data: { name: `E2E Audit Vendor ${Date.now()}`, contact_person: 'Before' }
+    });
+    expect(created.status()).toBe(201);
+    vendor = await created.json();
+    createRequestId = created.headers()['x-request-id'];
+
+    const updated = await request.put(`${API_BASE}/vendors/${vendor.id}`, {
+      headers: await authHeaders(request),
+      data: { contact_person: 'After' }
+    });
+    expect(updated.ok()).toBeTruthy();
+    updateRequestId = updated.headers()['x-request-id'];
+
+    const history = await recordHistory(request, 'vendors', vendor.id);
+    const create = history.find((e) => e.action === 'create');
+    const update = history.find((e) => e.action === 'update');
+    expect(create).toBeTruthy();
+    expect(update).toBeTruthy();
+
+    expect(create.old_values).toBeNull();
+    expect(create.new_values.name).toBe(vendor.name);
+    expect(create.request_id).toBe(createRequestId);
+
+    expect(update.old_values).toEqual({ contact_person: 'Before' });
+    expect(update.new_values).toEqual({ contact_person: 'After' });
+    expect(update.request_id).toBe(updateRequestId);
+    expect(update.user_id).toBeTruthy();
+
+    console.log(`✅ Vendor #${vendor.id} history has create and a contact_person-only update`);
+  });
+
+  test('Vendor delete keeps the last values', async ({ request }) => {
+    console.log('\n🗑️ Testing delete audit...');
+
+    const response = await request.delete(`${API_BASE}/vendors/${vendor.id}`, {
+      headers: await authHeaders(request)
+    });
+    expect(response.ok()).toBeTruthy();
+
+    const history = await recordHistory(request, 'vendors', vendor.id);
+    const deleted = history.find((e) => e.action === 'delete');
+    expect(deleted).toBeTruthy();
+    expect(deleted.old_values.contact_person).toBe('After');
+    expect(deleted.new_values).toBeNull();
+
+    console.log('✅ Deleted vendor still has its history');
+  });
+});
+
+// ============================================
+// TEST SUITE: Secrets at Rest
+// ============================================
+test.describe('Secrets at Rest', () => {
+  let pool;
+  let encryption;
+
+  test.beforeAll(() => {
+    pool = new Pool(database);
+    encryption = new EncryptionService(pool);
+  });
+
+  test.afterAll(async () => {
+    await pool.end();
+  });
+
+  // Stored value is an envelope ciphertext that decrypts back to the submitted secret
+  async function expectEncrypted(table, column, id, plaintext) {
+    const result = await pool.query(`SELECT ${column} FROM ${table} WHERE id = $1`, [id]);
+    const stored = result.rows[0][column];
+    expect(stored.startsWith('enc:v1:')).toBe(true);
+    expect(stored).not.toContain(plaintext);
+    expect(await encryption.decrypt(stored, `${table}.${column}`)).toBe(plaintext);
+  }
+
+  // The audit entry for a created record keeps the column only as [REDACTED]
+  async function expectRedacted(request, table, id, column) {
+    await expect.poll(async () => (await recordHistory(request, table, id)).length).toBeGreaterThan(0);
+    const [created] = await recordHistory(request, table, id);
+    expect(created.new_values[column]).toBe('[REDACTED]');
+  }
+
+  test('Bank routing number', async ({ request }) => {
+    console.log('\n🏦 Testing routing number encryption...');
+
+    const response = await request.post(`${API_BASE}/accounting/bank-accounts`, {
+      headers: await authHeaders(request),
+      data: { account_name: `E2E Bank ${Date.now()}`, routing_number: '021000021' }
+    });
+    expect(response.status()).toBe(201);
+    const account = await response.json();
+    expect(account.has_routing_number).toBe(true);
+    expect(account).not.toHaveProperty('routing_number');
+
+    await expectEncrypted('bank_accounts', 'routing_number', account.id, '021000021');
+    await expectRedacted(request, 'bank_accounts', account.id, 'routing_number');
+
+    console.log(`✅ Bank account #${account.id} routing number encrypted and masked`);
+  });
+
+  test('Employee SSN', async ({ request }) => {
+    console.log('\n🪪 Testing SSN encryption...');
+
+    const response = await request.post(`${API_BASE}/payroll/employees`, {
+      headers: await authHeaders(request),
+      data: {
+        first_name: 'E2E', last_name: `Secret ${Date.now()}`, position: 'Server', department: 'front',
+        hire_date: '2024-01-15', pay_type: 'hourly', pay_rate: 15, ssn_last_four: '4321'
+      }
+    });
+    expect(response.status()).toBe(201);
+    const employee = await response.json();
+    expect(employee.has_ssn).toBe(true);
+    expect(employee).not.toHaveProperty('ssn_last_four');
+
+    const single = await (await request.get(`${API_BASE}/payroll/employees/${employee.id}`, {
+      headers: await authHeaders(request)
+    })).json();
+    expect(single).not.toHaveProperty('ssn_last_four');
+
+    await expectEncrypted('employees', 'ssn_last_four', employee.id, '4321');
+    await expectRedacted(request, 'employees', employee.id, 'ssn_last_four');
+
+    console.log(`✅ Employee #${employee.id} SSN encrypted and masked`);
+  });
+
+  test('POS API key and webhook secret', async ({ request }) => {
+    console.log('\n🔑 Testing POS secret encryption...');
+
+    const response = await request.post(`${API_BASE}/pos/configs`, {
+      headers: await authHeaders(request),
+      data: { provider: 'custom', name: `E2E POS ${Date.now()}`, api_key: 'e2e-api-key', webhook_secret: 'e2e-webhook' }
+    });
+    expect(response.status()).toBe(201);
+    const config = await response.json();
+    expect(config.has_api_key).toBe(true);
+    expect(config.has_webhook_secret).toBe(true);
+    expect(config).not.toHaveProperty('api_key_encrypted');
+    expect(config).not.toHaveProperty('webhook_secret');
+
+    await expectEncrypted('pos_configurations', 'api_key_encrypted', config.id, 'e2e-api-key');
+    await expectEncrypted('pos_configurations', 'webhook_secret', config.id, 'e2e-webhook');
+    await expectRedacted(request, 'pos_configurations', config.id, 'webhook_secret');
+
+    await request.delete(`${API_BASE}/pos/configs/${config.id}`, { headers: await authHeaders(request) });
+
+    console.log(`✅ POS config #${config.id} secrets encrypted and masked`);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Shared helpers for the end-to-end API specs
+ */
+const { expect } = require('@playwright/test');
+
+const API_BASE = 'http://localhost:5001/api';
+const TEMP_PASSWORD = 'Welcome123';
+const PASSWORD = 'E2e-Passw0rd';
+
+// Log in once as the demo admin and reuse the token for protected endpoints
+let adminToken;
+async function authHeaders(request) {
+  if (!adminToken) {
+    const response = await request.post(`${API_BASE}/auth/login`, {
+      data: { email: 'admin', password: '1234' }
+    });
+    adminToken = (await response.json()).token;
+  }
+  return { Authorization: `Bearer ${adminToken}` };
+}
+
+function login(request, email, password = PASSWORD) {
+  return request.post(`${API_BASE}/auth/login`, { data: { email, password } });
+}
+
+// Create a user through the admin API and get past the forced password change; `extra` goes to
+// POST /auth/users as is
+async function createUser(request, role = 'viewer', extra = {}) {
+  const email = `e2e-${role}-${Date.now()}@example.com`;
+  const response = await request.post(`${API_BASE}/auth/users`, {
+    headers: await authHeaders(request),
+    data: { email, password: TEMP_PASSWORD, first_name: 'E2E', last_name: 'Tester', role, ...extra }
+  });
+  expect(response.status()).toBe(201);
+  const user = await response.json();
+
+  const session = await (await login(request, email, TEMP_PASSWORD)).json();
+  expect(session.user.must_change_password).toBe(true);
+
+  const change = await request.put(`${API_BASE}/auth/me/password`, {
+    headers: { Authorization: `Bearer ${session.token}` },
+    data: { current_password: TEMP_PASSWORD, new_password: PASSWORD }
+  });
+  expect(change.ok()).toBeTruthy();
+
+  return { ...user, email, token: session.token };
+}
+
+// Bearer header for a user returned by createUser
+function userHeaders(user) {
+  return { Authorization: `Bearer ${user.token}` };
+}
+
+module.exports = {
+  API_BASE,
+  PASSWORD,
+  authHeaders,
+  login,
+  createUser,
+  userHeaders,
+};
@@ -0,0 +1,463 @@
+/**
+ * General Ledger - End-to-End API Tests
+ * Reversal and void, year-end close, GL import rollback and expense posting, checked through
+ * the journal entries they leave behind.
+ *
+ * Run with: npx playwright test tests/e2e/ledger.spec.js
+ */
+const { test, expect } = require('@playwright/test');
+const { API_BASE, authHeaders } = require('./helpers');
+
+const TODAY = new Date().toISOString().split('T')[0];
+
+// Account id by account number, from the chart of accounts
+let accountIds;
+async function accountId(request, accountNumber) {
+  if (!accountIds) {
+    const accounts = await (await request.get(`${API_BASE}/accounting/accounts`, {
+      headers: await authHeaders(request)
+    })).json();
+    accountIds = Object.fromEntries(accounts.map(a => [a.account_number, a.id]));
+  }
+  return accountIds[accountNumber];
+}
+
+// Post a two-line entry: debit one account, credit the other
+async function postEntry(request, { entry_date = TODAY, debit, credit, amount, ...rest }) {
+  return request.post(`${API_BASE}/ledger/journal-entries`, {
+    headers: await authHeaders(request),
+    data: {
+      entry_date,
+      description: `E2E entry ${Date.now()}`,
+      ...rest,
+      lines: [
+        { account_id: await accountId(request, debit), debit: amount, credit: 0 },
+        { account_id: await accountId(request, credit), debit: 0, credit: amount }
+      ]
+    }
+  });
+}
+
+async function getEntry(request, id) {
+  const response = await request.get(`${API_BASE}/ledger/journal-entries/${id}`, {
+    headers: await authHeaders(request)
+  });
+  expect(response.ok()).toBeTruthy();
+  return response.json();
+}
+
+// Signed amount (debit - credit) an entry posts to an account
+function netFor(entry, accountNumber) {
+  return entry.lines
+    .filter(l => l.account_number === accountNumber)
+    .reduce((sum, l) => sum + parseFloat(l.debit) - parseFloat(l.credit), 0);
+}
+
+// ============================================
+// TEST SUITE: Journal Entry Reversal & Void
+// ============================================
+test.describe('Journal Entry Reversal & Void', () => {
+  test('Record the signed-in user, not one from the body', async ({ request }) => {
+    console.log('\n📒 Testing Entry Author...');
+    const response = await postEntry(request, {
+      debit: '1000', credit: '4300', amount: 25, created_by: 'someone-else'
+    });
+    expect(response.status()).toBe(201);
+    const entry = await response.json();
+    expect(entry.created_by).toBe('admin');
+    console.log(`✅ JE #${entry.id} created by ${entry.created_by}`);
+  });
+
+  test('Reverse an entry with a linked mirror', async ({ request }) => {
+    console.log('\n↩️ Testing Reversal...');
+    const original = await (await postEntry(request, { debit: '1000', credit: '4300', amount: 25 })).json();
+
+    const response = await request.post(`${API_BASE}/ledger/journal-entries/${original.id}/reverse`, {
+      headers: await authHeaders(request),
+      data: { entry_date: TODAY, created_by: 'someone-else' }
+    });
+    expect(response.status()).toBe(201);
+    const reversal = await response.json();
+    expect(reversal.reverses_entry_id).toBe(original.id);
+    expect(reversal.created_by).toBe('admin');
+
+    const mirror = await getEntry(request, reversal.id);
+    expect(netFor(mirror, '1000')).toBeCloseTo(-25);
+    expect(netFor(mirror, '4300')).toBeCloseTo(25);
+
+    const reversed = await getEntry(request, original.id);
+    expect(reversed.reversed_by_entry_id).toBe(reversal.id);
+
+    const again = await request.post(`${API_BASE}/ledger/journal-entries/${original.id}/reverse`, {
+      headers: await authHeaders(request),
+      data: {}
+    });
+    expect(again.status()).toBe(400);
+
+    const ofReversal = await request.post(`${API_BASE}/ledger/journal-entries/${reversal.id}/reverse`, {
+      headers: await authHeaders(request),
+      data: {}
+    });
+    expect(ofReversal.status()).toBe(400);
+    console.log(`✅ JE #${original.id} reversed by JE #${reversal.id}, once`);
+  });
+
+  test('Void an entry and keep it on record', async ({ request }) => {
+    console.log('\n🚫 Testing Void...');
+    const original = await (await postEntry(request, { debit: '1000', credit: '4300', amount: 40 })).json();
+
+    const noReason = await request.post(`${API_BASE}/ledger/journal-entries/${original.id}/void`, {
+      headers: await authHeaders(request),
+      data: {}
+    });
+    expect(noReason.status()).toBe(400);
+
+    const response = await request.post(`${API_BASE}/ledger/journal-entries/${original.id}/void`, {
+      headers: await authHeaders(request),
+      data: { reason: 'E2E duplicate entry', voided_by: 'someone-else' }
+    });
+    expect(response.ok()).toBeTruthy();
+    const voided = await response.json();
+    expect(voided.voided_at).toBeTruthy();
+    expect(voided.voided_by).toBe('admin');
+    expect(voided.void_reason).toBe('E2E duplicate entry');
+
+    const mirror = await getEntry(request, voided.reversed_by_entry_id);
+    expect(mirror.voided_at).toBeTruthy();
+    expect(netFor(mirror, '1000')).toBeCloseTo(-40);
+
+    const again = await request.post(`${API_BASE}/ledger/journal-entries/${original.id}/void`, {
+      headers: await authHeaders(request),
+      data: { reason: 'E2E again' }
+    });
+    expect(again.status()).toBe(400);
+    console.log(`✅ JE #${original.id} voided, mirror JE #${mirror.id}`);
+  });
+});
+
+// ============================================
+// TEST SUITE: Year-End Close
+// ============================================
+test.describe('Year-End Close', () => {
+  // A fiscal year of its own, far from real data; rolled back at the end so reruns can close it again
+  const YEAR_NAME = 'E2E FY 2090';
+  let year;
+  let close;
+
+  test.beforeAll(async ({ request }) => {
+    const headers = await authHeaders(request);
+    const periods = await (await request.get(`${API_BASE}/ledger/periods`, { headers })).json();
+    year = periods.find(p => p.period_name === YEAR_NAME);
+    if (!year) {
+      const response = await request.post(`${API_BASE}/ledger/periods`, {
+        headers,
+        data: { period_type: 'year', start_date: '2090-01-01', end_date: '2090-12-31', period_name: YEAR_NAME }
+      });
+      expect(response.status()).toBe(201);
+      year = await response.json();
+    }
+
+    // Clear a close left behind by an interrupted run
+    const closes = await (await request.get(`${API_BASE}/ledger/periods/${year.id}/year-end-close`, { headers })).json();
+    if (closes.some(c => c.status === 'closed')) {
+      await request.post(`${API_BASE}/ledger/periods/${year.id}/year-end-close/rollback`, { headers, data: {} });
+    }
+
+    const income = await postEntry(request, { entry_date: '2090-06-30', debit: '1000', credit: '4300', amount: 500 });
+    expect(income.status()).toBe(201);
+  });
+
+  test('Manual entries cannot pose as closing entries', async ({ request }) => {
+    console.log('\n🛡️ Testing Reserved Entry Types...');
+    const reserved = await postEntry(request, {
+      debit: '1000', credit: '4300', amount: 5, reference_type: 'year_end_close'
+    });
+    expect(reserved.status()).toBe(400);
+
+    const response = await postEntry(request, { debit: '1000', credit: '4300', amount: 5, is_closing: true });
+    expect(response.status()).toBe(201);
+    expect((await response.json()).is_closing).toBe(false);
+    console.log('✅ reference_type year_end_close rejected, is_closing ignored');
+  });
+
+  test('Preview the close without posting', async ({ request }) => {
+    console.log('\n📅 Testing Year-End Close Dry Run...');
+    const response = await request.post(`${API_BASE}/ledger/periods/${year.id}/year-end-close`, {
+      headers: await authHeaders(request),
+      data: { dry_run: true }
+    });
+    expect(response.status()).toBe(200);
+    const report = await response.json();
+    expect(report.dry_run).toBe(true);
+    expect(report.net_income).toBeGreaterThanOrEqual(500);
+    expect(report.retained_earnings.account_number).toBe('3100');
+    console.log(`✅ Net income to close: ${report.net_income}`);
+  });
+
+  test('Close the year into retained earnings and lock it', async ({ request }) => {
+    console.log('\n📅 Testing Year-End Close...');
+    const headers = await authHeaders(request);
+    const response = await request.post(`${API_BASE}/ledger/periods/${year.id}/year-end-close`, {
+      headers,
+      data: {}
+    });
+    expect(response.status()).toBe(201);
+    close = await response.json();
+    expect(close.status).toBe('closed');
+    expect(close.closing_entry_id).toBeTruthy();
+
+    const entry = await getEntry(request, close.closing_entry_id);
+    expect(entry.reference_type).toBe('year_end_close');
+    expect(entry.is_closing).toBe(true);
+    expect(netFor(entry, '4300')).toBeGreaterThanOrEqual(500);
+
+    const period = await (await request.get(`${API_BASE}/ledger/periods/${year.id}`, { headers })).json();
+    expect(period.is_closed).toBe(true);
+
+    const late = await postEntry(request, { entry_date: '2090-07-15', debit: '1000', credit: '4300', amount: 5 });
+    expect(late.status()).toBe(400);
+
+    const twice = await request.post(`${API_BASE}/ledger/periods/${year.id}/year-end-close`, { headers, data: {} });
+    expect(twice.status()).toBe(400);
+    console.log(`✅ Year closed by JE #${close.closing_entry_id}`);
+  });
+
+  test('Closing entries are only undone by rolling back the close', async ({ request }) => {
+    console.log('\n🛡️ Testing Closing Entry Protection...');
+    const headers = await authHeaders(request);
+
+    const reverse = await request.post(`${API_BASE}/ledger/journal-entries/${close.closing_entry_id}/reverse`, {
+      headers,
+      data: { entry_date: TODAY }
+    });
+    expect(reverse.status()).toBe(400);
+
+    const voided = await request.post(`${API_BASE}/ledger/journal-entries/${close.closing_entry_id}/void`, {
+      headers,
+      data: { reason: 'E2E' }
+    });
+    expect(voided.status()).toBe(400);
+    console.log('✅ Generic reverse and void refused');
+  });
+
+  test('Roll back the close and re-open the year', async ({ request }) => {
+    console.log('\n↩️ Testing Year-End Rollback...');
+    const headers = await authHeaders(request);
+    const response = await request.post(`${API_BASE}/ledger/periods/${year.id}/year-end-close/rollback`, {
+      headers,
+      data: { reason: 'E2E rollback' }
+    });
+    expect(response.ok()).toBeTruthy();
+    const rolledBack = await response.json();
+    expect(rolledBack.status).toBe('rolled_back');
+    expect(rolledBack.rollback_entry_id).toBeTruthy();
+
+    const reversal = await getEntry(request, rolledBack.rollback_entry_id);
+    expect(reversal.reverses_entry_id).toBe(close.closing_entry_id);
+    expect(reversal.entry_date.startsWith('2090-')).toBeTruthy();
+
+    const period = await (await request.get(`${API_BASE}/ledger/periods/${year.id}`, { headers })).json();
+    expect(period.is_closed).toBe(false);
+
+    const again = await request.post(`${API_BASE}/ledger/periods/${year.id}/year-end-close/rollback`, {
+      headers,
+      data: {}
+    });
+    expect(again.status()).toBe(400);
+    console.log(`✅ Close reversed by JE #${reversal.id}, year open again`);
+  });
+});
+
+// ============================================
+// TEST SUITE: GL Import & Rollback
+// ============================================
+test.describe('GL Import & Rollback', () => {
+  // One balanced QuickBooks Online journal, dated well clear of real data
+  const CSV = [
+    'Date,Journal No.,Account,Debit,Credit,Memo',
+    '03/15/2089,E2E-1,Checking Account,150.00,,E2E opening cash',
+    '03/15/2089,E2E-1,Other Income,,150.00,E2E opening cash'
+  ].join('\n');
+  let importInput;
+  let batch;
+  let entry;
+
+  test.beforeAll(async ({ request }) => {
+    importInput = {
+      source: 'qbo_csv',
+      content: CSV,
+      filename: 'e2e-journal.csv',
+      account_map: {
+        'Checking Account': await accountId(request, '1000'),
+        'Other Income': await accountId(request, '4300')
+      }
+    };
+  });
+
+  test('Dry run maps accounts without posting', async ({ request }) => {
+    console.log('\n📥 Testing GL Import Dry Run...');
+    const response = await request.post(`${API_BASE}/ledger/imports`, {
+      headers: await authHeaders(request),
+      data: { ...importInput, dry_run: true }
+    });
+    expect(response.ok()).toBeTruthy();
+    const plan = await response.json();
+    expect(plan.is_valid).toBe(true);
+    expect(plan.entries.length).toBe(1);
+    expect(plan.unmapped_accounts.length).toBe(0);
+    console.log('✅ File is clean');
+  });
+
+  test('Reject an unbalanced file', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/ledger/imports`, {
+      headers: await authHeaders(request),
+      data: { ...importInput, content: CSV.replace(',,150.00,', ',,149.00,') }
+    });
+    expect(response.status()).toBe(400);
+  });
+
+  test('Import the file as one batch', async ({ request }) => {
+    console.log('\n📥 Testing GL Import...');
+    const headers = await authHeaders(request);
+    const response = await request.post(`${API_BASE}/ledger/imports`, { headers, data: importInput });
+    expect(response.status()).toBe(201);
+    batch = await response.json();
+    expect(batch.status).toBe('posted');
+    expect(batch.entry_count).toBe(1);
+
+    const { entries } = await (await request.get(
+      `${API_BASE}/ledger/journal-entries?start_date=2089-03-15&end_date=2089-03-15&limit=200`,
+      { headers }
+    )).json();
+    entry = entries.find(e => e.reference_type === 'gl_import' && e.reference_id === batch.id);
+    expect(entry).toBeTruthy();
+    expect(netFor(await getEntry(request, entry.id), '1000')).toBeCloseTo(150);
+    console.log(`✅ Batch #${batch.id} posted JE #${entry.id}`);
+  });
+
+  test('Roll the batch back by voiding its entries', async ({ request }) => {
+    console.log('\n↩️ Testing GL Import Rollback...');
+    const headers = await authHeaders(request);
+    const response = await request.post(`${API_BASE}/ledger/imports/${batch.id}/rollback`, {
+      headers,
+      data: { reason: 'E2E rollback' }
+    });
+    expect(response.ok()).toBeTruthy();
+    const result = await response.json();
+    expect(result.status).toBe('rolled_back');
+    expect(result.entries_voided).toBe(1);
+
+    // The entry stays on record, netted by its void
+    const voided = await getEntry(request, entry.id);
+    expect(voided.voided_at).toBeTruthy();
+    const mirror = await getEntry(request, voided.reversed_by_entry_id);
+    expect(netFor(mirror, '1000')).toBeCloseTo(-150);
+
+    const again = await request.post(`${API_BASE}/ledger/imports/${batch.id}/rollback`, { headers, data: {} });
+    expect(again.status()).toBe(400);
+    console.log(`✅ Batch #${batch.id} rolled back, JE #${entry.id} voided`);
+  });
+
+  test('Leave imported entries and their voids out of exports', async ({ request }) => {
+    console.log('\n📤 Testing GL Export Exclusions...');
+    const headers = await authHeaders(request);
+    const response = await request.post(`${API_BASE}/ledger/export`, {
+      headers,
+      data: { format: 'qbo_csv', start_date: '2089-03-01', end_date: '2089-03-31' }
+    });
+    expect(response.ok()).toBeTruthy();
+    const runId = Number(response.headers()['x-export-run-id']);
+
+    const runs = await (await request.get(`${API_BASE}/ledger/export/runs?format=qbo_csv`, { headers })).json();
+    const run = runs.find(r => r.id === runId);
+    expect(run.entry_count).toBe(0);
+    console.log(`✅ Export run #${runId} has no imported entries`);
+  });
+});
+
+// ============================================
+// TEST SUITE: Expense Posting
+// ============================================
+test.describe('Expense Posting', () => {
+  let category;
+
+  async function createExpense(request, data) {
+    const response = await request.post(`${API_BASE}/expenses`, {
+      headers: await authHeaders(request),
+      data: { expense_date: TODAY, category_id: category.id, description: `E2E expense ${Date.now()}`, ...data }
+    });
+    expect(response.status()).toBe(201);
+    return response.json();
+  }
+
+  test.beforeAll(async ({ request }) => {
+    const categories = await (await request.get(`${API_BASE}/expenses/meta/categories`, {
+      headers: await authHeaders(request)
+    })).json();
+    category = categories.find(c => c.account_id);
+    expect(category).toBeTruthy();
+  });
+
+  test('Post a paid expense to its category and payment accounts', async ({ request }) => {
+    console.log('\n🧾 Testing Expense Posting...');
+    const expense = await createExpense(request, { amount: 37.5, payment_method: 'cash' });
+    expect(expense.journal_entry_id).toBeTruthy();
+
+    const entry = await getEntry(request, expense.journal_entry_id);
+    expect(entry.reference_type).toBe('expense');
+    expect(entry.reference_id).toBe(expense.id);
+    const debit = entry.lines.find(l => l.account_id === category.account_id);
+    expect(parseFloat(debit.debit)).toBeCloseTo(37.5);
+    expect(netFor(entry, '1020')).toBeCloseTo(-37.5);
+    console.log(`✅ Expense #${expense.id} posted as JE #${entry.id}`);
+  });
+
+  test('Credit unpaid expenses to accrued expenses, not accounts payable', async ({ request }) => {
+    console.log('\n🧾 Testing Unpaid Expense Posting...');
+    const headers = await authHeaders(request);
+    const expense = await createExpense(request, { amount: 12.25 });
+
+    const entry = await getEntry(request, expense.journal_entry_id);
+    expect(netFor(entry, '2050')).toBeCloseTo(-12.25);
+    expect(netFor(entry, '2000')).toBe(0);
+
+    const reconciliation = await (await request.get(
+      `${API_BASE}/ledger/reconciliation/accounts_payable?limit=1000`,
+      { headers }
+    )).json();
+    expect(reconciliation.documents.filter(d => d.reference === 'expense')).toEqual([]);
+    console.log('✅ AP reconciliation has no expense entries');
+  });
+
+  test('Re-post an edited expense and reverse a deleted one', async ({ request }) => {
+    console.log('\n🧾 Testing Expense Edit & Delete...');
+    const headers = await authHeaders(request);
+    const expense = await createExpense(request, { amount: 20, payment_method: 'check' });
+
+    // The edit form sends the payment method back with every save
+    const update = await request.put(`${API_BASE}/expenses/${expense.id}`, {
+      headers,
+      data: { amount: 25, payment_method: 'check' }
+    });
+    expect(update.ok()).toBeTruthy();
+    const updated = await update.json();
+    expect(updated.journal_entry_id).not.toBe(expense.journal_entry_id);
+
+    const replaced = await getEntry(request, expense.journal_entry_id);
+    expect(replaced.reversed_by_entry_id).toBeTruthy();
+    expect(netFor(await getEntry(request, updated.journal_entry_id), '1000')).toBeCloseTo(-25);
+
+    // Saving without a change leaves the entry alone
+    const unchanged = await (await request.put(`${API_BASE}/expenses/${expense.id}`, {
+      headers,
+      data: { notes: 'E2E note', payment_method: 'check' }
+    })).json();
+    expect(unchanged.journal_entry_id).toBe(updated.journal_entry_id);
+
+    const remove = await request.delete(`${API_BASE}/expenses/${expense.id}`, { headers });
+    expect(remove.ok()).toBeTruthy();
+    const deleted = await getEntry(request, updated.journal_entry_id);
+    expect(deleted.reversed_by_entry_id).toBeTruthy();
+    console.log(`✅ Expense #${expense.id} re-posted once and reversed on delete`);
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * Multi-Location - End-to-End API Tests
+ * Users assigned to some locations: records at other locations are refused, and ledger lines at
+ * other locations are left out of what they can list. Inventory transfers between locations:
+ * stock checks on send, discrepancies on receive and the GL entry.
+ *
+ * Run with: npx playwright test tests/e2e/locations.spec.js
+ */
+const { test, expect } = require('@playwright/test');
+const { API_BASE, authHeaders, createUser, userHeaders } = require('./helpers');
+
+const TODAY = new Date().toISOString().split('T')[0];
+
+async function createLocation(request, name) {
+  const response = await request.post(`${API_BASE}/locations`, {
+    headers: await authHeaders(request),
+    data: { code: `E2E-${name.toUpperCase()}-${Date.now() % 100000000}`, name: `E2E ${name} ${Date.now()}` }
+  });
+  expect(response.status()).toBe(201);
+  return response.json();
+}
+
+// ============================================
+// TEST SUITE: Location Isolation
+// ============================================
+test.describe('Location Isolation', () => {
+  let home;
+  let other;
+  let accountant;
+  let expense;
+  let entry;
+
+  test.beforeAll(async ({ request }) => {
+    home = await createLocation(request, 'Home');
+    other = await createLocation(request, 'Other');
+    accountant = await createUser(request, 'accountant');
+
+    const assign = await request.put(`${API_BASE}/locations/users/${accountant.id}`, {
+      headers: await authHeaders(request),
+      data: { location_ids: [home.id] }
+    });
+    expect(assign.ok()).toBeTruthy();
+
+    const categories = await (await request.get(`${API_BASE}/expenses/meta/categories`, {
+      headers: await authHeaders(request)
+    })).json();
+    const created = await request.post(`${API_BASE}/expenses`, {
+      headers: await authHeaders(request),
+      data: {
+        expense_date: TODAY, location_id: other.id, category_id: categories[0].id,
+        description: `E2E other-location expense ${Date.now()}`, amount: 40, payment_method: 'check'
+      }
+    });
+    expect(created.status()).toBe(201);
+    expense = await created.json();
+
+    const accounts = await (await request.get(`${API_BASE}/accounting/accounts`, {
+      headers: await authHeaders(request)
+    })).json();
+    const accountId = (number) => accounts.find((a) => a.account_number === number).id;
+    const posted = await request.post(`${API_BASE}/ledger/journal-entries`, {
+      headers: await authHeaders(request),
+      data: {
+        entry_date: TODAY,
+        description: `E2E two-location entry ${Date.now()}`,
+        lines: [
+          { account_id: accountId('9200'), debit: 25, credit: 0, location_id: home.id },
+          { account_id: accountId('1000'), debit: 0, credit: 25, location_id: home.id },
+          { account_id: accountId('9200'), debit: 15, credit: 0, location_id: other.id },
+          { account_id: accountId('1000'), debit: 0, credit: 15, location_id: other.id }
+        ]
+      }
+    });
+    expect(posted.status()).toBe(201);
+    entry = await posted.json();
+  });
+
+  test.afterAll(async ({ request }) => {
+    for (const location of [home, other]) {
+      await request.put(`${API_BASE}/locations/${location.id}`, {
+        headers: await authHeaders(request),
+        data: { is_active: false }
+      });
+    }
+  });
+
+  test('Only assigned locations are listed', async ({ request }) => {
+    console.log('\n🏬 Testing location listing...');
+
+    const response = await request.get(`${API_BASE}/locations`, { headers: userHeaders(accountant) });
+    expect(response.ok()).toBeTruthy();
+    const ids = (await response.json()).map((l) => l.id);
+    expect(ids).toEqual([home.id]);
+
+    const detail = await request.get(`${API_BASE}/locations/${other.id}`, { headers: userHeaders(accountant) });
+    expect(detail.status()).toBe(403);
+
+    console.log('✅ Accountant sees only their assigned location');
+  });
+
+  test('Expenses at other locations are refused', async ({ request }) => {
+    console.log('\n🧾 Testing expense isolation...');
+
+    const read = await request.get(`${API_BASE}/expenses/${expense.id}`, { headers: userHeaders(accountant) });
+    expect(read.status()).toBe(403);
+
+    const update = await request.put(`${API_BASE}/expenses/${expense.id}`, {
+      headers: userHeaders(accountant),
+      data: { notes: 'E2E cross-location edit' }
+    });
+    expect(update.status()).toBe(403);
+
+    const lineItems = await request.get(`${API_BASE}/expenses/${expense.id}/line-items`, {
+      headers: userHeaders(accountant)
+    });
+    expect(lineItems.status()).toBe(403);
+
+    const list = await request.get(`${API_BASE}/expenses`, { headers: userHeaders(accountant) });
+    expect(list.ok()).toBeTruthy();
+    const listed = await list.json();
+    expect(listed.map((e) => e.id)).not.toContain(expense.id);
+
+    console.log(`✅ Expense #${expense.id} hidden from the accountant`);
+  });
+
+  test('Journal entries touching other locations are refused', async ({ request }) => {
+    console.log('\n📒 Testing journal entry isolation...');
+
+    const read = await request.get(`${API_BASE}/ledger/journal-entries/${entry.id}`, {
+      headers: userHeaders(accountant)
+    });
+    expect(read.status()).toBe(403);
+
+    const expenseEntry = await request.get(`${API_BASE}/ledger/journal-entries/${expense.journal_entry_id}`, {
+      headers: userHeaders(accountant)
+    });
+    expect(expenseEntry.status()).toBe(403);
+
+    console.log('✅ Entries with other-location lines refused');
+  });
+
+  test('Listed entries only show lines at assigned locations', async ({ request }) => {
+    console.log('\n📋 Testing journal entry listing...');
+
+    const response = await request.get(`${API_BASE}/ledger/journal-entries?start_date=${TODAY}&limit=200`, {
+      headers: userHeaders(accountant)
+    });
+    expect(response.ok()).toBeTruthy();
+    const { entries } = await response.json();
+
+    const listed = entries.find((e) => e.id === entry.id);
+    expect(listed).toBeTruthy();
+    expect(listed.lines).toHaveLength(2);
+    expect(listed.lines.every((l) => l.location_id === home.id)).toBe(true);
+    expect(entries.map((e) => e.id)).not.toContain(expense.journal_entry_id);
+
+    console.log(`✅ Entry #${entry.id} listed with its ${home.name} lines only`);
+  });
+});
+
+// ============================================
+// TEST SUITE: Inventory Transfers
+// ============================================
+test.describe('Inventory Transfers', () => {
+  let source;
+  let destination;
+  let ingredient;
+  let transfer;
+  let adminEmail;
+
+  async function levelAt(request, locationId) {
+    const response = await request.get(`${API_BASE}/inventory/levels?location_id=${locationId}`, {
+      headers: await authHeaders(request)
+    });
+    expect(response.ok()).toBeTruthy();
+    const { levels } = await response.json();
+    const level = levels.find((l) => l.ingredient_id === ingredient.id);
+    return level ? parseFloat(level.quantity_on_hand) : 0;
+  }
+
+  test.beforeAll(async ({ request }) => {
+    source = await createLocation(request, 'From');
+    destination = await createLocation(request, 'To');
+    adminEmail = (await (await request.get(`${API_BASE}/auth/me`, { headers: await authHeaders(request) })).json()).email;
+
+    const created = await request.post(`${API_BASE}/ingredients`, {
+      headers: await authHeaders(request),
+      data: {
+        name: `E2E Transfer Flour ${Date.now()}`, purchase_price: 20, purchase_unit: 'bag',
+        usage_unit: 'lb', unit_conversion_factor: 50
+      }
+    });
+    expect(created.status()).toBe(201);
+    ingredient = await created.json();
+
+    const receipt = await request.post(`${API_BASE}/inventory/movements`, {
+      headers: await authHeaders(request),
+      data: {
+        ingredient_id: ingredient.id, location_id: source.id, movement_type: 'receipt',
+        quantity: 10, unit: 'lb', unit_cost: 2
+      }
+    });
+    expect(receipt.status()).toBe(201);
+  });
+
+  test.afterAll(async ({ request }) => {
+    for (const location of [source, destination]) {
+      await request.put(`${API_BASE}/locations/${location.id}`, {
+        headers: await authHeaders(request),
+        data: { is_active: false }
+      });
+    }
+  });
+
+  test('Sending more than is on hand is refused', async ({ request }) => {
+    console.log('\n🚚 Testing transfer stock check...');
+
+    const created = await request.post(`${API_BASE}/inventory/transfers`, {
+      headers: await authHeaders(request),
+      data: {
+        from_location_id: source.id, to_location_id: destination.id, post_to_gl: true,
+        lines: [{ ingredient_id: ingredient.id, quantity: 25, unit: 'lb' }]
+      }
+    });
+    expect(created.status()).toBe(201);
+    transfer = await created.json();
+    expect(transfer.status).toBe('draft');
+    expect(transfer.created_by).toBe(adminEmail);
+
+    const send = await request.post(`${API_BASE}/inventory/transfers/${transfer.id}/send`, {
+      headers: await authHeaders(request)
+    });
+    expect(send.status()).toBe(400);
+    expect(await levelAt(request, source.id)).toBe(10);
+
+    console.log(`✅ Transfer #${transfer.id} for 25 lb refused with 10 lb on hand`);
+  });
+
+  test('Edit the draft and send it', async ({ request }) => {
+    console.log('\n✏️ Testing draft edit and send...');
+
+    const edited = await request.put(`${API_BASE}/inventory/transfers/${transfer.id}`, {
+      headers: await authHeaders(request),
+      data: {
+        from_location_id: destination.id,
+        lines: [{ ingredient_id: ingredient.id, quantity: 6, unit: 'lb' }]
+      }
+    });
+    expect(edited.ok()).toBeTruthy();
+    const draft = await edited.json();
+    expect(draft.from_location_id).toBe(source.id);
+    expect(draft.lines).toHaveLength(1);
+
+    const send = await request.post(`${API_BASE}/inventory/transfers/${transfer.id}/send`, {
+      headers: await authHeaders(request),
+      data: { sent_by: 'someone-else@example.com' }
+    });
+    expect(send.ok()).toBeTruthy();
+    transfer = await send.json();
+    expect(transfer.status).toBe('sent');
+    expect(transfer.sent_by).toBe(adminEmail);
+    expect(await levelAt(request, source.id)).toBe(4);
+
+    console.log(`✅ Transfer #${transfer.id} sent by ${adminEmail}`);
+  });
+
+  test('Short receipts need a discrepancy reason', async ({ request }) => {
+    console.log('\n📦 Testing transfer receipt...');
+
+    const [line] = transfer.lines;
+    const unexplained = await request.post(`${API_BASE}/inventory/transfers/${transfer.id}/receive`, {
+      headers: await authHeaders(request),
+      data: { lines: [{ line_id: line.id, received_quantity: 5 }] }
+    });
+    expect(unexplained.status()).toBe(400);
+
+    const received = await request.post(`${API_BASE}/inventory/transfers/${transfer.id}/receive`, {
+      headers: await authHeaders(request),
+      data: { lines: [{ line_id: line.id, received_quantity: 5, discrepancy_reason: 'E2E spilled bag' }] }
+    });
+    expect(received.ok()).toBeTruthy();
+    transfer = await received.json();
+    expect(transfer.status).toBe('received');
+    expect(transfer.has_discrepancy).toBe(true);
+    expect(transfer.received_by).toBe(adminEmail);
+    expect(transfer.journal_entry_id).toBeTruthy();
+
+    expect(await levelAt(request, source.id)).toBe(4);
+    expect(await levelAt(request, destination.id)).toBe(5);
+
+    const entry = await request.get(`${API_BASE}/ledger/journal-entries/${transfer.journal_entry_id}`, {
+      headers: await authHeaders(request)
+    });
+    expect(entry.ok()).toBeTruthy();
+
+    console.log(`✅ Transfer #${transfer.id} received short with JE #${transfer.journal_entry_id}`);
+  });
+});
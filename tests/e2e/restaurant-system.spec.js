@@ -5,8 +5,8 @@
  * Run with: npx playwright test tests/e2e/restaurant-system.spec.js --headed --slowmo=500
  */
 const { test, expect } = require('@playwright/test');
+const { API_BASE, authHeaders } = require('./helpers');
 
-const API_BASE = 'http://localhost:5001/api';
 const APP_URL = 'http://localhost:3000';
 
 // Helper function to make API calls
@@ -118,7 +118,7 @@ test.describe('POS Integration', () => {
   test('Get POS configurations', async ({ request }) => {
     console.log('\n📱 Testing POS Configs...');
     
-    const response = await request.get(`${API_BASE}/pos/configs`);
+    const response = await request.get(`${API_BASE}/pos/configs`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const configs = await response.json();
@@ -132,7 +132,7 @@ test.describe('POS Integration', () => {
   test('Get POS transactions', async ({ request }) => {
     console.log('\n💳 Testing POS Transactions...');
     
-    const response = await request.get(`${API_BASE}/pos/transactions`);
+    const response = await request.get(`${API_BASE}/pos/transactions`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const transactions = await response.json();
@@ -147,7 +147,7 @@ test.describe('POS Integration', () => {
   test('Get POS settlements', async ({ request }) => {
     console.log('\n📊 Testing POS Settlements...');
     
-    const response = await request.get(`${API_BASE}/pos/settlements`);
+    const response = await request.get(`${API_BASE}/pos/settlements`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const settlements = await response.json();
@@ -167,7 +167,7 @@ test.describe('Inventory Management', () => {
   test('Get inventory levels', async ({ request }) => {
     console.log('\n📦 Testing Inventory Levels...');
     
-    const response = await request.get(`${API_BASE}/inventory/levels`);
+    const response = await request.get(`${API_BASE}/inventory/levels`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const levels = await response.json();
@@ -182,7 +182,7 @@ test.describe('Inventory Management', () => {
   test('Get purchase orders', async ({ request }) => {
     console.log('\n📋 Testing Purchase Orders...');
     
-    const response = await request.get(`${API_BASE}/inventory/purchase-orders`);
+    const response = await request.get(`${API_BASE}/inventory/purchase-orders`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const orders = await response.json();
@@ -197,7 +197,7 @@ test.describe('Inventory Management', () => {
   test('Get inventory movements', async ({ request }) => {
     console.log('\n🔄 Testing Inventory Movements...');
     
-    const response = await request.get(`${API_BASE}/inventory/movements`);
+    const response = await request.get(`${API_BASE}/inventory/movements`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const movements = await response.json();
@@ -207,7 +207,7 @@ test.describe('Inventory Management', () => {
   test('Get inventory counts', async ({ request }) => {
     console.log('\n📝 Testing Inventory Counts...');
     
-    const response = await request.get(`${API_BASE}/inventory/counts`);
+    const response = await request.get(`${API_BASE}/inventory/counts`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const counts = await response.json();
@@ -222,7 +222,7 @@ test.describe('AP Automation', () => {
   test('Get AP invoices', async ({ request }) => {
     console.log('\n🧾 Testing AP Invoices...');
     
-    const response = await request.get(`${API_BASE}/ap/invoices`);
+    const response = await request.get(`${API_BASE}/ap/invoices`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const invoices = await response.json();
@@ -238,7 +238,7 @@ test.describe('AP Automation', () => {
   test('Get payment batches', async ({ request }) => {
     console.log('\n💰 Testing Payment Batches...');
     
-    const response = await request.get(`${API_BASE}/ap/payment-batches`);
+    const response = await request.get(`${API_BASE}/ap/payment-batches`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const batches = await response.json();
@@ -254,7 +254,7 @@ test.describe('Labor Operations', () => {
     console.log('\n👥 Testing Employees...');
     
     // Employees are in payroll endpoint
-    const response = await request.get(`${API_BASE}/payroll/employees`);
+    const response = await request.get(`${API_BASE}/payroll/employees`, { headers: await authHeaders(request) });
     
     if (response.ok()) {
       const employees = await response.json();
@@ -272,7 +272,7 @@ test.describe('Labor Operations', () => {
   test('Get schedules', async ({ request }) => {
     console.log('\n📅 Testing Schedules...');
     
-    const response = await request.get(`${API_BASE}/labor/schedules`);
+    const response = await request.get(`${API_BASE}/labor/schedules`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const schedules = await response.json();
@@ -282,7 +282,7 @@ test.describe('Labor Operations', () => {
   test('Get timeclock entries', async ({ request }) => {
     console.log('\n⏰ Testing Timeclock...');
     
-    const response = await request.get(`${API_BASE}/labor/timeclock`);
+    const response = await request.get(`${API_BASE}/labor/timeclock`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const entries = await response.json();
@@ -292,7 +292,7 @@ test.describe('Labor Operations', () => {
   test('Get tip records', async ({ request }) => {
     console.log('\n💵 Testing Tips...');
     
-    const response = await request.get(`${API_BASE}/labor/tips`);
+    const response = await request.get(`${API_BASE}/labor/tips`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const tips = await response.json();
@@ -305,7 +305,7 @@ test.describe('Labor Operations', () => {
     const today = new Date().toISOString().split('T')[0];
     const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
     
-    const response = await request.get(`${API_BASE}/labor/summary?start_date=${weekAgo}&end_date=${today}`);
+    const response = await request.get(`${API_BASE}/labor/summary?start_date=${weekAgo}&end_date=${today}`, { headers: await authHeaders(request) });
     
     if (response.ok()) {
       const summary = await response.json();
@@ -326,7 +326,7 @@ test.describe('General Ledger', () => {
   test('Get chart of accounts', async ({ request }) => {
     console.log('\n📒 Testing Chart of Accounts...');
     
-    const response = await request.get(`${API_BASE}/accounting/accounts`);
+    const response = await request.get(`${API_BASE}/accounting/accounts`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const accounts = await response.json();
@@ -342,7 +342,7 @@ test.describe('General Ledger', () => {
   test('Get journal entries', async ({ request }) => {
     console.log('\n📖 Testing Journal Entries...');
     
-    const response = await request.get(`${API_BASE}/ledger/journal-entries`);
+    const response = await request.get(`${API_BASE}/ledger/journal-entries`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const data = await response.json();
@@ -352,7 +352,7 @@ test.describe('General Ledger', () => {
   test('Get trial balance', async ({ request }) => {
     console.log('\n⚖️ Testing Trial Balance...');
     
-    const response = await request.get(`${API_BASE}/ledger/trial-balance`);
+    const response = await request.get(`${API_BASE}/ledger/trial-balance`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const data = await response.json();
@@ -368,7 +368,7 @@ test.describe('General Ledger', () => {
     const today = new Date().toISOString().split('T')[0];
     const monthAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
     
-    const response = await request.get(`${API_BASE}/ledger/income-statement?start_date=${monthAgo}&end_date=${today}`);
+    const response = await request.get(`${API_BASE}/ledger/income-statement?start_date=${monthAgo}&end_date=${today}`, { headers: await authHeaders(request) });
     
     if (response.ok()) {
       const data = await response.json();
@@ -390,7 +390,7 @@ test.describe('Core Operations', () => {
   test('Get vendors', async ({ request }) => {
     console.log('\n🏪 Testing Vendors...');
     
-    const response = await request.get(`${API_BASE}/vendors`);
+    const response = await request.get(`${API_BASE}/vendors`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const vendors = await response.json();
@@ -400,7 +400,7 @@ test.describe('Core Operations', () => {
   test('Get ingredients', async ({ request }) => {
     console.log('\n🥕 Testing Ingredients...');
     
-    const response = await request.get(`${API_BASE}/ingredients`);
+    const response = await request.get(`${API_BASE}/ingredients`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const ingredients = await response.json();
@@ -410,7 +410,7 @@ test.describe('Core Operations', () => {
   test('Get menu items', async ({ request }) => {
     console.log('\n🍽️ Testing Menu Items...');
     
-    const response = await request.get(`${API_BASE}/menu-items`);
+    const response = await request.get(`${API_BASE}/menu-items`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const menuItems = await response.json();
@@ -425,7 +425,7 @@ test.describe('Core Operations', () => {
   test('Get expenses', async ({ request }) => {
     console.log('\n💸 Testing Expenses...');
     
-    const response = await request.get(`${API_BASE}/expenses`);
+    const response = await request.get(`${API_BASE}/expenses`, { headers: await authHeaders(request) });
     expect(response.ok()).toBeTruthy();
     
     const expenses = await response.json();
@@ -441,11 +441,11 @@ test.describe('Integration Tests', () => {
     console.log('\n🔗 Testing POS → GL Integration...');
     
     // Get settlements
-    const settlementsResponse = await request.get(`${API_BASE}/pos/settlements`);
+    const settlementsResponse = await request.get(`${API_BASE}/pos/settlements`, { headers: await authHeaders(request) });
     const settlements = await settlementsResponse.json();
     
     // Get journal entries
-    const entriesResponse = await request.get(`${API_BASE}/ledger/journal-entries`);
+    const entriesResponse = await request.get(`${API_BASE}/ledger/journal-entries`, { headers: await authHeaders(request) });
     const entriesData = await entriesResponse.json();
     
     // Check for POS settlement entries
@@ -464,11 +464,11 @@ test.describe('Integration Tests', () => {
     console.log('\n🔗 Testing Inventory → Purchasing...');
     
     // Get inventory levels
-    const levelsResponse = await request.get(`${API_BASE}/inventory/levels`);
+    const levelsResponse = await request.get(`${API_BASE}/inventory/levels`, { headers: await authHeaders(request) });
     const levels = await levelsResponse.json();
     
     // Get purchase orders
-    const ordersResponse = await request.get(`${API_BASE}/inventory/purchase-orders`);
+    const ordersResponse = await request.get(`${API_BASE}/inventory/purchase-orders`, { headers: await authHeaders(request) });
     const orders = await ordersResponse.json();
     
     console.log(`✅ Inventory items tracked: ${levels.length}`);
@@ -479,15 +479,15 @@ test.describe('Integration Tests', () => {
     console.log('\n🔗 Testing Employees → Labor → Tips...');
     
     // Get employees
-    const employeesResponse = await request.get(`${API_BASE}/labor/employees`);
+    const employeesResponse = await request.get(`${API_BASE}/labor/employees`, { headers: await authHeaders(request) });
     const employees = await employeesResponse.json();
     
     // Get timeclock
-    const timeclockResponse = await request.get(`${API_BASE}/labor/timeclock`);
+    const timeclockResponse = await request.get(`${API_BASE}/labor/timeclock`, { headers: await authHeaders(request) });
     const timeclock = await timeclockResponse.json();
     
     // Get tips
-    const tipsResponse = await request.get(`${API_BASE}/labor/tips`);
+    const tipsResponse = await request.get(`${API_BASE}/labor/tips`, { headers: await authHeaders(request) });
     const tips = await tipsResponse.json();
     
     console.log(`✅ Employees: ${employees.length}`);
@@ -598,12 +598,12 @@ test('📋 SYSTEM SUMMARY', async ({ request }) => {
   
   // Gather stats
   const health = await (await request.get(`${API_BASE}/health`)).json();
-  const vendors = await (await request.get(`${API_BASE}/vendors`)).json();
-  const ingredients = await (await request.get(`${API_BASE}/ingredients`)).json();
-  const menuItems = await (await request.get(`${API_BASE}/menu-items`)).json();
-  const accounts = await (await request.get(`${API_BASE}/accounting/accounts`)).json();
-  const employees = await (await request.get(`${API_BASE}/labor/employees`)).json();
-  const posConfigs = await (await request.get(`${API_BASE}/pos/configs`)).json();
+  const vendors = await (await request.get(`${API_BASE}/vendors`, { headers: await authHeaders(request) })).json();
+  const ingredients = await (await request.get(`${API_BASE}/ingredients`, { headers: await authHeaders(request) })).json();
+  const menuItems = await (await request.get(`${API_BASE}/menu-items`, { headers: await authHeaders(request) })).json();
+  const accounts = await (await request.get(`${API_BASE}/accounting/accounts`, { headers: await authHeaders(request) })).json();
+  const employees = await (await request.get(`${API_BASE}/labor/employees`, { headers: await authHeaders(request) })).json();
+  const posConfigs = await (await request.get(`${API_BASE}/pos/configs`, { headers: await authHeaders(request) })).json();
   
   console.log(`
 🏥 System Status: ${health.status.toUpperCase()}
@@ -0,0 +1,100 @@
+/**
+ * Data Scoping - End-to-End API Tests
+ * Employee data seen through linked users: staff see only themselves, department managers only
+ * their department.
+ *
+ * Run with: npx playwright test tests/e2e/scoping.spec.js
+ */
+const { test, expect } = require('@playwright/test');
+const { API_BASE, authHeaders, createUser, userHeaders } = require('./helpers');
+
+async function createEmployee(request, department) {
+  const response = await request.post(`${API_BASE}/payroll/employees`, {
+    headers: await authHeaders(request),
+    data: {
+      first_name: 'E2E', last_name: `${department} ${Date.now()}`, position: 'Crew', department,
+      hire_date: '2024-01-15', pay_type: 'hourly', pay_rate: 15
+    }
+  });
+  expect(response.status()).toBe(201);
+  return response.json();
+}
+
+// ============================================
+// TEST SUITE: Employee Data Scoping
+// ============================================
+test.describe('Employee Data Scoping', () => {
+  let bartender;
+  let barback;
+  let cook;
+  let staff;
+  let manager;
+  let entry;
+
+  test.beforeAll(async ({ request }) => {
+    bartender = await createEmployee(request, 'bar');
+    barback = await createEmployee(request, 'bar');
+    cook = await createEmployee(request, 'kitchen');
+    staff = await createUser(request, 'staff', { employee_id: bartender.id });
+    manager = await createUser(request, 'manager', { employee_id: barback.id });
+  });
+
+  test('Staff clock in only themselves', async ({ request }) => {
+    console.log('\n⏱️ Testing staff timeclock scope...');
+
+    const own = await request.post(`${API_BASE}/labor/timeclock/clock-in`, {
+      headers: userHeaders(staff),
+      data: { employee_id: bartender.id }
+    });
+    expect(own.status()).toBe(201);
+    entry = await own.json();
+
+    const other = await request.post(`${API_BASE}/labor/timeclock/clock-in`, {
+      headers: userHeaders(staff),
+      data: { employee_id: cook.id }
+    });
+    expect(other.status()).toBe(403);
+
+    console.log('✅ Staff clocked in themselves and were refused for a coworker');
+  });
+
+  test('Staff see only their own timeclock entries', async ({ request }) => {
+    console.log('\n📋 Testing staff timeclock listing...');
+
+    const response = await request.get(`${API_BASE}/labor/timeclock`, { headers: userHeaders(staff) });
+    expect(response.ok()).toBeTruthy();
+    const entries = await response.json();
+    expect(entries.map((e) => e.id)).toContain(entry.id);
+    expect(entries.every((e) => e.employee_id === bartender.id)).toBe(true);
+
+    console.log(`✅ ${entries.length} entries, all their own`);
+  });
+
+  test('Department managers see only their department', async ({ request }) => {
+    console.log('\n👥 Testing manager department scope...');
+
+    const response = await request.get(`${API_BASE}/payroll/employees`, { headers: userHeaders(manager) });
+    expect(response.ok()).toBeTruthy();
+    const employees = await response.json();
+    const ids = employees.map((e) => e.id);
+    expect(ids).toContain(bartender.id);
+    expect(ids).not.toContain(cook.id);
+    expect(employees.every((e) => e.department === 'bar')).toBe(true);
+
+    const kitchen = await request.get(`${API_BASE}/payroll/employees/${cook.id}`, { headers: userHeaders(manager) });
+    expect(kitchen.status()).toBe(403);
+
+    const bar = await request.get(`${API_BASE}/payroll/employees/${bartender.id}`, { headers: userHeaders(manager) });
+    expect(bar.ok()).toBeTruthy();
+
+    console.log('✅ Bar manager sees bar employees only');
+  });
+
+  test('Clock out', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/labor/timeclock/${entry.id}/clock-out`, {
+      headers: userHeaders(staff),
+      data: {}
+    });
+    expect(response.ok()).toBeTruthy();
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Security - End-to-End API Tests
+ * Two-factor sign-in, account lockout and scoped API keys, each against a throwaway user
+ * created through the admin API.
+ *
+ * Run with: npx playwright test tests/e2e/security.spec.js
+ */
+const { test, expect } = require('@playwright/test');
+const totp = require('../../server/utils/totp');
+const { API_BASE, PASSWORD, authHeaders, createUser, login } = require('./helpers');
+
+// ============================================
+// TEST SUITE: Two-Factor Authentication
+// ============================================
+test.describe('Two-Factor Authentication', () => {
+  let user;
+  let secret;
+  let recoveryCodes;
+
+  test.beforeAll(async ({ request }) => {
+    user = await createUser(request, 'accountant');
+  });
+
+  test('Enroll with an authenticator code', async ({ request }) => {
+    console.log('\n🔑 Testing TOTP Enrollment...');
+    const headers = { Authorization: `Bearer ${user.token}` };
+
+    const enroll = await request.post(`${API_BASE}/auth/mfa/enroll`, { headers });
+    expect(enroll.ok()).toBeTruthy();
+    const setup = await enroll.json();
+    expect(setup.otpauth_uri).toContain('otpauth://totp/');
+    secret = setup.secret;
+
+    const wrong = await request.post(`${API_BASE}/auth/mfa/activate`, { headers, data: { code: '000000' } });
+    expect(wrong.status()).toBe(400);
+
+    const activate = await request.post(`${API_BASE}/auth/mfa/activate`, {
+      headers,
+      data: { code: totp.generateCode(secret) }
+    });
+    expect(activate.ok()).toBeTruthy();
+    const result = await activate.json();
+    expect(result.enabled).toBe(true);
+    expect(result.recovery_codes.length).toBeGreaterThan(0);
+    recoveryCodes = result.recovery_codes;
+
+    console.log(`✅ Two-factor enabled with ${recoveryCodes.length} recovery codes`);
+  });
+
+  test('Password alone returns a challenge, not a session', async ({ request }) => {
+    console.log('\n🔐 Testing MFA Challenge...');
+
+    const response = await login(request, user.email);
+    expect(response.ok()).toBeTruthy();
+    const data = await response.json();
+
+    expect(data.mfa_required).toBe(true);
+    expect(data.mfa_enrollment_required).toBe(false);
+    expect(data.mfa_token).toBeTruthy();
+    expect(data.token).toBeUndefined();
+    console.log('✅ Login stopped at the second factor');
+  });
+
+  test('Sign in with a TOTP code', async ({ request }) => {
+    console.log('\n🔐 Testing TOTP Login...');
+
+    const challenge = await (await login(request, user.email)).json();
+
+    const wrong = await request.post(`${API_BASE}/auth/login/mfa`, {
+      data: { mfa_token: challenge.mfa_token, code: '000000' }
+    });
+    expect(wrong.status()).toBe(400);
+
+    // Enrollment used the current step, and codes are never accepted twice; the next step is
+    // still inside the drift window
+    const response = await request.post(`${API_BASE}/auth/login/mfa`, {
+      data: { mfa_token: challenge.mfa_token, code: totp.generateCode(secret, totp.currentStep() + 1) }
+    });
+    expect(response.ok()).toBeTruthy();
+    const data = await response.json();
+
+    expect(data.token).toBeTruthy();
+    expect(data.mfa_method).toBe('totp');
+    expect(data.user.email).toBe(user.email);
+
+    const reused = await request.post(`${API_BASE}/auth/login/mfa`, {
+      data: { mfa_token: challenge.mfa_token, code: totp.generateCode(secret, totp.currentStep() + 1) }
+    });
+    expect(reused.status()).toBe(401);
+    console.log('✅ Signed in with TOTP; the challenge cannot be reused');
+  });
+
+  test('Sign in with a recovery code, once', async ({ request }) => {
+    console.log('\n🔐 Testing Recovery Code Login...');
+
+    const first = await (await login(request, user.email)).json();
+    const response = await request.post(`${API_BASE}/auth/login/mfa`, {
+      data: { mfa_token: first.mfa_token, code: recoveryCodes[0] }
+    });
+    expect(response.ok()).toBeTruthy();
+    const data = await response.json();
+    expect(data.mfa_method).toBe('recovery_code');
+    expect(data.recovery_codes_remaining).toBe(recoveryCodes.length - 1);
+
+    const second = await (await login(request, user.email)).json();
+    const reused = await request.post(`${API_BASE}/auth/login/mfa`, {
+      data: { mfa_token: second.mfa_token, code: recoveryCodes[0] }
+    });
+    expect(reused.status()).toBe(400);
+    console.log('✅ Recovery code worked once');
+  });
+
+  test('Wrong codes count toward the account lockout', async ({ request }) => {
+    console.log('\n🔒 Testing MFA Failures and Lockout...');
+    const mfaUser = await createUser(request, 'accountant');
+    const headers = { Authorization: `Bearer ${mfaUser.token}` };
+    const setup = await (await request.post(`${API_BASE}/auth/mfa/enroll`, { headers })).json();
+    await request.post(`${API_BASE}/auth/mfa/activate`, {
+      headers,
+      data: { code: totp.generateCode(setup.secret) }
+    });
+
+    // A fresh challenge per attempt: the correct password must not reset the count
+    for (let i = 0; i < 5; i++) {
+      const challenge = await (await login(request, mfaUser.email)).json();
+      const wrong = await request.post(`${API_BASE}/auth/login/mfa`, {
+        data: { mfa_token: challenge.mfa_token, code: '000000' }
+      });
+      expect(wrong.status()).toBe(400);
+    }
+
+    const locked = await login(request, mfaUser.email);
+    expect(locked.status()).toBe(429);
+
+    const unlock = await request.post(`${API_BASE}/auth/users/${mfaUser.id}/unlock`, {
+      headers: await authHeaders(request)
+    });
+    expect(unlock.ok()).toBeTruthy();
+    console.log('✅ Account locked after five wrong codes, then unlocked by an admin');
+  });
+});
+
+// ============================================
+// TEST SUITE: Account Lockout & Password Policy
+// ============================================
+test.describe('Account Lockout & Password Policy', () => {
+  test('Lock the account after repeated wrong passwords', async ({ request }) => {
+    console.log('\n🔒 Testing Account Lockout...');
+    const user = await createUser(request);
+
+    for (let i = 0; i < 5; i++) {
+      const wrong = await login(request, user.email, 'Wrong-Passw0rd');
+      expect(wrong.status()).toBe(400);
+    }
+
+    // Locked even with the right password
+    const locked = await login(request, user.email);
+    expect(locked.status()).toBe(429);
+    const { details } = await locked.json();
+    expect(details.retry_after_seconds).toBeGreaterThan(0);
+    console.log(`✅ Account locked, retry after ${details.retry_after_seconds}s`);
+
+    const unlock = await request.post(`${API_BASE}/auth/users/${user.id}/unlock`, {
+      headers: await authHeaders(request)
+    });
+    expect(unlock.ok()).toBeTruthy();
+
+    const response = await login(request, user.email);
+    expect(response.ok()).toBeTruthy();
+    expect((await response.json()).token).toBeTruthy();
+    console.log('✅ Admin unlock restores sign-in');
+  });
+
+  test('Reject passwords that break the policy', async ({ request }) => {
+    console.log('\n🔑 Testing Password Policy...');
+    const user = await createUser(request);
+
+    const policy = await (await request.get(`${API_BASE}/auth/password-policy`)).json();
+    expect(policy.min_length).toBeGreaterThanOrEqual(8);
+
+    const weak = await request.put(`${API_BASE}/auth/me/password`, {
+      headers: { Authorization: `Bearer ${user.token}` },
+      data: { current_password: PASSWORD, new_password: 'alllowercase' }
+    });
+    expect(weak.status()).toBe(400);
+    console.log('✅ Weak password rejected');
+  });
+});
+
+// ============================================
+// TEST SUITE: API Keys
+// ============================================
+test.describe('API Keys', () => {
+  let apiKey;
+
+  test.beforeAll(async ({ request }) => {
+    const response = await request.post(`${API_BASE}/auth/api-keys`, {
+      headers: await authHeaders(request),
+      data: { name: `e2e-vendors-${Date.now()}`, scopes: ['vendors:read'] }
+    });
+    expect(response.status()).toBe(201);
+    apiKey = await response.json();
+  });
+
+  test('Issue a key that is only shown once', async ({ request }) => {
+    console.log('\n🗝️ Testing API Key Issue...');
+    expect(apiKey.key).toMatch(/^rpk_/);
+    expect(apiKey.key.startsWith(apiKey.key_prefix)).toBeTruthy();
+
+    const response = await request.get(`${API_BASE}/auth/api-keys`, { headers: await authHeaders(request) });
+    expect(response.ok()).toBeTruthy();
+    const listed = (await response.json()).find(k => k.id === apiKey.id);
+    expect(listed.scopes).toEqual(['vendors:read']);
+    expect(listed.key).toBeUndefined();
+    expect(listed.key_hash).toBeUndefined();
+    console.log(`✅ Key ${apiKey.key_prefix} listed without its secret`);
+  });
+
+  test('Reject unknown scopes', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/auth/api-keys`, {
+      headers: await authHeaders(request),
+      data: { name: 'e2e-bad-scope', scopes: ['users:write'] }
+    });
+    expect(response.status()).toBe(400);
+  });
+
+  test('Key reaches only its scopes', async ({ request }) => {
+    console.log('\n🗝️ Testing API Key Scopes...');
+    const headers = { 'X-API-Key': apiKey.key };
+
+    const vendors = await request.get(`${API_BASE}/vendors`, { headers });
+    expect(vendors.ok()).toBeTruthy();
+
+    const write = await request.post(`${API_BASE}/vendors`, { headers, data: { name: 'E2E Key Vendor' } });
+    expect(write.status()).toBe(403);
+
+    const ledger = await request.get(`${API_BASE}/ledger/journal-entries`, { headers });
+    expect(ledger.status()).toBe(403);
+
+    // Keys never reach the auth and user management endpoints
+    const me = await request.get(`${API_BASE}/auth/me`, { headers });
+    expect(me.ok()).toBeFalsy();
+    console.log('✅ vendors:read allows GET /vendors and nothing else');
+  });
+
+  test('Revoked key stops working', async ({ request }) => {
+    console.log('\n🗝️ Testing API Key Revoke...');
+    const revoke = await request.delete(`${API_BASE}/auth/api-keys/${apiKey.id}`, {
+      headers: await authHeaders(request)
+    });
+    expect(revoke.ok()).toBeTruthy();
+    expect((await revoke.json()).revoked_at).toBeTruthy();
+
+    const response = await request.get(`${API_BASE}/vendors`, { headers: { 'X-API-Key': apiKey.key } });
+    expect(response.status()).toBe(401);
+    console.log('✅ Revoked key rejected');
+  });
+});